@@ -0,0 +1,94 @@
+/**
+ * The "Analyze all tasks" toolbar button on chart.html. It starts the
+ * server's background job that analyzes every task of the chart
+ * (POST /analyze-all) and shows its progress, polling
+ * GET /analyze-all/:chartId until the job is done. The analyses go into
+ * the server's cache, so clicking a task then opens its details at once.
+ */
+
+import { getReferenceIsoDate } from './reference-date.js';
+
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Describes a job's progress for the toolbar.
+ * @param {{status: string, total: number, completed: number, failed: object[]}} job
+ * @returns {string}
+ */
+export function describeAnalysisJob(job) {
+  const failed = job.failed.length > 0 ? ` (${job.failed.length} failed)` : '';
+  if (job.status === 'running') {
+    return `Analyzing tasks: ${job.completed + job.failed.length} of ${job.total}${failed}`;
+  }
+  return job.failed.length > 0
+    ? `${job.completed} of ${job.total} tasks analyzed${failed}`
+    : `All ${job.total} tasks analyzed`;
+}
+
+/**
+ * Wires up the button and shows the progress of a job that is already
+ * running (e.g. one started with the chart).
+ * @param {object} handlers
+ * @param {function(): object} handlers.getChartData - Returns the chart currently shown.
+ */
+export function setupAnalyzeAll({ getChartData }) {
+  const button = document.getElementById('analyze-all-btn');
+  const status = document.getElementById('analyze-all-status');
+  if (!button || !status) return;
+
+  button.hidden = false;
+  let pollTimer = null;
+
+  const showProgress = (job) => {
+    status.textContent = describeAnalysisJob(job);
+    status.hidden = false;
+    button.disabled = job.status === 'running';
+    clearTimeout(pollTimer);
+    if (job.status === 'running') pollTimer = setTimeout(pollProgress, POLL_INTERVAL_MS);
+  };
+
+  const pollProgress = async () => {
+    try {
+      const response = await fetch(`/analyze-all/${encodeURIComponent(getChartData().chartId)}`);
+      // No job for this chart (yet, or any more)
+      if (response.status === 404) return;
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Server error");
+      }
+      showProgress(await response.json());
+    } catch (error) {
+      console.error("Error checking the analysis progress:", error);
+      status.textContent = 'Could not check the analysis progress.';
+      button.disabled = false;
+    }
+  };
+
+  button.addEventListener('click', async () => {
+    const ganttData = getChartData();
+    // The chart as shown, so renamed and added tasks are analyzed too
+    const tasks = ganttData.data
+      .filter(row => !row.isSwimlane)
+      .map(row => ({ taskName: row.title, entity: row.entity }));
+
+    button.disabled = true;
+    try {
+      const response = await fetch('/analyze-all', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chartId: ganttData.chartId, tasks, today: getReferenceIsoDate() })
+      });
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Server error");
+      }
+      showProgress(await response.json());
+    } catch (error) {
+      console.error("Error starting the analysis:", error);
+      alert(`Could not analyze the tasks: ${error.message}`);
+      button.disabled = false;
+    }
+  });
+
+  pollProgress();
+}
@@ -0,0 +1,177 @@
+/**
+ * The "Ask the roadmap" assistant panel on chart.html.
+ * Sends a question plus the current chart to /ask-chart, streams the
+ * answer into a chat, and turns the rows the answer cites ([[ID]]) into
+ * links that highlight those rows in the grid.
+ *
+ * findRowReferences is also used by the server to report the cited rows.
+ */
+
+import { renderMarkdown, escapeHtml } from './markdown.js';
+import { readEventStream } from './event-stream.js';
+import { loadChatHistory, saveChatHistory } from './chat-history.js';
+import { getReferenceIsoDate } from './reference-date.js';
+
+// How the model cites a row: its ID in double square brackets, e.g. [[T7]]
+const ROW_REFERENCE_PATTERN = /\[\[([\w.-]+)\]\]/g;
+
+/**
+ * Finds the chart rows an answer cites.
+ * @param {string} text - The answer.
+ * @param {object} ganttData - The chart it is about.
+ * @returns {string[]} The IDs of existing rows, in order of first mention.
+ */
+export function findRowReferences(text, ganttData) {
+  const ids = new Set((ganttData.data || []).map(row => row.id));
+  const found = [];
+  for (const [, id] of String(text).matchAll(ROW_REFERENCE_PATTERN)) {
+    if (ids.has(id) && !found.includes(id)) found.push(id);
+  }
+  return found;
+}
+
+/**
+ * Renders an answer as Markdown, with each cited row shown as a button
+ * labelled with the row's title. Unknown IDs are left as typed.
+ * @param {string} text - The answer.
+ * @param {object} ganttData
+ * @returns {string} HTML.
+ */
+export function renderAnswer(text, ganttData) {
+  const titles = new Map((ganttData.data || []).map(row => [row.id, row.title]));
+  // Only in the text itself: not inside code or link URLs
+  const rowReference = {
+    pattern: ROW_REFERENCE_PATTERN,
+    render: (match, id) => (titles.has(id)
+      ? `<button type="button" class="row-ref" data-row-id="${escapeHtml(id)}">${escapeHtml(titles.get(id))}</button>`
+      : match)
+  };
+  return renderMarkdown(text, { inlineRules: [rowReference] });
+}
+
+/**
+ * Wires up the assistant panel.
+ * @param {object} handlers
+ * @param {function(): object} handlers.getChartData - Returns the chart currently shown.
+ * @param {function(string[]): void} handlers.onHighlight - Highlights the given rows (none to clear).
+ */
+export function setupAssistantPanel({ getChartData, onHighlight }) {
+  const toggleBtn = document.getElementById('assistant-toggle-btn');
+  const panel = document.getElementById('assistant-panel');
+  const closeBtn = document.getElementById('assistant-close-btn');
+  const resetBtn = document.getElementById('assistant-reset-btn');
+  const historyEl = document.getElementById('assistant-history');
+  const form = document.getElementById('assistant-form');
+  const input = document.getElementById('assistant-input');
+  const submitBtn = document.getElementById('assistant-submit-btn');
+  if (!toggleBtn || !panel || !form) return;
+
+  const chartId = () => getChartData().chartId;
+  const storageKey = () => JSON.stringify(['chart', chartId()]);
+
+  toggleBtn.hidden = false;
+
+  const addMessage = (role, text) => {
+    const message = document.createElement('div');
+    message.className = `chat-message ${role === 'user' ? 'chat-message-user' : 'chat-message-llm'}`;
+    if (role === 'user') {
+      message.textContent = text;
+    } else {
+      message.innerHTML = renderAnswer(text, getChartData());
+    }
+    historyEl.appendChild(message);
+    historyEl.scrollTop = historyEl.scrollHeight;
+    return message;
+  };
+
+  // Show the earlier conversation (the server remembers it too)
+  for (const turn of loadChatHistory(storageKey())) {
+    addMessage(turn.role, turn.text);
+  }
+
+  toggleBtn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) input.focus();
+  });
+  closeBtn.addEventListener('click', () => {
+    panel.hidden = true;
+    onHighlight([]);
+  });
+
+  // Clicking a cited row highlights it in the grid
+  historyEl.addEventListener('click', (e) => {
+    const ref = e.target.closest('.row-ref');
+    if (ref) onHighlight([ref.dataset.rowId]);
+  });
+
+  resetBtn.addEventListener('click', async () => {
+    try {
+      const response = await fetch('/reset-chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chartId: chartId(), scope: 'chart' })
+      });
+      // An expired session has nothing left to forget
+      if (!response.ok && response.status !== 404) {
+        const err = await response.json();
+        throw new Error(err.error || "Server error");
+      }
+      saveChatHistory(storageKey(), []);
+      historyEl.innerHTML = '';
+      onHighlight([]);
+    } catch (error) {
+      console.error("Error resetting the assistant:", error);
+      alert(`Could not start a new conversation: ${error.message}`);
+    }
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const question = input.value.trim();
+    if (!question) return;
+
+    input.value = '';
+    submitBtn.disabled = true;
+    addMessage('user', question);
+    const answerEl = addMessage('model', '');
+    answerEl.innerHTML = '<div class="chat-spinner"></div>';
+
+    const ganttData = getChartData();
+    try {
+      const response = await fetch('/ask-chart', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+        body: JSON.stringify({ chartId: ganttData.chartId, ganttData, question, today: getReferenceIsoDate() })
+      });
+
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Server error");
+      }
+
+      // Show the answer as it is written, then highlight every row it cites
+      let answer = '';
+      const result = await readEventStream(response, {
+        chunk: (text) => {
+          answer += text;
+          answerEl.innerHTML = renderAnswer(answer, ganttData);
+          historyEl.scrollTop = historyEl.scrollHeight;
+        }
+      });
+      answerEl.innerHTML = renderAnswer(result.answer, ganttData);
+      onHighlight(result.rowIds || []);
+      saveChatHistory(storageKey(), [
+        ...loadChatHistory(storageKey()),
+        { role: 'user', text: question },
+        { role: 'model', text: result.answer }
+      ]);
+
+    } catch (error) {
+      console.error("Error asking the roadmap assistant:", error);
+      answerEl.textContent = `Sorry, an error occurred: ${error.message}`;
+    } finally {
+      submitBtn.disabled = false;
+      historyEl.scrollTop = historyEl.scrollHeight;
+    }
+  });
+}
@@ -0,0 +1,117 @@
+/**
+ * The baseline controls on chart.html. "Save as baseline" stores a
+ * snapshot of the chart as shown (POST /baselines); "Compare with" loads
+ * a saved baseline (GET /baselines/:id) so the renderer can draw its
+ * dates under the current bars and list what changed since.
+ *
+ * The usual flow: save a baseline, regenerate the chart from updated
+ * research, then compare the new chart with the baseline.
+ */
+
+/**
+ * Describes a baseline for the "Compare with" list.
+ * @param {{name: string, savedAt: string, taskCount: number}} baseline
+ * @returns {string} e.g. "Q3 plan (2025-07-01, 12 tasks)".
+ */
+export function describeBaseline(baseline) {
+  return `${baseline.name} (${baseline.savedAt.slice(0, 10)}, ${baseline.taskCount} tasks)`;
+}
+
+/**
+ * Wires up the baseline controls.
+ * @param {object} handlers
+ * @param {function(): object} handlers.getChartData - Returns the chart currently shown.
+ * @param {function(object | null): void} handlers.onCompare - Called with the picked
+ *   baseline ({id, name, savedAt, ganttData}), or null to stop comparing.
+ */
+export function setupBaselineControls({ getChartData, onCompare }) {
+  const controls = document.getElementById('baseline-controls');
+  const saveBtn = document.getElementById('save-baseline-btn');
+  const baselineSelect = document.getElementById('baseline-select');
+  const status = document.getElementById('baseline-status');
+  if (!controls || !saveBtn || !baselineSelect || !status) return;
+
+  controls.hidden = false;
+
+  const showStatus = (message) => {
+    status.textContent = message;
+    status.hidden = !message;
+  };
+
+  // Fills the list, keeping the current pick
+  const loadBaselines = async () => {
+    try {
+      const response = await fetch('/baselines');
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Server error");
+      }
+      const baselines = await response.json();
+      const picked = baselineSelect.value;
+      baselineSelect.length = 1; // Keep "None"
+      for (const baseline of baselines) {
+        baselineSelect.add(new Option(describeBaseline(baseline), baseline.id));
+      }
+      baselineSelect.value = baselines.some(b => b.id === picked) ? picked : '';
+    } catch (error) {
+      console.error("Error listing baselines:", error);
+      showStatus('Could not list the baselines.');
+    }
+  };
+
+  saveBtn.addEventListener('click', async () => {
+    const ganttData = getChartData();
+    const name = prompt('Baseline name:', `${ganttData.title} (${new Date().toISOString().slice(0, 10)})`);
+    if (name === null) return; // User cancelled
+
+    saveBtn.disabled = true;
+    try {
+      const response = await fetch('/baselines', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ganttData, name })
+      });
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Server error");
+      }
+      const baseline = await response.json();
+      await loadBaselines();
+      showStatus(`Saved baseline "${baseline.name}".`);
+    } catch (error) {
+      console.error("Error saving baseline:", error);
+      alert(`Could not save the baseline: ${error.message}`);
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  baselineSelect.addEventListener('change', async () => {
+    const id = baselineSelect.value;
+    if (!id) {
+      showStatus('');
+      onCompare(null);
+      return;
+    }
+
+    baselineSelect.disabled = true;
+    try {
+      const response = await fetch(`/baselines/${encodeURIComponent(id)}`);
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Server error");
+      }
+      showStatus('');
+      onCompare(await response.json());
+    } catch (error) {
+      console.error("Error loading baseline:", error);
+      showStatus(`Could not load the baseline: ${error.message}`);
+      baselineSelect.value = '';
+      onCompare(null);
+    } finally {
+      baselineSelect.disabled = false;
+    }
+  });
+
+  loadBaselines();
+}
@@ -0,0 +1,132 @@
+/**
+ * Plan-versus-baseline comparison. A baseline is a saved snapshot of a
+ * chart (see lib/baseline-store.js); comparing a newer chart with it
+ * shows how the roadmap moved: which tasks were added, which were
+ * removed, and which start or finish on other dates.
+ *
+ * Regenerated charts number their tasks afresh, so tasks are matched by
+ * swimlane and title (ignoring case, spacing and punctuation), then by
+ * title alone for tasks that moved to another swimlane. A renamed task
+ * shows up as removed and added.
+ *
+ * Shared by the browser and the server, so it must not touch the DOM or
+ * Node APIs.
+ */
+
+import { parseIsoDate, formatIsoDate, withBarDates, deriveTimeline, resolveTimeRange, getTimeInterval } from './timeline.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalizes a title or swimlane name for matching.
+ * @param {string} text
+ * @returns {string}
+ */
+function matchKey(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Counts the days from one ISO date to another.
+ * @returns {number | null} Positive if `to` is later, null if either date is unknown.
+ */
+function daysBetween(from, to) {
+  const start = parseIsoDate(from);
+  const end = parseIsoDate(to);
+  return start && end ? Math.round((end - start) / DAY_MS) : null;
+}
+
+/**
+ * Compares a chart with a baseline.
+ * @param {object} ganttData - The current chart.
+ * @param {object} baselineData - The baseline's chart data.
+ * @returns {{
+ *   tasks: Object<string, {title: string, entity: string, startDate: (string | null), endDate: (string | null), startSlipDays: (number | null), endSlipDays: (number | null)}>,
+ *   added: Array<{id: string, title: string, entity: string, startDate: (string | null), endDate: (string | null)}>,
+ *   removed: Array<{title: string, entity: string, startDate: (string | null), endDate: (string | null)}>,
+ *   moved: Array<{id: string, title: string, entity: string, baselineEntity: string, from: {startDate, endDate}, to: {startDate, endDate}, startSlipDays: (number | null), endSlipDays: (number | null)}>
+ * }} `tasks` holds the baseline dates of every matched task, by the
+ *   current task's ID; `moved` lists the matched tasks whose dates or
+ *   swimlane changed. Slips are in days, positive when later than the baseline.
+ */
+export function compareWithBaseline(ganttData, baselineData) {
+  const taskRows = (chart) => (withBarDates(chart).data || []).filter(row => !row.isSwimlane);
+  const current = taskRows(ganttData);
+  const baseline = taskRows(baselineData);
+
+  // 1. Match by swimlane and title, then by title alone
+  const matches = new Map(); // current row -> baseline row
+  const unmatched = new Set(baseline);
+  for (const keyOf of [row => `${matchKey(row.entity)}\n${matchKey(row.title)}`, row => matchKey(row.title)]) {
+    const byKey = new Map();
+    for (const row of unmatched) {
+      if (!byKey.has(keyOf(row))) byKey.set(keyOf(row), row);
+    }
+    for (const row of current) {
+      const match = !matches.has(row) && byKey.get(keyOf(row));
+      if (match && unmatched.has(match)) {
+        matches.set(row, match);
+        unmatched.delete(match);
+      }
+    }
+  }
+
+  // 2. Describe the differences
+  const datesOf = (row) => ({ startDate: row.bar?.startDate || null, endDate: row.bar?.endDate || null });
+  const tasks = {};
+  const added = [];
+  const moved = [];
+  for (const row of current) {
+    const match = matches.get(row);
+    if (!match) {
+      added.push({ id: row.id, title: row.title, entity: row.entity, ...datesOf(row) });
+      continue;
+    }
+    const from = datesOf(match);
+    const to = datesOf(row);
+    const startSlipDays = daysBetween(from.startDate, to.startDate);
+    const endSlipDays = daysBetween(from.endDate, to.endDate);
+    tasks[row.id] = { title: match.title, entity: match.entity, ...from, startSlipDays, endSlipDays };
+
+    const datesChanged = from.startDate !== to.startDate || from.endDate !== to.endDate;
+    if (datesChanged || matchKey(match.entity) !== matchKey(row.entity)) {
+      moved.push({ id: row.id, title: row.title, entity: row.entity, baselineEntity: match.entity, from, to, startSlipDays, endSlipDays });
+    }
+  }
+  const removed = [...unmatched].map(row => ({ title: row.title, entity: row.entity, ...datesOf(row) }));
+
+  return { tasks, added, removed, moved };
+}
+
+/**
+ * Widens a chart's timeline so the baseline dates of its tasks fit too
+ * (otherwise a task that moved far would have its old bar cut off).
+ * @param {object} ganttData - The chart as shown (with its timeline derived).
+ * @param {object} comparison - From compareWithBaseline.
+ * @returns {object} The same chart, or a re-derived one at the same time scale.
+ */
+export function coverBaselineDates(ganttData, comparison) {
+  const range = resolveTimeRange(withBarDates(ganttData));
+  if (!range) return ganttData;
+
+  let { start, end } = range;
+  for (const task of Object.values(comparison.tasks)) {
+    const taskStart = parseIsoDate(task.startDate);
+    const taskEnd = parseIsoDate(task.endDate, true);
+    if (taskStart && taskStart < start) start = taskStart;
+    if (taskEnd && taskEnd > end) end = taskEnd;
+  }
+  if (start === range.start && end === range.end) return ganttData;
+
+  const timeRange = { start: formatIsoDate(start), end: formatIsoDate(end) };
+  return deriveTimeline({ ...withBarDates(ganttData), timeRange }, getTimeInterval(ganttData));
+}
+
+/**
+ * Formats a slip for a label, e.g. "+14d" or "−3d".
+ * @param {number} days
+ * @returns {string}
+ */
+export function formatSlip(days) {
+  return days > 0 ? `+${days}d` : `−${Math.abs(days)}d`;
+}
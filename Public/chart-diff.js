@@ -0,0 +1,219 @@
+/**
+ * Structured chart diffs ("add", "remove" and "modify" row operations).
+ * The server asks the model for a diff instead of a whole new chart, checks
+ * it with validateChartDiff, and the browser previews and applies it with
+ * applyChartDiff. Shared by both, so no DOM or Node APIs here.
+ *
+ * A diff looks like:
+ *   {
+ *     summary: "Split Regulatory into EU and US",
+ *     operations: [
+ *       { op: "add", rowId: "S4", afterRowId: "T7", row: { title, isSwimlane, ... } },
+ *       { op: "modify", rowId: "T3", row: { entity: "EU Regulatory" } },
+ *       { op: "remove", rowId: "S2" }
+ *     ],
+ *     legend: null // or a complete replacement legend
+ *   }
+ */
+
+// Fields an operation may set on a row; anything else from the model is ignored
+const ROW_FIELDS = ['title', 'isSwimlane', 'type', 'entity', 'dependencies'];
+const BAR_FIELDS = ['startDate', 'endDate', 'color'];
+
+/**
+ * Copies only the known row fields (and bar fields) from a model-provided row.
+ * @param {object} source - The row from the operation.
+ * @returns {object}
+ */
+function pickRowFields(source = {}) {
+  const row = {};
+  for (const field of ROW_FIELDS) {
+    if (source[field] !== undefined) row[field] = source[field];
+  }
+  if (source.bar) {
+    row.bar = {};
+    for (const field of BAR_FIELDS) {
+      if (source.bar[field] !== undefined) row.bar[field] = source.bar[field];
+    }
+  }
+  return row;
+}
+
+/**
+ * Drops operations that cannot be applied to this chart.
+ * @param {object} ganttData - The current chart data.
+ * @param {object} diff - The diff from the model.
+ * @returns {{diff: object, warnings: string[]}} The usable diff and why anything was dropped.
+ */
+export function validateChartDiff(ganttData, diff) {
+  const existingIds = new Set((ganttData.data || []).map(row => row.id));
+  const addedIds = new Set();
+  const warnings = [];
+  const operations = [];
+
+  for (const operation of diff?.operations || []) {
+    const { op, rowId } = operation;
+
+    if (op === 'add') {
+      if (!operation.row?.title) {
+        warnings.push('Skipped an added row without a title.');
+        continue;
+      }
+      // Later operations refer to the row by this ID, so it must be free
+      if (rowId && (existingIds.has(rowId) || addedIds.has(rowId))) {
+        warnings.push(`Skipped adding "${operation.row.title}": row ID "${rowId}" is already taken.`);
+        continue;
+      }
+      if (rowId) addedIds.add(rowId);
+      operations.push(operation);
+    } else if (op === 'modify' || op === 'remove') {
+      if (!existingIds.has(rowId) && !addedIds.has(rowId)) {
+        warnings.push(`Skipped "${op}" for unknown row "${rowId}".`);
+        continue;
+      }
+      if (op === 'modify' && !operation.row) {
+        warnings.push(`Skipped "modify" for row "${rowId}" with no changes.`);
+        continue;
+      }
+      operations.push(operation);
+    } else {
+      warnings.push(`Skipped unknown operation "${op}".`);
+    }
+  }
+
+  return {
+    diff: { summary: diff?.summary || '', operations, legend: Array.isArray(diff?.legend) ? diff.legend : null },
+    warnings
+  };
+}
+
+/**
+ * Applies a diff to chart data, in place. Added rows keep the ID the model
+ * gave them (validateChartDiff drops adds whose ID is taken); rows without
+ * one get a new one. Dependencies on
+ * removed rows are dropped. Run the result through the usual normalization
+ * (time columns, dependency checks) afterwards.
+ * @param {object} ganttData - The chart data (modified in place).
+ * @param {object} diff - A diff checked by validateChartDiff.
+ * @returns {{added: string[], modified: string[], removed: string[]}} The affected row IDs.
+ */
+export function applyChartDiff(ganttData, diff) {
+  const rows = ganttData.data;
+  const changes = { added: [], modified: [], removed: [] };
+  const usedIds = new Set(rows.map(row => row.id));
+  let nextId = rows.length + 1;
+
+  for (const operation of diff.operations) {
+    const index = rows.findIndex(row => row.id === operation.rowId);
+
+    if (operation.op === 'remove' && index !== -1) {
+      rows.splice(index, 1);
+      changes.removed.push(operation.rowId);
+
+    } else if (operation.op === 'modify' && index !== -1) {
+      const { bar, ...fields } = pickRowFields(operation.row);
+      const row = rows[index];
+      Object.assign(row, fields);
+      if (bar) row.bar = { ...(row.bar || {}), ...bar };
+      changes.modified.push(row.id);
+
+    } else if (operation.op === 'add') {
+      const row = { isSwimlane: false, dependencies: [], ...pickRowFields(operation.row) };
+      let id = operation.rowId;
+      while (!id || usedIds.has(id)) {
+        id = `${row.isSwimlane ? 'S' : 'T'}${nextId++}`;
+      }
+      row.id = id;
+      usedIds.add(id);
+      if (row.isSwimlane) {
+        row.entity = row.entity || row.title;
+        delete row.bar;
+      } else {
+        row.bar = { startDate: null, endDate: null, color: 'blue', ...(row.bar || {}) };
+      }
+
+      rows.splice(findInsertIndex(rows, operation.afterRowId, row), 0, row);
+      changes.added.push(id);
+    }
+  }
+
+  // Milestones keep a single date, whichever one the change set
+  for (const row of rows) {
+    if (row.type === 'milestone' && row.bar) {
+      const date = row.bar.startDate || row.bar.endDate || null;
+      row.bar.startDate = date;
+      row.bar.endDate = date;
+    }
+  }
+
+  // Nothing may depend on a row that no longer exists
+  const remainingIds = new Set(rows.map(row => row.id));
+  for (const row of rows) {
+    if (row.dependencies) {
+      row.dependencies = row.dependencies.filter(id => remainingIds.has(id));
+    }
+  }
+
+  if (diff.legend) {
+    ganttData.legend = diff.legend;
+  }
+
+  return changes;
+}
+
+/**
+ * Works out where an added row goes: after `afterRowId` if it exists,
+ * otherwise at the end of its swimlane (or of the chart).
+ * @param {object[]} rows - The chart rows.
+ * @param {string | null} afterRowId - The row to insert after.
+ * @param {object} row - The new row.
+ * @returns {number} The index to insert at.
+ */
+function findInsertIndex(rows, afterRowId, row) {
+  const afterIndex = rows.findIndex(r => r.id === afterRowId);
+  if (afterIndex !== -1) return afterIndex + 1;
+
+  if (!row.isSwimlane) {
+    const laneIndex = rows.findIndex(r => r.isSwimlane && r.entity === row.entity);
+    if (laneIndex !== -1) {
+      let index = laneIndex + 1;
+      while (index < rows.length && !rows[index].isSwimlane) index++;
+      return index;
+    }
+  }
+  return rows.length;
+}
+
+/**
+ * Describes one operation for the preview list.
+ * @param {object} operation - A diff operation.
+ * @param {object} ganttData - The chart the diff applies to (before the change).
+ * @returns {string}
+ */
+export function describeOperation(operation, ganttData) {
+  const existing = (ganttData.data || []).find(row => row.id === operation.rowId);
+  const kind = (row) => (row?.isSwimlane ? 'swimlane' : row?.type === 'milestone' ? 'milestone' : 'task');
+
+  if (operation.op === 'remove') {
+    return `Remove ${kind(existing)} "${existing?.title || operation.rowId}"`;
+  }
+
+  if (operation.op === 'add') {
+    const row = operation.row;
+    const dates = row.bar?.startDate ? ` (${row.bar.startDate} to ${row.bar.endDate || row.bar.startDate})` : '';
+    const lane = row.isSwimlane ? '' : ` in "${row.entity}"`;
+    return `Add ${kind(row)} "${row.title}"${lane}${dates}`;
+  }
+
+  const { bar, ...fields } = pickRowFields(operation.row);
+  const details = [];
+  if (fields.title && fields.title !== existing?.title) details.push(`rename to "${fields.title}"`);
+  if (fields.entity && fields.entity !== existing?.entity) details.push(`move to "${fields.entity}"`);
+  if (bar?.startDate || bar?.endDate) {
+    details.push(`dates ${bar.startDate || existing?.bar?.startDate} to ${bar.endDate || existing?.bar?.endDate}`);
+  }
+  if (bar?.color) details.push(`color ${bar.color}`);
+  if (fields.type) details.push(`type ${fields.type}`);
+  if (fields.dependencies) details.push(`depends on ${fields.dependencies.join(', ') || 'nothing'}`);
+  return `Change "${existing?.title || operation.rowId}": ${details.join(', ') || 'no visible change'}`;
+}
@@ -0,0 +1,412 @@
+/**
+ * Interactive chart editing for chart.html.
+ * In edit mode, bars can be dragged and resized along the time axis,
+ * row labels can be renamed in place (double-click), and rows can be
+ * dragged to a new position or into another swimlane.
+ *
+ * Every edit is applied to a copy of the ganttData, which is then
+ * re-normalized (time columns, dependency checks) and handed back through
+ * `onChange`. The editor keeps snapshots for undo/redo.
+ */
+
+import {
+  deriveTimeline,
+  withBarDates,
+  getTimelineColumns,
+  getTimeInterval,
+  parseIsoDate,
+  formatIsoDate,
+  dateToColumnPosition,
+  columnPositionToDate,
+  roundToUtcDay,
+  addDays
+} from './timeline.js';
+import { ensureTaskIds, analyzeDependencies } from './dependencies.js';
+
+const MAX_HISTORY = 100;
+const RESIZE_HANDLE_PX = 6; // Width of the grab zone at each end of a bar
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Re-derives everything that depends on the task dates and row order.
+ * @param {object} ganttData - The edited chart data.
+ * @returns {object} The normalized chart data.
+ */
+export function normalizeEditedChart(ganttData) {
+  const interval = getTimeInterval(ganttData);
+  const withTimeline = deriveTimeline(withBarDates(ensureTaskIds(ganttData)), interval);
+  return { ...withTimeline, ...analyzeDependencies(withTimeline) };
+}
+
+/**
+ * Checks whether a chart's bars can be placed on dates, which editing needs.
+ * @param {object} ganttData - The chart data.
+ * @returns {boolean}
+ */
+export function isChartEditable(ganttData) {
+  return Boolean(ganttData && getTimelineColumns(ganttData));
+}
+
+/**
+ * Finds the swimlane a row index belongs to (the nearest swimlane above it).
+ * @param {object[]} rows - The chart rows.
+ * @param {number} index - The row index.
+ * @returns {object | null} The swimlane row.
+ */
+function findSwimlaneAbove(rows, index) {
+  for (let i = index; i >= 0; i--) {
+    if (rows[i].isSwimlane) return rows[i];
+  }
+  return null;
+}
+
+/**
+ * Moves a row (a task, or a swimlane together with its tasks) so it sits
+ * before `targetId`. A task dropped on a swimlane becomes the first task
+ * in that swimlane, and a moved task always takes on the entity of the
+ * swimlane it lands in.
+ * @param {object} ganttData - The chart data (modified in place).
+ * @param {string} rowId - The row being moved.
+ * @param {string} targetId - The row it was dropped on.
+ */
+export function moveRow(ganttData, rowId, targetId) {
+  const rows = ganttData.data;
+  const fromIndex = rows.findIndex(row => row.id === rowId);
+  if (fromIndex === -1 || rowId === targetId) return;
+
+  // 1. Cut out the moving block
+  let blockLength = 1;
+  if (rows[fromIndex].isSwimlane) {
+    while (fromIndex + blockLength < rows.length && !rows[fromIndex + blockLength].isSwimlane) {
+      blockLength++;
+    }
+  }
+  const block = rows.splice(fromIndex, blockLength);
+  if (block.some(row => row.id === targetId)) {
+    rows.splice(fromIndex, 0, ...block); // Dropped onto itself
+    return;
+  }
+
+  // 2. Work out where it goes
+  let toIndex = rows.findIndex(row => row.id === targetId);
+  if (toIndex === -1) toIndex = rows.length;
+
+  if (block[0].isSwimlane) {
+    // Swimlanes only go before another swimlane
+    const target = rows[toIndex];
+    if (target && !target.isSwimlane) {
+      const lane = findSwimlaneAbove(rows, toIndex);
+      toIndex = lane ? rows.indexOf(lane) : 0;
+    }
+  } else if (rows[toIndex]?.isSwimlane) {
+    toIndex++; // First task in that swimlane
+  }
+  rows.splice(toIndex, 0, ...block);
+
+  // 3. A moved task belongs to the swimlane it lands in
+  if (!block[0].isSwimlane) {
+    const lane = findSwimlaneAbove(rows, toIndex);
+    if (lane) block[0].entity = lane.entity;
+  }
+}
+
+/**
+ * Checks whether renaming a swimlane would give it the name of another
+ * swimlane (regardless of case), which would merge the two lanes' tasks.
+ * @param {object} ganttData - The chart data.
+ * @param {string} rowId - The row to rename.
+ * @param {string} title - The new title.
+ * @returns {boolean} False for tasks, which may share names.
+ */
+export function isLaneNameTaken(ganttData, rowId, title) {
+  const row = ganttData.data.find(r => r.id === rowId);
+  if (!row?.isSwimlane) return false;
+  const name = title.trim().toLowerCase();
+  return ganttData.data.some(other => other.isSwimlane && other !== row &&
+    [other.title, other.entity].some(value => String(value || '').trim().toLowerCase() === name));
+}
+
+/**
+ * Renames a row. Renaming a swimlane also renames its entity, and
+ * every task in that entity follows it. A swimlane is not renamed to the
+ * name of another swimlane (see isLaneNameTaken).
+ * @param {object} ganttData - The chart data (modified in place).
+ * @param {string} rowId - The row to rename.
+ * @param {string} title - The new title.
+ * @returns {boolean} Whether the row was renamed.
+ */
+export function renameRow(ganttData, rowId, title) {
+  const row = ganttData.data.find(r => r.id === rowId);
+  if (!row || isLaneNameTaken(ganttData, rowId, title)) return false;
+
+  if (row.isSwimlane) {
+    const oldEntity = row.entity;
+    for (const other of ganttData.data) {
+      if (other.entity === oldEntity) other.entity = title;
+    }
+  }
+  row.title = title;
+  return true;
+}
+
+/**
+ * Creates the editor for one chart.
+ * @param {object} ganttData - The chart data to start from.
+ * @param {{onChange: function(object): void, onHistoryChange?: function({canUndo: boolean, canRedo: boolean}): void}} callbacks
+ *   `onChange` receives the new chart data after every edit, undo and redo.
+ * @returns {object} The editor.
+ */
+export function createChartEditor(ganttData, { onChange, onHistoryChange = () => {} }) {
+  let current = ganttData;
+  let editing = false;
+  const undoStack = [];
+  const redoStack = [];
+
+  const notifyHistory = () => onHistoryChange({ canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 });
+
+  /**
+   * Applies one edit. `mutate` receives a deep copy it may change freely.
+   */
+  function apply(mutate) {
+    const draft = JSON.parse(JSON.stringify(current));
+    mutate(draft);
+    const next = normalizeEditedChart(draft);
+
+    undoStack.push(current);
+    if (undoStack.length > MAX_HISTORY) undoStack.shift();
+    redoStack.length = 0;
+
+    current = next;
+    notifyHistory();
+    onChange(current);
+  }
+
+  function undo() {
+    if (undoStack.length === 0) return;
+    redoStack.push(current);
+    current = undoStack.pop();
+    notifyHistory();
+    onChange(current);
+  }
+
+  function redo() {
+    if (redoStack.length === 0) return;
+    undoStack.push(current);
+    current = redoStack.pop();
+    notifyHistory();
+    onChange(current);
+  }
+
+  /**
+   * Adds the edit handlers to a freshly rendered chart.
+   * @param {HTMLElement} gridEl - The rendered .gantt-grid.
+   * @param {Array<{start: Date, end: Date}>} timelineColumns - The columns currently shown.
+   */
+  function attach(gridEl, timelineColumns) {
+    gridEl.classList.toggle('editing', editing);
+    if (!editing || !timelineColumns) return;
+
+    for (const barEl of gridEl.querySelectorAll('.gantt-bar[data-task-id], .gantt-milestone[data-task-id]')) {
+      attachBarDrag(barEl, timelineColumns);
+    }
+    for (const labelEl of gridEl.querySelectorAll('.gantt-row-label[data-row-id]')) {
+      attachLabelEditing(labelEl);
+    }
+  }
+
+  // --- Drag and resize bars ---
+  function attachBarDrag(barEl, timelineColumns) {
+    const isMilestone = barEl.classList.contains('gantt-milestone');
+
+    barEl.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      e.stopPropagation();
+
+      const areaRect = barEl.parentElement.getBoundingClientRect();
+      const barRect = barEl.getBoundingClientRect();
+      const pxPerColumn = areaRect.width / timelineColumns.length;
+      if (!pxPerColumn) return;
+
+      let mode = 'move';
+      if (!isMilestone && e.clientX - barRect.left <= RESIZE_HANDLE_PX) mode = 'resize-start';
+      else if (!isMilestone && barRect.right - e.clientX <= RESIZE_HANDLE_PX) mode = 'resize-end';
+
+      const startX = e.clientX;
+      const startLeft = barEl.offsetLeft;
+      const startWidth = barEl.offsetWidth;
+      let deltaPx = 0;
+
+      barEl.setPointerCapture(e.pointerId);
+      barEl.classList.add('dragging');
+
+      const onMove = (moveEvent) => {
+        deltaPx = moveEvent.clientX - startX;
+        // Preview the change in pixels; the dates are worked out on release
+        if (mode === 'move') {
+          barEl.style.left = `${startLeft + deltaPx}px`;
+        } else if (mode === 'resize-start') {
+          const width = Math.max(startWidth - deltaPx, 2);
+          barEl.style.left = `${startLeft + startWidth - width}px`;
+          barEl.style.width = `${width}px`;
+        } else {
+          barEl.style.width = `${Math.max(startWidth + deltaPx, 2)}px`;
+        }
+      };
+
+      const onUp = () => {
+        barEl.removeEventListener('pointermove', onMove);
+        barEl.removeEventListener('pointerup', onUp);
+        barEl.removeEventListener('pointercancel', onUp);
+        barEl.classList.remove('dragging');
+        if (Math.abs(deltaPx) < 2) return; // A click, not a drag
+
+        const deltaColumns = deltaPx / pxPerColumn;
+        apply(draft => {
+          const row = draft.data.find(r => r.id === barEl.dataset.taskId);
+          if (row?.bar) moveBarDates(row.bar, mode, deltaColumns, timelineColumns, isMilestone);
+        });
+      };
+
+      barEl.addEventListener('pointermove', onMove);
+      barEl.addEventListener('pointerup', onUp);
+      barEl.addEventListener('pointercancel', onUp);
+    });
+
+    // Show which part of the bar will be grabbed
+    if (!isMilestone) {
+      barEl.addEventListener('pointermove', (e) => {
+        if (barEl.classList.contains('dragging')) return;
+        const rect = barEl.getBoundingClientRect();
+        const nearEdge = e.clientX - rect.left <= RESIZE_HANDLE_PX || rect.right - e.clientX <= RESIZE_HANDLE_PX;
+        barEl.style.cursor = nearEdge ? 'ew-resize' : '';
+      });
+    }
+  }
+
+  // --- Rename and reorder rows ---
+  function attachLabelEditing(labelEl) {
+    const rowId = labelEl.dataset.rowId;
+
+    labelEl.addEventListener('dblclick', () => {
+      const originalTitle = labelEl.textContent;
+      labelEl.contentEditable = 'true';
+      labelEl.draggable = false;
+      labelEl.focus();
+      document.getSelection()?.selectAllChildren(labelEl);
+
+      const finish = (commit) => {
+        labelEl.removeEventListener('keydown', onKey);
+        labelEl.removeEventListener('blur', onBlur);
+        labelEl.contentEditable = 'false';
+        labelEl.draggable = true;
+
+        const title = labelEl.textContent.trim();
+        if (!commit || !title || title === originalTitle) {
+          labelEl.textContent = originalTitle;
+          return;
+        }
+        if (isLaneNameTaken(current, rowId, title)) {
+          labelEl.textContent = originalTitle;
+          alert(`There is already a swimlane called "${title}".`);
+          return;
+        }
+        apply(draft => renameRow(draft, rowId, title));
+      };
+      const onKey = (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+        if (e.key === 'Escape') { e.preventDefault(); finish(false); }
+      };
+      const onBlur = () => finish(true);
+
+      labelEl.addEventListener('keydown', onKey);
+      labelEl.addEventListener('blur', onBlur);
+    });
+
+    labelEl.draggable = true;
+    labelEl.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('text/plain', rowId);
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    labelEl.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      labelEl.classList.add('drop-target');
+    });
+    labelEl.addEventListener('dragleave', () => labelEl.classList.remove('drop-target'));
+    labelEl.addEventListener('drop', (e) => {
+      e.preventDefault();
+      labelEl.classList.remove('drop-target');
+      const movedId = e.dataTransfer.getData('text/plain');
+      if (movedId && movedId !== rowId) {
+        apply(draft => moveRow(draft, movedId, rowId));
+      }
+    });
+  }
+
+  return {
+    getData: () => current,
+    isEditing: () => editing,
+    setEditing(value) {
+      editing = Boolean(value);
+      onChange(current); // Re-render with or without the edit handlers
+    },
+    apply,
+    undo,
+    redo,
+    attach
+  };
+}
+
+/**
+ * Converts a column position into a date like columnPositionToDate, but
+ * carries on past the first and last columns (at their length), so a bar
+ * dragged off the edge of the grid gets dates outside the current range
+ * and the timeline grows to fit it.
+ * @param {number} position - Fractional column position.
+ * @param {Array<{start: Date, end: Date}>} columns - The columns shown.
+ * @returns {Date}
+ */
+function positionToDate(position, columns) {
+  const first = columns[0];
+  const last = columns[columns.length - 1];
+  if (position < 0) {
+    return new Date(first.start.getTime() + position * (first.end - first.start));
+  }
+  if (position > columns.length) {
+    return new Date(last.end.getTime() + (position - columns.length) * (last.end - last.start));
+  }
+  return columnPositionToDate(position, columns);
+}
+
+/**
+ * Updates a bar's dates after it was dragged or resized.
+ * @param {object} bar - The bar (modified in place).
+ * @param {string} mode - "move", "resize-start" or "resize-end".
+ * @param {number} deltaColumns - How far the pointer moved, in columns.
+ * @param {Array<{start: Date, end: Date}>} timelineColumns - The columns shown while dragging.
+ * @param {boolean} isMilestone - Milestones keep a single date.
+ */
+export function moveBarDates(bar, mode, deltaColumns, timelineColumns, isMilestone) {
+  const oldStart = parseIsoDate(bar.startDate);
+  const oldEnd = parseIsoDate(bar.endDate, true) || oldStart;
+  if (!oldStart) return;
+
+  const shiftedDate = (date) => {
+    const position = dateToColumnPosition(date, timelineColumns) + deltaColumns;
+    return roundToUtcDay(positionToDate(position, timelineColumns));
+  };
+
+  if (mode === 'move') {
+    const durationDays = Math.round((oldEnd - oldStart) / DAY_MS);
+    const newStart = shiftedDate(oldStart);
+    bar.startDate = formatIsoDate(newStart);
+    bar.endDate = isMilestone ? bar.startDate : formatIsoDate(addDays(newStart, durationDays));
+  } else if (mode === 'resize-start') {
+    const newStart = shiftedDate(oldStart);
+    bar.startDate = formatIsoDate(newStart > oldEnd ? oldEnd : newStart);
+  } else {
+    // The bar's right edge is the day *after* its last day
+    const newEnd = addDays(shiftedDate(addDays(oldEnd, 1)), -1);
+    bar.endDate = formatIsoDate(newEnd < oldStart ? oldStart : newEnd);
+  }
+}
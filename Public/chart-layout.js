@@ -0,0 +1,434 @@
+/**
+ * Chart geometry for the vector exports (SVG, PDF, PowerPoint).
+ * Works out where every title, header cell, row, bar, milestone, arrow and
+ * legend item goes, in pixels, using the same sizes and colors as the
+ * on-screen chart (style.css). Shared by the browser and the server, so it
+ * must not touch the DOM or Node APIs.
+ */
+
+import { getTimelineColumns, barToColumnPositions, dateToColumnPosition, toUtcDay, getTaskStatus } from './timeline.js';
+
+// Bar colors, matching .gantt-bar[data-color] in style.css
+export const CHART_PALETTE = {
+  blue: '#2E7BB1',
+  ochre: '#EE9E20',
+  orange: '#BA3930',
+  green: '#50AF7B'
+};
+
+// The rest of the chart's colors (style.css)
+export const CHART_THEME = {
+  background: '#282828',
+  swimlaneBackground: '#1A1A1A',
+  gridLine: '#0D0D0D',
+  text: '#FFFFFF',
+  mutedText: '#CCCCCC',
+  defaultMilestone: '#CCCCCC',
+  critical: '#FFFFFF',
+  arrow: '#AAAAAA',
+  violation: '#BA3930',
+  today: '#BA3930',
+  overdue: '#FF5F57',
+  fontFamily: "Inter, 'Helvetica Neue', Arial, sans-serif"
+};
+
+// How a bar's status on the today line's date changes its look
+// (.gantt-bar[data-status] in style.css); overdue bars get a dashed
+// CHART_THEME.overdue outline
+export const STATUS_OPACITY = {
+  completed: 0.45,
+  'in-progress': 1,
+  overdue: 1,
+  'not-started': 0.7
+};
+
+// Sizes in pixels, taken from style.css
+const SIZES = {
+  titleHeight: 57,
+  titleFontSize: 20,
+  headerHeight: 41,
+  headerFontSize: 12,
+  swimlaneRowHeight: 38,
+  taskRowHeight: 37,
+  labelFontSize: 13,
+  labelPadding: 12,
+  taskLabelIndent: 24,
+  minLabelWidth: 330,
+  barHeight: 20,
+  milestoneSize: 14,
+  legendRowHeight: 30,
+  legendPadding: 16,
+  legendFontSize: 13,
+  legendSwatchSize: 14,
+  // The BIP logo sits 24px from the top right corner, 40px high (248 x 173 image)
+  logo: { top: 24, right: 24, height: 40, aspectRatio: 248 / 173 }
+};
+
+/**
+ * Estimates the width of a line of text (no font metrics outside the browser).
+ * @param {string} text
+ * @param {number} fontSize
+ * @param {boolean} [bold]
+ * @returns {number}
+ */
+export function estimateTextWidth(text, fontSize, bold = false) {
+  return String(text).length * fontSize * (bold ? 0.6 : 0.55);
+}
+
+/**
+ * Shortens text with an ellipsis so it fits a width.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {number} fontSize
+ * @param {boolean} [bold]
+ * @returns {string}
+ */
+export function fitText(text, maxWidth, fontSize, bold = false) {
+  const value = String(text ?? '');
+  if (estimateTextWidth(value, fontSize, bold) <= maxWidth) return value;
+  const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * (bold ? 0.6 : 0.55))) - 1);
+  return `${value.slice(0, maxChars).trimEnd()}…`;
+}
+
+/**
+ * Works out a bar's fractional column positions.
+ * @param {object} bar - The bar object ({startDate, endDate} or legacy {startCol, endCol}).
+ * @param {Array<{start: Date, end: Date}> | null} timelineColumns - From getTimelineColumns.
+ * @param {boolean} [isMilestone] - Milestones span only their own day.
+ * @returns {{start: number, end: number} | null} Null if the bar cannot be placed.
+ */
+export function getBarPositions(bar, timelineColumns, isMilestone = false) {
+  if (!bar) return null;
+
+  if (timelineColumns) {
+    if (isMilestone) {
+      const date = bar.startDate || bar.endDate;
+      return barToColumnPositions({ startDate: date, endDate: date }, timelineColumns);
+    }
+    return barToColumnPositions(bar, timelineColumns);
+  }
+
+  // Charts saved before the date-based model only have column indexes
+  if (bar.startCol != null) {
+    // --- FIX: Handle null endCol ---
+    // If endCol is null or undefined, default to spanning 1 column
+    const endCol = bar.endCol ? bar.endCol : (bar.startCol + 1);
+    return { start: bar.startCol - 1, end: endCol - 1 };
+  }
+  return null;
+}
+
+/**
+ * Routes a dependency arrow from the end of one bar to the start of another.
+ * @param {{left: number, right: number, top: number, bottom: number}} from - The predecessor's box.
+ * @param {{left: number, right: number, top: number, bottom: number}} to - The successor's box.
+ * @returns {Array<[number, number]>} The corner points, from start to arrowhead.
+ */
+export function routeDependencyArrow(from, to) {
+  const gap = 8; // Horizontal run before turning
+  const x1 = from.right;
+  const y1 = (from.top + from.bottom) / 2;
+  const x2 = to.left;
+  const y2 = (to.top + to.bottom) / 2;
+
+  // Enough room: go right, down/up, then right into the successor
+  if (x2 - x1 >= gap * 2) {
+    const midX = x1 + gap;
+    return [[x1, y1], [midX, y1], [midX, y2], [x2, y2]];
+  }
+
+  // The successor starts before the predecessor ends: route around it,
+  // running along the edge of the successor's row
+  const edgeY = y2 > y1 ? to.top - 4 : to.bottom + 4;
+  return [[x1, y1], [x1 + gap, y1], [x1 + gap, edgeY], [x2 - gap, edgeY], [x2 - gap, y2], [x2, y2]];
+}
+
+/**
+ * Lays out the legend items in centred rows.
+ * @param {object} ganttData
+ * @param {number} width - The chart width.
+ * @returns {Array<{kind: string, color: string, label: string, x: number, row: number}>}
+ */
+function layoutLegendItems(ganttData, width) {
+  const items = (ganttData.legend || []).map(item => ({
+    kind: 'color',
+    color: CHART_PALETTE[item.color] || CHART_THEME.defaultMilestone,
+    label: item.label
+  }));
+  if (ganttData.data.some(row => row.type === 'milestone')) {
+    items.push({ kind: 'milestone', color: CHART_THEME.defaultMilestone, label: 'Milestone' });
+  }
+  if ((ganttData.criticalPath || []).length > 0) {
+    items.push({ kind: 'critical', color: CHART_THEME.critical, label: 'Critical path' });
+  }
+
+  // Swatch + gap + label, with 16px between items (as .gantt-legend-container)
+  const itemWidth = (item) => SIZES.legendSwatchSize + 8 + estimateTextWidth(item.label, SIZES.legendFontSize);
+  const rows = [[]];
+  let rowWidth = 0;
+  for (const item of items) {
+    const needed = itemWidth(item) + (rows[rows.length - 1].length > 0 ? 16 : 0);
+    if (rowWidth + needed > width - SIZES.legendPadding * 2 && rows[rows.length - 1].length > 0) {
+      rows.push([]);
+      rowWidth = 0;
+    }
+    rows[rows.length - 1].push(item);
+    rowWidth += itemWidth(item) + (rows[rows.length - 1].length > 1 ? 16 : 0);
+  }
+
+  const placed = [];
+  rows.forEach((rowItems, rowIndex) => {
+    const total = rowItems.reduce((sum, item, i) => sum + itemWidth(item) + (i > 0 ? 16 : 0), 0);
+    let x = (width - total) / 2;
+    for (const item of rowItems) {
+      placed.push({ ...item, x, row: rowIndex });
+      x += itemWidth(item) + 16;
+    }
+  });
+  return items.length > 0 ? placed : [];
+}
+
+/**
+ * Works out the height of the legend block.
+ * @param {object} ganttData
+ * @param {number} width
+ * @returns {number} 0 if there is no legend.
+ */
+function legendHeight(ganttData, width) {
+  const items = layoutLegendItems(ganttData, width);
+  if (items.length === 0) return 0;
+  const rowCount = Math.max(...items.map(item => item.row)) + 1;
+  return SIZES.legendPadding * 2 + rowCount * SIZES.legendRowHeight - 10;
+}
+
+/**
+ * Lays out a chart (or some of its rows).
+ * @param {object} ganttData - The chart data (as shown, i.e. at the chosen time scale).
+ * @param {object} [options]
+ * @param {number} [options.width=1400] - The chart width in pixels.
+ * @param {Date | null} [options.today] - Where to draw the today line, and the date
+ *   bar statuses are judged on (none if null).
+ * @param {boolean} [options.showLegend=true] - Whether to add the legend below the grid.
+ * @param {[number, number]} [options.rowRange] - Only lay out data rows [from, to).
+ * @param {string} [options.titleSuffix] - Added after the title (e.g. " (page 2 of 3)").
+ * @returns {object} The layout (see the return statement for its fields).
+ */
+export function layoutChart(ganttData, options = {}) {
+  const { width = 1400, today = null, showLegend = true, titleSuffix = '' } = options;
+  const [rowStart, rowEnd] = options.rowRange || [0, ganttData.data.length];
+
+  const timeColumns = ganttData.timeColumns || [];
+  const timelineColumns = getTimelineColumns(ganttData);
+  const numCols = Math.max(timeColumns.length, 1);
+
+  // 1. Columns: minmax(330px, 1.5fr) for the labels, then 1fr per time column
+  const labelWidth = Math.max(SIZES.minLabelWidth, (width * 1.5) / (1.5 + numCols));
+  const columnWidth = (width - labelWidth) / numCols;
+  const columnX = (position) => labelWidth + position * columnWidth;
+
+  // 2. Title and logo
+  const logoHeight = SIZES.logo.height;
+  const logoWidth = logoHeight * SIZES.logo.aspectRatio;
+  const title = {
+    text: fitText(`${ganttData.title || ''}${titleSuffix}`, width - (logoWidth + SIZES.logo.right) * 2, SIZES.titleFontSize, true),
+    x: width / 2,
+    y: SIZES.titleHeight / 2,
+    fontSize: SIZES.titleFontSize,
+    height: SIZES.titleHeight
+  };
+  const logo = { x: width - SIZES.logo.right - logoWidth, y: SIZES.logo.top, width: logoWidth, height: logoHeight };
+
+  // 3. Header cells
+  const headerY = SIZES.titleHeight;
+  const header = {
+    y: headerY,
+    height: SIZES.headerHeight,
+    fontSize: SIZES.headerFontSize,
+    cells: timeColumns.map((label, index) => ({
+      label: fitText(label, columnWidth - 8, SIZES.headerFontSize),
+      x: columnX(index),
+      width: columnWidth
+    }))
+  };
+
+  // 4. Rows, bars and milestones
+  const criticalPath = new Set(ganttData.criticalPath || []);
+  const gridTop = headerY + SIZES.headerHeight;
+  let y = gridTop;
+  const rows = [];
+  for (const row of ganttData.data.slice(rowStart, rowEnd)) {
+    const height = row.isSwimlane ? SIZES.swimlaneRowHeight : SIZES.taskRowHeight;
+    const labelIndent = row.isSwimlane ? SIZES.labelPadding : SIZES.taskLabelIndent;
+    const laidOut = {
+      id: row.id,
+      isSwimlane: Boolean(row.isSwimlane),
+      y,
+      height,
+      label: {
+        text: fitText(row.title, labelWidth - labelIndent - SIZES.labelPadding, SIZES.labelFontSize, row.isSwimlane),
+        x: labelIndent,
+        y: y + height / 2,
+        fontSize: SIZES.labelFontSize,
+        bold: Boolean(row.isSwimlane)
+      },
+      bar: null
+    };
+
+    const isMilestone = row.type === 'milestone';
+    const positions = row.isSwimlane ? null : getBarPositions(row.bar, timelineColumns, isMilestone);
+    if (positions) {
+      const colorName = row.bar.color;
+      const centerY = y + height / 2;
+      const status = today ? getTaskStatus(row, today) : null;
+      if (isMilestone) {
+        laidOut.bar = {
+          kind: 'milestone',
+          cx: columnX((positions.start + positions.end) / 2),
+          cy: centerY,
+          size: SIZES.milestoneSize,
+          color: CHART_PALETTE[colorName] || CHART_THEME.defaultMilestone,
+          critical: criticalPath.has(row.id),
+          status,
+          opacity: STATUS_OPACITY[status] ?? 1
+        };
+      } else {
+        const x = columnX(positions.start);
+        laidOut.bar = {
+          kind: 'bar',
+          x,
+          y: centerY - SIZES.barHeight / 2,
+          width: Math.max(columnX(positions.end) - x, 4), // min-width: 4px
+          height: SIZES.barHeight,
+          color: CHART_PALETTE[colorName] || CHART_PALETTE.blue,
+          critical: criticalPath.has(row.id),
+          status,
+          opacity: STATUS_OPACITY[status] ?? 1
+        };
+      }
+    }
+
+    rows.push(laidOut);
+    y += height;
+  }
+  const gridBottom = y;
+
+  // 5. Dependency arrows between bars that are both in this layout
+  const violations = new Set((ganttData.dependencyViolations || []).map(v => `${v.predecessorId}>${v.successorId}`));
+  const boxes = new Map();
+  for (const row of rows) {
+    if (!row.bar) continue;
+    const { bar } = row;
+    if (bar.kind === 'milestone') {
+      const half = bar.size * Math.SQRT1_2; // A square turned 45 degrees
+      boxes.set(row.id, { left: bar.cx - half, right: bar.cx + half, top: bar.cy - half, bottom: bar.cy + half });
+    } else {
+      boxes.set(row.id, { left: bar.x, right: bar.x + bar.width, top: bar.y, bottom: bar.y + bar.height });
+    }
+  }
+  const arrows = [];
+  for (const row of ganttData.data.slice(rowStart, rowEnd)) {
+    if (row.isSwimlane || !boxes.has(row.id)) continue;
+    for (const predecessorId of row.dependencies || []) {
+      if (!boxes.has(predecessorId)) continue;
+      let kind = '';
+      if (violations.has(`${predecessorId}>${row.id}`)) {
+        kind = 'violation';
+      } else if (criticalPath.has(predecessorId) && criticalPath.has(row.id)) {
+        kind = 'critical';
+      }
+      arrows.push({ kind, points: routeDependencyArrow(boxes.get(predecessorId), boxes.get(row.id)) });
+    }
+  }
+
+  // 6. Today line (midday, as on screen)
+  let todayX = null;
+  if (today && timelineColumns) {
+    const midday = new Date(toUtcDay(today).getTime() + 12 * 60 * 60 * 1000);
+    const first = timelineColumns[0].start;
+    const last = timelineColumns[timelineColumns.length - 1].end;
+    if (midday >= first && midday < last) {
+      todayX = columnX(dateToColumnPosition(midday, timelineColumns));
+    }
+  }
+
+  // 7. Legend
+  let legend = null;
+  if (showLegend) {
+    const items = layoutLegendItems(ganttData, width);
+    if (items.length > 0) {
+      legend = {
+        y: gridBottom,
+        height: legendHeight(ganttData, width),
+        fontSize: SIZES.legendFontSize,
+        swatchSize: SIZES.legendSwatchSize,
+        items: items.map(item => ({ ...item, y: gridBottom + SIZES.legendPadding + item.row * SIZES.legendRowHeight }))
+      };
+    }
+  }
+
+  return {
+    width,
+    height: gridBottom + (legend ? legend.height : 0),
+    title,
+    logo,
+    labelWidth,
+    header,
+    gridTop,
+    gridBottom,
+    columnLines: timeColumns.map((_, index) => columnX(index)),
+    rows,
+    arrows,
+    todayX,
+    legend
+  };
+}
+
+/**
+ * Splits a chart into pages that each fit a given height. Every page
+ * repeats the title and time header; the legend goes on the last page.
+ * @param {object} ganttData - The chart data.
+ * @param {object} options - As layoutChart, plus `pageHeight` (pixels).
+ * @returns {object[]} One layout per page.
+ */
+export function paginateChart(ganttData, options) {
+  const { pageHeight, width = 1400, showLegend = true } = options;
+  const fixedHeight = SIZES.titleHeight + SIZES.headerHeight;
+  const rowHeight = (row) => (row.isSwimlane ? SIZES.swimlaneRowHeight : SIZES.taskRowHeight);
+  const legendSpace = showLegend ? legendHeight(ganttData, width) : 0;
+
+  // 1. Fill each page with as many rows as fit
+  const ranges = [];
+  let start = 0;
+  let used = fixedHeight;
+  ganttData.data.forEach((row, index) => {
+    if (index > start && used + rowHeight(row) > pageHeight) {
+      ranges.push([start, index]);
+      start = index;
+      used = fixedHeight;
+    }
+    used += rowHeight(row);
+  });
+  ranges.push([start, ganttData.data.length]);
+
+  // 2. The legend needs room on the last page, or a page of its own rows
+  if (legendSpace > 0 && used + legendSpace > pageHeight && ganttData.data.length > 0) {
+    const last = ranges[ranges.length - 1];
+    let moved = last[1];
+    let freed = 0;
+    while (moved > last[0] + 1 && used - freed + legendSpace > pageHeight) {
+      moved--;
+      freed += rowHeight(ganttData.data[moved]);
+    }
+    if (moved < last[1]) {
+      ranges[ranges.length - 1] = [last[0], moved];
+      ranges.push([moved, last[1]]);
+    }
+  }
+
+  return ranges.map((rowRange, index) => layoutChart(ganttData, {
+    ...options,
+    rowRange,
+    showLegend: showLegend && index === ranges.length - 1,
+    titleSuffix: ranges.length > 1 ? ` (${index + 1}/${ranges.length})` : ''
+  }));
+}
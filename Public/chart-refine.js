@@ -0,0 +1,183 @@
+/**
+ * The "Refine chart" panel on chart.html.
+ * Sends a natural-language instruction plus the current chart to
+ * /refine-chart, lists the changes the model suggests, and lets the user
+ * preview them on the chart before accepting or discarding them.
+ */
+
+import { applyChartDiff, describeOperation } from './chart-diff.js';
+import { normalizeEditedChart } from './chart-editor.js';
+import { getReferenceIsoDate } from './reference-date.js';
+
+/**
+ * Wires up the refine panel.
+ * @param {object} handlers
+ * @param {function(): object} handlers.getChartData - Returns the chart currently shown.
+ * @param {function(object, object): void} handlers.onPreview - Shows preview chart data with the changed row IDs.
+ * @param {function(): void} handlers.onPreviewEnd - Goes back to showing the current chart.
+ * @param {function(object): void} handlers.onAccept - Applies the accepted diff to the chart.
+ */
+export function setupRefinePanel({ getChartData, onPreview, onPreviewEnd, onAccept }) {
+  const toggleBtn = document.getElementById('refine-toggle-btn');
+  const panel = document.getElementById('refine-panel');
+  const closeBtn = document.getElementById('refine-close-btn');
+  const form = document.getElementById('refine-form');
+  const input = document.getElementById('refine-input');
+  const submitBtn = document.getElementById('refine-submit-btn');
+  const resultEl = document.getElementById('refine-result');
+  if (!toggleBtn || !panel || !form) return;
+
+  // The diff waiting to be accepted or discarded, and whether it is previewed
+  let pendingDiff = null;
+  let previewing = false;
+
+  toggleBtn.hidden = false;
+
+  const clearPending = () => {
+    if (previewing) onPreviewEnd();
+    pendingDiff = null;
+    previewing = false;
+    resultEl.innerHTML = '';
+  };
+
+  toggleBtn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) input.focus();
+  });
+  closeBtn.addEventListener('click', () => {
+    clearPending();
+    panel.hidden = true;
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const instruction = input.value.trim();
+    if (!instruction) return;
+
+    clearPending();
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Thinking...';
+    resultEl.innerHTML = '<div class="chat-spinner"></div>';
+
+    const ganttData = getChartData();
+    try {
+      const response = await fetch('/refine-chart', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chartId: ganttData.chartId, ganttData, instruction, today: getReferenceIsoDate() })
+      });
+
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Server error");
+      }
+
+      const diff = await response.json();
+      pendingDiff = diff;
+      showDiff(diff, ganttData);
+
+    } catch (error) {
+      console.error("Error refining chart:", error);
+      resultEl.innerHTML = '';
+      const errorEl = document.createElement('div');
+      errorEl.className = 'modal-error';
+      errorEl.textContent = `Could not refine the chart: ${error.message}`;
+      resultEl.appendChild(errorEl);
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Suggest changes';
+    }
+  });
+
+  /**
+   * Lists the suggested changes with Preview / Accept / Discard buttons.
+   */
+  function showDiff(diff, ganttData) {
+    resultEl.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'refine-summary';
+    summary.textContent = diff.summary || 'Suggested changes:';
+    resultEl.appendChild(summary);
+
+    if (diff.operations.length === 0 && !diff.legend) {
+      summary.textContent = diff.summary || 'The model did not suggest any changes.';
+      return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'refine-operations';
+    for (const operation of diff.operations) {
+      const li = document.createElement('li');
+      li.className = `refine-op refine-op-${operation.op}`;
+      li.textContent = describeOperation(operation, ganttData);
+      if (operation.reason) {
+        const reason = document.createElement('span');
+        reason.className = 'refine-reason';
+        reason.textContent = operation.reason;
+        li.appendChild(reason);
+      }
+      list.appendChild(li);
+    }
+    if (diff.legend) {
+      const li = document.createElement('li');
+      li.className = 'refine-op refine-op-modify';
+      li.textContent = `Replace the legend: ${diff.legend.map(item => `${item.label} (${item.color})`).join(', ')}`;
+      list.appendChild(li);
+    }
+    resultEl.appendChild(list);
+
+    for (const warning of diff.warnings || []) {
+      const warningEl = document.createElement('p');
+      warningEl.className = 'refine-warning';
+      warningEl.textContent = warning;
+      resultEl.appendChild(warningEl);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'refine-actions';
+
+    const previewBtn = document.createElement('button');
+    previewBtn.type = 'button';
+    previewBtn.className = 'toolbar-button';
+    previewBtn.textContent = 'Preview';
+    previewBtn.addEventListener('click', () => {
+      if (previewing) {
+        previewing = false;
+        previewBtn.textContent = 'Preview';
+        previewBtn.classList.remove('active');
+        onPreviewEnd();
+        return;
+      }
+      const draft = JSON.parse(JSON.stringify(ganttData));
+      const changes = applyChartDiff(draft, diff);
+      previewing = true;
+      previewBtn.textContent = 'Hide preview';
+      previewBtn.classList.add('active');
+      onPreview(normalizeEditedChart(draft), changes);
+    });
+
+    const acceptBtn = document.createElement('button');
+    acceptBtn.type = 'button';
+    acceptBtn.className = 'export-button';
+    acceptBtn.textContent = 'Accept';
+    acceptBtn.addEventListener('click', () => {
+      const accepted = pendingDiff;
+      previewing = false; // The accepted chart replaces the preview
+      clearPending();
+      input.value = '';
+      onAccept(accepted);
+    });
+
+    const discardBtn = document.createElement('button');
+    discardBtn.type = 'button';
+    discardBtn.className = 'toolbar-button';
+    discardBtn.textContent = 'Discard';
+    discardBtn.addEventListener('click', clearPending);
+
+    actions.appendChild(previewBtn);
+    actions.appendChild(acceptBtn);
+    actions.appendChild(discardBtn);
+    resultEl.appendChild(actions);
+  }
+}
@@ -1,25 +1,377 @@
 /**
  * This script runs *only* on chart.html.
- * It reads the chart data from sessionStorage and renders the chart.
+ * It reads the chart data from a saved project (chart.html?id=...) or
+ * from sessionStorage, and renders the chart.
  * All chart-related functions from main.js have been moved here.
+ * setupChart and findTodayColumnPosition are exported for the tests.
  */
 
-document.addEventListener("DOMContentLoaded", () => {
-  const ganttData = JSON.parse(sessionStorage.getItem('ganttData'));
+import {
+  TIME_INTERVALS,
+  deriveTimeline,
+  withBarDates,
+  getTimelineColumns,
+  getTimeInterval,
+  parseTimeColumnLabel,
+  toUtcDay,
+  getTaskStatus,
+  TASK_STATUS_LABELS
+} from './timeline.js';
+import { createChartEditor, isChartEditable } from './chart-editor.js';
+import { applyChartDiff } from './chart-diff.js';
+import { setupRefinePanel } from './chart-refine.js';
+import { getBarPositions, routeDependencyArrow } from './chart-layout.js';
+import { buildChartSvg } from './chart-svg.js';
+import { renderMarkdown } from './markdown.js';
+import { readEventStream } from './event-stream.js';
+import { loadChatHistory, saveChatHistory, moveChatHistory } from './chat-history.js';
+import { setupAssistantPanel } from './chart-assistant.js';
+import { getSourceFiles, filterBySourceFile, attachSourceTooltip, hideSourceTooltip } from './chart-sources.js';
+import { setupAnalyzeAll } from './analyze-all.js';
+import { getReferenceDate, getReferenceIsoDate, setReferenceDate } from './reference-date.js';
+import { compareWithBaseline, coverBaselineDates, formatSlip } from './chart-compare.js';
+import { setupBaselineControls } from './chart-baselines.js';
+
+// The ID of the saved project being shown, or null for an unsaved chart
+let currentProjectId = null;
+
+// The chart being shown, and the time scale picked in the toolbar (null = the chart's own)
+let currentGanttData = null;
+let currentInterval = null;
+// The source file the chart is filtered to ('' for all files)
+let currentSourceFile = '';
+// The baseline the chart is compared with (null for none)
+let currentBaseline = null;
+
+// Drag/resize/rename editing with undo/redo (null if the chart cannot be edited)
+let chartEditor = null;
+
+// Debounces saving edits to a saved project
+let projectSaveTimer = null;
+
+// Redraws the dependency arrows of the current chart (bars move on resize)
+let redrawDependencyArrows = null;
+window.addEventListener('resize', () => redrawDependencyArrows?.());
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const projectId = new URLSearchParams(window.location.search).get('id');
+  let ganttData = null;
+
+  try {
+    if (projectId) {
+      ganttData = await loadProject(projectId);
+      currentProjectId = projectId;
+    } else {
+      ganttData = JSON.parse(sessionStorage.getItem('ganttData'));
+    }
+  } catch (error) {
+    console.error("Error loading chart:", error);
+    showChartMessage(`Could not load this chart: ${error.message}`);
+    return;
+  }
 
   if (ganttData) {
-    setupChart(ganttData);
+    currentGanttData = ganttData;
+    if (isChartEditable(ganttData)) {
+      chartEditor = createChartEditor(ganttData, {
+        onChange: handleChartEdited,
+        onHistoryChange: updateUndoRedoButtons
+      });
+    }
+    renderCurrentChart();
+    setupTimeScaleControl(ganttData);
+    setupTodayControl();
+    setupSourceFilter(ganttData);
+    setupEditControls();
+    if (chartEditor) {
+      setupRefinePanel({
+        getChartData: () => currentGanttData,
+        onPreview: (previewData, changes) => setupChart(previewData, { interval: currentInterval, highlight: changes }),
+        onPreviewEnd: renderCurrentChart,
+        onAccept: handleRefinementAccepted
+      });
+    }
+    // The assistant and analyses need the chart's research, so only charts with a session get them
+    if (ganttData.chartId) {
+      setupAssistantPanel({
+        getChartData: () => currentGanttData,
+        onHighlight: highlightRows
+      });
+      setupAnalyzeAll({ getChartData: () => currentGanttData });
+    }
+    setupBaselineControls({
+      getChartData: () => currentGanttData,
+      onCompare: (baseline) => {
+        currentBaseline = baseline;
+        renderCurrentChart();
+      }
+    });
   } else {
-    document.getElementById('chart-root').innerHTML = 
-      '<h1 style="font-family: sans-serif; text-align: center; margin-top: 40px;">No chart data found. Please close this tab and try generating the chart again.</h1>';
+    showChartMessage('No chart data found. Please close this tab and try generating the chart again.');
   }
 });
 
+/**
+ * Replaces the chart area with a single message.
+ * @param {string} message - The text to show.
+ */
+function showChartMessage(message) {
+  const heading = document.createElement('h1');
+  heading.style.fontFamily = 'sans-serif';
+  heading.style.textAlign = 'center';
+  heading.style.marginTop = '40px';
+  heading.textContent = message;
+  document.getElementById('chart-root').replaceChildren(heading);
+}
+
+/**
+ * Fetches a saved project from the server.
+ * @param {string} projectId - The project ID from the URL.
+ * @returns {Promise<object>} The project's ganttData.
+ */
+async function loadProject(projectId) {
+  const response = await fetch(`/projects/${encodeURIComponent(projectId)}`);
+  if (!response.ok) {
+    const err = await response.json();
+    throw new Error(err.error || "Server error");
+  }
+  const project = await response.json();
+  document.title = `${project.name} - AI Roadmap Generator`;
+  return project.ganttData;
+}
+
+/**
+ * --- NEW: Highlights the rows the roadmap assistant cites ---
+ * The highlight lasts until the next one or the next re-render.
+ * @param {string[]} rowIds - The rows to highlight (none to clear).
+ */
+export function highlightRows(rowIds) {
+  const grid = document.querySelector('.gantt-grid');
+  if (!grid) return;
+  grid.querySelectorAll('.row-highlight').forEach(el => el.classList.remove('row-highlight'));
+
+  let firstLabel = null;
+  for (const label of grid.querySelectorAll('.gantt-row-label[data-row-id]')) {
+    if (!rowIds.includes(label.dataset.rowId)) continue;
+    label.classList.add('row-highlight');
+    label.nextElementSibling?.classList.add('row-highlight'); // The row's bar area
+    firstLabel ??= label;
+  }
+  firstLabel?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Renders the current chart at the current time scale.
+ */
+function renderCurrentChart() {
+  setupChart(currentGanttData, { interval: currentInterval, sourceFile: currentSourceFile, baseline: currentBaseline });
+}
+
+/**
+ * --- NEW: Wires up the time scale (zoom) control in chart.html ---
+ * Changing the scale re-renders the grid from the same task dates.
+ * @param {object} ganttData - The chart being shown.
+ */
+function setupTimeScaleControl(ganttData) {
+  const toolbar = document.getElementById('chart-toolbar');
+  const scaleSelect = document.getElementById('time-scale-select');
+  if (!toolbar || !scaleSelect) return;
+
+  // Charts whose columns have no known dates cannot be re-bucketed
+  const interval = getTimeInterval(ganttData);
+  if (!interval || !getTimelineColumns(ganttData)) return;
+
+  scaleSelect.value = interval;
+  toolbar.hidden = false;
+
+  scaleSelect.addEventListener('change', () => {
+    currentInterval = scaleSelect.value;
+    renderCurrentChart();
+  });
+}
+
+/**
+ * --- NEW: Wires up the "Today" date picker in chart.html ---
+ * Moving the date moves the today line and re-styles the bars by status;
+ * clearing it goes back to the real date.
+ */
+function setupTodayControl() {
+  const todayInput = document.getElementById('today-input');
+  if (!todayInput) return;
+
+  todayInput.value = getReferenceIsoDate();
+  todayInput.addEventListener('change', () => {
+    setReferenceDate(todayInput.value);
+    todayInput.value = getReferenceIsoDate();
+    renderCurrentChart();
+  });
+}
+
+/**
+ * --- NEW: Wires up the source file filter in chart.html ---
+ * Picking a file shows only the tasks whose dates came from it.
+ * @param {object} ganttData - The chart being shown.
+ */
+function setupSourceFilter(ganttData) {
+  const filter = document.getElementById('source-filter');
+  const sourceSelect = document.getElementById('source-filter-select');
+  if (!filter || !sourceSelect) return;
+
+  const files = getSourceFiles(ganttData);
+  if (files.length === 0) return;
+
+  for (const file of files) {
+    sourceSelect.add(new Option(file, file));
+  }
+  filter.hidden = false;
+
+  sourceSelect.addEventListener('change', () => {
+    currentSourceFile = sourceSelect.value;
+    renderCurrentChart();
+  });
+}
+
+// -------------------------------------------------------------------
+// --- CHART EDITING (edit mode, undo/redo, persistence) ---
+// -------------------------------------------------------------------
+
+/**
+ * Wires up the Edit / Undo / Redo buttons and keyboard shortcuts.
+ */
+function setupEditControls() {
+  const editBtn = document.getElementById('edit-mode-btn');
+  const undoBtn = document.getElementById('undo-btn');
+  const redoBtn = document.getElementById('redo-btn');
+  if (!chartEditor || !editBtn || !undoBtn || !redoBtn) return;
+
+  document.getElementById('edit-controls').hidden = false;
+
+  editBtn.addEventListener('click', () => {
+    const editing = !chartEditor.isEditing();
+    // Edits need every row on screen, so editing shows all sources again
+    const sourceSelect = document.getElementById('source-filter-select');
+    if (sourceSelect) {
+      if (editing) sourceSelect.value = currentSourceFile = '';
+      sourceSelect.disabled = editing;
+    }
+    editBtn.textContent = editing ? 'Done editing' : 'Edit chart';
+    editBtn.classList.toggle('active', editing);
+    chartEditor.setEditing(editing);
+  });
+  undoBtn.addEventListener('click', () => chartEditor.undo());
+  redoBtn.addEventListener('click', () => chartEditor.redo());
+
+  document.addEventListener('keydown', (e) => {
+    if (!chartEditor.isEditing() || !(e.ctrlKey || e.metaKey)) return;
+    // Leave the browser's own undo alone while typing a new name
+    if (e.target.isContentEditable || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      chartEditor.undo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      chartEditor.redo();
+    }
+  });
+}
+
+/**
+ * Enables or disables the Undo / Redo buttons.
+ * @param {{canUndo: boolean, canRedo: boolean}} history
+ */
+function updateUndoRedoButtons({ canUndo, canRedo }) {
+  const undoBtn = document.getElementById('undo-btn');
+  const redoBtn = document.getElementById('redo-btn');
+  if (undoBtn) undoBtn.disabled = !canUndo;
+  if (redoBtn) redoBtn.disabled = !canRedo;
+}
+
+/**
+ * Called by the editor after every edit, undo, redo and edit-mode toggle.
+ * @param {object} ganttData - The chart data to show.
+ */
+function handleChartEdited(ganttData) {
+  const changed = ganttData !== currentGanttData;
+  // The chart ID is not part of the edit history; keep the latest one
+  if (currentGanttData?.chartId) ganttData.chartId = currentGanttData.chartId;
+
+  currentGanttData = ganttData;
+  renderCurrentChart();
+  if (changed) persistChart(ganttData);
+}
+
+/**
+ * --- NEW: Applies an accepted refinement through the editor ---
+ * Going through the editor puts the change on the undo stack.
+ * @param {object} diff - The accepted chart diff.
+ */
+function handleRefinementAccepted(diff) {
+  chartEditor.apply(draft => {
+    applyChartDiff(draft, diff);
+  });
+}
+
+/**
+ * Stores the edited chart: always in sessionStorage, and on the
+ * server (debounced) when the chart is a saved project.
+ * @param {object} ganttData - The chart data.
+ */
+function persistChart(ganttData) {
+  sessionStorage.setItem('ganttData', JSON.stringify(ganttData));
+  if (!currentProjectId) return;
+
+  clearTimeout(projectSaveTimer);
+  projectSaveTimer = setTimeout(async () => {
+    try {
+      const response = await fetch(`/projects/${currentProjectId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ganttData })
+      });
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Server error");
+      }
+    } catch (error) {
+      console.error("Error saving chart edits:", error);
+      alert(`Your last edit could not be saved to the project: ${error.message}`);
+    }
+  }, 800);
+}
+
 /**
  * The Dynamic Renderer.
  * This function builds the chart *based on* the data from sessionStorage.
+ * @param {object} ganttData - The chart data.
+ * @param {{interval?: string, highlight?: {added: string[], modified: string[]}, sourceFile?: string, today?: Date}} [options]
+ *   `interval` shows the chart at a different time scale ("weeks", "months",
+ *   "quarters" or "years"). `highlight` marks the rows a refinement preview
+ *   adds or changes; a preview is read-only. `sourceFile` shows only the
+ *   tasks whose sources include that file (also read-only). `today` is
+ *   where the today line goes and what bar statuses are judged on
+ *   (default: the page's reference date, see reference-date.js).
+ *   `baseline` ({name, savedAt, ganttData}) draws the baseline's dates
+ *   under the bars, with the slip of each end date, and lists the tasks
+ *   added, removed and moved since.
  */
-function setupChart(ganttData) {
+export function setupChart(ganttData, options = {}) {
+  const today = options.today ?? getReferenceDate();
+  
+  // --- Re-bucket the grid if a different time scale was picked ---
+  // The original ganttData is kept untouched for saving and analysis.
+  let viewData = ganttData;
+  if (TIME_INTERVALS.includes(options.interval) && options.interval !== getTimeInterval(ganttData)) {
+    viewData = deriveTimeline(withBarDates(ganttData), options.interval);
+  }
+  viewData = filterBySourceFile(viewData, options.sourceFile);
+
+  // --- NEW: Compare with a baseline (widening the timeline to fit its dates) ---
+  const comparison = options.baseline ? compareWithBaseline(ganttData, options.baseline.ganttData) : null;
+  if (comparison) {
+    viewData = coverBaselineDates(viewData, comparison);
+  }
   
   // MODIFICATION: Render into '#chart-root' instead of '#chart-output'
   const container = document.getElementById('chart-root');
@@ -30,6 +382,7 @@ function setupChart(ganttData) {
   
   // Clear container
   container.innerHTML = '';
+  hideSourceTooltip();
 
   // Create the main chart wrapper
   const chartWrapper = document.createElement('div');
@@ -66,7 +419,10 @@ function setupChart(ganttData) {
   gridEl.className = 'gantt-grid';
   
   // --- Dynamic Grid Columns ---
-  const numCols = ganttData.timeColumns.length;
+  const numCols = viewData.timeColumns.length;
+  const criticalPath = new Set(viewData.criticalPath || []);
+  // Column start/end dates, used to place bars from their ISO dates
+  const timelineColumns = getTimelineColumns(viewData);
   // --- MODIFICATION: Increased min-width from 220px to 330px (50% wider) ---
   gridEl.style.gridTemplateColumns = `minmax(330px, 1.5fr) repeat(${numCols}, 1fr)`;
 
@@ -75,7 +431,7 @@ function setupChart(ganttData) {
   headerLabel.className = 'gantt-header gantt-header-label';
   gridEl.appendChild(headerLabel);
   
-  for (const colName of ganttData.timeColumns) {
+  for (const colName of viewData.timeColumns) {
     const headerCell = document.createElement('div');
     headerCell.className = 'gantt-header';
     headerCell.textContent = colName;
@@ -83,13 +439,19 @@ function setupChart(ganttData) {
   }
 
   // --- Create Data Rows ---
-  for (const row of ganttData.data) {
+  for (const row of viewData.data) {
     const isSwimlane = row.isSwimlane;
     
     // 1. Create Label Cell
     const labelEl = document.createElement('div');
     labelEl.className = `gantt-row-label ${isSwimlane ? 'swimlane' : 'task'}`;
     labelEl.textContent = row.title;
+    labelEl.setAttribute('data-row-id', row.id);
+    if (options.highlight?.added.includes(row.id)) {
+      labelEl.classList.add('diff-added');
+    } else if (options.highlight?.modified.includes(row.id)) {
+      labelEl.classList.add('diff-modified');
+    }
     gridEl.appendChild(labelEl);
     
     // 2. Create Bar Area
@@ -106,29 +468,57 @@ function setupChart(ganttData) {
     }
 
     // 3. Add the bar (if it's a task and has bar data)
-    if (!isSwimlane && row.bar && row.bar.startCol != null) {
+    const isMilestone = row.type === 'milestone';
+    const positions = isSwimlane ? null : getBarPositions(row.bar, timelineColumns, isMilestone);
+    if (positions) {
       const bar = row.bar;
       
       const barEl = document.createElement('div');
-      barEl.className = 'gantt-bar';
+      barEl.className = isMilestone ? 'gantt-milestone' : 'gantt-bar';
       barEl.setAttribute('data-color', bar.color || 'default');
+      barEl.setAttribute('data-task-id', row.id);
+      if (criticalPath.has(row.id)) {
+        barEl.classList.add('critical');
+      }
+      // --- NEW: Completed / in-progress / overdue / not-started, on the today line's date ---
+      const status = getTaskStatus(row, today);
+      if (status) barEl.setAttribute('data-status', status);
       
-      // --- FIX: Handle null endCol ---
-      // If endCol is null or undefined, default to spanning 1 column
-      const startCol = bar.startCol;
-      const endCol = bar.endCol ? bar.endCol : (startCol + 1);
-      
-      barEl.style.gridColumn = `${startCol} / ${endCol}`;
+      if (isMilestone) {
+        // Milestones are a diamond centred on their date
+        const center = (positions.start + positions.end) / 2;
+        barEl.style.left = `${(center / numCols) * 100}%`;
+      } else {
+        // Position the bar by percentage of the time area, so it starts
+        // and ends part-way through a column when the dates do
+        barEl.style.left = `${(positions.start / numCols) * 100}%`;
+        barEl.style.width = `${((positions.end - positions.start) / numCols) * 100}%`;
+      }
       
+      // --- NEW: Hovering a bar shows where its dates came from ---
+      attachSourceTooltip(barEl, row, status);
       barAreaEl.appendChild(barEl);
 
+      // --- NEW: The baseline's dates as a ghost bar behind it, and how far the end moved ---
+      const baselineTask = comparison?.tasks[row.id];
+      if (baselineTask) {
+        addBaselineBar(barAreaEl, baselineTask, { timelineColumns, numCols, isMilestone, barEnd: positions.end });
+      }
+
       // --- NEW: Add click listener for analysis ---
       // We make both the label and the bar area clickable
-      const taskIdentifier = { taskName: row.title, entity: row.entity };
-      labelEl.addEventListener('click', () => showAnalysisModal(taskIdentifier));
-      barAreaEl.addEventListener('click', () => showAnalysisModal(taskIdentifier));
-      labelEl.style.cursor = 'pointer';
-      barAreaEl.style.cursor = 'pointer';
+      // chartId tells the server which chart's research to use
+      // (In edit mode, clicks are for editing instead.)
+      const taskIdentifier = { taskName: row.title, entity: row.entity, chartId: ganttData.chartId };
+      const openAnalysis = () => {
+        if (!chartEditor?.isEditing()) showAnalysisModal(taskIdentifier);
+      };
+      labelEl.addEventListener('click', openAnalysis);
+      barAreaEl.addEventListener('click', openAnalysis);
+      if (!chartEditor?.isEditing()) {
+        labelEl.style.cursor = 'pointer';
+        barAreaEl.style.cursor = 'pointer';
+      }
     }
     
     gridEl.appendChild(barAreaEl);
@@ -139,8 +529,30 @@ function setupChart(ganttData) {
   // --- Add Chart to Page ---
   container.appendChild(chartWrapper);
 
+  // --- NEW: Make the bars and labels editable (only in edit mode, never in a preview or a filtered view) ---
+  if (!options.highlight && !options.sourceFile) {
+    chartEditor?.attach(gridEl, timelineColumns);
+  }
+
+  // --- NEW: Add Dependency Arrows (drawn once the bars are laid out) ---
+  redrawDependencyArrows = () => addDependencyArrows(gridEl, viewData);
+  redrawDependencyArrows();
+
   // --- NEW: Add Legend (if it exists) ---
-  addLegend(container, ganttData.legend);
+  const hasMilestones = viewData.data.some(row => row.type === 'milestone');
+  addLegend(container, ganttData.legend, { showCriticalPath: criticalPath.size > 0, showMilestones: hasMilestones });
+  addStatusLegend(container, viewData, today);
+
+  // --- NEW: List dependency problems found by the server ---
+  addDependencyIssues(container, viewData);
+
+  // --- NEW: List what the server repaired in the model's chart ---
+  addIssueList(container, 'Chart checks', ganttData.warnings || [], 'gantt-warnings');
+
+  // --- NEW: List what changed since the baseline ---
+  if (comparison) {
+    addBaselineReport(container, comparison, options.baseline);
+  }
 
   // --- Add Export Button ---
   const exportContainer = document.createElement('div');
@@ -150,26 +562,61 @@ function setupChart(ganttData) {
   exportBtn.className = 'export-button';
   exportBtn.textContent = 'Export as PNG';
   exportContainer.appendChild(exportBtn);
+
+  // --- NEW: Vector exports, drawn from the chart data ---
+  for (const [format, label] of [['svg', 'SVG'], ['pdf', 'PDF'], ['pptx', 'PowerPoint']]) {
+    const vectorBtn = document.createElement('button');
+    vectorBtn.id = `export-${format}-btn`;
+    vectorBtn.className = 'export-button';
+    vectorBtn.textContent = `Export as ${label}`;
+    exportContainer.appendChild(vectorBtn);
+  }
+  const legendOption = document.createElement('label');
+  legendOption.className = 'export-option';
+  legendOption.innerHTML = '<input type="checkbox" id="export-legend-input" checked> Include legend';
+  exportContainer.appendChild(legendOption);
+
+  // --- NEW: Data exports, for opening the plan in other tools ---
+  const dataExportContainer = document.createElement('div');
+  dataExportContainer.className = 'export-container export-data-container';
+  dataExportContainer.innerHTML = '<span class="export-option">Export data:</span>';
+  for (const [format, label] of [['csv', 'CSV'], ['xlsx', 'Excel'], ['xml', 'MS Project']]) {
+    const dataBtn = document.createElement('button');
+    dataBtn.id = `export-${format}-btn`;
+    dataBtn.className = 'export-button';
+    dataBtn.textContent = label;
+    dataExportContainer.appendChild(dataBtn);
+  }
+
+  // --- NEW: Add Save Project Button ---
+  const saveBtn = document.createElement('button');
+  saveBtn.id = 'save-project-btn';
+  saveBtn.className = 'export-button';
+  exportContainer.appendChild(saveBtn);
   
-  // Add the button to the page
+  // Add the buttons to the page
   container.appendChild(exportContainer);
+  container.appendChild(dataExportContainer);
 
   // Add Export Functionality
   addExportListener();
+  addFileExportListeners(viewData, ganttData, today);
+  addSaveProjectListener(ganttData);
 
   // --- NEW: Add "Today" Line ---
-  // We use the provided date: November 14, 2025 (Updated to current time)
-  const today = new Date('2025-11-14T12:00:00'); 
-  addTodayLine(gridEl, ganttData.timeColumns, today);
+  addTodayLine(gridEl, viewData.timeColumns, today);
 }
 
 /**
  * --- NEW: Renders the color legend, if provided ---
  * @param {HTMLElement} container - The #chart-root element.
  * @param {Array<{color: string, label: string}>} legend - The legend data.
+ * @param {{showCriticalPath?: boolean, showMilestones?: boolean}} [extras] - Extra
+ *   entries for critical path bars and milestone diamonds.
  */
-function addLegend(container, legend) {
-  if (!legend || legend.length === 0) {
+function addLegend(container, legend, { showCriticalPath = false, showMilestones = false } = {}) {
+  legend = legend || [];
+  if (legend.length === 0 && !showCriticalPath && !showMilestones) {
     return; // No legend to render
   }
 
@@ -194,9 +641,270 @@ function addLegend(container, legend) {
     legendContainer.appendChild(legendItem);
   });
 
+  if (showMilestones) {
+    const legendItem = document.createElement('div');
+    legendItem.className = 'legend-item';
+    legendItem.innerHTML = `
+      <span class="legend-color-swatch legend-milestone-swatch"></span>
+      <span class="legend-label">Milestone</span>
+    `;
+    legendContainer.appendChild(legendItem);
+  }
+
+  if (showCriticalPath) {
+    const legendItem = document.createElement('div');
+    legendItem.className = 'legend-item';
+    legendItem.innerHTML = `
+      <span class="legend-color-swatch legend-critical-swatch"></span>
+      <span class="legend-label">Critical path</span>
+    `;
+    legendContainer.appendChild(legendItem);
+  }
+
   container.appendChild(legendContainer);
 }
 
+/**
+ * --- NEW: Explains the status styles used by the chart's bars ---
+ * Only the statuses some bar has are listed.
+ * @param {HTMLElement} container - The #chart-root element.
+ * @param {object} ganttData - The chart data being shown.
+ * @param {Date} today - The date the statuses are judged on.
+ */
+function addStatusLegend(container, ganttData, today) {
+  const statuses = new Set(ganttData.data.map(row => getTaskStatus(row, today)));
+  const shown = Object.keys(TASK_STATUS_LABELS).filter(status => statuses.has(status));
+  if (shown.length === 0) return;
+
+  const legendContainer = document.createElement('div');
+  legendContainer.className = 'gantt-legend-container gantt-status-legend';
+  for (const status of shown) {
+    const legendItem = document.createElement('div');
+    legendItem.className = 'legend-item';
+    legendItem.innerHTML = `
+      <span class="legend-color-swatch legend-status-swatch" data-status="${status}"></span>
+      <span class="legend-label">${TASK_STATUS_LABELS[status]}</span>
+    `;
+    legendContainer.appendChild(legendItem);
+  }
+  container.appendChild(legendContainer);
+}
+
+/**
+ * Draws a task's baseline dates as a ghost bar (or diamond) behind its
+ * bar, and labels the slip of its end date after the bar.
+ * @param {HTMLElement} barAreaEl - The task's bar area.
+ * @param {{startDate: string, endDate: string, endSlipDays: (number | null)}} baselineTask - From compareWithBaseline.
+ * @param {{timelineColumns: object[], numCols: number, isMilestone: boolean, barEnd: number}} layout
+ */
+function addBaselineBar(barAreaEl, baselineTask, { timelineColumns, numCols, isMilestone, barEnd }) {
+  const positions = getBarPositions(baselineTask, timelineColumns, isMilestone);
+  if (positions) {
+    const ghostEl = document.createElement('div');
+    ghostEl.className = isMilestone ? 'gantt-baseline-milestone' : 'gantt-baseline-bar';
+    ghostEl.title = `Baseline: ${baselineTask.startDate === baselineTask.endDate
+      ? baselineTask.startDate
+      : `${baselineTask.startDate} – ${baselineTask.endDate}`}`;
+    if (isMilestone) {
+      ghostEl.style.left = `${(((positions.start + positions.end) / 2) / numCols) * 100}%`;
+    } else {
+      ghostEl.style.left = `${(positions.start / numCols) * 100}%`;
+      ghostEl.style.width = `${((positions.end - positions.start) / numCols) * 100}%`;
+    }
+    barAreaEl.appendChild(ghostEl);
+  }
+
+  if (baselineTask.endSlipDays) {
+    const slipEl = document.createElement('span');
+    slipEl.className = 'gantt-slip';
+    slipEl.setAttribute('data-slip', baselineTask.endSlipDays > 0 ? 'late' : 'early');
+    slipEl.textContent = formatSlip(baselineTask.endSlipDays);
+    slipEl.title = `${Math.abs(baselineTask.endSlipDays)} day(s) ${baselineTask.endSlipDays > 0 ? 'later' : 'earlier'} than the baseline`;
+    slipEl.style.left = `${(barEnd / numCols) * 100}%`;
+    barAreaEl.appendChild(slipEl);
+  }
+}
+
+// -------------------------------------------------------------------
+// --- DEPENDENCY ARROWS ---
+// -------------------------------------------------------------------
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Draws an arrow from each predecessor bar to its successor bar.
+ * Arrows are drawn in an SVG layer over the grid, in pixels, so they
+ * must be redrawn whenever the bars move (see redrawDependencyArrows).
+ * @param {HTMLElement} gridEl - The main .gantt-grid element.
+ * @param {object} ganttData - The chart data being shown.
+ */
+function addDependencyArrows(gridEl, ganttData) {
+  gridEl.querySelector('.gantt-dependency-layer')?.remove();
+
+  const violations = new Set((ganttData.dependencyViolations || [])
+    .map(v => `${v.predecessorId}>${v.successorId}`));
+  const criticalPath = new Set(ganttData.criticalPath || []);
+  const gridRect = gridEl.getBoundingClientRect();
+  const barsById = new Map(
+    [...gridEl.querySelectorAll('[data-task-id]')].map(barEl => [barEl.dataset.taskId, barEl])
+  );
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'gantt-dependency-layer');
+  svg.innerHTML = `
+    <defs>
+      <marker id="dep-arrow" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+        <path d="M0,0 L6,3 L0,6 z" class="dep-arrowhead"></path>
+      </marker>
+      <marker id="dep-arrow-critical" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+        <path d="M0,0 L6,3 L0,6 z" class="dep-arrowhead critical"></path>
+      </marker>
+      <marker id="dep-arrow-violation" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+        <path d="M0,0 L6,3 L0,6 z" class="dep-arrowhead violation"></path>
+      </marker>
+    </defs>
+  `;
+
+  let arrowCount = 0;
+  for (const row of ganttData.data) {
+    if (row.isSwimlane || !row.dependencies) continue;
+
+    const successorBar = barsById.get(row.id);
+    if (!successorBar) continue;
+
+    for (const predecessorId of row.dependencies) {
+      const predecessorBar = barsById.get(predecessorId);
+      if (!predecessorBar) continue;
+
+      const from = predecessorBar.getBoundingClientRect();
+      const to = successorBar.getBoundingClientRect();
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('d', buildArrowPath(from, to, gridRect));
+
+      let kind = '';
+      if (violations.has(`${predecessorId}>${row.id}`)) {
+        kind = 'violation';
+      } else if (criticalPath.has(predecessorId) && criticalPath.has(row.id)) {
+        kind = 'critical';
+      }
+      path.setAttribute('class', `dep-arrow ${kind}`.trim());
+      path.setAttribute('marker-end', `url(#dep-arrow${kind ? `-${kind}` : ''})`);
+      svg.appendChild(path);
+      arrowCount++;
+    }
+  }
+
+  if (arrowCount > 0) {
+    gridEl.appendChild(svg);
+  }
+}
+
+/**
+ * Builds an elbow-shaped SVG path from the end of one bar to the start of another.
+ * @param {DOMRect} from - The predecessor bar's rectangle.
+ * @param {DOMRect} to - The successor bar's rectangle.
+ * @param {DOMRect} gridRect - The grid's rectangle (the SVG's origin).
+ * @returns {string} The path's 'd' attribute.
+ */
+function buildArrowPath(from, to, gridRect) {
+  const toGrid = (rect) => ({
+    left: rect.left - gridRect.left,
+    right: rect.right - gridRect.left,
+    top: rect.top - gridRect.top,
+    bottom: rect.bottom - gridRect.top
+  });
+  const [[x1, y1], ...points] = routeDependencyArrow(toGrid(from), toGrid(to));
+  // Every segment is horizontal or vertical
+  let d = `M ${x1} ${y1}`;
+  let [lastX, lastY] = [x1, y1];
+  for (const [x, y] of points) {
+    d += x !== lastX ? ` H ${x}` : ` V ${y}`;
+    [lastX, lastY] = [x, y];
+  }
+  return d;
+}
+
+/**
+ * Lists dependency violations and cycles below the chart.
+ * @param {HTMLElement} container - The #chart-root element.
+ * @param {object} ganttData - The chart data being shown.
+ */
+function addDependencyIssues(container, ganttData) {
+  const violations = ganttData.dependencyViolations || [];
+  const cycles = ganttData.dependencyCycles || [];
+  if (violations.length === 0 && cycles.length === 0) return;
+
+  const titleById = new Map(ganttData.data.map(row => [row.id, row.title]));
+  const issues = violations.map(v =>
+    `"${v.successorTitle}" starts ${v.overlapDays} day(s) before its predecessor "${v.predecessorTitle}" ends.`
+  );
+  if (cycles.length > 0) {
+    issues.push(`Circular dependency between: ${cycles.map(id => `"${titleById.get(id) || id}"`).join(', ')}.`);
+  }
+
+  addIssueList(container, 'Dependency issues', issues);
+}
+
+/**
+ * Lists the tasks added, removed and moved since the baseline.
+ * @param {HTMLElement} container - The #chart-root element.
+ * @param {object} comparison - From compareWithBaseline.
+ * @param {{name: string, savedAt: string}} baseline - The baseline compared with.
+ */
+function addBaselineReport(container, comparison, baseline) {
+  const datesOf = ({ startDate, endDate }) => {
+    if (!startDate) return 'undated';
+    return !endDate || startDate === endDate ? startDate : `${startDate} – ${endDate}`;
+  };
+  const slipsOf = ({ startSlipDays, endSlipDays }) => {
+    const slips = [];
+    if (startSlipDays) slips.push(`start ${formatSlip(startSlipDays)}`);
+    if (endSlipDays) slips.push(`end ${formatSlip(endSlipDays)}`);
+    return slips.length > 0 ? ` (${slips.join(', ')})` : '';
+  };
+
+  const changes = [
+    ...comparison.added.map(task => `Added: "${task.title}" (${task.entity}), ${datesOf(task)}`),
+    ...comparison.removed.map(task => `Removed: "${task.title}" (${task.entity}), was ${datesOf(task)}`),
+    ...comparison.moved.map(task => {
+      const swimlane = task.entity === task.baselineEntity ? '' : `, from ${task.baselineEntity} to ${task.entity}`;
+      const dates = datesOf(task.from) === datesOf(task.to) ? '' : `: ${datesOf(task.from)} → ${datesOf(task.to)}`;
+      return `Moved: "${task.title}"${dates}${slipsOf(task)}${swimlane}`;
+    })
+  ];
+  if (changes.length === 0) changes.push('No tasks were added, removed or moved.');
+
+  addIssueList(container, `Changes since baseline "${baseline.name}" (${baseline.savedAt.slice(0, 10)})`, changes, 'gantt-baseline-report');
+}
+
+/**
+ * Adds a headed list of issues below the chart (nothing if there are none).
+ * @param {HTMLElement} container - The #chart-root element.
+ * @param {string} title - The heading.
+ * @param {string[]} issues - One message per item.
+ * @param {string} [className] - An extra class for the list's container.
+ */
+function addIssueList(container, title, issues, className) {
+  if (issues.length === 0) return;
+
+  const issuesContainer = document.createElement('div');
+  issuesContainer.className = className ? `gantt-issues-container ${className}` : 'gantt-issues-container';
+
+  const heading = document.createElement('h4');
+  heading.textContent = title;
+  issuesContainer.appendChild(heading);
+
+  const list = document.createElement('ul');
+  for (const issue of issues) {
+    const li = document.createElement('li');
+    li.textContent = issue;
+    list.appendChild(li);
+  }
+  issuesContainer.appendChild(list);
+
+  container.appendChild(issuesContainer);
+}
+
 
 /**
  * Finds the export button and chart container, then
@@ -236,6 +944,167 @@ function addExportListener() {
   });
 }
 
+/**
+ * Adds click listeners to the SVG, PDF and PowerPoint export buttons and
+ * the CSV, Excel and MS Project data export buttons. The SVG is built in
+ * the browser; the other files are built by the server's /export/:format route.
+ * The image exports draw the chart as shown; the data exports always hold
+ * every task, even when the view is filtered to one source file.
+ * @param {object} viewData - The chart as shown (time scale, source filter, baseline dates).
+ * @param {object} ganttData - The whole chart.
+ * @param {Date} today - The today line's date (bar statuses follow it).
+ */
+function addFileExportListeners(viewData, ganttData, today) {
+  const legendInput = document.getElementById('export-legend-input');
+  const dataFormats = ['csv', 'xlsx', 'xml'];
+
+  for (const format of ['svg', 'pdf', 'pptx', 'csv', 'xlsx', 'xml']) {
+    const button = document.getElementById(`export-${format}-btn`);
+    if (!button) continue;
+
+    button.addEventListener('click', async () => {
+      const label = button.textContent;
+      button.textContent = 'Exporting...';
+      button.disabled = true;
+      const showLegend = legendInput ? legendInput.checked : true;
+
+      try {
+        let blob;
+        if (format === 'svg') {
+          const svg = buildChartSvg(viewData, { today, showLegend, logoHref: await loadLogoDataUri() });
+          blob = new Blob([svg], { type: 'image/svg+xml' });
+        } else {
+          const response = await fetch(`/export/${format}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              ganttData: dataFormats.includes(format) ? ganttData : viewData,
+              today: getReferenceIsoDate(),
+              includeLegend: showLegend
+            })
+          });
+          if (!response.ok) {
+            const err = await response.json();
+            throw new Error(err.error || "Server error");
+          }
+          blob = await response.blob();
+        }
+        downloadBlob(blob, `gantt-chart.${format}`);
+      } catch (err) {
+        console.error(`Error exporting ${format}:`, err);
+        alert(`Error exporting chart: ${err.message}`);
+      } finally {
+        button.textContent = label;
+        button.disabled = false;
+      }
+    });
+  }
+}
+
+/**
+ * Fetches the BIP logo as a data: URI, so exported SVGs stand alone.
+ * @returns {Promise<string | undefined>} Undefined if the logo cannot be loaded.
+ */
+async function loadLogoDataUri() {
+  try {
+    const response = await fetch('/bip_logo.png');
+    if (!response.ok) return undefined;
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (err) {
+    console.warn("Could not load the logo for the export:", err);
+    return undefined;
+  }
+}
+
+/**
+ * Saves a file to the user's downloads.
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - The name to save it as.
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Adds a click listener to the save button that stores the chart
+ * as a project and switches the URL to its bookmarkable form.
+ * @param {object} ganttData - The chart being shown.
+ */
+function addSaveProjectListener(ganttData) {
+  const saveBtn = document.getElementById('save-project-btn');
+  if (!saveBtn) return;
+
+  const showSavedState = () => {
+    saveBtn.textContent = 'Saved - Copy Link';
+    saveBtn.title = window.location.href;
+  };
+
+  if (currentProjectId) {
+    showSavedState();
+  } else {
+    saveBtn.textContent = 'Save Project';
+  }
+
+  saveBtn.addEventListener('click', async () => {
+    // Already saved: the button copies the shareable link instead
+    if (currentProjectId) {
+      await navigator.clipboard?.writeText(window.location.href);
+      saveBtn.textContent = 'Link Copied';
+      setTimeout(showSavedState, 1500);
+      return;
+    }
+
+    const name = prompt('Project name:', ganttData.title);
+    if (name === null) return; // User cancelled
+
+    saveBtn.textContent = 'Saving...';
+    saveBtn.disabled = true;
+
+    try {
+      const response = await fetch('/projects', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chartId: ganttData.chartId, ganttData, name })
+      });
+
+      if (!response.ok) {
+        const err = await response.json();
+        throw new Error(err.error || "Server error");
+      }
+
+      const project = await response.json();
+      currentProjectId = project.id;
+      // The saved project has its own chart ID for analysis and Q&A; the
+      // conversations so far move with it (the server copies its side)
+      moveChatHistory(ganttData.chartId, project.ganttData.chartId);
+      ganttData.chartId = project.ganttData.chartId;
+      sessionStorage.setItem('ganttData', JSON.stringify(ganttData));
+      // Keeps a ?today= override
+      const url = new URL(window.location.href);
+      url.searchParams.set('id', project.id);
+      history.replaceState(null, '', url);
+      showSavedState();
+    } catch (error) {
+      console.error("Error saving project:", error);
+      saveBtn.textContent = 'Save Project';
+      alert(`Error saving project: ${error.message}`);
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+}
+
 // -------------------------------------------------------------------
 // --- "TODAY" LINE HELPER FUNCTIONS ---
 // -------------------------------------------------------------------
@@ -283,98 +1152,43 @@ function addTodayLine(gridEl, timeColumns, today) {
 
 /**
  * Finds the column index and percentage offset for today's date.
+ * Works for every column format parseTimeColumnLabel understands
+ * (years, quarters, months and ISO weeks).
  * @param {Date} today - The current date.
  * @param {string[]} timeColumns - The array of time columns.
  * @returns {{index: number, percentage: number} | null}
  */
-function findTodayColumnPosition(today, timeColumns) {
+export function findTodayColumnPosition(today, timeColumns) {
   if (timeColumns.length === 0) return null;
 
-  const firstCol = timeColumns[0];
-  const todayYear = today.getFullYear();
-
-  // 1. Check for Year columns (e.g., "2025")
-  if (/^\d{4}$/.test(firstCol)) {
-    const todayYearStr = todayYear.toString();
-    const index = timeColumns.indexOf(todayYearStr);
-    if (index === -1) return null;
-
-    const startOfYear = new Date(todayYear, 0, 1);
-    const endOfYear = new Date(todayYear, 11, 31);
-    const dayOfYear = (today - startOfYear) / (1000 * 60 * 60 * 24);
-    const totalDays = (endOfYear - startOfYear) / (1000 * 60 * 60 * 24);
-    const percentage = dayOfYear / totalDays;
-    return { index, percentage };
-  }
-
-  // 2. Check for Quarter columns (e.g., "Q4 2025")
-  if (/^Q[1-4]\s\d{4}$/.test(firstCol)) {
-    const month = today.getMonth();
-    const quarter = Math.floor(month / 3) + 1;
-    const todayQuarterStr = `Q${quarter} ${todayYear}`;
-    const index = timeColumns.indexOf(todayQuarterStr);
-    if (index === -1) return null;
-
-    const quarterStartMonth = (quarter - 1) * 3;
-    const startOfQuarter = new Date(todayYear, quarterStartMonth, 1);
-    const endOfQuarter = new Date(todayYear, quarterStartMonth + 3, 0); // 0th day of next month
-    const dayInQuarter = (today - startOfQuarter) / (1000 * 60 * 60 * 24);
-    const totalDays = (endOfQuarter - startOfQuarter) / (1000 * 60 * 60 * 24);
-    const percentage = dayInQuarter / totalDays;
-    return { index, percentage };
-  }
-
-  // 3. Check for Month columns (e.g., "Nov 2025")
-  if (/^[A-Za-z]{3}\s\d{4}$/.test(firstCol)) {
-    const todayMonthStr = today.toLocaleString('en-US', { month: 'short' }) + ` ${todayYear}`;
-    const index = timeColumns.indexOf(todayMonthStr);
-    if (index === -1) return null;
-
-    const startOfMonth = new Date(todayYear, today.getMonth(), 1);
-    const endOfMonth = new Date(todayYear, today.getMonth() + 1, 0);
-    const dayInMonth = today.getDate(); // 14th
-    const totalDays = endOfMonth.getDate(); // 30 for Nov
-    const percentage = dayInMonth / totalDays;
-    return { index, percentage };
-  }
-  
-  // 4. Check for Week columns (e.g., "W46 2025")
-  if (/^W\d{1,2}\s\d{4}$/.test(firstCol)) {
-    const todayWeekStr = `W${getWeek(today)} ${todayYear}`;
-    const index = timeColumns.indexOf(todayWeekStr);
-    if (index === -1) return null;
+  // Place the line in the middle of the day
+  const todayMidday = toUtcDay(today).getTime() + 12 * 60 * 60 * 1000;
 
-    const dayOfWeek = today.getDay(); // 0 (Sun) - 6 (Sat)
-    const percentage = (dayOfWeek + 0.5) / 7; // Place line in middle of the day
-    return { index, percentage };
-  }
+  for (let index = 0; index < timeColumns.length; index++) {
+    const column = parseTimeColumnLabel(timeColumns[index]);
+    if (!column) return null; // Unknown format
 
-  return null; // Unknown format
-}
+    if (todayMidday >= column.start && todayMidday < column.end) {
+      const percentage = (todayMidday - column.start) / (column.end - column.start);
+      return { index, percentage };
+    }
+  }
 
-/**
- * Gets the ISO 8601 week number for a given date.
- * @param {Date} date - The date.
-S @returns {number} The week number.
- */
-function getWeek(date) {
-  var d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-  var dayNum = d.getUTCDay() || 7;
-  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-  var yearStart = new Date(Date.UTC(d.getUTCFullYear(),0,1));
-  return Math.ceil((((d - yearStart) / 86400000) + 1)/7);
+  return null; // Today is not in the chart's range
 }
 
-
 // -------------------------------------------------------------------
 // --- "ON-DEMAND" ANALYSIS MODAL ---
 // -------------------------------------------------------------------
 
 /**
  * Creates and shows the analysis modal.
- * Fetches data from the new /get-task-analysis endpoint.
+ * Fetches data from the new /get-task-analysis endpoint, which answers
+ * from its cache for tasks analyzed before.
+ * @param {{taskName: string, entity: string, chartId: string}} taskIdentifier
+ * @param {{refresh?: boolean}} [options] - `refresh` asks for a new analysis instead of the cached one.
  */
-async function showAnalysisModal(taskIdentifier) {
+async function showAnalysisModal(taskIdentifier, { refresh = false } = {}) {
   // 1. Remove any old modal
   document.getElementById('analysis-modal')?.remove();
 
@@ -414,7 +1228,7 @@ async function showAnalysisModal(taskIdentifier) {
     const response = await fetch('/get-task-analysis', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(taskIdentifier)
+      body: JSON.stringify({ ...taskIdentifier, refresh, today: getReferenceIsoDate() })
     });
 
     if (!response.ok) {
@@ -436,11 +1250,29 @@ async function showAnalysisModal(taskIdentifier) {
       ${buildAnalysisSection('Rationale / Hurdles', analysis.rationale)}
     `;
 
+    // --- NEW: When the analysis was made, and a way to make a new one ---
+    const meta = document.createElement('div');
+    meta.className = 'analysis-meta';
+    const analyzedAt = document.createElement('span');
+    analyzedAt.textContent = `Analyzed ${new Date(analysis.analyzedAt).toLocaleString()}${analysis.cached ? ' (saved analysis)' : ''}`;
+    const refreshBtn = document.createElement('button');
+    refreshBtn.type = 'button';
+    refreshBtn.id = 'analysis-refresh-btn';
+    refreshBtn.className = 'analysis-refresh-btn';
+    refreshBtn.textContent = 'Refresh';
+    refreshBtn.title = 'Analyze this task again';
+    refreshBtn.addEventListener('click', () => showAnalysisModal(taskIdentifier, { refresh: true }));
+    meta.append(analyzedAt, refreshBtn);
+    modalBody.prepend(meta);
+
     // 6. --- NEW: Add the chat interface ---
     const chatContainer = document.createElement('div');
     chatContainer.className = 'chat-container';
     chatContainer.innerHTML = `
-      <h4 class="chat-title">Ask a follow-up</h4>
+      <div class="chat-header">
+        <h4 class="chat-title">Ask a follow-up</h4>
+        <button type="button" class="chat-reset-btn" id="chat-reset-btn" title="Forget the earlier questions and answers about this task">New conversation</button>
+      </div>
       <div class="chat-history" id="chat-history"></div>
       <form class="chat-form" id="chat-form">
         <input type="text" id="chat-input" class="chat-input" placeholder="Ask about this task..." autocomplete="off">
@@ -449,12 +1281,20 @@ async function showAnalysisModal(taskIdentifier) {
     `;
     modalBody.appendChild(chatContainer);
 
+    // Show the earlier conversation about this task (the server remembers it too)
+    const chatHistory = document.getElementById('chat-history');
+    for (const turn of loadChatHistory(chatStorageKey(taskIdentifier))) {
+      appendChatMessage(chatHistory, turn.role, turn.text);
+    }
+    chatHistory.scrollTop = chatHistory.scrollHeight;
+
     // 7. --- NEW: Add chat form listener ---
     const chatForm = document.getElementById('chat-form');
     chatForm.addEventListener('submit', (e) => {
       e.preventDefault();
       handleAskQuestion(taskIdentifier);
     });
+    document.getElementById('chat-reset-btn').addEventListener('click', () => handleResetChat(taskIdentifier));
 
   } catch (error) {
     console.error("Error fetching analysis:", error);
@@ -473,16 +1313,11 @@ async function handleAskQuestion(taskIdentifier) {
   if (!question) return;
 
   // 1. Display user's question
-  const userMessage = document.createElement('div');
-  userMessage.className = 'chat-message chat-message-user';
-  userMessage.textContent = question;
-  chatHistory.appendChild(userMessage);
+  appendChatMessage(chatHistory, 'user', question);
 
   // 2. Show loading spinner
-  const loadingMessage = document.createElement('div');
-  loadingMessage.className = 'chat-message chat-message-llm';
+  const loadingMessage = appendChatMessage(chatHistory, 'model', '');
   loadingMessage.innerHTML = `<div class="chat-spinner"></div>`;
-  chatHistory.appendChild(loadingMessage);
 
   // 3. Scroll to bottom
   chatHistory.scrollTop = chatHistory.scrollHeight;
@@ -490,14 +1325,15 @@ async function handleAskQuestion(taskIdentifier) {
   // 4. Clear input
   chatInput.value = '';
 
-  // 5. Call the new API endpoint
+  // 5. Call the new API endpoint, streaming the answer as it is written
   try {
     const response = await fetch('/ask-question', {
       method: 'POST',
-      headers: { 'ContentType': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
       body: JSON.stringify({
         ...taskIdentifier,
-        question: question
+        question: question,
+        today: getReferenceIsoDate()
       })
     });
 
@@ -506,20 +1342,80 @@ async function handleAskQuestion(taskIdentifier) {
       throw new Error(err.error || "Server error");
     }
 
-    const data = await response.json();
-    
-    // 6. Remove spinner and show answer
-    loadingMessage.innerHTML = data.answer; // Replace spinner with text
+    // 6. Replace the spinner with the answer so far (renderMarkdown escapes all HTML)
+    let answer = '';
+    const data = await readEventStream(response, {
+      chunk: (text) => {
+        answer += text;
+        loadingMessage.innerHTML = renderMarkdown(answer);
+        chatHistory.scrollTop = chatHistory.scrollHeight;
+      }
+    });
+    loadingMessage.innerHTML = renderMarkdown(data.answer);
+    saveChatHistory(chatStorageKey(taskIdentifier), [
+      ...loadChatHistory(chatStorageKey(taskIdentifier)),
+      { role: 'user', text: question },
+      { role: 'model', text: data.answer }
+    ]);
 
   } catch (error) {
     console.error("Error asking question:", error);
-    loadingMessage.innerHTML = `Sorry, an error occurred: ${error.message}`;
+    loadingMessage.textContent = `Sorry, an error occurred: ${error.message}`;
   } finally {
     // 7. Scroll to bottom again
     chatHistory.scrollTop = chatHistory.scrollHeight;
   }
 }
 
+/**
+ * Adds a message bubble to the chat.
+ * @param {HTMLElement} chatHistory - The #chat-history element.
+ * @param {'user' | 'model'} role
+ * @param {string} text - The question, or the answer as Markdown.
+ * @returns {HTMLElement} The new message.
+ */
+function appendChatMessage(chatHistory, role, text) {
+  const message = document.createElement('div');
+  if (role === 'user') {
+    message.className = 'chat-message chat-message-user';
+    message.textContent = text;
+  } else {
+    message.className = 'chat-message chat-message-llm';
+    message.innerHTML = renderMarkdown(text);
+  }
+  chatHistory.appendChild(message);
+  return message;
+}
+
+/**
+ * Starts a new conversation about the task: the server forgets the
+ * earlier turns, and the chat is cleared.
+ */
+async function handleResetChat(taskIdentifier) {
+  try {
+    const response = await fetch('/reset-chat', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(taskIdentifier)
+    });
+    // An expired session has nothing left to forget
+    if (!response.ok && response.status !== 404) {
+      const err = await response.json();
+      throw new Error(err.error || "Server error");
+    }
+    saveChatHistory(chatStorageKey(taskIdentifier), []);
+    document.getElementById('chat-history').innerHTML = '';
+  } catch (error) {
+    console.error("Error resetting the chat:", error);
+    alert(`Could not start a new conversation: ${error.message}`);
+  }
+}
+
+// The key a task's conversation is kept under in this tab (see chat-history.js)
+function chatStorageKey({ chartId, entity, taskName }) {
+  return JSON.stringify([chartId, entity, taskName]);
+}
+
 
 // Helper function to build a section of the modal
 function buildAnalysisSection(title, content) {
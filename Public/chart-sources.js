@@ -0,0 +1,131 @@
+/**
+ * Source traceability on chart.html. Every generated task carries the
+ * research file(s) its dates came from and the passage that justified
+ * them (`sources: [{file, quote}]`). This module shows them in a tooltip
+ * on the bar (with the task's dates and status) and filters the chart
+ * down to the tasks from one file.
+ */
+
+import { TASK_STATUS_LABELS } from './timeline.js';
+
+/**
+ * Lists the files the chart's tasks cite.
+ * @param {object} ganttData
+ * @returns {string[]} File names, sorted.
+ */
+export function getSourceFiles(ganttData) {
+  const files = new Set();
+  for (const row of ganttData.data || []) {
+    for (const source of row.sources || []) files.add(source.file);
+  }
+  return [...files].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Keeps only the tasks that cite a file, and the swimlanes they are in.
+ * @param {object} ganttData - The chart (with its timeline already derived).
+ * @param {string} [file] - The file name; empty or missing keeps every row.
+ * @returns {object} A new ganttData object with the same time columns.
+ */
+export function filterBySourceFile(ganttData, file) {
+  if (!file) return ganttData;
+
+  const data = [];
+  let lane = null;
+  for (const row of ganttData.data) {
+    if (row.isSwimlane) {
+      lane = row;
+    } else if ((row.sources || []).some(source => source.file === file)) {
+      // The swimlane goes in once, before its first matching task
+      if (lane && !data.includes(lane)) data.push(lane);
+      data.push(row);
+    }
+  }
+  return { ...ganttData, data };
+}
+
+// The tooltip shared by every bar (only one is ever visible)
+let tooltipEl = null;
+
+/**
+ * Builds the tooltip's content for a task.
+ * @param {object} row - The task row.
+ * @param {string | null} [status] - The task's status (see getTaskStatus).
+ * @returns {DocumentFragment}
+ */
+function buildTooltipContent(row, status) {
+  const content = document.createDocumentFragment();
+
+  const title = document.createElement('strong');
+  title.className = 'source-tooltip-title';
+  title.textContent = row.title;
+  content.appendChild(title);
+
+  const { startDate, endDate } = row.bar || {};
+  if (startDate) {
+    const dates = document.createElement('div');
+    dates.className = 'source-tooltip-dates';
+    dates.textContent = startDate === endDate || !endDate ? startDate : `${startDate} – ${endDate}`;
+    content.appendChild(dates);
+  }
+
+  if (status) {
+    const statusEl = document.createElement('div');
+    statusEl.className = 'source-tooltip-status';
+    statusEl.setAttribute('data-status', status);
+    const progress = typeof row.progress === 'number' ? ` (${row.progress}% complete)` : '';
+    statusEl.textContent = `${TASK_STATUS_LABELS[status]}${progress}`;
+    content.appendChild(statusEl);
+  }
+
+  const sources = row.sources || [];
+  if (sources.length === 0) {
+    const none = document.createElement('div');
+    none.className = 'source-tooltip-empty';
+    none.textContent = 'No source recorded for this task.';
+    content.appendChild(none);
+  }
+  for (const source of sources) {
+    const file = document.createElement('div');
+    file.className = 'source-tooltip-file';
+    file.textContent = source.file;
+    content.appendChild(file);
+    if (source.quote) {
+      const quote = document.createElement('blockquote');
+      quote.className = 'source-tooltip-quote';
+      quote.textContent = `“${source.quote}”`;
+      content.appendChild(quote);
+    }
+  }
+  return content;
+}
+
+/**
+ * Shows a task's sources in a tooltip while the pointer is over its bar.
+ * @param {HTMLElement} barEl - The bar or milestone element.
+ * @param {object} row - The task row.
+ * @param {string | null} [status] - The task's status, shown under its dates.
+ */
+export function attachSourceTooltip(barEl, row, status = null) {
+  barEl.addEventListener('mouseenter', () => {
+    tooltipEl ??= document.createElement('div');
+    tooltipEl.className = 'source-tooltip';
+    tooltipEl.setAttribute('role', 'tooltip');
+    tooltipEl.replaceChildren(buildTooltipContent(row, status));
+    document.body.appendChild(tooltipEl);
+
+    // Below the bar, kept inside the window
+    const rect = barEl.getBoundingClientRect();
+    const maxLeft = window.innerWidth - tooltipEl.offsetWidth - 8;
+    tooltipEl.style.left = `${Math.max(8, Math.min(rect.left, maxLeft)) + window.scrollX}px`;
+    tooltipEl.style.top = `${rect.bottom + 6 + window.scrollY}px`;
+  });
+  barEl.addEventListener('mouseleave', hideSourceTooltip);
+}
+
+/**
+ * Hides the tooltip (e.g. when the chart is re-rendered under it).
+ */
+export function hideSourceTooltip() {
+  tooltipEl?.remove();
+}
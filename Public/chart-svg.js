@@ -0,0 +1,146 @@
+/**
+ * Builds a standalone SVG image of a chart from its data (not from the DOM),
+ * so the export stays sharp at any size. Used by the "Export as SVG" button
+ * and by the server's /export/svg route.
+ */
+
+import { layoutChart, CHART_THEME } from './chart-layout.js';
+
+/**
+ * Escapes text for use in SVG content and attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Rounds a coordinate to keep the file small.
+ * @param {number} value
+ * @returns {number}
+ */
+function r(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Builds the SVG for a milestone diamond (a square turned 45 degrees).
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} size - The side of the square.
+ * @returns {string} The polygon's points.
+ */
+function diamondPoints(cx, cy, size) {
+  const half = size * Math.SQRT1_2;
+  return `${r(cx)},${r(cy - half)} ${r(cx + half)},${r(cy)} ${r(cx)},${r(cy + half)} ${r(cx - half)},${r(cy)}`;
+}
+
+/**
+ * Builds an SVG image of a chart.
+ * @param {object} ganttData - The chart data, at the time scale being shown.
+ * @param {object} [options]
+ * @param {number} [options.width=1400] - The image width in pixels.
+ * @param {Date | null} [options.today] - Where to draw the today line.
+ * @param {boolean} [options.showLegend=true] - Whether to include the legend.
+ * @param {string} [options.logoHref] - The logo image (ideally a data: URI so the file stands alone).
+ * @returns {string} The SVG document.
+ */
+export function buildChartSvg(ganttData, options = {}) {
+  const layout = layoutChart(ganttData, options);
+  const { width, height } = layout;
+  const parts = [];
+
+  // 1. Background, title and logo
+  parts.push(`<rect width="${r(width)}" height="${r(height)}" fill="${CHART_THEME.background}"/>`);
+  parts.push(`<text x="${r(layout.title.x)}" y="${r(layout.title.y)}" font-size="${layout.title.fontSize}" font-weight="600" fill="${CHART_THEME.text}" text-anchor="middle" dominant-baseline="central">${escapeXml(layout.title.text)}</text>`);
+  if (options.logoHref) {
+    const { x, y, width: logoWidth, height: logoHeight } = layout.logo;
+    parts.push(`<image href="${escapeXml(options.logoHref)}" x="${r(x)}" y="${r(y)}" width="${r(logoWidth)}" height="${r(logoHeight)}"/>`);
+  }
+
+  // 2. Header row
+  const { header } = layout;
+  for (const cell of header.cells) {
+    parts.push(`<text x="${r(cell.x + cell.width / 2)}" y="${r(header.y + header.height / 2)}" font-size="${header.fontSize}" font-weight="500" fill="${CHART_THEME.text}" text-anchor="middle" dominant-baseline="central">${escapeXml(cell.label)}</text>`);
+  }
+  parts.push(`<line x1="0" y1="${r(layout.gridTop)}" x2="${r(width)}" y2="${r(layout.gridTop)}" stroke="${CHART_THEME.gridLine}"/>`);
+
+  // 3. Row backgrounds, grid lines and labels
+  for (const row of layout.rows) {
+    if (row.isSwimlane) {
+      parts.push(`<rect x="0" y="${r(row.y)}" width="${r(width)}" height="${r(row.height)}" fill="${CHART_THEME.swimlaneBackground}"/>`);
+    }
+    parts.push(`<line x1="0" y1="${r(row.y + row.height)}" x2="${r(width)}" y2="${r(row.y + row.height)}" stroke="${CHART_THEME.gridLine}"/>`);
+    const { label } = row;
+    parts.push(`<text x="${r(label.x)}" y="${r(label.y)}" font-size="${label.fontSize}"${label.bold ? ' font-weight="700"' : ''} fill="${CHART_THEME.text}" dominant-baseline="central">${escapeXml(label.text)}</text>`);
+  }
+  for (const x of layout.columnLines) {
+    parts.push(`<line x1="${r(x)}" y1="${r(header.y)}" x2="${r(x)}" y2="${r(layout.gridBottom)}" stroke="${CHART_THEME.gridLine}"/>`);
+  }
+
+  // 4. Bars and milestones
+  for (const row of layout.rows) {
+    const { bar } = row;
+    if (!bar) continue;
+    // Overdue bars are outlined in red instead of white (the arrows still show the critical path)
+    let outline = '';
+    if (bar.status === 'overdue') {
+      outline = ` stroke="${CHART_THEME.overdue}" stroke-width="2" stroke-dasharray="4 2"`;
+    } else if (bar.critical) {
+      outline = ` stroke="${CHART_THEME.critical}" stroke-width="2"`;
+    }
+    const opacity = bar.opacity < 1 ? ` fill-opacity="${bar.opacity}"` : '';
+    if (bar.kind === 'milestone') {
+      parts.push(`<polygon points="${diamondPoints(bar.cx, bar.cy, bar.size)}" fill="${bar.color}"${opacity}${outline}/>`);
+    } else {
+      parts.push(`<rect x="${r(bar.x)}" y="${r(bar.y)}" width="${r(bar.width)}" height="${r(bar.height)}" rx="4" fill="${bar.color}"${opacity}${outline}/>`);
+    }
+  }
+
+  // 5. Dependency arrows
+  if (layout.arrows.length > 0) {
+    const arrowColors = { '': CHART_THEME.arrow, critical: CHART_THEME.critical, violation: CHART_THEME.violation };
+    const markers = Object.entries(arrowColors).map(([kind, color]) =>
+      `<marker id="dep-arrow${kind ? `-${kind}` : ''}" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0 L6,3 L0,6 z" fill="${color}"/></marker>`
+    );
+    parts.push(`<defs>${markers.join('')}</defs>`);
+    for (const arrow of layout.arrows) {
+      const points = arrow.points.map(([x, y]) => `${r(x)},${r(y)}`).join(' ');
+      const dash = arrow.kind === 'violation' ? ' stroke-dasharray="4 3"' : '';
+      parts.push(`<polyline points="${points}" fill="none" stroke="${arrowColors[arrow.kind]}" stroke-width="1.5"${dash} marker-end="url(#dep-arrow${arrow.kind ? `-${arrow.kind}` : ''})"/>`);
+    }
+  }
+
+  // 6. Today line
+  if (layout.todayX !== null) {
+    parts.push(`<line x1="${r(layout.todayX)}" y1="${r(layout.gridTop)}" x2="${r(layout.todayX)}" y2="${r(layout.gridBottom)}" stroke="${CHART_THEME.today}" stroke-width="1"/>`);
+  }
+
+  // 7. Legend
+  if (layout.legend) {
+    const { legend } = layout;
+    const size = legend.swatchSize;
+    for (const item of legend.items) {
+      const cy = item.y + size / 2;
+      if (item.kind === 'milestone') {
+        parts.push(`<polygon points="${diamondPoints(item.x + size / 2, cy, 10)}" fill="${item.color}"/>`);
+      } else if (item.kind === 'critical') {
+        parts.push(`<rect x="${r(item.x + 1)}" y="${r(item.y + 1)}" width="${size - 2}" height="${size - 2}" rx="4" fill="none" stroke="${item.color}" stroke-width="2"/>`);
+      } else {
+        parts.push(`<rect x="${r(item.x)}" y="${r(item.y)}" width="${size}" height="${size}" rx="4" fill="${item.color}"/>`);
+      }
+      parts.push(`<text x="${r(item.x + size + 8)}" y="${r(cy)}" font-size="${legend.fontSize}" fill="${CHART_THEME.mutedText}" dominant-baseline="central">${escapeXml(item.label)}</text>`);
+    }
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${r(width)}" height="${r(height)}" viewBox="0 0 ${r(width)} ${r(height)}" font-family="${escapeXml(CHART_THEME.fontFamily)}">`,
+    ...parts,
+    '</svg>'
+  ].join('\n');
+}
@@ -0,0 +1,61 @@
+/**
+ * Keeps chat conversations (the task Q&A and the roadmap assistant) in
+ * sessionStorage, so a reopened chat shows the turns the server still
+ * remembers (see lib/session-store.js).
+ */
+
+const STORAGE_KEY = 'chatHistory';
+const MAX_STORED_TURNS = 50;
+
+function readAll() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Gets a conversation's turns.
+ * @param {string} key - Identifies the conversation.
+ * @returns {Array<{role: 'user' | 'model', text: string}>} Oldest first (empty if none).
+ */
+export function loadChatHistory(key) {
+  return readAll()[key] || [];
+}
+
+/**
+ * Moves every conversation of a chart to its new chart ID (a chart saved
+ * as a project continues under the project's ID).
+ * @param {string} fromChartId
+ * @param {string} toChartId
+ */
+export function moveChatHistory(fromChartId, toChartId) {
+  const moved = {};
+  for (const [key, turns] of Object.entries(readAll())) {
+    // Keys are JSON arrays that include the chart ID (see their callers)
+    let parts = null;
+    try {
+      parts = JSON.parse(key);
+    } catch (e) {
+      // Not one of ours; kept as it is
+    }
+    moved[Array.isArray(parts) ? JSON.stringify(parts.map(part => (part === fromChartId ? toChartId : part))) : key] = turns;
+  }
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(moved));
+}
+
+/**
+ * Stores a conversation's turns (an empty list removes it).
+ * @param {string} key - Identifies the conversation.
+ * @param {Array<{role: 'user' | 'model', text: string}>} turns
+ */
+export function saveChatHistory(key, turns) {
+  const all = readAll();
+  if (turns.length > 0) {
+    all[key] = turns.slice(-MAX_STORED_TURNS);
+  } else {
+    delete all[key];
+  }
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
@@ -0,0 +1,155 @@
+/**
+ * Shared task dependency helpers.
+ * Used by the server (to annotate the model's output) and by the browser
+ * (to re-check the plan after it changes), so it must not touch the DOM
+ * or Node APIs.
+ *
+ * Dependencies are finish-to-start: every ID in a task's `dependencies`
+ * array is a predecessor that must finish before the task starts.
+ */
+
+import { parseIsoDate } from './timeline.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Makes sure every row has a unique `id` and that every dependency points
+ * at an existing task. Missing or duplicate IDs are replaced ("T3", "S1"),
+ * and dependencies on unknown tasks or on the task itself are dropped.
+ * @param {object} ganttData - The chart data.
+ * @returns {object} A new ganttData object.
+ */
+export function ensureTaskIds(ganttData) {
+  const usedIds = new Set();
+  const uniqueId = (preferred, prefix, index) => {
+    let id = typeof preferred === 'string' && preferred.trim() ? preferred.trim() : `${prefix}${index + 1}`;
+    while (usedIds.has(id)) {
+      id = `${prefix}${index + 1}-${usedIds.size}`;
+    }
+    usedIds.add(id);
+    return id;
+  };
+
+  const rows = (ganttData.data || []).map((row, index) => ({
+    ...row,
+    id: uniqueId(row.id, row.isSwimlane ? 'S' : 'T', index)
+  }));
+
+  const taskIds = new Set(rows.filter(row => !row.isSwimlane).map(row => row.id));
+  const data = rows.map(row => {
+    if (row.isSwimlane) return row;
+    const dependencies = [...new Set(row.dependencies || [])]
+      .filter(id => id !== row.id && taskIds.has(id));
+    return { ...row, dependencies };
+  });
+
+  return { ...ganttData, data };
+}
+
+/**
+ * Gets the inclusive start and exclusive end (day after the last day) of a task.
+ * @param {object} row - A task row.
+ * @returns {{start: number, end: number} | null} Timestamps, or null if the task has no dates.
+ */
+function getTaskSpan(row) {
+  const start = parseIsoDate(row.bar?.startDate);
+  if (!start) return null;
+  const lastDay = parseIsoDate(row.bar.endDate, true) || start;
+  return { start: start.getTime(), end: Math.max(lastDay, start) + DAY_MS };
+}
+
+/**
+ * Finds dependency violations and the critical path.
+ *
+ * - A violation is a successor that starts before its predecessor's last day.
+ * - The critical path uses the critical path method on the planned dates:
+ *   a backward pass from the project end gives every task's latest allowed
+ *   finish, and tasks with no slack (latest finish <= planned finish) are
+ *   critical. Dependency cycles are reported and left out of the path.
+ *
+ * @param {object} ganttData - The chart data (with IDs, see ensureTaskIds).
+ * @returns {{criticalPath: string[], dependencyViolations: Array<{predecessorId: string, successorId: string, predecessorTitle: string, successorTitle: string, overlapDays: number}>, dependencyCycles: string[]}}
+ */
+export function analyzeDependencies(ganttData) {
+  const tasks = (ganttData.data || []).filter(row => !row.isSwimlane && row.id);
+  const taskById = new Map(tasks.map(task => [task.id, task]));
+  const spans = new Map();
+  for (const task of tasks) {
+    const span = getTaskSpan(task);
+    if (span) spans.set(task.id, span);
+  }
+
+  // 1. Collect the edges between dated tasks
+  const successors = new Map(tasks.map(task => [task.id, []]));
+  const inDegree = new Map(tasks.map(task => [task.id, 0]));
+  const dependencyViolations = [];
+  let edgeCount = 0;
+
+  for (const task of tasks) {
+    for (const predecessorId of task.dependencies || []) {
+      const predecessor = taskById.get(predecessorId);
+      if (!predecessor) continue;
+      successors.get(predecessorId).push(task.id);
+      inDegree.set(task.id, inDegree.get(task.id) + 1);
+      edgeCount++;
+
+      const predecessorSpan = spans.get(predecessorId);
+      const successorSpan = spans.get(task.id);
+      // Starting on the predecessor's last day is treated as a hand-over, not a clash
+      if (predecessorSpan && successorSpan && successorSpan.start < predecessorSpan.end - DAY_MS) {
+        dependencyViolations.push({
+          predecessorId,
+          successorId: task.id,
+          predecessorTitle: predecessor.title,
+          successorTitle: task.title,
+          overlapDays: Math.round((predecessorSpan.end - successorSpan.start) / DAY_MS)
+        });
+      }
+    }
+  }
+
+  if (edgeCount === 0) {
+    return { criticalPath: [], dependencyViolations, dependencyCycles: [] };
+  }
+
+  // 2. Topological order (Kahn); whatever is left over sits on a cycle
+  const order = [];
+  const queue = tasks.filter(task => inDegree.get(task.id) === 0).map(task => task.id);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    for (const successorId of successors.get(id)) {
+      inDegree.set(successorId, inDegree.get(successorId) - 1);
+      if (inDegree.get(successorId) === 0) queue.push(successorId);
+    }
+  }
+  const dependencyCycles = tasks.map(task => task.id).filter(id => !order.includes(id));
+
+  // 3. Backward pass over the dated tasks
+  const projectEnd = Math.max(...[...spans.values()].map(span => span.end));
+  const latestStart = new Map();
+  const criticalPath = [];
+
+  for (const id of [...order].reverse()) {
+    const span = spans.get(id);
+    if (!span) continue;
+
+    let latestFinish = projectEnd;
+    for (const successorId of successors.get(id)) {
+      if (latestStart.has(successorId)) {
+        latestFinish = Math.min(latestFinish, latestStart.get(successorId));
+      }
+    }
+    latestStart.set(id, latestFinish - (span.end - span.start));
+
+    if (latestFinish <= span.end) {
+      criticalPath.push(id);
+    }
+  }
+
+  // Report the path in chart order
+  const chartOrder = tasks.map(task => task.id);
+  criticalPath.sort((a, b) => chartOrder.indexOf(a) - chartOrder.indexOf(b));
+
+  return { criticalPath, dependencyViolations, dependencyCycles };
+}
@@ -0,0 +1,56 @@
+/**
+ * Reads the Server-Sent Events the server sends for long requests
+ * (see lib/progress-reply.js): `progress` and `chunk` events while it
+ * works, then a `result` or an `error` event.
+ */
+
+/**
+ * Reads an event stream response until its result.
+ * @param {Response} response - A fetch response (sent with Accept: text/event-stream).
+ * @param {object} [handlers]
+ * @param {function(object): void} [handlers.progress] - Called with each progress event.
+ * @param {function(string): void} [handlers.chunk] - Called with each piece of a streamed answer.
+ * @returns {Promise<object>} The data of the result event.
+ */
+export async function readEventStream(response, handlers = {}) {
+  // A plain JSON answer (e.g. from a proxy that drops the Accept header)
+  if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    return response.json();
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      const payload = data ? JSON.parse(data) : {};
+
+      if (event === 'progress') {
+        handlers.progress?.(payload);
+      } else if (event === 'chunk') {
+        handlers.chunk?.(payload.text);
+      } else if (event === 'error') {
+        reader.cancel();
+        throw new Error(payload.error || 'Server error');
+      } else if (event === 'result') {
+        reader.cancel();
+        return payload;
+      }
+    }
+  }
+  throw new Error('The server closed the connection before it finished.');
+}
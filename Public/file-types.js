@@ -0,0 +1,49 @@
+/**
+ * The research file types the app accepts.
+ * Shared by the upload form (main.js) and the server (/generate-chart),
+ * so the two always agree on what can be uploaded.
+ */
+
+export const SUPPORTED_FILE_TYPES = [
+  { extension: '.md', kind: 'text', mimeTypes: ['text/markdown'] },
+  { extension: '.txt', kind: 'text', mimeTypes: ['text/plain'] },
+  { extension: '.docx', kind: 'docx', mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+  { extension: '.pdf', kind: 'pdf', mimeTypes: ['application/pdf'] },
+  { extension: '.pptx', kind: 'pptx', mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'] },
+  { extension: '.xlsx', kind: 'xlsx', mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'] },
+  // Structured plans are imported directly instead of being sent to the model
+  { extension: '.csv', kind: 'csv', mimeTypes: ['text/csv'], structuredPlan: true },
+  { extension: '.xml', kind: 'msproject', mimeTypes: ['application/xml', 'text/xml'], structuredPlan: true }
+];
+
+export const SUPPORTED_FILE_EXTENSIONS = SUPPORTED_FILE_TYPES.map(type => type.extension);
+export const SUPPORTED_FILE_MIMES = SUPPORTED_FILE_TYPES.flatMap(type => type.mimeTypes);
+export const SUPPORTED_FILES_STRING = SUPPORTED_FILE_EXTENSIONS.join(', ');
+
+// Value for the file input's `accept` attribute
+export const FILE_INPUT_ACCEPT = [...SUPPORTED_FILE_EXTENSIONS, ...SUPPORTED_FILE_MIMES].join(', ');
+
+/**
+ * Checks whether a file is a structured plan (CSV task list or MS Project
+ * XML export) that is imported directly rather than analyzed by the model.
+ * @param {string} fileName - The file name.
+ * @param {string} [mimeType] - The reported MIME type.
+ * @returns {boolean}
+ */
+export function isStructuredPlan(fileName, mimeType) {
+  return Boolean(getFileType(fileName, mimeType)?.structuredPlan);
+}
+
+/**
+ * Finds the type of an uploaded file, by extension first and then by
+ * MIME type (browsers often report an empty or generic type).
+ * @param {string} fileName - The file name.
+ * @param {string} [mimeType] - The reported MIME type.
+ * @returns {{extension: string, kind: string, mimeTypes: string[], structuredPlan?: boolean} | null} Null if unsupported.
+ */
+export function getFileType(fileName, mimeType) {
+  const lowerName = (fileName || '').toLowerCase();
+  return SUPPORTED_FILE_TYPES.find(type => lowerName.endsWith(type.extension))
+    || SUPPORTED_FILE_TYPES.find(type => type.mimeTypes.includes(mimeType))
+    || null;
+}
@@ -3,14 +3,13 @@
  * It handles form submission, API calls, and chart rendering.
  */
 
-// Define supported file types for frontend validation
-const SUPPORTED_FILE_MIMES = [
-    'text/markdown',
-    'text/plain',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-];
-const SUPPORTED_FILE_EXTENSIONS = ['.md', '.txt', '.docx'];
-const SUPPORTED_FILES_STRING = SUPPORTED_FILE_EXTENSIONS.join(', ');
+// Supported file types are shared with the server (/generate-chart)
+import { getFileType, isStructuredPlan, SUPPORTED_FILES_STRING, FILE_INPUT_ACCEPT } from './file-types.js';
+import { readEventStream } from './event-stream.js';
+import { getReferenceIsoDate } from './reference-date.js';
+
+// The chart request in progress, so the Cancel button can abort it
+let generateController = null;
 
 // --- Helper function to display errors ---
 function displayError(message) {
@@ -42,11 +41,8 @@ function processFiles(files) {
 
     // 1. Validate files
     for (const file of filesArray) {
-        // Check mime type (preferred) or rely on extension fallback
-        const isValidMime = SUPPORTED_FILE_MIMES.includes(file.type);
-        const isValidExtension = SUPPORTED_FILE_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext));
-
-        if (isValidMime || isValidExtension) {
+        // Check the extension, falling back to the mime type
+        if (getFileType(file.name, file.type)) {
             validFiles.push(file);
         } else {
             invalidFiles.push(file.name);
@@ -93,10 +89,17 @@ function processFiles(files) {
 document.addEventListener("DOMContentLoaded", () => {
   const ganttForm = document.getElementById('gantt-form');
   ganttForm.addEventListener('submit', handleChartGenerate);
+  document.getElementById('cancel-generate-btn').addEventListener('click', () => {
+    generateController?.abort();
+  });
 
   const fileInput = document.getElementById('file-input');
   const dropzoneLabel = document.querySelector('.dropzone-container'); // The clickable label
 
+  // Keep the file picker and hint in sync with the supported types
+  fileInput.accept = FILE_INPUT_ACCEPT;
+  document.getElementById('supported-files-hint').textContent = `Supports ${SUPPORTED_FILES_STRING} files`;
+
   // MODIFICATION: Consolidated file selection logic into processFiles
   fileInput.addEventListener('change', (e) => {
     processFiles(e.target.files);
@@ -140,8 +143,80 @@ document.addEventListener("DOMContentLoaded", () => {
     dropzoneLabel.classList.add('border-custom-outline');
   });
 
+  // --- NEW: Show previously saved projects ---
+  loadProjectList();
+
 });
 
+/**
+ * Fetches the saved projects and lists them with open/delete actions.
+ */
+async function loadProjectList() {
+  const projectsSection = document.getElementById('projects-section');
+  const projectList = document.getElementById('project-list');
+
+  try {
+    const response = await fetch('/projects');
+    if (!response.ok) {
+      throw new Error(`Server error: ${response.status}`);
+    }
+    const projects = await response.json();
+
+    projectList.innerHTML = '';
+    if (projects.length === 0) {
+      projectsSection.classList.add('hidden');
+      return;
+    }
+
+    for (const project of projects) {
+      const li = document.createElement('li');
+      li.className = 'flex items-center justify-between gap-4';
+
+      const link = document.createElement('a');
+      link.href = `/chart.html?id=${project.id}`;
+      link.target = '_blank';
+      link.className = 'truncate hover:underline';
+      link.textContent = project.name;
+      link.title = `${project.researchFiles.join(', ')} (saved ${new Date(project.updatedAt).toLocaleString()})`;
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'text-sm opacity-60 hover:opacity-100';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => handleProjectDelete(project));
+
+      li.appendChild(link);
+      li.appendChild(deleteBtn);
+      projectList.appendChild(li);
+    }
+    projectsSection.classList.remove('hidden');
+
+  } catch (error) {
+    // The project list is optional; the generator still works without it
+    console.error("Error loading projects:", error);
+  }
+}
+
+/**
+ * Deletes a saved project after confirmation and refreshes the list.
+ * @param {{id: string, name: string}} project - The project to delete.
+ */
+async function handleProjectDelete(project) {
+  if (!confirm(`Delete the project "${project.name}"? This cannot be undone.`)) return;
+
+  try {
+    const response = await fetch(`/projects/${project.id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const err = await response.json();
+      throw new Error(err.error || `Server error: ${response.status}`);
+    }
+    loadProjectList();
+  } catch (error) {
+    console.error("Error deleting project:", error);
+    displayError(`Error: ${error.message}`);
+  }
+}
+
 /**
  * Handles the "Generate Chart" button click
  */
@@ -163,8 +238,11 @@ async function handleChartGenerate(event) {
     return;
   }
   
+  // CSV / MS Project plans are imported as they are, so they need no prompt
+  const isPlanImport = Array.from(fileInput.files).some(file => isStructuredPlan(file.name, file.type));
+
   // Check if prompt is empty (optional but good practice)
-  if (!promptInput.value.trim()) {
+  if (!promptInput.value.trim() && !isPlanImport) {
       displayError('Error: Please provide project instructions in the prompt.');
       return;
   }
@@ -174,18 +252,31 @@ async function handleChartGenerate(event) {
   for (const file of fileInput.files) {
     formData.append('researchFiles', file);
   }
+  if (isPlanImport && document.getElementById('group-legend-input').checked) {
+    formData.append('groupWithModel', 'true');
+  }
+  if (document.getElementById('analyze-all-input')?.checked) {
+    formData.append('analyzeAll', 'true');
+  }
+  // The model reads relative dates ("next quarter") and progress against it
+  formData.append('today', getReferenceIsoDate());
 
   // 2. Update UI to show loading
   generateBtn.disabled = true;
   loadingIndicator.style.display = 'flex';
   errorMessage.style.display = 'none';
   chartOutput.innerHTML = ''; // Clear old chart
+  const progressLog = createProgressLog();
+  progressLog.step('Uploading files...');
+  generateController = new AbortController();
 
   try {
-    // 3. Call the backend API (for the *initial* chart)
+    // 3. Call the backend API (for the *initial* chart), asking for progress events
     const response = await fetch('/generate-chart', {
       method: 'POST',
       body: formData,
+      headers: { 'Accept': 'text/event-stream' },
+      signal: generateController.signal
     });
 
     if (!response.ok) {
@@ -193,8 +284,10 @@ async function handleChartGenerate(event) {
       throw new Error(err.error || `Server error: ${response.status}`);
     }
 
-    // 4. Get the JSON data from the server
-    const ganttData = await response.json();
+    // 4. Follow the progress until the chart data arrives
+    const ganttData = await readEventStream(response, {
+      progress: (event) => progressLog.step(event.message, event.step)
+    });
 
     // 5. Validate the data structure
     if (!ganttData || !ganttData.timeColumns || !ganttData.data) {
@@ -213,15 +306,58 @@ async function handleChartGenerate(event) {
     
     // Open chart.html in a new tab
     window.open('/chart.html', '_blank');
-    
+    progressLog.finish('Chart ready. It opened in a new tab.');
 
   } catch (error) {
+    if (error.name === 'AbortError') {
+      progressLog.fail('Cancelled.');
+      return;
+    }
     console.error("Error generating chart:", error);
+    progressLog.fail(error.message);
     errorMessage.textContent = `Error: ${error.message}`;
     errorMessage.style.display = 'block';
   } finally {
     // 7. Restore UI
+    generateController = null;
     generateBtn.disabled = false;
     loadingIndicator.style.display = 'none';
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Clears and shows the progress log under the form.
+ * Each new step marks the one before it as done.
+ * @returns {{step: function(string, string=): void, finish: function(string): void, fail: function(string): void}}
+ */
+function createProgressLog() {
+  const list = document.getElementById('progress-log');
+  list.innerHTML = '';
+  list.classList.remove('hidden');
+  let current = null;
+
+  const add = (message, className) => {
+    current?.classList.remove('active');
+    const li = document.createElement('li');
+    li.className = `progress-step ${className}`.trim();
+    li.textContent = message;
+    list.appendChild(li);
+    list.scrollTop = list.scrollHeight;
+    return li;
+  };
+
+  return {
+    step(message, kind) {
+      // Retries stay flagged; the next step is shown as the active one
+      current = add(message, kind === 'retry' ? 'warning' : 'active');
+    },
+    finish(message) {
+      add(message, '');
+      current = null;
+    },
+    fail(message) {
+      add(message, 'failed');
+      current = null;
+    }
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * A small, safe Markdown renderer for model answers (the task Q&A chat).
+ *
+ * All text is HTML-escaped first, so the only markup in the result is the
+ * markup added here: paragraphs, line breaks, headings (shown bold),
+ * bullet and numbered lists, fenced code blocks, `code`, **bold**,
+ * *italic* and [links](https://...). Links must be http(s) and open in a
+ * new tab. Anything else, including raw HTML, is shown as plain text.
+ *
+ * It is called again on the whole text each time a streamed chunk
+ * arrives, so unfinished markup (e.g. "**bol") simply shows as typed
+ * until it is closed.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes text for HTML element content and attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Renders the inline markup of one (already escaped) line of text.
+ * @param {string} text - HTML-escaped text.
+ * @param {Array<{pattern: RegExp, render: function(...string): string}>} [rules] - Extra inline markup.
+ * @returns {string} HTML.
+ */
+function renderInline(text, rules = []) {
+  // 1. Set code spans and links aside, so their contents are not formatted
+  const kept = [];
+  const keep = (html) => `\u0000${kept.push(html) - 1}\u0000`;
+  let html = text
+    .replace(/`([^`]+)`/g, (_, code) => keep(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, (_, label, url) =>
+      keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`));
+  // ... and the extra markup, which only sees the text outside them
+  for (const { pattern, render } of rules) {
+    html = html.replace(pattern, (...match) => keep(render(...match)));
+  }
+
+  // 2. Emphasis (underscores only at word edges, so snake_case is left alone)
+  html = html
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|\W)__([^_]+)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*([^*\s](?:[^*]*[^*\s])?)\*/g, '<em>$1</em>')
+    .replace(/(^|\W)_([^_\s](?:[^_]*[^_\s])?)_(?!\w)/g, '$1<em>$2</em>');
+
+  // 3. Put the code spans and links back
+  return html.replace(/\u0000(\d+)\u0000/g, (_, index) => kept[index]);
+}
+
+/**
+ * Renders Markdown text as safe HTML.
+ * @param {string} markdown
+ * @param {object} [options]
+ * @param {Array<{pattern: RegExp, render: function(...string): string}>} [options.inlineRules] -
+ *   Extra inline markup (e.g. the assistant's row links). Each global `pattern`
+ *   is matched against the escaped text outside code and links, and `render`
+ *   gets the match and its groups and returns the HTML to show instead.
+ * @returns {string} HTML.
+ */
+export function renderMarkdown(markdown, { inlineRules = [] } = {}) {
+  const renderLine = (text) => renderInline(text, inlineRules);
+  const lines = escapeHtml(String(markdown ?? '').replace(/\u0000/g, '')).split(/\r?\n/);
+  const blocks = [];
+  let paragraph = [];
+  let list = null; // { tag: 'ul' | 'ol', items: string[] }
+  let code = null; // string[] inside a fenced block
+
+  const closeParagraph = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(renderLine).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const closeList = () => {
+    if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderLine(item)}</li>`).join('')}</${list.tag}>`);
+    list = null;
+  };
+
+  for (const line of lines) {
+    // Fenced code blocks are kept as they are (an unclosed one runs to the end)
+    if (code) {
+      if (/^\s*```/.test(line)) {
+        blocks.push(`<pre><code>${code.join('\n')}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+    if (/^\s*```/.test(line)) {
+      closeParagraph();
+      closeList();
+      code = [];
+      continue;
+    }
+
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+
+    if (bullet || numbered) {
+      const tag = bullet ? 'ul' : 'ol';
+      closeParagraph();
+      if (list?.tag !== tag) closeList();
+      list ??= { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (heading) {
+      closeParagraph();
+      closeList();
+      blocks.push(`<p><strong>${renderLine(heading[1])}</strong></p>`);
+    } else if (!line.trim()) {
+      closeParagraph();
+      closeList();
+    } else if (list && /^\s+\S/.test(line)) {
+      // An indented line continues the last list item
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      closeList();
+      paragraph.push(line.trim());
+    }
+  }
+
+  if (code) blocks.push(`<pre><code>${code.join('\n')}</code></pre>`);
+  closeParagraph();
+  closeList();
+  return blocks.join('');
+}
@@ -0,0 +1,44 @@
+/**
+ * The reference date ("today") on chart.html: where the today line is
+ * drawn, the date bar statuses are judged on, and the date sent with
+ * every request whose prompt mentions today (analysis, Q&A, refinement,
+ * exports; index.html sends it with the chart request too).
+ *
+ * It is the real current date unless the page URL has a
+ * ?today=YYYY-MM-DD override, which the toolbar's date picker sets, so a
+ * shared link shows the chart as of the same day.
+ */
+
+import { parseTodayDate, formatIsoDate, toUtcDay } from './timeline.js';
+
+/**
+ * Gets the reference date.
+ * @returns {Date} The ?today= date (at midday), or now.
+ */
+export function getReferenceDate() {
+  const override = new URLSearchParams(window.location.search).get('today');
+  return parseTodayDate(override) || new Date();
+}
+
+/**
+ * Gets the reference date as sent to the server.
+ * @returns {string} e.g. "2025-11-14".
+ */
+export function getReferenceIsoDate() {
+  return formatIsoDate(toUtcDay(getReferenceDate()));
+}
+
+/**
+ * Overrides the reference date (or goes back to the real date), keeping
+ * the override in the URL without reloading the page.
+ * @param {string} [isoDate] - "YYYY-MM-DD"; empty or invalid clears the override.
+ */
+export function setReferenceDate(isoDate) {
+  const url = new URL(window.location.href);
+  if (parseTodayDate(isoDate)) {
+    url.searchParams.set('today', isoDate);
+  } else {
+    url.searchParams.delete('today');
+  }
+  window.history.replaceState(window.history.state, '', url);
+}
@@ -0,0 +1,492 @@
+/**
+ * Shared timeline helpers for the date-based task model.
+ * This file is used by both the browser (chart-renderer.js) and the
+ * server (server.js), so it must not touch the DOM or Node APIs.
+ *
+ * All dates are handled as UTC midnight so the server and every browser
+ * derive exactly the same columns from the same ISO dates.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// The supported column granularities, finest first
+export const TIME_INTERVALS = ['weeks', 'months', 'quarters', 'years'];
+
+/**
+ * Parses an ISO date ("2026-03-15", "2026-03" or "2026") into a UTC date.
+ * Partial dates resolve to the first day of the period, or to the last day
+ * when `endOfPeriod` is set (so "2026" as an end date means Dec 31, 2026).
+ * @param {string | null} value - The ISO date string.
+ * @param {boolean} [endOfPeriod=false] - Resolve partial dates to the period's last day.
+ * @returns {Date | null} The date, or null if missing or unparseable.
+ */
+export function parseIsoDate(value, endOfPeriod = false) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : (endOfPeriod ? 11 : 0);
+  let day;
+  if (match[3]) {
+    day = Number(match[3]);
+  } else {
+    day = endOfPeriod ? new Date(Date.UTC(year, month + 1, 0)).getUTCDate() : 1;
+  }
+
+  const date = new Date(Date.UTC(year, month, day));
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Formats a UTC date as "YYYY-MM-DD".
+ * @param {Date} date - The date.
+ * @returns {string}
+ */
+export function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Converts a local Date (e.g. `new Date()`) to UTC midnight of the same calendar day.
+ * @param {Date} date - The local date.
+ * @returns {Date}
+ */
+export function toUtcDay(date) {
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+/**
+ * Parses a "today" override ("YYYY-MM-DD", from a URL or a request) into a
+ * local date at midday, where the today line is drawn.
+ * @param {string} value
+ * @returns {Date | null} Null if it is not a valid date.
+ */
+export function parseTodayDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T12:00:00`);
+  return isNaN(date) || formatIsoDate(toUtcDay(date)) !== value ? null : date;
+}
+
+/**
+ * Gets the ISO 8601 week number for a given date.
+ * @param {Date} date - The date.
+ * @returns {number} The week number.
+ */
+export function getWeek(date) {
+  var d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  var dayNum = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+  var yearStart = new Date(Date.UTC(d.getUTCFullYear(),0,1));
+  return Math.ceil((((d - yearStart) / 86400000) + 1)/7);
+}
+
+/**
+ * Gets the ISO week-numbering year (which differs from the calendar
+ * year for the first and last few days of some years).
+ * @param {Date} date - A UTC date.
+ * @returns {number}
+ */
+function getIsoWeekYear(date) {
+  const d = new Date(date.getTime());
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  return d.getUTCFullYear();
+}
+
+/**
+ * Picks the column interval from the total duration of the range,
+ * using the same rules the prompt used to give the model:
+ * up to 3 months = weeks, up to 12 months = months,
+ * up to 3 years = quarters, anything longer = years.
+ * @param {Date} start - The first day of the range.
+ * @param {Date} end - The last day of the range.
+ * @returns {string} One of TIME_INTERVALS.
+ */
+export function chooseTimeInterval(start, end) {
+  const months = (end - start) / DAY_MS / (365.25 / 12);
+  if (months <= 3) return 'weeks';
+  if (months <= 12) return 'months';
+  if (months <= 36) return 'quarters';
+  return 'years';
+}
+
+/**
+ * Snaps a date back to the start of the interval period that contains it.
+ * @param {Date} date - A UTC date.
+ * @param {string} interval - One of TIME_INTERVALS.
+ * @returns {Date}
+ */
+function startOfPeriod(date, interval) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (interval) {
+    case 'weeks': {
+      const dayNum = date.getUTCDay() || 7; // Weeks start on Monday (ISO)
+      return new Date(Date.UTC(year, month, date.getUTCDate() - dayNum + 1));
+    }
+    case 'months':
+      return new Date(Date.UTC(year, month, 1));
+    case 'quarters':
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    default:
+      return new Date(Date.UTC(year, 0, 1));
+  }
+}
+
+/**
+ * Returns the first day of the period after the one starting at `start`.
+ * @param {Date} start - The start of a period.
+ * @param {string} interval - One of TIME_INTERVALS.
+ * @returns {Date}
+ */
+function nextPeriod(start, interval) {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  switch (interval) {
+    case 'weeks':
+      return new Date(Date.UTC(year, month, start.getUTCDate() + 7));
+    case 'months':
+      return new Date(Date.UTC(year, month + 1, 1));
+    case 'quarters':
+      return new Date(Date.UTC(year, month + 3, 1));
+    default:
+      return new Date(Date.UTC(year + 1, 0, 1));
+  }
+}
+
+/**
+ * Builds the label for the period starting at `start`
+ * (e.g. "W46 2025", "Nov 2025", "Q4 2025", "2025").
+ * @param {Date} start - The start of a period.
+ * @param {string} interval - One of TIME_INTERVALS.
+ * @returns {string}
+ */
+function periodLabel(start, interval) {
+  const year = start.getUTCFullYear();
+  switch (interval) {
+    case 'weeks':
+      return `W${getWeek(new Date(year, start.getUTCMonth(), start.getUTCDate()))} ${getIsoWeekYear(start)}`;
+    case 'months':
+      return `${MONTH_NAMES[start.getUTCMonth()]} ${year}`;
+    case 'quarters':
+      return `Q${Math.floor(start.getUTCMonth() / 3) + 1} ${year}`;
+    default:
+      return `${year}`;
+  }
+}
+
+/**
+ * Builds the columns covering a date range.
+ * @param {Date} start - The first day of the range.
+ * @param {Date} end - The last day of the range (inclusive).
+ * @param {string} interval - One of TIME_INTERVALS.
+ * @returns {Array<{label: string, start: Date, end: Date}>} Columns; each `end` is exclusive.
+ */
+export function buildTimeColumns(start, end, interval) {
+  const columns = [];
+  let periodStart = startOfPeriod(start, interval);
+  while (periodStart <= end) {
+    const periodEnd = nextPeriod(periodStart, interval);
+    columns.push({ label: periodLabel(periodStart, interval), start: periodStart, end: periodEnd });
+    periodStart = periodEnd;
+  }
+  return columns;
+}
+
+/**
+ * Parses a time column label back into its interval and dates.
+ * Understands every label format buildTimeColumns produces (and that
+ * older charts received from the model): "2025", "Q4 2025", "Nov 2025"
+ * and "W46 2025".
+ * @param {string} label - The column label.
+ * @returns {{interval: string, start: Date, end: Date} | null} Null for unknown formats.
+ */
+export function parseTimeColumnLabel(label) {
+  if (typeof label !== 'string') return null;
+  const text = label.trim();
+  let match;
+
+  // 1. Year columns (e.g., "2025")
+  if (/^\d{4}$/.test(text)) {
+    const start = new Date(Date.UTC(Number(text), 0, 1));
+    return { interval: 'years', start, end: nextPeriod(start, 'years') };
+  }
+
+  // 2. Quarter columns (e.g., "Q4 2025")
+  if ((match = text.match(/^Q([1-4])\s(\d{4})$/))) {
+    const start = new Date(Date.UTC(Number(match[2]), (Number(match[1]) - 1) * 3, 1));
+    return { interval: 'quarters', start, end: nextPeriod(start, 'quarters') };
+  }
+
+  // 3. Month columns (e.g., "Nov 2025")
+  if ((match = text.match(/^([A-Za-z]{3})\s(\d{4})$/))) {
+    const month = MONTH_NAMES.findIndex(name => name.toLowerCase() === match[1].toLowerCase());
+    if (month === -1) return null;
+    const start = new Date(Date.UTC(Number(match[2]), month, 1));
+    return { interval: 'months', start, end: nextPeriod(start, 'months') };
+  }
+
+  // 4. Week columns (e.g., "W46 2025"); ISO week 1 contains January 4th
+  if ((match = text.match(/^W(\d{1,2})\s(\d{4})$/))) {
+    const week1Monday = startOfPeriod(new Date(Date.UTC(Number(match[2]), 0, 4)), 'weeks');
+    const start = new Date(week1Monday.getTime() + (Number(match[1]) - 1) * 7 * DAY_MS);
+    return { interval: 'weeks', start, end: nextPeriod(start, 'weeks') };
+  }
+
+  return null; // Unknown format
+}
+
+/**
+ * Converts a date into a fractional column position.
+ * 0 is the left edge of the first column and `columns.length` is the right
+ * edge of the last one; dates outside the range are clamped to the edges.
+ * @param {Date} date - A UTC date.
+ * @param {Array<{start: Date, end: Date}>} columns - From buildTimeColumns.
+ * @returns {number}
+ */
+export function dateToColumnPosition(date, columns) {
+  if (columns.length === 0) return 0;
+  if (date <= columns[0].start) return 0;
+
+  for (let i = 0; i < columns.length; i++) {
+    const { start, end } = columns[i];
+    if (date < end) {
+      return i + (date - start) / (end - start);
+    }
+  }
+  return columns.length;
+}
+
+/**
+ * Converts a fractional column position back into a date
+ * (the inverse of dateToColumnPosition). Positions outside the
+ * columns are clamped to the first and last column edges.
+ * @param {number} position - Fractional column position.
+ * @param {Array<{start: Date, end: Date}>} columns - From buildTimeColumns.
+ * @returns {Date | null} The date (not rounded to a whole day), or null without columns.
+ */
+export function columnPositionToDate(position, columns) {
+  if (columns.length === 0) return null;
+  const clamped = Math.min(Math.max(position, 0), columns.length);
+  const index = Math.min(Math.floor(clamped), columns.length - 1);
+  const { start, end } = columns[index];
+  return new Date(start.getTime() + (clamped - index) * (end - start));
+}
+
+/**
+ * Rounds a date to the nearest UTC midnight.
+ * @param {Date} date - The date.
+ * @returns {Date}
+ */
+export function roundToUtcDay(date) {
+  return new Date(Math.round(date / DAY_MS) * DAY_MS);
+}
+
+/**
+ * Adds whole days to a UTC date.
+ * @param {Date} date - The date.
+ * @param {number} days - Days to add (may be negative).
+ * @returns {Date}
+ */
+export function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Converts a task's inclusive start/end dates into column positions.
+ * The end position covers the whole end day.
+ * @param {{startDate: string, endDate: string}} bar - The bar data.
+ * @param {Array<{start: Date, end: Date}>} columns - From buildTimeColumns.
+ * @returns {{start: number, end: number} | null} Null if the bar has no start date.
+ */
+export function barToColumnPositions(bar, columns) {
+  const startDate = parseIsoDate(bar.startDate);
+  if (!startDate) return null;
+  const endDate = parseIsoDate(bar.endDate, true) || startDate;
+
+  const dayAfterEnd = new Date(Math.max(endDate, startDate) + DAY_MS);
+  return {
+    start: dateToColumnPosition(startDate, columns),
+    end: dateToColumnPosition(dayAfterEnd, columns)
+  };
+}
+
+/**
+ * Works out the chart's date range: the earliest and latest task dates,
+ * widened to the explicit `timeRange` if the model returned one. The
+ * explicit range is only a minimum, so a task moved past it (by an edit
+ * or a refinement) still fits on the grid.
+ * @param {object} ganttData - The chart data.
+ * @returns {{start: Date, end: Date} | null} Null if no task has a date and there is no explicit range.
+ */
+export function resolveTimeRange(ganttData) {
+  let start = null;
+  let end = null;
+  const explicitStart = parseIsoDate(ganttData.timeRange?.start);
+  const explicitEnd = parseIsoDate(ganttData.timeRange?.end, true);
+  if (explicitStart && explicitEnd && explicitStart <= explicitEnd) {
+    start = explicitStart;
+    end = explicitEnd;
+  }
+
+  for (const row of ganttData.data || []) {
+    if (row.isSwimlane || !row.bar) continue;
+    const rowStart = parseIsoDate(row.bar.startDate);
+    const rowEnd = parseIsoDate(row.bar.endDate, true) || rowStart;
+    if (rowStart && (!start || rowStart < start)) start = rowStart;
+    if (rowEnd && (!end || rowEnd > end)) end = rowEnd;
+  }
+  if (!start || !end) return null;
+  return { start, end: end < start ? start : end };
+}
+
+/**
+ * Fills in ISO dates for bars that only have column indexes, which is how
+ * charts were stored before the date-based model. The dates come from the
+ * parsed column labels, and the chart's range becomes the span of its
+ * columns. Bars that already have dates are left alone.
+ * @param {object} ganttData - The chart data.
+ * @returns {object} A new ganttData object where every placeable bar has dates.
+ */
+export function withBarDates(ganttData) {
+  const columns = (ganttData.timeColumns || []).map(parseTimeColumnLabel);
+  if (columns.length === 0 || columns.some(column => !column)) return ganttData;
+
+  const data = (ganttData.data || []).map(row => {
+    const bar = row.bar;
+    if (row.isSwimlane || !bar || bar.startDate || bar.startCol == null) return row;
+
+    const startColumn = columns[bar.startCol - 1];
+    const endColumn = columns[(bar.endCol || bar.startCol + 1) - 2] || startColumn;
+    if (!startColumn) return row;
+
+    return {
+      ...row,
+      bar: {
+        ...bar,
+        startDate: formatIsoDate(startColumn.start),
+        endDate: formatIsoDate(new Date(endColumn.end - DAY_MS)) // Last day of the end column
+      }
+    };
+  });
+
+  const timeRange = ganttData.timeRange || {
+    start: formatIsoDate(columns[0].start),
+    end: formatIsoDate(new Date(columns[columns.length - 1].end - DAY_MS))
+  };
+  return { ...ganttData, timeRange, data };
+}
+
+/**
+ * Derives the time columns and bar column indexes from the task dates.
+ * The chart's range is resolved (see resolveTimeRange) and kept as ISO
+ * dates in `columnRange`, the `timeInterval` is chosen from its duration
+ * (unless one is passed in), and every dated bar gets 1-based
+ * `startCol`/`endCol` values covering the columns it touches.
+ * The explicit `timeRange` is left as it was, so deriving again after the
+ * dates change can grow or shrink the range.
+ * @param {object} ganttData - The chart data with ISO dates on each bar.
+ * @param {string} [interval] - Force a specific interval instead of choosing one.
+ * @returns {object} A new ganttData object with `columnRange`, `timeInterval` and `timeColumns`.
+ */
+export function deriveTimeline(ganttData, interval) {
+  const range = resolveTimeRange(ganttData);
+  if (!range) {
+    return { ...ganttData, timeColumns: [] };
+  }
+
+  const timeInterval = TIME_INTERVALS.includes(interval) ? interval : chooseTimeInterval(range.start, range.end);
+  const columns = buildTimeColumns(range.start, range.end, timeInterval);
+
+  const data = (ganttData.data || []).map(row => {
+    if (row.isSwimlane || !row.bar) return row;
+    const positions = barToColumnPositions(row.bar, columns);
+    if (!positions) {
+      return { ...row, bar: { ...row.bar, startCol: null, endCol: null } };
+    }
+    const startCol = Math.floor(positions.start) + 1;
+    const endCol = Math.max(Math.ceil(positions.end) + 1, startCol + 1);
+    return { ...row, bar: { ...row.bar, startCol, endCol } };
+  });
+
+  return {
+    ...ganttData,
+    columnRange: { start: formatIsoDate(range.start), end: formatIsoDate(range.end) },
+    timeInterval,
+    timeColumns: columns.map(column => column.label),
+    data
+  };
+}
+
+/**
+ * Rebuilds the column objects (with dates) for a chart.
+ * Charts produced by deriveTimeline are rebuilt from their range and
+ * interval (`timeRange` for charts derived before `columnRange` existed);
+ * older charts fall back to parsing their column labels.
+ * @param {object} ganttData - The chart data.
+ * @returns {Array<{label: string, start: Date, end: Date}> | null} Null if the columns have no known dates.
+ */
+export function getTimelineColumns(ganttData) {
+  const range = ganttData.columnRange || ganttData.timeRange;
+  const start = parseIsoDate(range?.start);
+  const end = parseIsoDate(range?.end, true);
+  if (start && end && TIME_INTERVALS.includes(ganttData.timeInterval)) {
+    return buildTimeColumns(start, end, ganttData.timeInterval);
+  }
+
+  const columns = (ganttData.timeColumns || []).map(label => {
+    const parsed = parseTimeColumnLabel(label);
+    return parsed && { label, start: parsed.start, end: parsed.end };
+  });
+  if (columns.length === 0 || columns.some(column => !column)) return null;
+  return columns;
+}
+
+/**
+ * Works out which interval a chart is currently shown at.
+ * @param {object} ganttData - The chart data.
+ * @returns {string | null} One of TIME_INTERVALS, or null if unknown.
+ */
+export function getTimeInterval(ganttData) {
+  if (TIME_INTERVALS.includes(ganttData.timeInterval)) return ganttData.timeInterval;
+  return parseTimeColumnLabel(ganttData.timeColumns?.[0])?.interval || null;
+}
+
+// -------------------------------------------------------------------
+// --- TASK STATUS ---
+// -------------------------------------------------------------------
+
+// The statuses getTaskStatus can return, with their labels
+export const TASK_STATUS_LABELS = {
+  completed: 'Completed',
+  'in-progress': 'In progress',
+  overdue: 'Overdue',
+  'not-started': 'Not started'
+};
+
+/**
+ * Works out a task's status on a given day from its dates, and from its
+ * progress (percent complete) when that is known:
+ * - "completed": progress is 100, or the task ended before today and no
+ *   lower progress is recorded;
+ * - "overdue": the task ended before today but its progress is below 100;
+ * - "in-progress": today is between its start and end dates;
+ * - "not-started": it starts after today.
+ * @param {object} row - A task row with ISO `bar` dates and an optional `progress` (0-100).
+ * @param {Date} today - The reference date (a local date, e.g. `new Date()`).
+ * @returns {string | null} A key of TASK_STATUS_LABELS, or null for swimlanes and undated tasks.
+ */
+export function getTaskStatus(row, today) {
+  if (row.isSwimlane) return null;
+  const start = parseIsoDate(row.bar?.startDate);
+  if (!start) return null;
+  const end = parseIsoDate(row.bar?.endDate, true) || start;
+  const day = toUtcDay(today);
+  const progress = typeof row.progress === 'number' ? row.progress : null;
+
+  if (progress !== null && progress >= 100) return 'completed';
+  if (end < day) return progress === null ? 'completed' : 'overdue';
+  if (start <= day) return 'in-progress';
+  return 'not-started';
+}
@@ -0,0 +1,108 @@
+/**
+ * "Analyze all tasks" background jobs. A job runs the task analysis for
+ * every task of a chart, at most ANALYSIS_CONCURRENCY model calls at a
+ * time, so the analysis modal can later be served from the cache.
+ *
+ * There is one job per chart. Its progress can be read until a while
+ * after it finishes (JOB_KEEP_MINUTES); jobs are not kept across restarts,
+ * but the analyses they produced are (see lib/session-store.js).
+ */
+
+// --- Configuration ---
+const CONCURRENCY = Number(process.env.ANALYSIS_CONCURRENCY) || 2;
+// The most tasks one job may analyze (each is a model call)
+export const MAX_JOB_TASKS = Number(process.env.ANALYSIS_MAX_TASKS) || 200;
+const JOB_KEEP_MS = 30 * 60 * 1000;
+// ---
+
+const jobs = new Map();
+
+/**
+ * Gets the progress of a job, as sent to the browser.
+ * @param {object} job
+ * @returns {{status: 'running' | 'done', total: number, completed: number, failed: Array<{taskName: string, entity: string, error: string}>}}
+ */
+function describeJob(job) {
+  return {
+    status: job.status,
+    total: job.total,
+    completed: job.completed,
+    failed: [...job.failed]
+  };
+}
+
+/**
+ * Starts analyzing a chart's tasks in the background. If a job for the
+ * chart is still running, that job is kept and no new one is started.
+ * @param {string} chartId
+ * @param {Array<{taskName: string, entity: string}>} tasks
+ * @param {function({taskName: string, entity: string}, function(): string): Promise<void>} analyze -
+ *   Analyzes (and caches) one task. It also gets a function that returns
+ *   the job's current chart ID, which changes if the job is moved (see moveAnalysisJob).
+ * @param {{concurrency?: number, maxTasks?: number}} [options]
+ * @returns {object} The job's progress (see describeJob).
+ * @throws {Error} If there are more tasks than one job may analyze.
+ */
+export function startAnalysisJob(chartId, tasks, analyze, { concurrency = CONCURRENCY, maxTasks = MAX_JOB_TASKS } = {}) {
+  if (tasks.length > maxTasks) {
+    throw new Error(`Too many tasks: at most ${maxTasks} can be analyzed at once.`);
+  }
+  const running = jobs.get(chartId);
+  if (running?.status === 'running') return describeJob(running);
+
+  const job = { chartId, status: 'running', total: tasks.length, completed: 0, failed: [] };
+  jobs.set(chartId, job);
+  const currentChartId = () => job.chartId;
+
+  // Each worker takes the next task until none are left
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const task = tasks[next++];
+      try {
+        await analyze(task, currentChartId);
+        job.completed++;
+      } catch (e) {
+        console.error(`Background analysis of "${task.taskName}" failed:`, e.message);
+        job.failed.push({ taskName: task.taskName, entity: task.entity, error: e.message });
+      }
+    }
+  };
+
+  Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker)).then(() => {
+    job.status = 'done';
+    // Keep the result around for a while, unless a newer job replaced it
+    setTimeout(() => {
+      for (const [id, entry] of jobs) {
+        if (entry === job) jobs.delete(id);
+      }
+    }, JOB_KEEP_MS).unref();
+  });
+  if (tasks.length === 0) job.status = 'done';
+
+  return describeJob(job);
+}
+
+/**
+ * Moves a chart's job to a new chart ID (a chart saved as a project
+ * continues under the project's ID). The rest of its tasks are analyzed
+ * for the new ID, and its progress can be read under either ID.
+ * @param {string} fromChartId
+ * @param {string} toChartId
+ */
+export function moveAnalysisJob(fromChartId, toChartId) {
+  const job = jobs.get(fromChartId);
+  if (!job) return;
+  job.chartId = toChartId;
+  jobs.set(toChartId, job);
+}
+
+/**
+ * Gets the progress of a chart's analysis job.
+ * @param {string} chartId
+ * @returns {object | null} The progress (see describeJob), or null if the chart has no job.
+ */
+export function getAnalysisJob(chartId) {
+  const job = jobs.get(chartId);
+  return job ? describeJob(job) : null;
+}
@@ -0,0 +1,100 @@
+import { randomUUID } from 'crypto';
+import { mkdir, readFile, writeFile, unlink, readdir } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Baseline snapshots of charts, for plan-versus-actual comparison (see
+ * Public/chart-compare.js). A baseline is a frozen copy of a chart's data
+ * at the time it was saved, stored as one JSON file per baseline in
+ * BASELINE_STORE_DIR. Baselines never change after they are saved; they
+ * are removed only through deleteBaseline.
+ */
+
+// --- Configuration ---
+const STORE_DIR = process.env.BASELINE_STORE_DIR || join(process.cwd(), 'data', 'baselines');
+// ---
+
+// Only IDs we generated ourselves are ever used as file names
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function baselineFilePath(id) {
+  return join(STORE_DIR, `${id}.json`);
+}
+
+/**
+ * Saves a chart as a new baseline.
+ * @param {{name?: string, ganttData: object}} details
+ * @returns {Promise<object>} The stored baseline.
+ */
+export async function saveBaseline({ name, ganttData }) {
+  const savedAt = new Date().toISOString();
+  const baseline = {
+    id: randomUUID(),
+    name: name || `${ganttData.title || 'Untitled chart'} (${savedAt.slice(0, 10)})`,
+    savedAt,
+    ganttData
+  };
+  await mkdir(STORE_DIR, { recursive: true });
+  await writeFile(baselineFilePath(baseline.id), JSON.stringify(baseline));
+  return baseline;
+}
+
+/**
+ * Loads a baseline by ID.
+ * @param {string} id - The baseline ID.
+ * @returns {Promise<object | null>} The baseline, or null if it does not exist.
+ */
+export async function getBaseline(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+  try {
+    return JSON.parse(await readFile(baselineFilePath(id), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+/**
+ * Lists every baseline, most recent first. Chart data is left out to
+ * keep the list small.
+ * @returns {Promise<Array<{id: string, name: string, title: string, savedAt: string, taskCount: number}>>}
+ */
+export async function listBaselines() {
+  let fileNames;
+  try {
+    fileNames = await readdir(STORE_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') return []; // Nothing saved yet
+    throw e;
+  }
+
+  const baselines = [];
+  for (const fileName of fileNames) {
+    const baseline = await getBaseline(fileName.replace(/\.json$/, ''));
+    if (!baseline) continue;
+    baselines.push({
+      id: baseline.id,
+      name: baseline.name,
+      title: baseline.ganttData.title,
+      savedAt: baseline.savedAt,
+      taskCount: (baseline.ganttData.data || []).filter(row => !row.isSwimlane).length
+    });
+  }
+  return baselines.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Deletes a baseline.
+ * @param {string} id - The baseline ID.
+ * @returns {Promise<boolean>} False if the baseline did not exist.
+ */
+export async function deleteBaseline(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) return false;
+  try {
+    await unlink(baselineFilePath(id));
+    return true;
+  } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw e;
+  }
+}
@@ -0,0 +1,351 @@
+import PDFDocument from 'pdfkit';
+import PptxGenJS from 'pptxgenjs';
+import { Resvg } from '@resvg/resvg-js';
+import { paginateChart, CHART_THEME } from '../Public/chart-layout.js';
+import { buildChartSvg } from '../Public/chart-svg.js';
+
+/**
+ * Server-side exports of a chart: SVG, PNG, PDF and PowerPoint.
+ * All of them draw the chart from the shared layout in
+ * Public/chart-layout.js, so they match the chart in the browser.
+ * PDF and PowerPoint split long charts across pages/slides with the
+ * title and time header repeated on each one and the legend at the end.
+ */
+
+// --- Configuration ---
+// The chart is laid out at this width (in pixels) and scaled to the page
+const LAYOUT_WIDTH = 1400;
+// A4 landscape, in points
+const PDF_PAGE = { width: 841.89, height: 595.28 };
+// PowerPoint's 16:9 layout, in inches
+const PPTX_SLIDE = { layout: 'LAYOUT_WIDE', width: 13.333, height: 7.5 };
+// The arrowheads are drawn 9px long (the screen's 6px marker at stroke width 1.5)
+const ARROWHEAD = 9;
+// PNGs are rendered at 2x, like the browser's "Export as PNG"
+const PNG_SCALE = 2;
+// ---
+
+/**
+ * Draws a chart as a standalone SVG file, with the logo embedded.
+ * @param {object} ganttData - The chart data, at the time scale being shown.
+ * @param {object} [options]
+ * @param {number} [options.width] - The image width in pixels (default LAYOUT_WIDTH).
+ * @param {Date | null} [options.today] - Where to draw the today line.
+ * @param {boolean} [options.showLegend=true] - Whether to include the legend.
+ * @param {Buffer} [options.logo] - The logo PNG.
+ * @returns {Promise<Buffer>} The SVG file.
+ */
+export async function exportChartSvg(ganttData, { width = LAYOUT_WIDTH, today = null, showLegend = true, logo } = {}) {
+  const svg = buildChartSvg(ganttData, {
+    width,
+    today,
+    showLegend,
+    logoHref: logo ? `data:image/png;base64,${logo.toString('base64')}` : undefined
+  });
+  return Buffer.from(svg);
+}
+
+/**
+ * Draws a chart as a PNG image (the SVG export, rasterized at 2x).
+ * @param {object} ganttData - The chart data, at the time scale being shown.
+ * @param {object} [options] - As exportChartSvg.
+ * @returns {Promise<Buffer>} The PNG file.
+ */
+export async function exportChartPng(ganttData, options = {}) {
+  const svg = await exportChartSvg(ganttData, options);
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'zoom', value: PNG_SCALE },
+    background: CHART_THEME.background,
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans', sansSerifFamily: 'DejaVu Sans' }
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * Draws a chart as a PDF, one or more A4 landscape pages.
+ * @param {object} ganttData - The chart data, at the time scale being shown.
+ * @param {object} [options]
+ * @param {Date | null} [options.today] - Where to draw the today line.
+ * @param {boolean} [options.showLegend=true] - Whether to include the legend.
+ * @param {Buffer} [options.logo] - The logo PNG.
+ * @returns {Promise<Buffer>} The PDF file.
+ */
+export function exportChartPdf(ganttData, { today = null, showLegend = true, logo } = {}) {
+  const scale = PDF_PAGE.width / LAYOUT_WIDTH;
+  const pages = paginateChart(ganttData, { width: LAYOUT_WIDTH, pageHeight: PDF_PAGE.height / scale, today, showLegend });
+
+  const doc = new PDFDocument({
+    size: [PDF_PAGE.width, PDF_PAGE.height],
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: ganttData.title || 'Gantt chart' }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  for (const layout of pages) {
+    doc.addPage();
+    doc.rect(0, 0, PDF_PAGE.width, PDF_PAGE.height).fill(CHART_THEME.background);
+    doc.save();
+    doc.scale(scale);
+    drawPdfPage(doc, layout, logo);
+    doc.restore();
+  }
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Draws one page's layout (in layout pixels; the caller scales it to the page).
+ */
+function drawPdfPage(doc, layout, logo) {
+  const { width, header } = layout;
+  const text = (value, x, y, { fontSize, bold = false, color = CHART_THEME.text, align = 'left', boxWidth } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize).fillColor(color);
+    doc.text(value, x, y, { width: boxWidth, align, baseline: 'middle', lineBreak: false });
+  };
+  const line = (x1, y1, x2, y2, color, lineWidth = 1) => {
+    doc.moveTo(x1, y1).lineTo(x2, y2).lineWidth(lineWidth).stroke(color);
+  };
+
+  // 1. Title and logo
+  text(layout.title.text, 0, layout.title.y, { fontSize: layout.title.fontSize, bold: true, align: 'center', boxWidth: width });
+  if (logo) {
+    doc.image(logo, layout.logo.x, layout.logo.y, { width: layout.logo.width, height: layout.logo.height });
+  }
+
+  // 2. Header, row backgrounds, grid lines and labels
+  for (const cell of header.cells) {
+    text(cell.label, cell.x, header.y + header.height / 2, { fontSize: header.fontSize, align: 'center', boxWidth: cell.width });
+  }
+  line(0, layout.gridTop, width, layout.gridTop, CHART_THEME.gridLine);
+  for (const row of layout.rows) {
+    if (row.isSwimlane) {
+      doc.rect(0, row.y, width, row.height).fill(CHART_THEME.swimlaneBackground);
+    }
+    line(0, row.y + row.height, width, row.y + row.height, CHART_THEME.gridLine);
+    text(row.label.text, row.label.x, row.label.y, { fontSize: row.label.fontSize, bold: row.label.bold });
+  }
+  for (const x of layout.columnLines) {
+    line(x, header.y, x, layout.gridBottom, CHART_THEME.gridLine);
+  }
+
+  // 3. Bars and milestones
+  for (const row of layout.rows) {
+    const { bar } = row;
+    if (!bar) continue;
+    if (bar.kind === 'milestone') {
+      const half = bar.size * Math.SQRT1_2;
+      doc.polygon([bar.cx, bar.cy - half], [bar.cx + half, bar.cy], [bar.cx, bar.cy + half], [bar.cx - half, bar.cy]);
+    } else {
+      doc.roundedRect(bar.x, bar.y, bar.width, bar.height, 4);
+    }
+    // Overdue bars are outlined in red instead of white, as in the SVG
+    doc.fillOpacity(bar.opacity);
+    if (bar.status === 'overdue') {
+      doc.lineWidth(2).dash(4, { space: 2 }).fillAndStroke(bar.color, CHART_THEME.overdue).undash();
+    } else if (bar.critical) {
+      doc.lineWidth(2).fillAndStroke(bar.color, CHART_THEME.critical);
+    } else {
+      doc.fill(bar.color);
+    }
+    doc.fillOpacity(1);
+  }
+
+  // 4. Dependency arrows
+  for (const arrow of layout.arrows) {
+    const color = arrowColor(arrow.kind);
+    const [[x1, y1], ...rest] = arrow.points;
+    const [x2, y2] = rest[rest.length - 1];
+    doc.moveTo(x1, y1);
+    rest.slice(0, -1).forEach(([x, y]) => doc.lineTo(x, y));
+    doc.lineTo(x2 - ARROWHEAD / 2, y2);
+    if (arrow.kind === 'violation') doc.dash(4, { space: 3 });
+    doc.lineWidth(1.5).stroke(color);
+    doc.undash();
+    doc.polygon([x2, y2], [x2 - ARROWHEAD, y2 - ARROWHEAD / 2], [x2 - ARROWHEAD, y2 + ARROWHEAD / 2]).fill(color);
+  }
+
+  // 5. Today line
+  if (layout.todayX !== null) {
+    line(layout.todayX, layout.gridTop, layout.todayX, layout.gridBottom, CHART_THEME.today);
+  }
+
+  // 6. Legend
+  if (layout.legend) {
+    const { legend } = layout;
+    const size = legend.swatchSize;
+    for (const item of legend.items) {
+      const cy = item.y + size / 2;
+      if (item.kind === 'milestone') {
+        const half = 10 * Math.SQRT1_2;
+        const cx = item.x + size / 2;
+        doc.polygon([cx, cy - half], [cx + half, cy], [cx, cy + half], [cx - half, cy]).fill(item.color);
+      } else if (item.kind === 'critical') {
+        doc.roundedRect(item.x + 1, item.y + 1, size - 2, size - 2, 4).lineWidth(2).stroke(item.color);
+      } else {
+        doc.roundedRect(item.x, item.y, size, size, 4).fill(item.color);
+      }
+      text(item.label, item.x + size + 8, cy, { fontSize: legend.fontSize, color: CHART_THEME.mutedText });
+    }
+  }
+}
+
+/**
+ * Picks an arrow's color from its kind ('', 'critical' or 'violation').
+ */
+function arrowColor(kind) {
+  if (kind === 'critical') return CHART_THEME.critical;
+  if (kind === 'violation') return CHART_THEME.violation;
+  return CHART_THEME.arrow;
+}
+
+/**
+ * Builds a PowerPoint file with the chart drawn as native shapes (so it
+ * can be edited in PowerPoint), one or more 16:9 slides.
+ * @param {object} ganttData - The chart data, at the time scale being shown.
+ * @param {object} [options]
+ * @param {Date | null} [options.today] - Where to draw the today line.
+ * @param {boolean} [options.showLegend=true] - Whether to include the legend.
+ * @param {Buffer} [options.logo] - The logo PNG.
+ * @returns {Promise<Buffer>} The .pptx file.
+ */
+export async function exportChartPptx(ganttData, { today = null, showLegend = true, logo } = {}) {
+  const scale = PPTX_SLIDE.width / LAYOUT_WIDTH; // Inches per layout pixel
+  const pages = paginateChart(ganttData, { width: LAYOUT_WIDTH, pageHeight: PPTX_SLIDE.height / scale, today, showLegend });
+
+  const pptx = new PptxGenJS();
+  pptx.layout = PPTX_SLIDE.layout;
+  pptx.title = ganttData.title || 'Gantt chart';
+
+  const logoData = logo ? `image/png;base64,${logo.toString('base64')}` : null;
+  for (const layout of pages) {
+    drawSlide(pptx, pptx.addSlide(), layout, scale, logoData);
+  }
+
+  return pptx.write({ outputType: 'nodebuffer' });
+}
+
+/**
+ * Draws one slide's layout (converting layout pixels to inches and points).
+ */
+function drawSlide(pptx, slide, layout, scale, logoData) {
+  const { width, header } = layout;
+  const inches = (px) => px * scale;
+  const points = (px) => px * scale * 72;
+  const hex = (color) => color.replace('#', '');
+  const fontFace = 'Arial';
+
+  slide.background = { color: hex(CHART_THEME.background) };
+
+  const text = (value, x, y, boxWidth, { fontSize, bold = false, color = CHART_THEME.text, align = 'left' } = {}) => {
+    slide.addText(value, {
+      x: inches(x), y: inches(y - fontSize), w: inches(boxWidth), h: inches(fontSize * 2),
+      fontFace, fontSize: points(fontSize), bold, color: hex(color), align, valign: 'middle', margin: 0
+    });
+  };
+  const line = (x1, y1, x2, y2, color, lineOptions = {}) => {
+    slide.addShape(pptx.ShapeType.line, {
+      x: inches(Math.min(x1, x2)), y: inches(Math.min(y1, y2)),
+      w: inches(Math.abs(x2 - x1)), h: inches(Math.abs(y2 - y1)),
+      flipH: x2 < x1, flipV: y2 < y1,
+      line: { color: hex(color), width: points(1), ...lineOptions }
+    });
+  };
+
+  // 1. Title and logo
+  text(layout.title.text, 0, layout.title.y, width, { fontSize: layout.title.fontSize, bold: true, align: 'center' });
+  if (logoData) {
+    slide.addImage({ data: logoData, x: inches(layout.logo.x), y: inches(layout.logo.y), w: inches(layout.logo.width), h: inches(layout.logo.height) });
+  }
+
+  // 2. Header, row backgrounds, grid lines and labels
+  for (const cell of header.cells) {
+    text(cell.label, cell.x, header.y + header.height / 2, cell.width, { fontSize: header.fontSize, align: 'center' });
+  }
+  line(0, layout.gridTop, width, layout.gridTop, CHART_THEME.gridLine);
+  for (const row of layout.rows) {
+    if (row.isSwimlane) {
+      slide.addShape(pptx.ShapeType.rect, {
+        x: 0, y: inches(row.y), w: inches(width), h: inches(row.height),
+        fill: { color: hex(CHART_THEME.swimlaneBackground) }, line: { type: 'none' }
+      });
+    }
+    line(0, row.y + row.height, width, row.y + row.height, CHART_THEME.gridLine);
+    text(row.label.text, row.label.x, row.label.y, layout.labelWidth - row.label.x, { fontSize: row.label.fontSize, bold: row.label.bold });
+  }
+  for (const x of layout.columnLines) {
+    line(x, header.y, x, layout.gridBottom, CHART_THEME.gridLine);
+  }
+
+  // 3. Bars and milestones
+  for (const row of layout.rows) {
+    const { bar } = row;
+    if (!bar) continue;
+    // Overdue bars are outlined in red instead of white, as in the SVG
+    let outline = { type: 'none' };
+    if (bar.status === 'overdue') {
+      outline = { color: hex(CHART_THEME.overdue), width: points(2), dashType: 'dash' };
+    } else if (bar.critical) {
+      outline = { color: hex(CHART_THEME.critical), width: points(2) };
+    }
+    const fill = { color: hex(bar.color), transparency: Math.round((1 - bar.opacity) * 100) };
+    if (bar.kind === 'milestone') {
+      const half = bar.size * Math.SQRT1_2;
+      slide.addShape(pptx.ShapeType.diamond, {
+        x: inches(bar.cx - half), y: inches(bar.cy - half), w: inches(half * 2), h: inches(half * 2),
+        fill, line: outline
+      });
+    } else {
+      slide.addShape(pptx.ShapeType.roundRect, {
+        x: inches(bar.x), y: inches(bar.y), w: inches(bar.width), h: inches(bar.height),
+        rectRadius: Math.min(4 / Math.min(bar.width, bar.height), 0.5),
+        fill, line: outline
+      });
+    }
+  }
+
+  // 4. Dependency arrows, one line per segment with the head on the last
+  for (const arrow of layout.arrows) {
+    const color = arrowColor(arrow.kind);
+    const lineOptions = { width: points(1.5), ...(arrow.kind === 'violation' ? { dashType: 'dash' } : {}) };
+    arrow.points.slice(1).forEach(([x, y], index) => {
+      const [prevX, prevY] = arrow.points[index];
+      const isLast = index === arrow.points.length - 2;
+      line(prevX, prevY, x, y, color, isLast ? { ...lineOptions, endArrowType: 'triangle' } : lineOptions);
+    });
+  }
+
+  // 5. Today line
+  if (layout.todayX !== null) {
+    line(layout.todayX, layout.gridTop, layout.todayX, layout.gridBottom, CHART_THEME.today);
+  }
+
+  // 6. Legend
+  if (layout.legend) {
+    const { legend } = layout;
+    const size = legend.swatchSize;
+    for (const item of legend.items) {
+      if (item.kind === 'milestone') {
+        const half = 10 * Math.SQRT1_2;
+        slide.addShape(pptx.ShapeType.diamond, {
+          x: inches(item.x + size / 2 - half), y: inches(item.y + size / 2 - half), w: inches(half * 2), h: inches(half * 2),
+          fill: { color: hex(item.color) }, line: { type: 'none' }
+        });
+      } else {
+        slide.addShape(pptx.ShapeType.roundRect, {
+          x: inches(item.x), y: inches(item.y), w: inches(size), h: inches(size), rectRadius: 4 / size,
+          fill: item.kind === 'critical' ? { type: 'none' } : { color: hex(item.color) },
+          line: item.kind === 'critical' ? { color: hex(item.color), width: points(2) } : { type: 'none' }
+        });
+      }
+      const labelX = item.x + size + 8;
+      text(item.label, labelX, item.y + size / 2, width - labelX, { fontSize: legend.fontSize, color: CHART_THEME.mutedText });
+    }
+  }
+}
@@ -0,0 +1,325 @@
+import { parseIsoDate, formatIsoDate } from '../Public/timeline.js';
+import { CHART_PALETTE } from '../Public/chart-layout.js';
+
+/**
+ * Checks the chart data the model returns before it becomes a chart.
+ *
+ * repairChart fixes what it safely can (and says what it changed):
+ * - rows without a title are dropped, row types are normalised;
+ * - colors outside the palette are mapped to the nearest palette color;
+ * - partial dates ("2025-03", "2025") become the first day of the period,
+ *   or the last for an end date;
+ * - reversed dates are swapped, a task with only one date gets it as both;
+ * - progress is clamped to a whole percentage (0-100);
+ * - tasks are moved under the swimlane named by their `entity`, and a
+ *   swimlane is added for an entity that has none;
+ * - legend entries for colors no bar uses are dropped;
+ * - a `timeRange` that is not a valid pair of dates is dropped (a valid
+ *   one is only a minimum span; the timeline widens it to fit the tasks);
+ * - task sources must name an uploaded file; long quotes are shortened.
+ * What it cannot fix (no tasks, a date that is not a date, a task with no
+ * swimlane at all) is returned as `problems`, for the model to correct.
+ *
+ * checkTimeline then checks the derived columns (every bar inside the
+ * columns, ending after it starts) as a last gate.
+ */
+
+export const CHART_COLORS = Object.keys(CHART_PALETTE);
+
+// Longest source quote kept on a task (the prompt asks for at most 200)
+const QUOTE_MAX_CHARS = 300;
+
+// Colors the model tends to use instead of the palette's names
+const COLOR_ALIASES = {
+  yellow: 'ochre', amber: 'ochre', gold: 'ochre', brown: 'ochre',
+  red: 'orange', crimson: 'orange', maroon: 'orange', pink: 'orange',
+  navy: 'blue', teal: 'blue', cyan: 'blue', purple: 'blue', violet: 'blue', grey: 'blue', gray: 'blue',
+  lime: 'green', olive: 'green', emerald: 'green'
+};
+
+/**
+ * Maps a color to the palette.
+ * @param {*} color - The color from the model.
+ * @returns {string | null} A palette color name, or null if there is no sensible match.
+ */
+function toPaletteColor(color) {
+  const name = String(color || '').trim().toLowerCase();
+  if (CHART_COLORS.includes(name)) return name;
+  // Palette hex codes (e.g. "#2E7BB1")
+  const byHex = CHART_COLORS.find(key => CHART_PALETTE[key].toLowerCase() === name);
+  if (byHex) return byHex;
+  return COLOR_ALIASES[name] || null;
+}
+
+/**
+ * Reads a bar date from the model.
+ * @param {*} value - The date as the model wrote it.
+ * @param {boolean} endOfPeriod - Complete a partial date to the end of its period.
+ * @returns {{date: string, partial: boolean} | null} The "YYYY-MM-DD" date, or
+ *   null if the value is not a real date (e.g. "2025-13-45" or "Q1 2025").
+ */
+function readBarDate(value, endOfPeriod) {
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const date = parseIsoDate(text);
+    return date && formatIsoDate(date) === text ? { date: text, partial: false } : null;
+  }
+  const match = text.match(/^\d{4}(?:-(\d{2}))?$/);
+  if (!match || (match[1] && (match[1] < '01' || match[1] > '12'))) return null;
+  return { date: formatIsoDate(parseIsoDate(text, endOfPeriod)), partial: true };
+}
+
+/**
+ * Repairs a chart from the model.
+ * @param {object} chartData - The model's chart data (with ISO dates on the bars).
+ * @param {object} [options]
+ * @param {string[]} [options.researchFiles] - The uploaded file names task sources must match.
+ * @returns {{chartData: object, warnings: string[], problems: Array<{rowId: (string | null), message: string}>}}
+ *   The repaired chart, what was changed, and what could not be fixed.
+ */
+export function repairChart(chartData, { researchFiles } = {}) {
+  const warnings = [];
+  const problems = [];
+
+  if (!chartData || !Array.isArray(chartData.data)) {
+    problems.push({ rowId: null, message: "The response has no 'data' array of rows." });
+    return { chartData: { ...chartData, data: [] }, warnings, problems };
+  }
+
+  // 1. Rows need a title; every row is either a swimlane or a task/milestone
+  let rows = [];
+  for (const row of chartData.data) {
+    if (!row || typeof row.title !== 'string' || !row.title.trim()) {
+      warnings.push(`Removed a row without a title${row?.id ? ` (${row.id})` : ''}.`);
+      continue;
+    }
+    if (row.isSwimlane) {
+      const { sources, ...lane } = row;
+      rows.push({ ...lane, isSwimlane: true, entity: row.entity || row.title });
+    } else {
+      rows.push({ ...row, isSwimlane: false, type: row.type === 'milestone' ? 'milestone' : 'task', bar: { ...row.bar } });
+    }
+  }
+  const label = (row) => `"${row.title}"${row.id ? ` (${row.id})` : ''}`;
+
+  // 2. Dates and colors of each task
+  const laneColors = new Map(); // The first valid color seen per entity, for unknown colors
+  for (const row of rows) {
+    if (row.isSwimlane) continue;
+    const color = toPaletteColor(row.bar.color);
+    if (color && !laneColors.has(row.entity)) laneColors.set(row.entity, color);
+  }
+
+  for (const row of rows) {
+    if (row.isSwimlane) continue;
+    const bar = row.bar;
+
+    const color = toPaletteColor(bar.color);
+    if (!color) {
+      const fallback = laneColors.get(row.entity) || CHART_COLORS[0];
+      warnings.push(`${label(row)} had the color "${bar.color ?? 'none'}", which is not in the palette; it is now ${fallback}.`);
+      bar.color = fallback;
+    } else if (color !== bar.color) {
+      if (COLOR_ALIASES[String(bar.color).trim().toLowerCase()]) {
+        warnings.push(`${label(row)} had the color "${bar.color}"; it is now ${color}.`);
+      }
+      bar.color = color;
+    }
+
+    // Progress is a percentage (0-100), or null if unknown
+    if (row.progress != null) {
+      const progress = typeof row.progress === 'string' ? parseFloat(row.progress) : row.progress;
+      if (typeof progress !== 'number' || !Number.isFinite(progress)) {
+        warnings.push(`Ignored the progress "${row.progress}" of ${label(row)}, which is not a percentage.`);
+        row.progress = null;
+      } else {
+        row.progress = Math.min(100, Math.max(0, Math.round(progress)));
+      }
+    }
+
+    // Unknown dates are null; anything else must be an ISO date
+    for (const key of ['startDate', 'endDate']) {
+      if (bar[key] == null || bar[key] === '') {
+        bar[key] = null;
+        continue;
+      }
+      const read = readBarDate(bar[key], key === 'endDate');
+      if (!read) {
+        problems.push({ rowId: row.id || null, message: `Task ${label(row)} has the ${key} "${bar[key]}", which is not a "YYYY-MM-DD" date (use null if it is unknown).` });
+        bar[key] = null;
+      } else {
+        if (read.partial) {
+          warnings.push(`${label(row)} had the ${key} "${bar[key]}"; it is now ${read.date}.`);
+        }
+        bar[key] = read.date;
+      }
+    }
+    const start = parseIsoDate(bar.startDate);
+    const end = parseIsoDate(bar.endDate);
+    if (!start && !end) continue;
+    if (!start || !end) {
+      const date = start ? bar.startDate : bar.endDate;
+      if (row.type !== 'milestone') {
+        warnings.push(`${label(row)} only had one valid date (${date}); it is shown as a single day.`);
+      }
+      bar.startDate = date;
+      bar.endDate = date;
+    } else if (end < start) {
+      warnings.push(`${label(row)} ended (${bar.endDate}) before it started (${bar.startDate}); the dates were swapped.`);
+      [bar.startDate, bar.endDate] = [bar.endDate, bar.startDate];
+    }
+  }
+
+  // 3. Sources name uploaded files
+  for (const row of rows) {
+    if (!row.isSwimlane && 'sources' in row) {
+      row.sources = repairSources(row, researchFiles, warnings, label);
+    }
+  }
+
+  // 4. Every task sits under the swimlane its entity names
+  rows = groupUnderSwimlanes(rows, warnings, problems, label);
+
+  // 5. Legend: palette colors only, once each, and only colors a bar uses
+  const usedColors = new Set(rows.filter(row => !row.isSwimlane).map(row => row.bar.color));
+  const legend = [];
+  for (const item of Array.isArray(chartData.legend) ? chartData.legend : []) {
+    const color = toPaletteColor(item?.color);
+    if (!color || !usedColors.has(color)) {
+      warnings.push(`Removed the legend entry "${item?.label}": no bar uses ${color ? `the color ${color}` : `the color "${item?.color}"`}.`);
+    } else if (legend.some(entry => entry.color === color)) {
+      warnings.push(`Removed the legend entry "${item.label}": ${color} is already "${legend.find(entry => entry.color === color).label}".`);
+    } else {
+      legend.push({ ...item, color });
+    }
+  }
+
+  // 6. An explicit time range must be a valid pair of dates
+  let timeRange = chartData.timeRange;
+  if (timeRange) {
+    const rangeStart = parseIsoDate(timeRange.start);
+    const rangeEnd = parseIsoDate(timeRange.end, true);
+    if (!rangeStart || !rangeEnd || rangeEnd < rangeStart) {
+      warnings.push('Ignored the time range, which was not a valid pair of dates.');
+      timeRange = null;
+    }
+  }
+
+  if (!rows.some(row => !row.isSwimlane)) {
+    problems.push({ rowId: null, message: 'The chart has no tasks.' });
+  }
+
+  return { chartData: { ...chartData, timeRange, data: rows, legend }, warnings, problems };
+}
+
+/**
+ * Cleans up a task's sources: each names an uploaded file (matched
+ * regardless of case) and has at most a short, single-line quote.
+ * @returns {Array<{file: string, quote: (string | null)}>}
+ */
+function repairSources(row, researchFiles, warnings, label) {
+  const sources = [];
+  for (const source of Array.isArray(row.sources) ? row.sources : []) {
+    let file = typeof source?.file === 'string' ? source.file.trim() : '';
+    if (researchFiles) {
+      const match = researchFiles.find(name => name.toLowerCase() === file.toLowerCase());
+      if (!match) {
+        warnings.push(`Removed a source of ${label(row)}: no file named "${file}" was uploaded.`);
+        continue;
+      }
+      file = match;
+    } else if (!file) {
+      continue;
+    }
+
+    let quote = typeof source.quote === 'string' ? source.quote.replace(/\s+/g, ' ').trim() : '';
+    if (quote.length > QUOTE_MAX_CHARS) quote = `${quote.slice(0, QUOTE_MAX_CHARS - 1).trimEnd()}…`;
+    if (!sources.some(entry => entry.file === file && entry.quote === (quote || null))) {
+      sources.push({ file, quote: quote || null });
+    }
+  }
+  return sources;
+}
+
+/**
+ * Orders the rows so each task follows the swimlane its `entity` names.
+ * Tasks without an entity take the swimlane above them; entities without
+ * a swimlane get one (where their first task was).
+ * @returns {object[]} The reordered rows.
+ */
+function groupUnderSwimlanes(rows, warnings, problems, label) {
+  const lanes = new Map(); // Lookup key -> { row, tasks }
+  const order = [];        // Lanes in the order they appear
+  const laneKey = (name) => String(name || '').trim().toLowerCase();
+  const laneOf = (name) => lanes.get(laneKey(name));
+
+  for (const row of rows) {
+    if (!row.isSwimlane) continue;
+    const existing = laneOf(row.entity) || laneOf(row.title);
+    if (existing) {
+      warnings.push(`Merged the duplicate swimlane "${row.title}" into "${existing.row.title}".`);
+      continue;
+    }
+    const lane = { row, tasks: [] };
+    lanes.set(laneKey(row.entity), lane);
+    lanes.set(laneKey(row.title), lane);
+    order.push(lane);
+  }
+
+  let laneAbove = null;
+  for (const row of rows) {
+    if (row.isSwimlane) {
+      laneAbove = laneOf(row.entity) || laneOf(row.title);
+      continue;
+    }
+    let lane = laneOf(row.entity);
+    if (!row.entity) {
+      if (!laneAbove) {
+        problems.push({ rowId: row.id || null, message: `Task ${label(row)} has no entity and no swimlane above it.` });
+        continue;
+      }
+      lane = laneAbove;
+    } else if (!lane) {
+      lane = { row: { id: null, title: row.entity.trim(), isSwimlane: true, entity: row.entity.trim() }, tasks: [] };
+      lanes.set(laneKey(row.entity), lane);
+      order.push(lane);
+      warnings.push(`Added a swimlane for "${row.entity.trim()}", which ${label(row)} belongs to.`);
+    } else if (lane !== laneAbove) {
+      warnings.push(`Moved ${label(row)} under its swimlane "${lane.row.title}".`);
+    }
+    // The entity always matches the swimlane's, so lookups by entity work
+    lane.tasks.push({ ...row, entity: lane.row.entity });
+  }
+
+  return order.flatMap(lane => [lane.row, ...lane.tasks]);
+}
+
+/**
+ * Checks the columns derived for a chart (see deriveTimeline): every
+ * dated bar starts inside the columns and ends after it starts.
+ * @param {object} ganttData - The chart with `timeColumns` and bar `startCol`/`endCol`.
+ * @returns {string[]} What is wrong (empty if nothing).
+ */
+export function checkTimeline(ganttData) {
+  const columnCount = (ganttData.timeColumns || []).length;
+  const issues = [];
+  for (const row of ganttData.data || []) {
+    if (row.isSwimlane || row.bar?.startCol == null) continue;
+    const { startCol, endCol } = row.bar;
+    if (startCol < 1 || startCol > columnCount) {
+      issues.push(`"${row.title}" starts outside the chart's ${columnCount} columns (column ${startCol}).`);
+    } else if (!(endCol > startCol) || endCol > columnCount + 1) {
+      issues.push(`"${row.title}" has an invalid end column (${endCol}).`);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Writes the follow-up prompt asking the model to fix its chart.
+ * @param {Array<{message: string}>} problems - From repairChart.
+ * @returns {string}
+ */
+export function describeProblems(problems) {
+  return `Your chart JSON has these problems:\n${problems.map(problem => `- ${problem.message}`).join('\n')}\n\nReturn the complete, corrected chart as JSON matching the same schema. Fix only these problems and keep everything else the same.`;
+}
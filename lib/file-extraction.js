@@ -0,0 +1,244 @@
+import mammoth from 'mammoth';
+import JSZip from 'jszip';
+import ExcelJS from 'exceljs';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { createRequire } from 'module';
+import { dirname, join } from 'path';
+import { getFileType } from '../Public/file-types.js';
+import { formatIsoDate } from '../Public/timeline.js';
+
+/**
+ * Text extraction for uploaded research files.
+ * Hyperlinks are kept as <a href="..."> tags (as mammoth does for .docx),
+ * so the model can cite them. Pages, slides and sheets are separated by
+ * "--- Page 2 ---" style markers inside the file's own markers.
+ *
+ * MS Project XML plans are not handled here: /generate-chart imports them
+ * once with importPlan (lib/plan-import.js), which also gives their text.
+ */
+
+/**
+ * Extracts the text of one uploaded file.
+ * @param {{originalname: string, mimetype: string, buffer: Buffer}} file - A multer file.
+ * @returns {Promise<string>} The file's text.
+ */
+export async function extractFileText(file) {
+  const type = getFileType(file.originalname, file.mimetype);
+
+  switch (type?.kind) {
+    case 'text':
+      // .md and .txt files are kept as raw text
+      return file.buffer.toString('utf8');
+    case 'docx': {
+      // We convert to HTML to keep <a href="..."> tags
+      const result = await mammoth.convertToHtml({ buffer: file.buffer });
+      return result.value;
+    }
+    case 'pdf':
+      return extractPdfText(file.buffer);
+    case 'pptx':
+      return extractPptxText(file.buffer);
+    case 'xlsx':
+      return extractXlsxText(file.buffer);
+    case 'csv':
+      return file.buffer.toString('utf8');
+    default:
+      throw new Error(`Unsupported file type: ${file.originalname}`);
+  }
+}
+
+// pdfjs needs the metrics of the 14 standard PDF fonts (Helvetica etc.)
+const STANDARD_FONT_DATA_URL = join(dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json')), 'standard_fonts/');
+
+const link = (url, text) => `<a href="${url}">${text}</a>`;
+
+// -------------------------------------------------------------------
+// --- PDF ---
+// -------------------------------------------------------------------
+
+/**
+ * Extracts PDF text page by page. Text that sits inside a link
+ * annotation is wrapped in an <a> tag; links with no text under them
+ * (e.g. on images) are listed at the end of their page.
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+async function extractPdfText(buffer) {
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL
+  }).promise;
+
+  const pages = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const links = (await page.getAnnotations())
+        .filter(annotation => annotation.subtype === 'Link' && annotation.url)
+        .map(annotation => ({ url: annotation.url, rect: annotation.rect, used: false }));
+
+      let text = '';
+      let openUrl = null;
+      for (const item of content.items) {
+        if (typeof item.str !== 'string') continue; // Marked-content items have no text
+
+        const [x, y] = [item.transform[4], item.transform[5]];
+        const itemLink = links.find(({ rect }) => x >= rect[0] - 1 && x <= rect[2] && y >= rect[1] - 1 && y <= rect[3]);
+        const url = itemLink && item.str.trim() ? itemLink.url : null;
+
+        if (url !== openUrl) {
+          if (openUrl) text += '</a>';
+          if (url) text += `<a href="${url}">`;
+          openUrl = url;
+        }
+        if (itemLink && url) itemLink.used = true;
+
+        text += item.str;
+        if (item.hasEOL) {
+          if (openUrl) {
+            text += '</a>';
+            openUrl = null;
+          }
+          text += '\n';
+        }
+      }
+      if (openUrl) text += '</a>';
+
+      const unusedLinks = links.filter(({ used }) => !used).map(({ url }) => link(url, url));
+      if (unusedLinks.length > 0) {
+        text += `\nLinks: ${[...new Set(unusedLinks)].join(' ')}`;
+      }
+
+      pages.push(`--- Page ${pageNumber} ---\n${text.trim()}`);
+      page.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return pages.join('\n\n');
+}
+
+// -------------------------------------------------------------------
+// --- PPTX ---
+// -------------------------------------------------------------------
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos);|&#(\d+);|&#x([0-9a-f]+);/gi, (entity, named, dec, hex) => {
+    if (named) return XML_ENTITIES[entity.toLowerCase()];
+    return String.fromCodePoint(dec ? parseInt(dec, 10) : parseInt(hex, 16));
+  });
+}
+
+/**
+ * Reads the relationship targets (rId -> URL) of one slide.
+ * @param {JSZip} zip
+ * @param {string} slidePath - e.g. "ppt/slides/slide1.xml".
+ * @returns {Promise<Map<string, string>>}
+ */
+async function readSlideRelationships(zip, slidePath) {
+  const relsPath = slidePath.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels');
+  const relsXml = await zip.file(relsPath)?.async('string');
+  const targets = new Map();
+  if (!relsXml) return targets;
+
+  for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = tag.match(/\bId="([^"]+)"/)?.[1];
+    const target = tag.match(/\bTarget="([^"]+)"/)?.[1];
+    if (id && target) targets.set(id, decodeXml(target));
+  }
+  return targets;
+}
+
+/**
+ * Extracts slide text in slide order, one line per paragraph.
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+async function extractPptxText(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const slidePaths = Object.keys(zip.files)
+    .filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+
+  const slides = [];
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const xml = await zip.file(slidePath).async('string');
+    const relationships = await readSlideRelationships(zip, slidePath);
+
+    const paragraphs = [];
+    for (const [paragraph] of xml.matchAll(/<a:p>[\s\S]*?<\/a:p>/g)) {
+      let text = '';
+      // Runs (<a:r>) and fields (<a:fld>, e.g. slide numbers) hold the text
+      for (const [run] of paragraph.matchAll(/<a:(?:r|fld)\b[\s\S]*?<\/a:(?:r|fld)>/g)) {
+        const runText = [...run.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map(match => decodeXml(match[1])).join('');
+        const linkId = run.match(/<a:hlinkClick\b[^>]*\br:id="([^"]+)"/)?.[1];
+        const url = linkId && relationships.get(linkId);
+        text += url && runText ? link(url, runText) : runText;
+      }
+      if (text.trim()) paragraphs.push(text);
+    }
+
+    slides.push(`--- Slide ${index + 1} ---\n${paragraphs.join('\n')}`);
+  }
+
+  return slides.join('\n\n');
+}
+
+// -------------------------------------------------------------------
+// --- XLSX ---
+// -------------------------------------------------------------------
+
+/**
+ * Gets the display text of one cell. Dates are written as ISO dates so
+ * the model reads them the same way as the rest of the research.
+ * @param {ExcelJS.Cell} cell
+ * @returns {string}
+ */
+function getCellText(cell) {
+  const value = cell.value;
+  const result = value && typeof value === 'object' && 'result' in value ? value.result : value;
+
+  let text;
+  if (result instanceof Date) {
+    text = formatIsoDate(result);
+  } else if (result && typeof result === 'object' && 'error' in result) {
+    text = '';
+  } else {
+    text = cell.text ?? '';
+  }
+
+  const url = cell.hyperlink && !cell.hyperlink.startsWith('#') ? cell.hyperlink : null;
+  return url && text ? link(url, text) : text;
+}
+
+/**
+ * Extracts every sheet as rows of " | "-separated cells.
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+async function extractXlsxText(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheets = [];
+  workbook.eachSheet((worksheet) => {
+    const rows = [];
+    worksheet.eachRow((row) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell) => {
+        cells.push(getCellText(cell));
+      });
+      if (cells.some(cell => cell.trim())) rows.push(cells.join(' | '));
+    });
+    sheets.push(`--- Sheet: ${worksheet.name} ---\n${rows.join('\n')}`);
+  });
+
+  return sheets.join('\n\n');
+}
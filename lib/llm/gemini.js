@@ -0,0 +1,101 @@
+/**
+ * Google Gemini (generateContent). The request payloads built in
+ * server.js are already in Gemini's format, so they are sent as-is.
+ */
+
+export const DEFAULT_MODEL = 'gemini-2.5-flash-preview-09-2025';
+
+/**
+ * Throws if Gemini blocked a candidate for safety reasons.
+ * @param {object} candidate
+ */
+function checkSafety(candidate) {
+  const blockedRating = candidate.safetyRatings?.find(rating => rating.blocked);
+  if (blockedRating) {
+    throw new Error(`API call blocked due to safety rating: ${blockedRating.category}`);
+  }
+}
+
+/**
+ * Reads the text of one streamed "data:" event.
+ * @param {string} line - The event line, starting with "data:".
+ * @returns {string} The event's text ('' if it has none).
+ */
+function readEventText(line) {
+  const candidate = JSON.parse(line.slice(5)).candidates?.[0];
+  if (!candidate) return '';
+  checkSafety(candidate);
+  return (candidate.content?.parts || []).map(part => part.text || '').join('');
+}
+
+/**
+ * @param {{model: string, apiKey: string, baseUrl?: string}} config
+ * @returns {{generate: function(object, {signal?: AbortSignal}=): Promise<string>, stream: function(object, {signal?: AbortSignal}=): AsyncGenerator<string>}}
+ */
+export function createGeminiProvider({ model, apiKey, baseUrl = 'https://generativelanguage.googleapis.com/v1beta' }) {
+  return {
+    async generate(payload, { signal } = {}) {
+      const response = await fetch(`${baseUrl}/models/${model}:generateContent?key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`API call failed with status: ${response.status} - ${errorText}`);
+      }
+
+      const result = await response.json();
+
+      if (!result.candidates || !result.candidates[0] || !result.candidates[0].content) {
+        console.error('Invalid API response:', JSON.stringify(result));
+        throw new Error('Invalid response from AI API');
+      }
+
+      checkSafety(result.candidates[0]);
+
+      return result.candidates[0].content.parts[0].text;
+    },
+
+    /**
+     * Streams the text response (streamGenerateContent as Server-Sent
+     * Events), yielding each piece of text as it arrives.
+     */
+    async *stream(payload, { signal } = {}) {
+      const response = await fetch(`${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`API call failed with status: ${response.status} - ${errorText}`);
+      }
+
+      // Each "data:" line holds a partial GenerateContentResponse
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const text = readEventText(line);
+          if (text) yield text;
+        }
+      }
+
+      // The last event may end without a line break
+      buffer += decoder.decode();
+      if (buffer.startsWith('data:')) {
+        const text = readEventText(buffer);
+        if (text) yield text;
+      }
+    }
+  };
+}
@@ -0,0 +1,163 @@
+import * as gemini from './gemini.js';
+import * as openai from './openai.js';
+import * as ollama from './ollama.js';
+import * as mock from './mock.js';
+
+/**
+ * The model layer used by server.js.
+ * Routes build a Gemini-style payload ({contents, systemInstruction,
+ * generationConfig}) and call callModelForJson, callModelForText or
+ * streamModelText; the configured provider translates it for its own API.
+ *
+ * Configuration (environment):
+ *   LLM_PROVIDER   gemini (default), openai, ollama or mock
+ *   LLM_MODEL      model name (each provider has a default)
+ *   LLM_API_KEY    API key (falls back to API_KEY)
+ *   LLM_BASE_URL   server root for openai-compatible and ollama providers
+ */
+
+const PROVIDERS = {
+  gemini: { module: gemini, create: gemini.createGeminiProvider },
+  openai: { module: openai, create: openai.createOpenAiProvider },
+  ollama: { module: ollama, create: ollama.createOllamaProvider },
+  mock: { module: mock, create: mock.createMockProvider }
+};
+
+// Created on first use, so the environment can be set up before that
+let activeProvider = null;
+
+/**
+ * Reads the provider settings from the environment.
+ * @returns {{provider: string, model: string, apiKey?: string, baseUrl?: string, fixturesDir?: string}}
+ */
+export function getModelConfig() {
+  const provider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const config = {
+    provider,
+    model: process.env.LLM_MODEL || PROVIDERS[provider].module.DEFAULT_MODEL,
+    apiKey: process.env.LLM_API_KEY || process.env.API_KEY
+  };
+  // Leave the provider's own default in place unless one was configured
+  if (process.env.LLM_BASE_URL) config.baseUrl = process.env.LLM_BASE_URL.replace(/\/+$/, '');
+  if (process.env.MOCK_FIXTURES_DIR) config.fixturesDir = process.env.MOCK_FIXTURES_DIR;
+  return config;
+}
+
+function getProvider() {
+  if (!activeProvider) {
+    const config = getModelConfig();
+    activeProvider = PROVIDERS[config.provider].create(config);
+    console.log(`Using model provider "${config.provider}" (${config.model})`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Waits before the next attempt, stopping early if the request is cancelled.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function retryDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Calls the model, retrying with a growing delay.
+ * @param {object} payload - The Gemini-style request payload.
+ * @param {function(string): any} parse - Turns the response text into the result.
+ * @param {number} retryCount - How many attempts to make.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the call (no further attempts are made).
+ * @param {function(number, Error): void} [options.onRetry] - Called with the next attempt
+ *   number and the error before each retry.
+ */
+async function callWithRetries(payload, parse, retryCount, { signal, onRetry } = {}) {
+  for (let attempt = 0; attempt < retryCount; attempt++) {
+    try {
+      signal?.throwIfAborted();
+      const text = await getProvider().generate(payload, { signal });
+      return parse(text);
+
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason; // Cancelled: do not retry
+      console.log(`Attempt ${attempt + 1} failed:`, error.message);
+      if (attempt >= retryCount - 1) {
+        throw error; // Throw the last error
+      }
+      onRetry?.(attempt + 2, error);
+      await retryDelay(1000 * (attempt + 1), signal);
+    }
+  }
+  throw new Error('All API retry attempts failed.');
+}
+
+/**
+ * Calls the model and parses its response as JSON.
+ * @param {object} payload - The request payload (with a responseSchema).
+ * @param {number} [retryCount]
+ * @param {{signal?: AbortSignal, onRetry?: function(number, Error): void}} [options]
+ * @returns {Promise<object>}
+ */
+export function callModelForJson(payload, retryCount = 3, options = {}) {
+  return callWithRetries(payload, text => JSON.parse(text), retryCount, options);
+}
+
+/**
+ * Calls the model and returns its raw text response.
+ * @param {object} payload - The request payload.
+ * @param {number} [retryCount]
+ * @param {{signal?: AbortSignal, onRetry?: function(number, Error): void}} [options]
+ * @returns {Promise<string>}
+ */
+export function callModelForText(payload, retryCount = 3, options = {}) {
+  return callWithRetries(payload, text => text, retryCount, options);
+}
+
+/**
+ * Calls the model and yields its text response piece by piece, for
+ * providers that can stream (gemini, mock). Others answer in one piece.
+ * A failed attempt is only retried if nothing has been yielded yet.
+ * @param {object} payload - The request payload.
+ * @param {number} [retryCount]
+ * @param {{signal?: AbortSignal, onRetry?: function(number, Error): void}} [options]
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* streamModelText(payload, retryCount = 3, { signal, onRetry } = {}) {
+  for (let attempt = 0; attempt < retryCount; attempt++) {
+    let started = false;
+    try {
+      signal?.throwIfAborted();
+      const provider = getProvider();
+      if (!provider.stream) {
+        const text = await provider.generate(payload, { signal });
+        started = true;
+        yield text;
+        return;
+      }
+      for await (const text of provider.stream(payload, { signal })) {
+        started = true;
+        yield text;
+      }
+      return;
+
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason; // Cancelled: do not retry
+      console.log(`Attempt ${attempt + 1} failed:`, error.message);
+      if (started || attempt >= retryCount - 1) {
+        throw error; // Part of the answer was already sent, or no attempts left
+      }
+      onRetry?.(attempt + 2, error);
+      await retryDelay(1000 * (attempt + 1), signal);
+    }
+  }
+}
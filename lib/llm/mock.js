@@ -0,0 +1,54 @@
+import { readFileSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * A deterministic offline provider. It never calls out; it answers from
+ * fixture files so the app can run (and be tested) without an API key.
+ *
+ * - JSON requests get the first *.json fixture (in file name order) whose
+ *   top-level keys cover every `required` key of the response schema.
+ * - Text requests get answer.txt (streamed word by word by stream()).
+ *
+ * Set MOCK_FIXTURES_DIR to use a different set of fixtures.
+ */
+
+export const DEFAULT_MODEL = 'mock';
+
+const DEFAULT_FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * @param {{fixturesDir?: string}} config
+ * @returns {{generate: function(object, {signal?: AbortSignal}=): Promise<string>, stream: function(object, {signal?: AbortSignal}=): AsyncGenerator<string>}}
+ */
+export function createMockProvider({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+  return {
+    async *stream(payload, { signal } = {}) {
+      const text = await this.generate(payload, { signal });
+      // Each word with the whitespace after it, so the pieces join back up exactly
+      for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+        signal?.throwIfAborted();
+        yield piece;
+      }
+    },
+
+
+    async generate(payload, { signal } = {}) {
+      signal?.throwIfAborted();
+      const schema = payload.generationConfig?.responseSchema;
+      if (!schema) {
+        return readFileSync(join(fixturesDir, 'answer.txt'), 'utf8').trim();
+      }
+
+      const required = schema.required || [];
+      const fixtureNames = readdirSync(fixturesDir).filter(name => name.endsWith('.json')).sort();
+      for (const name of fixtureNames) {
+        const text = readFileSync(join(fixturesDir, name), 'utf8');
+        const fixture = JSON.parse(text);
+        if (required.every(key => key in fixture)) return text;
+      }
+
+      throw new Error(`No mock fixture matches a response with: ${required.join(', ')}`);
+    }
+  };
+}
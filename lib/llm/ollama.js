@@ -0,0 +1,54 @@
+import { toJsonSchema, toChatMessages } from './schema.js';
+
+/**
+ * A local Ollama server (/api/chat). Structured output is requested by
+ * passing the JSON Schema as `format`.
+ */
+
+export const DEFAULT_MODEL = 'llama3.1';
+
+/**
+ * @param {{model: string, baseUrl?: string}} config
+ * @returns {{generate: function(object, {signal?: AbortSignal}=): Promise<string>}}
+ */
+export function createOllamaProvider({ model, baseUrl = 'http://localhost:11434' }) {
+  return {
+    async generate(payload, { signal } = {}) {
+      const config = payload.generationConfig || {};
+      const body = {
+        model,
+        messages: toChatMessages(payload),
+        stream: false,
+        options: {
+          num_predict: config.maxOutputTokens,
+          temperature: config.temperature,
+          top_p: config.topP,
+          top_k: config.topK
+        }
+      };
+      if (config.responseSchema) {
+        body.format = toJsonSchema(config.responseSchema);
+      }
+
+      const response = await fetch(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`API call failed with status: ${response.status} - ${errorText}`);
+      }
+
+      const result = await response.json();
+      if (typeof result.message?.content !== 'string') {
+        console.error('Invalid API response:', JSON.stringify(result));
+        throw new Error('Invalid response from AI API');
+      }
+
+      return result.message.content;
+    }
+  };
+}
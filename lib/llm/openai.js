@@ -0,0 +1,60 @@
+import { toJsonSchema, toChatMessages } from './schema.js';
+
+/**
+ * OpenAI-compatible chat completions (OpenAI itself, Azure-style proxies,
+ * vLLM, LM Studio, ...). Point LLM_BASE_URL at the server's /v1 root.
+ */
+
+export const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * @param {{model: string, apiKey?: string, baseUrl?: string}} config
+ * @returns {{generate: function(object, {signal?: AbortSignal}=): Promise<string>}}
+ */
+export function createOpenAiProvider({ model, apiKey, baseUrl = 'https://api.openai.com/v1' }) {
+  return {
+    async generate(payload, { signal } = {}) {
+      const config = payload.generationConfig || {};
+      const body = {
+        model,
+        messages: toChatMessages(payload),
+        max_tokens: config.maxOutputTokens,
+        temperature: config.temperature,
+        top_p: config.topP
+      };
+      if (config.responseSchema) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema: toJsonSchema(config.responseSchema) }
+        };
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`API call failed with status: ${response.status} - ${errorText}`);
+      }
+
+      const result = await response.json();
+      const choice = result.choices?.[0];
+      if (!choice?.message || typeof choice.message.content !== 'string') {
+        console.error('Invalid API response:', JSON.stringify(result));
+        throw new Error('Invalid response from AI API');
+      }
+      if (choice.finish_reason === 'content_filter') {
+        throw new Error('API call blocked by the content filter');
+      }
+
+      return choice.message.content;
+    }
+  };
+}
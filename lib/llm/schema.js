@@ -0,0 +1,47 @@
+/**
+ * Converts the Gemini-style response schemas used in server.js
+ * (upper-case types, `nullable: true`) into plain JSON Schema, which is
+ * what OpenAI-compatible and Ollama servers expect.
+ * @param {object} schema - A Gemini response schema.
+ * @returns {object} The equivalent JSON Schema.
+ */
+export function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const { type, nullable, properties, items, anyOf, ...rest } = schema;
+  const converted = { ...rest };
+
+  if (type) {
+    const lowerType = type.toLowerCase();
+    converted.type = nullable ? [lowerType, 'null'] : lowerType;
+  }
+  if (properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, value]) => [key, toJsonSchema(value)])
+    );
+  }
+  if (items) converted.items = toJsonSchema(items);
+  if (anyOf) converted.anyOf = anyOf.map(toJsonSchema);
+
+  return converted;
+}
+
+/**
+ * Flattens a Gemini-style payload into chat messages.
+ * Gemini's "model" role is called "assistant" everywhere else.
+ * @param {object} payload - { contents, systemInstruction }.
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function toChatMessages(payload) {
+  const messages = [];
+  const systemText = (payload.systemInstruction?.parts || []).map(part => part.text).join('\n');
+  if (systemText) messages.push({ role: 'system', content: systemText });
+
+  for (const content of payload.contents || []) {
+    messages.push({
+      role: content.role === 'model' ? 'assistant' : 'user',
+      content: (content.parts || []).map(part => part.text).join('\n')
+    });
+  }
+  return messages;
+}
@@ -0,0 +1,284 @@
+import ExcelJS from 'exceljs';
+import { withBarDates, parseIsoDate, formatIsoDate } from '../Public/timeline.js';
+import { CHART_PALETTE } from '../Public/chart-layout.js';
+
+/**
+ * Export of a chart's data as a plan that other tools can open: a CSV task
+ * list, an Excel workbook, or an MS Project XML file.
+ *
+ * The files use the column names and structure lib/plan-import.js reads,
+ * so an exported plan can be uploaded again to rebuild the same chart.
+ */
+
+// The CSV / Excel columns (names plan-import.js recognises)
+const PLAN_COLUMNS = ['ID', 'Task', 'Swimlane', 'Type', 'Start', 'End', 'Predecessors', 'Color', 'Legend', 'Progress'];
+
+// MS Project custom fields used to carry the chart color and legend label
+export const MS_PROJECT_FIELDS = {
+  color: { fieldId: '188743731', fieldName: 'Text1', alias: 'Chart Color' },
+  legend: { fieldId: '188743734', fieldName: 'Text2', alias: 'Legend' }
+};
+
+/**
+ * Completes a bar date to "YYYY-MM-DD" (a partial "2025-11" becomes the
+ * first, or for an end date the last, day of the month).
+ * @param {string} value - The bar date.
+ * @param {boolean} endOfPeriod - Whether it is an end date.
+ * @returns {string} The full date, or '' if there is none.
+ */
+function toFullDate(value, endOfPeriod) {
+  const date = parseIsoDate(value, endOfPeriod);
+  return date ? formatIsoDate(date) : '';
+}
+
+/**
+ * Flattens a chart into one entry per task, with its swimlane, full
+ * dates, legend label and progress. Swimlanes without tasks are left out.
+ * @param {object} ganttData
+ * @returns {Array<{id: string, title: string, swimlane: string, type: string, startDate: string, endDate: string, dependencies: string[], color: string, legend: string, progress: (number | null)}>}
+ */
+function planRows(ganttData) {
+  const { data = [] } = withBarDates(ganttData);
+  const legendLabels = new Map((ganttData.legend || []).map(item => [item.color, item.label]));
+
+  const rows = [];
+  let lane = null;
+  for (const row of data) {
+    if (row.isSwimlane) {
+      lane = row.title;
+      continue;
+    }
+    const endDate = toFullDate(row.bar?.endDate, true);
+    const startDate = toFullDate(row.bar?.startDate, false) || endDate;
+    const color = row.bar?.color || '';
+    rows.push({
+      id: row.id || '',
+      title: row.title,
+      swimlane: lane || row.entity || ganttData.title || '',
+      type: row.type === 'milestone' ? 'milestone' : 'task',
+      startDate,
+      endDate: row.type === 'milestone' ? startDate : (endDate || startDate),
+      dependencies: row.dependencies || [],
+      color,
+      legend: legendLabels.get(color) || '',
+      progress: Number.isFinite(row.progress) ? row.progress : null
+    });
+  }
+  return rows;
+}
+
+/**
+ * Gets the cell values for one task in PLAN_COLUMNS order.
+ */
+function toColumnValues(row) {
+  return [row.id, row.title, row.swimlane, row.type, row.startDate, row.endDate, row.dependencies.join(';'), row.color, row.legend, row.progress ?? ''];
+}
+
+// -------------------------------------------------------------------
+// --- CSV ---
+// -------------------------------------------------------------------
+
+/**
+ * Quotes a CSV field when it needs it (RFC 4180).
+ * @param {string} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  const text = String(value ?? '');
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a chart as a CSV task list.
+ * @param {object} ganttData
+ * @returns {string} The CSV text (with a byte order mark, so Excel reads it as UTF-8).
+ */
+export function exportPlanCsv(ganttData) {
+  const lines = [PLAN_COLUMNS, ...planRows(ganttData).map(toColumnValues)]
+    .map(values => values.map(toCsvField).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// -------------------------------------------------------------------
+// --- Excel ---
+// -------------------------------------------------------------------
+
+/**
+ * Writes a chart as an Excel workbook: a "Plan" sheet with the same
+ * columns as the CSV (real date cells, color cells filled with the bar
+ * color) and a "Legend" sheet.
+ * @param {object} ganttData
+ * @returns {Promise<Buffer>} The .xlsx file.
+ */
+export async function exportPlanXlsx(ganttData) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.title = ganttData.title || '';
+
+  // 1. The task list
+  const sheet = workbook.addWorksheet('Plan', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = PLAN_COLUMNS.map(header => ({
+    header,
+    width: header === 'Task' ? 40 : header === 'Swimlane' || header === 'Legend' ? 24 : 14
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const row of planRows(ganttData)) {
+    const values = toColumnValues(row);
+    // Dates as real dates (UTC midnight), so Excel can sort and filter them
+    values[4] = parseIsoDate(row.startDate) || '';
+    values[5] = parseIsoDate(row.endDate) || '';
+    const added = sheet.addRow(values);
+    for (const column of [5, 6]) added.getCell(column).numFmt = 'yyyy-mm-dd';
+    if (CHART_PALETTE[row.color]) {
+      added.getCell(8).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${CHART_PALETTE[row.color].slice(1)}` } };
+    }
+  }
+
+  // 2. The legend
+  const legendSheet = workbook.addWorksheet('Legend');
+  legendSheet.columns = [{ header: 'Color', width: 14 }, { header: 'Label', width: 40 }];
+  legendSheet.getRow(1).font = { bold: true };
+  for (const item of ganttData.legend || []) {
+    const added = legendSheet.addRow([item.color, item.label]);
+    if (CHART_PALETTE[item.color]) {
+      added.getCell(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${CHART_PALETTE[item.color].slice(1)}` } };
+    }
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// -------------------------------------------------------------------
+// --- MS Project XML ---
+// -------------------------------------------------------------------
+
+/**
+ * Escapes text for XML element content.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Counts the working days (Monday to Friday) from start to end, inclusive.
+ * @param {string} startDate - ISO date.
+ * @param {string} endDate - ISO date.
+ * @returns {number}
+ */
+function countWorkingDays(startDate, endDate) {
+  const start = parseIsoDate(startDate);
+  const end = parseIsoDate(endDate, true);
+  if (!start || !end) return 0;
+  let days = 0;
+  for (let day = new Date(start); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) days++;
+  }
+  return days;
+}
+
+/**
+ * Writes a chart as an MS Project XML file. Swimlanes become top-level
+ * summary tasks, tasks sit below them, and dependencies become
+ * finish-to-start links. The chart color and legend label are stored in
+ * the Text1 and Text2 fields, and the progress in PercentComplete.
+ * @param {object} ganttData
+ * @returns {string} The XML text.
+ */
+export function exportPlanMsProjectXml(ganttData) {
+  const rows = planRows(ganttData);
+  const title = ganttData.title || 'Gantt chart';
+
+  // 1. Group the tasks by swimlane and number everything
+  const lanes = [];
+  for (const row of rows) {
+    let lane = lanes.find(l => l.title === row.swimlane);
+    if (!lane) {
+      lane = { title: row.swimlane, tasks: [] };
+      lanes.push(lane);
+    }
+    lane.tasks.push(row);
+  }
+  let nextUid = 1;
+  const uidById = new Map();
+  for (const lane of lanes) {
+    lane.uid = nextUid++;
+    for (const task of lane.tasks) {
+      task.uid = nextUid++;
+      if (task.id) uidById.set(task.id, task.uid);
+    }
+  }
+
+  const dates = (list) => list.flatMap(row => [row.startDate, row.endDate]).filter(Boolean).sort();
+  const rangeOf = (list) => {
+    const sorted = dates(list);
+    return { start: sorted[0], end: sorted[sorted.length - 1] };
+  };
+  const dateElements = ({ start, end }) => [
+    start ? `<Start>${start}T08:00:00</Start>` : '',
+    end ? `<Finish>${end}T17:00:00</Finish>` : ''
+  ].join('');
+
+  // 2. The task elements
+  const projectRange = rangeOf(rows);
+  const tasks = [
+    `<Task><UID>0</UID><ID>0</ID><Name>${escapeXml(title)}</Name><OutlineLevel>0</OutlineLevel><OutlineNumber>0</OutlineNumber><Summary>1</Summary>${dateElements(projectRange)}</Task>`
+  ];
+  lanes.forEach((lane, laneIndex) => {
+    tasks.push(`<Task><UID>${lane.uid}</UID><ID>${lane.uid}</ID><Name>${escapeXml(lane.title)}</Name><OutlineLevel>1</OutlineLevel><OutlineNumber>${laneIndex + 1}</OutlineNumber><Summary>1</Summary>${dateElements(rangeOf(lane.tasks))}</Task>`);
+
+    lane.tasks.forEach((task, taskIndex) => {
+      const isMilestone = task.type === 'milestone';
+      const hours = isMilestone ? 0 : countWorkingDays(task.startDate, task.endDate) * 8;
+      const links = task.dependencies
+        .filter(id => uidById.has(id))
+        .map(id => `<PredecessorLink><PredecessorUID>${uidById.get(id)}</PredecessorUID><Type>1</Type></PredecessorLink>`);
+      const fields = [
+        task.color && `<ExtendedAttribute><FieldID>${MS_PROJECT_FIELDS.color.fieldId}</FieldID><Value>${escapeXml(task.color)}</Value></ExtendedAttribute>`,
+        task.legend && `<ExtendedAttribute><FieldID>${MS_PROJECT_FIELDS.legend.fieldId}</FieldID><Value>${escapeXml(task.legend)}</Value></ExtendedAttribute>`
+      ].filter(Boolean);
+      // A milestone starts and finishes at the same moment
+      const taskDates = isMilestone
+        ? (task.startDate ? `<Start>${task.startDate}T08:00:00</Start><Finish>${task.startDate}T08:00:00</Finish>` : '')
+        : dateElements({ start: task.startDate, end: task.endDate });
+
+      tasks.push([
+        `<Task><UID>${task.uid}</UID><ID>${task.uid}</ID><Name>${escapeXml(task.title)}</Name>`,
+        `<OutlineLevel>2</OutlineLevel><OutlineNumber>${laneIndex + 1}.${taskIndex + 1}</OutlineNumber>`,
+        `<Summary>0</Summary><Milestone>${isMilestone ? 1 : 0}</Milestone>`,
+        taskDates,
+        `<Duration>PT${hours}H0M0S</Duration>`,
+        task.progress === null ? '' : `<PercentComplete>${task.progress}</PercentComplete>`,
+        ...links,
+        ...fields,
+        '</Task>'
+      ].join(''));
+    });
+  });
+
+  // 3. The project
+  const attributeDefinitions = Object.values(MS_PROJECT_FIELDS).map(field =>
+    `<ExtendedAttribute><FieldID>${field.fieldId}</FieldID><FieldName>${field.fieldName}</FieldName><Alias>${field.alias}</Alias></ExtendedAttribute>`
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Project xmlns="http://schemas.microsoft.com/project">',
+    '<SaveVersion>14</SaveVersion>',
+    `<Name>${escapeXml(title)}.xml</Name>`,
+    `<Title>${escapeXml(title)}</Title>`,
+    '<ScheduleFromStart>1</ScheduleFromStart>',
+    projectRange.start ? `<StartDate>${projectRange.start}T08:00:00</StartDate>` : '',
+    projectRange.end ? `<FinishDate>${projectRange.end}T17:00:00</FinishDate>` : '',
+    '<MinutesPerDay>480</MinutesPerDay>',
+    '<MinutesPerWeek>2400</MinutesPerWeek>',
+    `<ExtendedAttributes>${attributeDefinitions.join('')}</ExtendedAttributes>`,
+    '<Tasks>',
+    ...tasks,
+    '</Tasks>',
+    '</Project>'
+  ].filter(Boolean).join('\n') + '\n';
+}
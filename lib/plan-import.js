@@ -0,0 +1,463 @@
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+import { getFileType } from '../Public/file-types.js';
+import { formatIsoDate } from '../Public/timeline.js';
+
+/**
+ * Direct import of structured plans (CSV task lists and MS Project XML
+ * exports) into the ganttData format, without going through the model.
+ *
+ * The result has the same shape as the model's output (swimlanes, tasks
+ * with ISO dates, dependencies and colors; timeRange null) and goes
+ * through the same normalization in /generate-chart. The legend is empty
+ * unless the plan labels its colors (as plans from lib/plan-export.js do).
+ */
+
+// Same palette as the model prompt; swimlanes take the colors in turn
+const PALETTE = ['blue', 'ochre', 'orange', 'green'];
+
+// Header names accepted for each CSV column (compared without case, spaces or punctuation)
+const CSV_COLUMNS = {
+  id: ['id', 'taskid', 'uid', 'key', 'number', 'no'],
+  title: ['task', 'taskname', 'name', 'title', 'activity', 'summary'],
+  start: ['start', 'startdate', 'begin', 'from'],
+  end: ['end', 'enddate', 'finish', 'finishdate', 'due', 'duedate', 'to'],
+  swimlane: ['swimlane', 'lane', 'group', 'phase', 'workstream', 'stream', 'entity', 'section', 'category', 'team'],
+  type: ['type', 'tasktype', 'kind'],
+  milestone: ['milestone', 'ismilestone'],
+  dependencies: ['dependencies', 'dependson', 'predecessors', 'predecessor'],
+  progress: ['progress', 'percentcomplete', 'complete', 'pctcomplete', 'percentdone'],
+  color: ['color', 'colour', 'chartcolor'],
+  legend: ['legend', 'legendlabel']
+};
+
+/**
+ * Imports a structured plan file.
+ * @param {{originalname: string, mimetype: string, buffer: Buffer}} file - A multer file.
+ * @returns {{ganttData: object, researchText: string}} The chart data, and the text
+ *   kept as research for analysis and Q&A.
+ */
+export function importPlan(file) {
+  const type = getFileType(file.originalname, file.mimetype);
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const fallbackTitle = file.originalname.replace(/\.[^.]+$/, '');
+
+  if (type?.kind === 'csv') {
+    // The raw CSV keeps any extra columns (owners, notes) for the analysis
+    return { ganttData: parseCsvPlan(text, fallbackTitle), researchText: text };
+  }
+  if (type?.kind === 'msproject') {
+    const ganttData = parseMsProjectXml(text, fallbackTitle);
+    const researchText = planToText(ganttData);
+    // Task notes are research, not chart data
+    for (const row of ganttData.data) delete row.notes;
+    return { ganttData, researchText };
+  }
+  throw new Error(`Not a structured plan file: ${file.originalname}`);
+}
+
+// -------------------------------------------------------------------
+// --- Shared helpers ---
+// -------------------------------------------------------------------
+
+/**
+ * Reads a date as exported by spreadsheets and planning tools.
+ * Accepts ISO dates (with or without a time), YYYY/MM/DD, M/D/YYYY (or
+ * D/M/YYYY when the first number cannot be a month), D.M.YYYY, and
+ * written-out dates such as "6 Jan 2025".
+ * @param {string} value
+ * @returns {string | null} An ISO date, or null if the value is not a date.
+ */
+export function parsePlanDate(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let year, month, day;
+  let match;
+  if ((match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ].*)?$/))) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?: .*)?$/))) {
+    const [, first, second, yearPart] = match;
+    [month, day] = Number(first) > 12 ? [second, first] : [first, second];
+    year = yearPart.length === 2 ? `20${yearPart}` : yearPart;
+  } else if ((match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/))) {
+    [, day, month, year] = match;
+  } else {
+    const parsed = new Date(text);
+    if (Number.isNaN(parsed.getTime()) || !/[a-z]/i.test(text)) return null;
+    [year, month, day] = [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()];
+  }
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  // Reject impossible dates such as 31/02/2025 (which Date would roll over)
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+  return formatIsoDate(date);
+}
+
+/**
+ * Reads a task's percent complete ("40", "40%" or "40.5").
+ * @param {*} value
+ * @returns {number | null} A whole percentage (0-100), or null if there is none.
+ */
+export function parsePlanProgress(value) {
+  const progress = parseFloat(String(value ?? '').trim());
+  return Number.isFinite(progress) ? Math.min(100, Math.max(0, Math.round(progress))) : null;
+}
+
+/**
+ * Orders the rows swimlane by swimlane and gives each swimlane's tasks the
+ * swimlane's color (unless the plan set a valid color of its own).
+ * Tasks with a `legend` label build the legend for their color.
+ * @param {string} title - The chart title.
+ * @param {Array<{lane: string, row: object, legend?: string}>} tasks - Tasks in plan order.
+ * @returns {object} ganttData.
+ */
+function buildGanttData(title, tasks) {
+  const lanes = [];
+  for (const { lane } of tasks) {
+    if (!lanes.includes(lane)) lanes.push(lane);
+  }
+
+  const data = [];
+  const legend = [];
+  lanes.forEach((lane, index) => {
+    data.push({ id: `S${index + 1}`, title: lane, isSwimlane: true, entity: lane });
+    for (const task of tasks.filter(t => t.lane === lane)) {
+      const color = PALETTE.includes(task.row.bar.color) ? task.row.bar.color : PALETTE[index % PALETTE.length];
+      data.push({ ...task.row, entity: lane, bar: { ...task.row.bar, color } });
+      if (task.legend && !legend.some(item => item.color === color)) {
+        legend.push({ color, label: task.legend });
+      }
+    }
+  });
+
+  return { title, timeRange: null, data, legend };
+}
+
+/**
+ * Writes an imported plan out as text, for use as research.
+ * @param {object} ganttData
+ * @returns {string}
+ */
+function planToText(ganttData) {
+  const titles = new Map(ganttData.data.map(row => [row.id, row.title]));
+  const lines = [`Project: ${ganttData.title}`];
+  for (const row of ganttData.data) {
+    if (row.isSwimlane) {
+      lines.push('', `Swimlane: ${row.title}`);
+      continue;
+    }
+    const { startDate, endDate } = row.bar;
+    const dates = row.type === 'milestone' ? `milestone on ${startDate}` : `${startDate || '?'} to ${endDate || '?'}`;
+    const dependencies = row.dependencies.length > 0
+      ? `; after ${row.dependencies.map(id => titles.get(id) || id).join(', ')}`
+      : '';
+    lines.push(`- ${row.title} (${dates}${dependencies})`);
+    if (row.notes) lines.push(`  Notes: ${row.notes}`);
+  }
+  return lines.join('\n');
+}
+
+// -------------------------------------------------------------------
+// --- CSV ---
+// -------------------------------------------------------------------
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180 quoting; comma, semicolon
+ * or tab delimited, whichever the header line uses most).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => [candidate, headerLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Maps a CSV task list to ganttData.
+ *
+ * - Columns are found by header name (see CSV_COLUMNS); only a task name
+ *   column is required.
+ * - Without a swimlane column, rows with no dates act as section headers:
+ *   the tasks below them go in that swimlane.
+ * - Dependencies may name a task's ID, its row number or its name. IDs and
+ *   row numbers may carry MS Project style suffixes ("3FS+2d"); only the
+ *   task part is used. References that match no task are dropped with a
+ *   warning.
+ * - Tasks keep the ID from the ID column; the others get "T" and their row
+ *   number, or the next free number. A repeated ID is kept by its first
+ *   task only, with a warning.
+ * - A progress column ("Progress", "% Complete") sets the task's progress.
+ *
+ * @param {string} text - The CSV text.
+ * @param {string} title - The chart title (usually the file name).
+ * @returns {object} ganttData.
+ */
+export function parseCsvPlan(text, title) {
+  const [header = [], ...records] = parseCsv(text);
+  const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const columns = {};
+  header.forEach((name, index) => {
+    for (const [key, aliases] of Object.entries(CSV_COLUMNS)) {
+      if (columns[key] === undefined && aliases.includes(normalize(name))) columns[key] = index;
+    }
+  });
+  if (columns.title === undefined) {
+    throw new Error('The CSV file needs a task name column (e.g. "Task" or "Name").');
+  }
+
+  const cell = (record, key) => (columns[key] === undefined ? '' : (record[columns[key]] || '').trim());
+
+  // 1. Read the rows
+  const tasks = [];
+  let currentLane = title;
+
+  records.forEach((record, index) => {
+    const name = cell(record, 'title');
+    if (!name) return;
+
+    let startDate = parsePlanDate(cell(record, 'start'));
+    let endDate = parsePlanDate(cell(record, 'end'));
+
+    if (columns.swimlane === undefined && !startDate && !endDate) {
+      currentLane = name; // A section header row
+      return;
+    }
+
+    const type = cell(record, 'type').toLowerCase();
+    const milestoneFlag = cell(record, 'milestone').toLowerCase();
+    const isMilestone = type === 'milestone' || ['yes', 'y', 'true', '1', 'x'].includes(milestoneFlag);
+    if (isMilestone) {
+      startDate = startDate || endDate;
+      endDate = startDate;
+    } else if (startDate && endDate && endDate < startDate) {
+      [startDate, endDate] = [endDate, startDate];
+    }
+
+    const row = {
+      title: name,
+      isSwimlane: false,
+      type: isMilestone ? 'milestone' : 'task',
+      dependencies: cell(record, 'dependencies'),
+      bar: { startDate: startDate || endDate, endDate: endDate || startDate, color: cell(record, 'color').toLowerCase() }
+    };
+    const progress = parsePlanProgress(cell(record, 'progress'));
+    if (progress !== null) row.progress = progress;
+    tasks.push({ lane: cell(record, 'swimlane') || currentLane, row, legend: cell(record, 'legend'), rowNumber: index + 1, sourceId: cell(record, 'id') });
+  });
+
+  // 2. Give every task an ID. The IDs from the file are collected first,
+  //    so a generated one never takes an ID another row uses.
+  const warnings = [];
+  const usedIds = new Set(tasks.map(task => task.sourceId).filter(Boolean));
+  const ownerOf = new Map(); // Source ID -> the title of the task that kept it
+  for (const task of tasks) {
+    if (task.sourceId && !ownerOf.has(task.sourceId)) {
+      task.row.id = task.sourceId;
+      ownerOf.set(task.sourceId, task.row.title);
+      continue;
+    }
+    let number = task.rowNumber;
+    while (usedIds.has(`T${number}`)) number++;
+    task.row.id = `T${number}`;
+    usedIds.add(task.row.id);
+    if (task.sourceId) {
+      warnings.push(`"${task.row.title}" has the ID "${task.sourceId}", which "${ownerOf.get(task.sourceId)}" already has; it was given the ID "${task.row.id}".`);
+    }
+  }
+
+  const references = new Map(); // ID or row number -> task ID
+  const names = new Map(); // Lower-case name -> task ID
+  for (const { row, rowNumber } of tasks) {
+    references.set(String(rowNumber), row.id);
+    if (!names.has(row.title.toLowerCase())) names.set(row.title.toLowerCase(), row.id);
+  }
+  for (const sourceId of ownerOf.keys()) {
+    references.set(sourceId, sourceId); // The task that kept it
+  }
+
+  // 3. Resolve the dependency references now that every task is known.
+  //    The whole reference is tried first, so names like "Kick-off" or
+  //    "Build process" are never cut short by the suffix rule.
+  const resolve = (reference) => {
+    const exact = references.get(reference) || names.get(reference.toLowerCase());
+    if (exact) return exact;
+    const suffixed = reference.match(/^(\w+?)\s*(?:FS|SS|FF|SF)?\s*(?:[+-]\s*\d+(?:\.\d+)?\s*[a-z%]*)?$/i);
+    return suffixed ? references.get(suffixed[1]) : undefined;
+  };
+
+  for (const { row } of tasks) {
+    const dependencies = [];
+    for (const reference of row.dependencies.split(/[;,]/).map(part => part.trim()).filter(Boolean)) {
+      const id = resolve(reference);
+      if (!id) {
+        warnings.push(`Dropped the predecessor "${reference}" of "${row.title}": no task has that ID, row number or name.`);
+      } else if (id !== row.id) {
+        dependencies.push(id);
+      }
+    }
+    row.dependencies = dependencies;
+  }
+
+  const ganttData = buildGanttData(title, tasks);
+  return warnings.length > 0 ? { ...ganttData, warnings } : ganttData;
+}
+
+// -------------------------------------------------------------------
+// --- MS Project XML ---
+// -------------------------------------------------------------------
+
+// MS Project link type 1 is finish-to-start, the only kind the chart draws
+const FINISH_TO_START = '1';
+
+// Custom field names (aliases) that carry the chart color and legend label
+const COLOR_FIELD = /^(chart\s*)?colou?r$/i;
+const LEGEND_FIELD = /^legend(\s*label)?$/i;
+
+/**
+ * Gets the calendar date of an MS Project date-time. A finish at midnight
+ * means the task ended the day before.
+ * @param {string} value - e.g. "2025-01-06T08:00:00".
+ * @param {boolean} isFinish
+ * @returns {string | null}
+ */
+function parseProjectDateTime(value, isFinish) {
+  const date = parsePlanDate(value);
+  if (!date || !isFinish || !/T00:00(:00)?$/.test(String(value).trim())) return date;
+  const previousDay = new Date(`${date}T00:00:00Z`);
+  previousDay.setUTCDate(previousDay.getUTCDate() - 1);
+  return formatIsoDate(previousDay);
+}
+
+/**
+ * Maps an MS Project XML export to ganttData.
+ *
+ * - Top-level summary tasks become swimlanes; every task below them
+ *   (at any depth) goes in that swimlane. Deeper summary tasks are left out.
+ * - Top-level tasks that are not summaries go in a swimlane named after
+ *   the project.
+ * - Finish-to-start predecessor links become dependencies.
+ * - Custom fields named "Chart Color" and "Legend" set the bar color and
+ *   legend label.
+ * - PercentComplete becomes the task's progress.
+ *
+ * @param {string} xml - The XML text.
+ * @param {string} fallbackTitle - The title to use if the project has none.
+ * @returns {object} ganttData.
+ */
+export function parseMsProjectXml(xml, fallbackTitle) {
+  // The parser itself accepts unclosed tags, which would look like an empty plan
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    throw new Error(`Not valid XML (line ${validation.err.line}): ${validation.err.msg}`);
+  }
+
+  const parser = new XMLParser({
+    ignoreAttributes: true,
+    parseTagValue: false,
+    isArray: (name) => ['Task', 'PredecessorLink', 'ExtendedAttribute'].includes(name)
+  });
+  const project = parser.parse(xml).Project;
+  if (!project) {
+    throw new Error('Not an MS Project XML file (no <Project> element).');
+  }
+
+  const title = String(project.Title || project.Name || fallbackTitle).replace(/\.xml$/i, '');
+  const fieldAliases = new Map((project.ExtendedAttributes?.ExtendedAttribute || [])
+    .map(field => [String(field.FieldID), String(field.Alias || '')]));
+  const tasks = [];
+  let currentLane = null;
+
+  for (const task of project.Tasks?.Task || []) {
+    if (task.UID === '0' || task.IsNull === '1' || !task.Name) continue; // Project summary and blank rows
+
+    const level = Number(task.OutlineLevel || 1);
+    const isSummary = task.Summary === '1';
+    if (isSummary) {
+      if (level === 1) currentLane = String(task.Name);
+      continue;
+    }
+    const lane = level === 1 ? title : (currentLane || title);
+
+    const isMilestone = task.Milestone === '1';
+    const startDate = parseProjectDateTime(task.Start, false);
+    const endDate = isMilestone ? startDate : (parseProjectDateTime(task.Finish, true) || startDate);
+
+    const dependencies = (task.PredecessorLink || [])
+      .filter(link => (link.Type ?? FINISH_TO_START) === FINISH_TO_START && link.PredecessorUID)
+      .map(link => `T${link.PredecessorUID}`);
+
+    const customField = (pattern) => {
+      const field = (task.ExtendedAttribute || []).find(attribute => pattern.test(fieldAliases.get(String(attribute.FieldID)) || ''));
+      return field ? String(field.Value ?? '').trim() : '';
+    };
+
+    const row = {
+      id: `T${task.UID}`,
+      title: String(task.Name),
+      isSwimlane: false,
+      type: isMilestone ? 'milestone' : 'task',
+      dependencies,
+      bar: {
+        startDate,
+        endDate: endDate && startDate && endDate < startDate ? startDate : endDate,
+        color: customField(COLOR_FIELD).toLowerCase() || null
+      }
+    };
+    const progress = parsePlanProgress(task.PercentComplete);
+    if (progress !== null) row.progress = progress;
+    if (task.Notes) row.notes = String(task.Notes).trim();
+    tasks.push({ lane, row, legend: customField(LEGEND_FIELD) });
+  }
+
+  const ganttData = buildGanttData(title, tasks);
+
+  // Only keep links to tasks that made it into the chart (not summaries)
+  const taskIds = new Set(tasks.map(({ row }) => row.id));
+  for (const row of ganttData.data) {
+    if (!row.isSwimlane) {
+      row.dependencies = row.dependencies.filter(id => taskIds.has(id));
+    }
+  }
+
+  return ganttData;
+}
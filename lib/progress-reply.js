@@ -0,0 +1,95 @@
+/**
+ * Replies to a long-running request (such as /generate-chart or
+ * /ask-question) either as a
+ * single JSON response, or, when the client sends
+ * `Accept: text/event-stream`, as a stream of Server-Sent Events:
+ *
+ *   event: progress   data: {"step": "extract", "message": "...", ...details}
+ *   event: chunk      data: {"text": "..."}  (the next piece of a streamed answer)
+ *   event: result     data: <the JSON body the plain request would get>
+ *   event: error      data: {"error": "...", "status": 400}
+ *
+ * The reply's `signal` fires when the client goes away (e.g. the user
+ * pressed Cancel), so the route can stop work and model calls early.
+ */
+
+/**
+ * Starts the reply for a request.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @returns {{streaming: boolean, signal: AbortSignal, progress: function(string, string, object=): void, chunk: function(string): void, fail: function(number, string): void, done: function(object): void}}
+ */
+export function createProgressReply(req, res) {
+  const streaming = (req.headers.accept || '').includes('text/event-stream');
+  const controller = new AbortController();
+
+  // 'close' also fires after a normal end; only an early close is a cancel
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort(new Error('Request cancelled by the client'));
+  });
+
+  if (streaming) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop proxies from holding the events back
+    });
+    res.flushHeaders();
+  }
+
+  const isOpen = () => !controller.signal.aborted && !res.writableEnded;
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  return {
+    streaming,
+    signal: controller.signal,
+
+    /**
+     * Reports a step (ignored for plain JSON requests).
+     * @param {string} step - A short step key (e.g. "extract", "model", "retry").
+     * @param {string} message - The text shown to the user.
+     * @param {object} [details] - Extra fields for the event.
+     */
+    progress(step, message, details = {}) {
+      if (streaming && isOpen()) send('progress', { step, message, ...details });
+    },
+
+    /**
+     * Sends the next piece of a streamed answer (ignored for plain JSON requests).
+     * @param {string} text
+     */
+    chunk(text) {
+      if (streaming && isOpen()) send('chunk', { text });
+    },
+
+    /**
+     * Ends the request with an error.
+     * @param {number} status - The HTTP status (sent in the event when streaming).
+     * @param {string} error - The error message.
+     */
+    fail(status, error) {
+      if (!isOpen()) return;
+      if (streaming) {
+        send('error', { error, status });
+        res.end();
+      } else {
+        res.status(status).json({ error });
+      }
+    },
+
+    /**
+     * Ends the request with its result.
+     * @param {object} body - The JSON result.
+     */
+    done(body) {
+      if (!isOpen()) return;
+      if (streaming) {
+        send('result', body);
+        res.end();
+      } else {
+        res.json(body);
+      }
+    }
+  };
+}
@@ -0,0 +1,130 @@
+import { randomUUID } from 'crypto';
+import { mkdir, readFile, writeFile, unlink, readdir } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Persistent chart projects.
+ * A project is a generated ganttData object plus the research it was built
+ * from, stored as one JSON file per project in PROJECT_STORE_DIR.
+ * Unlike chart sessions, projects never expire; they are removed only
+ * through deleteProject.
+ */
+
+// --- Configuration ---
+const STORE_DIR = process.env.PROJECT_STORE_DIR || join(process.cwd(), 'data', 'projects');
+// ---
+
+// Only IDs we generated ourselves are ever used as file names
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function projectFilePath(id) {
+  return join(STORE_DIR, `${id}.json`);
+}
+
+async function writeProject(project) {
+  await mkdir(STORE_DIR, { recursive: true });
+  await writeFile(projectFilePath(project.id), JSON.stringify(project));
+}
+
+/**
+ * Saves a new project.
+ * @param {{name: string, ganttData: object, researchText: string, researchFiles: string[]}} details
+ * @returns {Promise<object>} The stored project.
+ */
+export async function saveProject({ name, ganttData, researchText, researchFiles }) {
+  const now = new Date().toISOString();
+  const id = randomUUID();
+  const project = {
+    id,
+    name: name || ganttData.title || 'Untitled project',
+    createdAt: now,
+    updatedAt: now,
+    // The project ID doubles as the chart ID once the project is reopened
+    ganttData: { ...ganttData, chartId: id },
+    researchText,
+    researchFiles
+  };
+  await writeProject(project);
+  return project;
+}
+
+/**
+ * Loads a project by ID.
+ * @param {string} id - The project ID.
+ * @returns {Promise<object | null>} The project, or null if it does not exist.
+ */
+export async function getProject(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+  try {
+    return JSON.parse(await readFile(projectFilePath(id), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+/**
+ * Replaces a project's chart data (and optionally its name).
+ * The stored research is never changed by an update.
+ * @param {string} id - The project ID.
+ * @param {{ganttData: object, name?: string}} changes
+ * @returns {Promise<object | null>} The updated project, or null if it does not exist.
+ */
+export async function updateProject(id, { ganttData, name }) {
+  const project = await getProject(id);
+  if (!project) return null;
+
+  project.ganttData = { ...ganttData, chartId: project.id };
+  if (name) project.name = name;
+  project.updatedAt = new Date().toISOString();
+
+  await writeProject(project);
+  return project;
+}
+
+/**
+ * Lists every saved project, most recently updated first.
+ * Research text and chart data are left out to keep the list small.
+ * @returns {Promise<Array<{id: string, name: string, title: string, createdAt: string, updatedAt: string, researchFiles: string[]}>>}
+ */
+export async function listProjects() {
+  let fileNames;
+  try {
+    fileNames = await readdir(STORE_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') return []; // Nothing saved yet
+    throw e;
+  }
+
+  const projects = [];
+  for (const fileName of fileNames) {
+    const id = fileName.replace(/\.json$/, '');
+    const project = await getProject(id);
+    if (!project) continue;
+    projects.push({
+      id: project.id,
+      name: project.name,
+      title: project.ganttData.title,
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt,
+      researchFiles: project.researchFiles
+    });
+  }
+  return projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Deletes a project.
+ * @param {string} id - The project ID.
+ * @returns {Promise<boolean>} False if the project did not exist.
+ */
+export async function deleteProject(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) return false;
+  try {
+    await unlink(projectFilePath(id));
+    return true;
+  } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw e;
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * Retrieval for large research sets. Instead of sending all of a chart's
+ * research with every analysis and Q&A call, the research is split into
+ * passages, indexed with BM25 (keyword ranking), and only the passages
+ * relevant to the question go into the prompt.
+ *
+ * The selected passages keep their `--- Start of file: ... ---` wrappers
+ * (and the page, slide or sheet they came from), so the model can still
+ * cite file names. Research that fits in RESEARCH_CONTEXT_MAX_CHARS is
+ * sent whole, as before.
+ *
+ * Optional: set RETRIEVAL_EMBEDDING_MODEL (e.g. nomic-embed-text) to also
+ * rank passages by meaning with a local Ollama embedding model
+ * (RETRIEVAL_EMBEDDING_URL, default http://localhost:11434). If the
+ * embedding server cannot be reached, or does not answer within
+ * RETRIEVAL_EMBEDDING_TIMEOUT_MS, the keyword ranking is used alone.
+ */
+
+// --- Configuration ---
+const CONTEXT_MAX_CHARS = Number(process.env.RESEARCH_CONTEXT_MAX_CHARS) || 40000;
+const EMBEDDING_MODEL = process.env.RETRIEVAL_EMBEDDING_MODEL || null;
+const EMBEDDING_URL = (process.env.RETRIEVAL_EMBEDDING_URL || 'http://localhost:11434').replace(/\/+$/, '');
+const EMBEDDING_TIMEOUT_MS = Number(process.env.RETRIEVAL_EMBEDDING_TIMEOUT_MS) || 60000;
+const CHUNK_CHARS = 1200;
+const INDEX_CACHE_SIZE = 20;
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+// ---
+
+const FILE_PATTERN = /--- Start of file: (.+?) ---\n([\s\S]*?)\n--- End of file: \1 ---/g;
+// Page, slide and sheet markers written by lib/file-extraction.js
+const LOCATION_PATTERN = /^--- (Page \d+|Slide \d+|Sheet: .+) ---$/;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with', 'what', 'when', 'which',
+  'who', 'how', 'does', 'do', 'did', 'about', 'can', 'there', 'their', 'they', 'we', 'our', 'you', 'your'
+]);
+
+/**
+ * Splits text into lower-case search terms (letters and digits, any
+ * script), without stop words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Splits a long paragraph at sentence ends (or hard, if it has none).
+ * @param {string} paragraph
+ * @returns {string[]}
+ */
+function splitParagraph(paragraph) {
+  if (paragraph.length <= CHUNK_CHARS) return [paragraph];
+  const pieces = [];
+  let rest = paragraph;
+  while (rest.length > CHUNK_CHARS) {
+    const window = rest.slice(0, CHUNK_CHARS);
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+    const cut = sentenceEnd > CHUNK_CHARS / 2 ? sentenceEnd + 1 : CHUNK_CHARS;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut);
+  }
+  if (rest.trim()) pieces.push(rest.trim());
+  return pieces;
+}
+
+/**
+ * Splits the research into passages of about CHUNK_CHARS characters,
+ * along paragraph boundaries.
+ * @param {string} researchText - The research as stored in the chart session.
+ * @returns {Array<{file: string, position: number, part: number, location: string | null, text: string}>}
+ *   `position` counts across all files, `part` within the file.
+ */
+export function chunkResearch(researchText) {
+  const chunks = [];
+  for (const [, file, content] of String(researchText).matchAll(FILE_PATTERN)) {
+    let location = null;
+    let current = null;
+    let part = 0;
+    const flush = () => {
+      if (current?.text.trim()) chunks.push({ ...current, part: part++, text: current.text.trim() });
+      current = null;
+    };
+
+    for (const paragraph of content.split(/\n\s*\n/)) {
+      const lines = paragraph.split('\n');
+      // A page/slide/sheet marker starts a new passage
+      if (LOCATION_PATTERN.test(lines[0].trim())) {
+        flush();
+        location = lines[0].trim().match(LOCATION_PATTERN)[1];
+        lines.shift();
+      }
+      for (const piece of splitParagraph(lines.join('\n').trim())) {
+        if (!piece) continue;
+        if (current && current.text.length + piece.length + 2 > CHUNK_CHARS) flush();
+        current ??= { file, position: chunks.length, location, text: '' };
+        current.text += `${current.text ? '\n\n' : ''}${piece}`;
+      }
+    }
+    flush();
+  }
+  return chunks;
+}
+
+/**
+ * Builds the BM25 index for a research set.
+ * @param {string} researchText
+ * @returns {{chunks: object[], terms: Map<string, number>[], lengths: number[], documentFrequency: Map<string, number>, averageLength: number, embeddings: (number[][] | null)}}
+ */
+export function buildResearchIndex(researchText) {
+  const chunks = chunkResearch(researchText);
+  const documentFrequency = new Map();
+  const terms = [];
+  const lengths = [];
+
+  for (const chunk of chunks) {
+    // The file name counts as part of every passage in it
+    const tokens = tokenize(`${chunk.file} ${chunk.location || ''} ${chunk.text}`);
+    const counts = new Map();
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+    for (const token of counts.keys()) documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    terms.push(counts);
+    lengths.push(tokens.length);
+  }
+
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1);
+  return { chunks, terms, lengths, documentFrequency, averageLength, embeddings: null };
+}
+
+/**
+ * Scores every passage against a query with BM25.
+ * @param {object} index - From buildResearchIndex.
+ * @param {string} query
+ * @returns {number[]} One score per passage (0 if no query term occurs).
+ */
+export function scoreBm25(index, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const total = index.chunks.length;
+  return index.terms.map((counts, i) => {
+    let score = 0;
+    for (const term of queryTerms) {
+      const frequency = counts.get(term);
+      if (!frequency) continue;
+      const df = index.documentFrequency.get(term);
+      const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+      score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * index.lengths[i] / (index.averageLength || 1)));
+    }
+    return score;
+  });
+}
+
+// -------------------------------------------------------------------
+// --- Optional local embeddings (Ollama) ---
+// -------------------------------------------------------------------
+
+/**
+ * Embeds texts with the local embedding model.
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>}
+ */
+async function embed(texts) {
+  const response = await fetch(`${EMBEDDING_URL}/api/embed`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model: EMBEDDING_MODEL, input: texts }),
+    // A server that accepts the connection but never answers must not stall the call
+    signal: AbortSignal.timeout(EMBEDDING_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Embedding call failed with status: ${response.status} - ${await response.text()}`);
+  }
+  const { embeddings } = await response.json();
+  if (!Array.isArray(embeddings) || embeddings.length !== texts.length) {
+    throw new Error('Invalid response from the embedding model');
+  }
+  return embeddings;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Scores passages by keywords, and also by meaning when an embedding
+ * model is configured (an equal mix of the two, each scaled to 0..1).
+ * @param {object} index
+ * @param {string} query
+ * @returns {Promise<number[]>}
+ */
+async function scorePassages(index, query) {
+  const keywordScores = scoreBm25(index, query);
+  if (!EMBEDDING_MODEL) return keywordScores;
+
+  try {
+    // Passages are embedded once per research set
+    index.embeddings ??= await embed(index.chunks.map(chunk => chunk.text));
+    const [queryEmbedding] = await embed([query]);
+    const maxKeyword = Math.max(...keywordScores, 0) || 1;
+    return keywordScores.map((score, i) =>
+      0.5 * (score / maxKeyword) + 0.5 * Math.max(0, cosineSimilarity(queryEmbedding, index.embeddings[i])));
+  } catch (e) {
+    console.error("Embedding retrieval error (using keywords only):", e.message);
+    return keywordScores;
+  }
+}
+
+// -------------------------------------------------------------------
+// --- Context selection ---
+// -------------------------------------------------------------------
+
+// Indexes by chart ID, most recently used last
+const indexCache = new Map();
+
+function getIndex(cacheKey, researchText) {
+  let entry = indexCache.get(cacheKey);
+  if (!entry || entry.researchText !== researchText) {
+    entry = { researchText, index: buildResearchIndex(researchText) };
+  }
+  indexCache.delete(cacheKey);
+  indexCache.set(cacheKey, entry);
+  if (indexCache.size > INDEX_CACHE_SIZE) indexCache.delete(indexCache.keys().next().value);
+  return entry.index;
+}
+
+/**
+ * Writes the chosen passages back in the research format, grouped by
+ * file in their original order, with "[...]" where text was left out.
+ * @param {object[]} chunks - The chosen passages.
+ * @returns {string}
+ */
+function formatPassages(chunks) {
+  const byFile = new Map();
+  for (const chunk of [...chunks].sort((a, b) => a.position - b.position)) {
+    if (!byFile.has(chunk.file)) byFile.set(chunk.file, []);
+    byFile.get(chunk.file).push(chunk);
+  }
+
+  let text = '';
+  for (const [file, passages] of byFile) {
+    text += `\n\n--- Start of file: ${file} ---\n`;
+    text += passages.map(chunk => (chunk.location ? `--- ${chunk.location} ---\n${chunk.text}` : chunk.text)).join('\n[...]\n');
+    text += `\n--- End of file: ${file} ---\n`;
+  }
+  return text;
+}
+
+/**
+ * Gets the research to send with a question: all of it if it fits the
+ * budget, otherwise the most relevant passages that fit.
+ * @param {string} researchText - The chart's research.
+ * @param {string} query - What the call is about (e.g. the task name and question).
+ * @param {object} [options]
+ * @param {string} [options.cacheKey] - Reuses the index between calls (e.g. the chart ID).
+ * @param {number} [options.maxChars] - The budget (default RESEARCH_CONTEXT_MAX_CHARS).
+ * @returns {Promise<string>}
+ */
+export async function selectResearchContext(researchText, query, { cacheKey, maxChars = CONTEXT_MAX_CHARS } = {}) {
+  if (researchText.length <= maxChars) return researchText;
+
+  const index = cacheKey ? getIndex(cacheKey, researchText) : buildResearchIndex(researchText);
+  const scores = await scorePassages(index, query);
+  let ranked = index.chunks
+    .map((chunk, i) => ({ chunk, score: scores[i] }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.chunk.position - b.chunk.position);
+
+  // Nothing matched: the start of each file usually says what it is about
+  if (ranked.length === 0) {
+    ranked = [...index.chunks]
+      .sort((a, b) => a.part - b.part || a.position - b.position)
+      .map(chunk => ({ chunk }));
+  }
+
+  const chosen = [];
+  let length = 0;
+  for (const { chunk } of ranked) {
+    // Room for the file wrapper and the "[...]" between passages
+    const cost = chunk.text.length + chunk.file.length * 2 + 60;
+    if (length + cost > maxChars) continue;
+    chosen.push(chunk);
+    length += cost;
+  }
+  return formatPassages(chosen);
+}
@@ -0,0 +1,267 @@
+import { randomUUID } from 'crypto';
+import { mkdirSync, readFileSync, writeFileSync, unlinkSync, readdirSync, existsSync, statSync, utimesSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Per-chart session storage for uploaded research.
+ * Every generated chart gets its own ID, and the research text it was built
+ * from is kept under that ID so the analysis and Q&A endpoints never read
+ * another user's documents.
+ *
+ * The task Q&A chat history is kept in the session too (one list of turns
+ * per task), trimmed to CHAT_HISTORY_MAX_CHARS so it fits the prompt, as
+ * are the task analyses already generated (so reopening a task is instant).
+ *
+ * Sessions live in memory and are evicted after SESSION_TTL_MINUTES of
+ * inactivity. If SESSION_STORE_DIR is set, each session is also written to
+ * disk so it survives a server restart. Sessions are only rewritten when
+ * they change; a read just bumps the file's modification time, which is
+ * the session's last access on disk.
+ */
+
+// --- Configuration ---
+const TTL_MS = (Number(process.env.SESSION_TTL_MINUTES) || 120) * 60 * 1000;
+const STORE_DIR = process.env.SESSION_STORE_DIR || null;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const CHAT_HISTORY_MAX_CHARS = Number(process.env.CHAT_HISTORY_MAX_CHARS) || 12000;
+// ---
+
+const sessions = new Map();
+
+if (STORE_DIR) {
+  mkdirSync(STORE_DIR, { recursive: true });
+}
+
+// Only IDs we generated ourselves are ever used as file names
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function sessionFilePath(id) {
+  return join(STORE_DIR, `${id}.json`);
+}
+
+function isExpired(session, now = Date.now()) {
+  return now - session.lastAccess > TTL_MS;
+}
+
+/**
+ * Records an access on disk without rewriting the session (which can hold
+ * the research, cached analyses and chat history).
+ */
+function touchOnDisk(session) {
+  if (!STORE_DIR) return;
+  try {
+    const accessedAt = new Date(session.lastAccess);
+    utimesSync(sessionFilePath(session.id), accessedAt, accessedAt);
+  } catch (e) {
+    console.error(`Could not refresh session ${session.id}:`, e.message);
+  }
+}
+
+function writeToDisk(session) {
+  if (!STORE_DIR) return;
+  try {
+    writeFileSync(sessionFilePath(session.id), JSON.stringify(session));
+  } catch (e) {
+    console.error(`Could not persist session ${session.id}:`, e.message);
+  }
+}
+
+function removeFromDisk(id) {
+  if (!STORE_DIR) return;
+  try {
+    unlinkSync(sessionFilePath(id));
+  } catch (e) {
+    // Already gone, nothing to do
+  }
+}
+
+function readFromDisk(id) {
+  if (!STORE_DIR || !existsSync(sessionFilePath(id))) return null;
+  try {
+    const session = JSON.parse(readFileSync(sessionFilePath(id), 'utf8'));
+    // Reads since the last write only moved the modification time
+    session.lastAccess = Math.max(session.lastAccess, statSync(sessionFilePath(id)).mtimeMs);
+    return session;
+  } catch (e) {
+    console.error(`Could not read session ${id}:`, e.message);
+    return null;
+  }
+}
+
+/**
+ * Stores the research for a newly generated chart. Given another
+ * session, its chat history and cached analyses are copied as well (e.g.
+ * when a chart is saved as a project and gets the project's ID).
+ * @param {{researchText: string, researchFiles: string[], chats?: object, analyses?: object}} research
+ * @param {string} [id] - Reuse an existing ID (e.g. when reopening a saved project).
+ * @returns {string} The chart ID.
+ */
+export function createSession({ researchText, researchFiles, chats, analyses }, id = randomUUID()) {
+  const now = Date.now();
+  const session = {
+    id,
+    researchText,
+    researchFiles,
+    createdAt: now,
+    lastAccess: now
+  };
+  if (chats) session.chats = structuredClone(chats);
+  if (analyses) session.analyses = structuredClone(analyses);
+  sessions.set(session.id, session);
+  writeToDisk(session);
+  return session.id;
+}
+
+/**
+ * Looks up a chart's session and refreshes its TTL.
+ * @param {string} id - The chart ID returned by createSession.
+ * @returns {object | null} The session, or null if unknown or expired.
+ */
+export function getSession(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+
+  let session = sessions.get(id) || readFromDisk(id);
+  if (!session) return null;
+
+  if (isExpired(session)) {
+    deleteSession(id);
+    return null;
+  }
+
+  session.lastAccess = Date.now();
+  sessions.set(id, session);
+  touchOnDisk(session); // Keep the on-disk TTL in step with memory
+  return session;
+}
+
+/**
+ * Removes a session from memory and disk.
+ * @param {string} id - The chart ID.
+ */
+export function deleteSession(id) {
+  sessions.delete(id);
+  removeFromDisk(id);
+}
+
+// -------------------------------------------------------------------
+// --- Task chat history ---
+// -------------------------------------------------------------------
+
+/**
+ * Drops the oldest question/answer pairs until the turns fit the budget.
+ * The latest pair is always kept.
+ * @param {Array<{role: string, text: string}>} turns - Alternating user and model turns.
+ * @param {number} [maxChars]
+ * @returns {Array<{role: string, text: string}>}
+ */
+export function trimChatHistory(turns, maxChars = CHAT_HISTORY_MAX_CHARS) {
+  let trimmed = turns;
+  let total = turns.reduce((sum, turn) => sum + turn.text.length, 0);
+  while (trimmed.length > 2 && total > maxChars) {
+    total -= trimmed[0].text.length + trimmed[1].text.length;
+    trimmed = trimmed.slice(2);
+  }
+  return trimmed;
+}
+
+/**
+ * Gets the earlier chat turns about one task.
+ * @param {string} id - The chart ID.
+ * @param {string} taskKey - Identifies the task within the chart.
+ * @returns {Array<{role: 'user' | 'model', text: string}>} Oldest first (empty if none).
+ */
+export function getChatHistory(id, taskKey) {
+  return [...(getSession(id)?.chats?.[taskKey] || [])];
+}
+
+/**
+ * Adds a question and its answer to a task's chat history.
+ * @param {string} id - The chart ID.
+ * @param {string} taskKey
+ * @param {string} question
+ * @param {string} answer
+ */
+export function addChatTurn(id, taskKey, question, answer) {
+  const session = getSession(id);
+  if (!session) return;
+  session.chats ??= {};
+  session.chats[taskKey] = trimChatHistory([
+    ...(session.chats[taskKey] || []),
+    { role: 'user', text: question },
+    { role: 'model', text: answer }
+  ]);
+  writeToDisk(session);
+}
+
+/**
+ * Forgets a task's chat history (the chat's reset button).
+ * @param {string} id - The chart ID.
+ * @param {string} taskKey
+ */
+export function clearChatHistory(id, taskKey) {
+  const session = getSession(id);
+  if (!session?.chats?.[taskKey]) return;
+  delete session.chats[taskKey];
+  writeToDisk(session);
+}
+
+// -------------------------------------------------------------------
+// --- Task analysis cache ---
+// -------------------------------------------------------------------
+
+/**
+ * Gets a cached task analysis.
+ * @param {string} id - The chart ID.
+ * @param {string} analysisKey - Identifies the research and the task (see server.js).
+ * @returns {{analysis: object, analyzedAt: number} | null} Null if not analyzed yet.
+ */
+export function getCachedAnalysis(id, analysisKey) {
+  return getSession(id)?.analyses?.[analysisKey] || null;
+}
+
+/**
+ * Stores a task analysis in the chart's session.
+ * @param {string} id - The chart ID.
+ * @param {string} analysisKey
+ * @param {object} analysis - The analysis as sent to the browser.
+ * @returns {{analysis: object, analyzedAt: number} | null} The cache entry (null if the session is gone).
+ */
+export function cacheAnalysis(id, analysisKey, analysis) {
+  const session = getSession(id);
+  if (!session) return null;
+  session.analyses ??= {};
+  session.analyses[analysisKey] = { analysis, analyzedAt: Date.now() };
+  writeToDisk(session);
+  return session.analyses[analysisKey];
+}
+
+/**
+ * Evicts every expired session. Runs periodically in the background.
+ */
+export function sweepExpiredSessions() {
+  const now = Date.now();
+  for (const session of sessions.values()) {
+    if (isExpired(session, now)) {
+      deleteSession(session.id);
+    }
+  }
+
+  if (!STORE_DIR) return;
+  for (const fileName of readdirSync(STORE_DIR)) {
+    const id = fileName.replace(/\.json$/, '');
+    if (sessions.has(id) || !ID_PATTERN.test(id)) continue;
+    // The modification time is the last access, so the file need not be read
+    let lastAccess;
+    try {
+      lastAccess = statSync(sessionFilePath(id)).mtimeMs;
+    } catch (e) {
+      continue; // Removed in the meantime
+    }
+    if (isExpired({ lastAccess }, now)) {
+      removeFromDisk(id);
+    }
+  }
+}
+
+// unref() so the sweeper never keeps the process alive on its own
+setInterval(sweepExpiredSessions, SWEEP_INTERVAL_MS).unref();
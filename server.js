@@ -1,14 +1,27 @@
 import express from 'express';
 import multer from 'multer';
-import mammoth from 'mammoth';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 import 'dotenv/config';
-
-// --- Gemini API Configuration ---
-const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${process.env.API_KEY}`;
-// ---
+import { createHash } from 'crypto';
+import { createSession, getSession, deleteSession, getChatHistory, addChatTurn, clearChatHistory, getCachedAnalysis, cacheAnalysis } from './lib/session-store.js';
+import { saveProject, getProject, updateProject, listProjects, deleteProject } from './lib/project-store.js';
+import { saveBaseline, getBaseline, listBaselines, deleteBaseline } from './lib/baseline-store.js';
+import { deriveTimeline, withBarDates, getTimeInterval, TIME_INTERVALS, parseTodayDate, formatIsoDate, toUtcDay } from './Public/timeline.js';
+import { ensureTaskIds, analyzeDependencies } from './Public/dependencies.js';
+import { validateChartDiff } from './Public/chart-diff.js';
+import { findRowReferences } from './Public/chart-assistant.js';
+import { callModelForJson, callModelForText, streamModelText, getModelConfig } from './lib/llm/index.js';
+import { extractFileText } from './lib/file-extraction.js';
+import { getFileType, isStructuredPlan, SUPPORTED_FILES_STRING } from './Public/file-types.js';
+import { importPlan } from './lib/plan-import.js';
+import { createProgressReply } from './lib/progress-reply.js';
+import { selectResearchContext } from './lib/research-index.js';
+import { repairChart, checkTimeline, describeProblems } from './lib/chart-validation.js';
+import { startAnalysisJob, getAnalysisJob, moveAnalysisJob, MAX_JOB_TASKS } from './lib/analysis-jobs.js';
+import { exportChartSvg, exportChartPng, exportChartPdf, exportChartPptx } from './lib/chart-export.js';
+import { exportPlanCsv, exportPlanXlsx, exportPlanMsProjectXml } from './lib/plan-export.js';
 
 // --- Server Setup ---
 const app = express();
@@ -17,147 +30,203 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // --- Middleware ---
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Chart data is sent back for saving and refining
 app.use(express.static(join(__dirname, 'Public'))); // Use 'Public' (uppercase)
 const upload = multer({ storage: multer.memoryStorage() }); // Store files in memory
 
-// --- Global variable to cache research text ---
-let researchTextCache = "";
-let researchFilesCache = []; // To store file names for context
+/**
+ * Turns chart data (from the model or a plan import) into the chart sent
+ * to the browser, and stores the research under a new chart ID.
+ * @param {object} chartData - Rows with ISO dates.
+ * @param {{researchText: string, researchFiles: string[]}} research
+ * @returns {object} The ganttData, with its chartId and the `warnings` the chart page shows.
+ */
+function finishChart(chartData, research) {
+  // 1. Repair what can be repaired (colors, swimlanes, legend, dates).
+  //    Anything still wrong at this point is only reported.
+  const repaired = repairChart(chartData, { researchFiles: research.researchFiles });
+  // (Plan imports bring warnings of their own, e.g. unresolved predecessors.)
+  const warnings = [...(chartData.warnings || []), ...repaired.warnings, ...repaired.problems.map(problem => problem.message)];
 
-// --- Helper Function for API Calls (JSON Response) ---
-async function callGeminiForJson(payload, retryCount = 3) {
-  for (let attempt = 0; attempt < retryCount; attempt++) {
-    try {
-      const response = await fetch(API_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
+  // 2. Derive the time columns and column positions from the task dates.
+  //    This is deterministic, so the same dates always give the same grid.
+  let ganttData = deriveTimeline(ensureTaskIds(normalizeMilestones(repaired.chartData)));
+  warnings.push(...checkTimeline(ganttData));
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API call failed with status: ${response.status} - ${errorText}`);
-      }
+  // 3. Flag dependency violations and mark the critical path
+  ganttData = { ...ganttData, ...analyzeDependencies(ganttData) };
 
-      const result = await response.json();
+  // 4. Store the research so follow-up calls (analysis, Q&A) can find it
+  const chartId = createSession(research);
+  return { ...ganttData, warnings, chartId };
+}
 
-      if (!result.candidates || !result.candidates[0] || !result.candidates[0].content) {
-        console.error('Invalid API response:', JSON.stringify(result));
-        throw new Error('Invalid response from AI API');
-      }
+/**
+ * Asks the model once to fix what repairChart could not (e.g. dates
+ * that are not dates), listing each problem. If that call fails, the
+ * first answer is used and the problems end up as chart warnings.
+ * @param {object} payload - The payload that produced `chartData`.
+ * @param {object} chartData - The model's chart data.
+ * @param {object} reply - The progress reply (for progress and cancellation).
+ * @returns {Promise<object>} The chart data to finish.
+ */
+async function fixChartWithModel(payload, chartData, reply) {
+  const { problems } = repairChart(chartData);
+  if (problems.length === 0) return chartData;
 
-      const safetyRatings = result.candidates[0].safetyRatings;
-      if (safetyRatings) {
-        const blockedRating = safetyRatings.find(rating => rating.blocked);
-        if (blockedRating) {
-          throw new Error(`API call blocked due to safety rating: ${blockedRating.category}`);
-        }
-      }
-      
-      const extractedJsonText = result.candidates[0].content.parts[0].text;
-      return JSON.parse(extractedJsonText); // Return the parsed JSON
-
-    } catch (error) {
-      console.log(`Attempt ${attempt + 1} failed:`, error.message);
-      if (attempt >= retryCount - 1) {
-        throw error; // Throw the last error
-      }
-      await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
-    }
+  reply.progress('repair', `Asking the model to fix ${problems.length} problem${problems.length === 1 ? '' : 's'} in the chart...`, {
+    problems: problems.map(problem => problem.message)
+  });
+  try {
+    return await callModelForJson({
+      ...payload,
+      contents: [
+        ...payload.contents,
+        { role: 'model', parts: [{ text: JSON.stringify(chartData) }] },
+        { role: 'user', parts: [{ text: describeProblems(problems) }] }
+      ]
+    }, 3, { signal: reply.signal, onRetry: reportRetries(reply, 3) });
+  } catch (e) {
+    if (reply.signal.aborted) throw e;
+    console.error("Chart repair API error (keeping the first chart):", e.message);
+    return chartData;
   }
-  throw new Error('All API retry attempts failed.');
 }
 
-// --- NEW Helper Function for API Calls (Text Response) ---
-async function callGeminiForText(payload, retryCount = 3) {
-  for (let attempt = 0; attempt < retryCount; attempt++) {
-    try {
-      const response = await fetch(API_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API call failed with status: ${response.status} - ${errorText}`);
-      }
-
-      const result = await response.json();
+/**
+ * Makes every milestone a single-date event: its start and end dates
+ * are set to the one date the model provided.
+ * @param {object} ganttData - The model's chart data.
+ * @returns {object} A new ganttData object.
+ */
+function normalizeMilestones(ganttData) {
+  const data = (ganttData.data || []).map(row => {
+    if (row.isSwimlane || row.type !== 'milestone' || !row.bar) return row;
+    const date = row.bar.startDate || row.bar.endDate || null;
+    return { ...row, bar: { ...row.bar, startDate: date, endDate: date } };
+  });
+  return { ...ganttData, data };
+}
 
-      if (!result.candidates || !result.candidates[0] || !result.candidates[0].content) {
-        console.error('Invalid API response:', JSON.stringify(result));
-        throw new Error('Invalid response from AI API');
-      }
 
-      const safetyRatings = result.candidates[0].safetyRatings;
-      if (safetyRatings) {
-        const blockedRating = safetyRatings.find(rating => rating.blocked);
-        if (blockedRating) {
-          throw new Error(`API call blocked due to safety rating: ${blockedRating.category}`);
-        }
-      }
-      
-      return result.candidates[0].content.parts[0].text; // Return raw text
+/**
+ * Reports model retries as progress steps.
+ * @param {object} reply - From createProgressReply.
+ * @param {number} maxAttempts - The retry count passed to the model call.
+ * @returns {function(number, Error): void}
+ */
+function reportRetries(reply, maxAttempts) {
+  return (attempt, error) => reply.progress('retry', `The model call failed (${error.message}). Retrying, attempt ${attempt} of ${maxAttempts}...`, {
+    attempt,
+    maxAttempts,
+    error: error.message
+  });
+}
 
-    } catch (error) {
-      console.log(`Attempt ${attempt + 1} failed:`, error.message);
-      if (attempt >= retryCount - 1) {
-        throw error; // Throw the last error
-      }
-      await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
-    }
-  }
-  throw new Error('All API retry attempts failed.');
+/**
+ * Gets the reference date ("today") a request's prompts use: the `today`
+ * it sends (YYYY-MM-DD, from the chart page's date picker or the URL), or
+ * the server's date when it sends none.
+ * @param {string} [today]
+ * @returns {Date | undefined} undefined if `today` is not a date.
+ */
+function getRequestToday(today) {
+  const date = parseTodayParam(today);
+  return date === null ? new Date() : date;
 }
 
+/**
+ * Formats a reference date for a prompt.
+ * @param {Date} today
+ * @returns {string} e.g. "2025-11-14".
+ */
+function toPromptDate(today) {
+  return formatIsoDate(toUtcDay(today));
+}
 
 // --- Main Endpoint: /generate-chart ---
+// Answers with JSON, or with Server-Sent Events progress when asked for
+// text/event-stream (see lib/progress-reply.js).
 app.post('/generate-chart', upload.array('researchFiles'), async (req, res) => {
+  const reply = createProgressReply(req, res);
   const userPrompt = req.body.prompt;
-  researchTextCache = ""; // Clear cache for new request
-  researchFilesCache = []; // Clear cache
+  // Research is collected per request and stored under the new chart's ID
+  let researchText = "";
+  const researchFiles = [];
+
+  // 1. Reject file types the upload form would not have accepted either
+  const unsupportedFiles = (req.files || [])
+    .filter(file => !getFileType(file.originalname, file.mimetype))
+    .map(file => file.originalname);
+  if (unsupportedFiles.length > 0) {
+    return reply.fail(400, `The following files are not supported: ${unsupportedFiles.join(', ')}. Please upload only ${SUPPORTED_FILES_STRING} files.`);
+  }
+  const today = getRequestToday(req.body.today);
+  if (today === undefined) {
+    return reply.fail(400, "today must be a date in the form YYYY-MM-DD");
+  }
+  reply.progress('upload', `Received ${(req.files || []).length} file(s).`, { files: (req.files || []).length });
+
+  // --- NEW: Structured plans (CSV / MS Project XML) skip the model ---
+  // Any other uploaded files are kept as research for analysis and Q&A.
+  const planFiles = (req.files || []).filter(file => isStructuredPlan(file.originalname, file.mimetype));
+  if (planFiles.length > 1) {
+    return reply.fail(400, "Please upload only one CSV or MS Project file at a time.");
+  }
+  const planFile = planFiles[0];
+  let plan = null;
 
-  // 1. Extract text from uploaded files (Sort for determinism)
+  // 2. Extract text from uploaded files (Sort for determinism)
   try {
     if (req.files) {
       const sortedFiles = req.files.sort((a, b) => a.originalname.localeCompare(b.originalname));
-      for (const file of sortedFiles) {
-        researchTextCache += `\n\n--- Start of file: ${file.originalname} ---\n`;
-        researchFilesCache.push(file.originalname);
-
-        // --- MODIFICATION: Use convertToHtml for .docx to preserve links ---
-        if (file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-          // We convert to HTML to keep <a href="..."> tags
-          const result = await mammoth.convertToHtml({ buffer: file.buffer });
-          researchTextCache += result.value;
+      for (const [index, file] of sortedFiles.entries()) {
+        if (reply.signal.aborted) return;
+        reply.progress('extract', `Reading ${file.originalname} (${index + 1} of ${sortedFiles.length})...`, {
+          file: file.originalname,
+          index: index + 1,
+          total: sortedFiles.length
+        });
+        researchText += `\n\n--- Start of file: ${file.originalname} ---\n`;
+        researchFiles.push(file.originalname);
+        if (file === planFile) {
+          // The plan is parsed once: its chart data goes to handlePlanImport, its text is research
+          reply.progress('import', `Importing the plan from ${file.originalname}...`, { file: file.originalname });
+          try {
+            plan = importPlan(file);
+          } catch (e) {
+            console.error("Plan import error:", e);
+            return reply.fail(400, `Could not import ${file.originalname}: ${e.message}`);
+          }
+          researchText += plan.researchText;
         } else {
-          // .md and .txt files are kept as raw text
-          researchTextCache += file.buffer.toString('utf8');
+          // Links are kept as <a href="..."> tags (see lib/file-extraction.js)
+          researchText += await extractFileText(file);
         }
-        researchTextCache += `\n--- End of file: ${file.originalname} ---\n`;
+        researchText += `\n--- End of file: ${file.originalname} ---\n`;
       }
     }
   } catch (e) {
     console.error("File extraction error:", e);
-    return res.status(500).json({ error: "Error processing uploaded files." });
+    return reply.fail(500, "Error processing uploaded files.");
+  }
+  if (reply.signal.aborted) return;
+
+  if (plan) {
+    return handlePlanImport(req, reply, planFile, plan.ganttData, { researchText, researchFiles }, today);
   }
 
-  // 2. Define the *single, powerful* system prompt
+  // 3. Define the *single, powerful* system prompt
   const geminiSystemPrompt = `You are an expert project management analyst. Your job is to analyze a user's prompt and research files to build a complete Gantt chart data object.
   
   You MUST respond with *only* a valid JSON object matching the schema.
   
   **CRITICAL LOGIC:**
-  1.  **TIME HORIZON:** First, check the user's prompt for an *explicitly requested* time range (e.g., "2020-2030").
-      - If found, use that range.
-      - If NOT found, find the *earliest* and *latest* date in all the research to create the range.
-  2.  **TIME INTERVAL:** Based on the *total duration* of that range, you MUST choose an interval:
-      - 0-3 months total: Use "Weeks" (e.g., ["W1 2026", "W2 2026"])
-      - 4-12 months total: Use "Months" (e.g., ["Jan 2026", "Feb 2026"])
-      - 1-3 years total: Use "Quarters" (e.g., ["Q1 2026", "Q2 2026"])
-      - 3+ years total: You MUST use "Years" (e.g., ["2020", "2021", "2022"])
+  1.  **TIME HORIZON:** Check the user's prompt for an *explicitly requested* time range (e.g., "2020-2030").
+      - If found, set \`timeRange\` to that range as ISO dates (e.g., \`{ "start": "2020-01-01", "end": "2030-12-31" }\`).
+      - If NOT found, set \`timeRange\` to \`null\`. The time columns are derived from the task dates automatically; you do NOT create them.
+  2.  **DATES:** All dates MUST be ISO 8601 calendar dates ("YYYY-MM-DD").
+      - Use the most precise date the research supports. If only a month is known, use the first day of that month for a start date and the last day of that month for an end date. If only a quarter or year is known, do the same for that quarter or year.
   
   **3.  INTELLIGENT COLORING (DECISION):**
       - **FIRST,** before generating any data, analyze the *entire* dataset for 1-5 clear, cross-swimlane logical groupings (e.g., 'Task Type', 'Status', 'Team').
@@ -169,53 +238,97 @@ app.post('/generate-chart', upload.array('researchFiles'), async (req, res) => {
   **4.  CHART DATA (GENERATION):**
       - Create the 'data' array row by row.
       - First, add swimlane objects: \`{ "title": "Swimlane Name", "isSwimlane": true, "entity": "Swimlane Name" }\`
-      - Then, add task objects: \`{ "title": "Task Name", "isSwimlane": false, "entity": "Swimlane Name", "bar": { ... } }\`
+      - Then, add task objects: \`{ "id": "T1", "title": "Task Name", "isSwimlane": false, "type": "task", "entity": "Swimlane Name", "dependencies": [], "bar": { ... } }\`
       - **CRITICAL:** Every task object (where \`isSwimlane: false\`) **MUST** contain a \`bar\` object.
+      - Every task **MUST** have a unique 'id' ("T1", "T2", ...).
+      - **MILESTONES:** If an item is a *single-date event* rather than work over a period (e.g., a regulatory deadline, a go-live, a launch date, a decision or approval date), set \`"type": "milestone"\` and set both 'startDate' and 'endDate' to that one date. All other tasks use \`"type": "task"\`.
       
   **5.  BAR OBJECT LOGIC:**
       - The \`bar\` object **MUST** be created for every task.
-      - 'startCol' is the 1-based index of the 'timeColumns' array where the task begins.
-      - 'endCol' is the 1-based index of the 'timeColumns' array where the task ends, **PLUS ONE**.
-      - If a date is unknown ("null"), the 'bar' object **MUST** be \`{ "startCol": null, "endCol": null, "color": "blue" }\`. (Using "blue" as the new default).
+      - 'startDate' is the ISO date on which the task begins.
+      - 'endDate' is the ISO date of the task's *last* day (inclusive).
+      - If a date is unknown ("null"), the 'bar' object **MUST** be \`{ "startDate": null, "endDate": null, "color": "blue" }\`. (Using "blue" as the new default).
       - **COLORING:**
           - Use *only* these colors: "blue", "ochre", "orange", "green".
           - If you chose **PATH 1** (Legend): Assign the 'color' value based on the logical grouping you defined in the legend.
           - If you chose **PATH 2** (No Legend): Assign the 'color' value based on the task's swimlane ('entity'). All tasks with the same 'entity' must have the same color.
           
-  **6.  SANITIZATION:** All string values MUST be valid JSON strings. You MUST properly escape any characters that would break JSON, such as double quotes (\") and newlines (\\n), within the string value itself.`;
+  **6.  DEPENDENCIES:**
+      - 'dependencies' lists the 'id's of the tasks that **MUST finish before** this task can start (its predecessors).
+      - Only add a dependency when the research states or clearly implies it (e.g., "launch follows regulatory approval", "requires the pilot to complete").
+      - Do NOT invent dependencies from date order alone. If none are stated, use an empty array.
+
+  **7.  SOURCES:**
+      - Every task **MUST** have a 'sources' array naming where its dates came from: \`[{ "file": "plan.pdf", "quote": "..." }]\`.
+      - 'file' is the file name *exactly* as written in its \`--- Start of file: ... ---\` wrapper.
+      - 'quote' is the shortest passage (one sentence, at most 200 characters) copied *word for word* from that file that states or implies the task's dates. Do NOT paraphrase.
+      - If the dates are combined from several files, add one entry per file. If a task's dates are unknown, give the passage that mentions the task.
+
+  **8.  PROGRESS:**
+      - If the research states how far along a task is (e.g., "60% complete", "finished in March"), set 'progress' to that percentage (0-100; 100 for finished tasks).
+      - Otherwise set 'progress' to \`null\`. Do NOT guess it from the dates; the chart works out the status from the dates and today's date.
+
+  **9.  SANITIZATION:** All string values MUST be valid JSON strings. You MUST properly escape any characters that would break JSON, such as double quotes (\") and newlines (\\n), within the string value itself.`;
   
-  // --- FIX: Escape researchTextCache to prevent template literal syntax errors ---
-  const escapedResearchText = researchTextCache
+  // --- FIX: Escape researchText to prevent template literal syntax errors ---
+  const escapedResearchText = researchText
     .replace(/`/g, '\\`')       // Escape backticks
     .replace(/\$\{/g, '\\${'); // Escape ${ sequences
 
-  const geminiUserQuery = `User Prompt: "${userPrompt}"\n\nResearch Content:\n${escapedResearchText}`;
+  const geminiUserQuery = `Today's Date: ${toPromptDate(today)}\n\nUser Prompt: "${userPrompt}"\n\nResearch Content:\n${escapedResearchText}`;
 
-  // 3. Define the schema for the *visual data only*
+  // 4. Define the schema for the *visual data only*
   const ganttSchema = {
     type: "OBJECT",
     properties: {
       title: { type: "STRING" },
-      timeColumns: {
-        type: "ARRAY",
-        items: { type: "STRING" }
+      // The explicitly requested horizon, if any. timeColumns are derived on the server.
+      timeRange: {
+        type: "OBJECT",
+        nullable: true,
+        properties: {
+          start: { type: "STRING" },
+          end: { type: "STRING" }
+        }
       },
       data: {
         type: "ARRAY",
         items: {
           type: "OBJECT",
           properties: {
+            id: { type: "STRING" },
             title: { type: "STRING" },
             isSwimlane: { type: "BOOLEAN" },
+            // "milestone" for single-date events, drawn as a diamond
+            type: { type: "STRING", enum: ["task", "milestone"] },
             entity: { type: "STRING" }, 
+            // IDs of the predecessor tasks (finish-to-start)
+            dependencies: {
+              type: "ARRAY",
+              items: { type: "STRING" }
+            },
             bar: {
               type: "OBJECT",
               properties: {
-                // --- FIX: Allow startCol and endCol to be number or null ---
-                startCol: { anyOf: [{ type: "NUMBER" }, { type: "NULL" }] },
-                endCol: { anyOf: [{ type: "NUMBER" }, { type: "NULL" }] },
+                // ISO dates ("YYYY-MM-DD"), or null if unknown
+                startDate: { anyOf: [{ type: "STRING" }, { type: "NULL" }] },
+                endDate: { anyOf: [{ type: "STRING" }, { type: "NULL" }] },
                 color: { type: "STRING" }
               },
+            },
+            // Percent complete, if the research states it
+            progress: { anyOf: [{ type: "NUMBER" }, { type: "NULL" }] },
+            // Where the task's dates came from (a file name and a verbatim quote)
+            sources: {
+              type: "ARRAY",
+              items: {
+                type: "OBJECT",
+                properties: {
+                  file: { type: "STRING" },
+                  quote: { type: "STRING" }
+                },
+                required: ["file", "quote"]
+              }
             }
           },
           required: ["title", "isSwimlane", "entity"]
@@ -235,12 +348,12 @@ app.post('/generate-chart', upload.array('researchFiles'), async (req, res) => {
         }
       }
     },
-    required: ["title", "timeColumns", "data"]
+    required: ["title", "data"]
   };
 
-  // 4. Define the payload
+  // 5. Define the payload
   const payload = {
-    contents: [{ parts: [{ text: geminiUserQuery }] }],
+    contents: [{ role: 'user', parts: [{ text: geminiUserQuery }] }],
     systemInstruction: { parts: [{ text: geminiSystemPrompt }] },
     generationConfig: {
       responseMimeType: "application/json",
@@ -252,30 +365,227 @@ app.post('/generate-chart', upload.array('researchFiles'), async (req, res) => {
     }
   };
 
-  // 5. Call the API
+  const promptLength = geminiSystemPrompt.length + geminiUserQuery.length;
+  reply.progress('prompt', `Prompt ready: ${promptLength.toLocaleString('en-US')} characters (about ${Math.ceil(promptLength / 4).toLocaleString('en-US')} tokens).`, {
+    characters: promptLength,
+    estimatedTokens: Math.ceil(promptLength / 4) // Roughly 4 characters per token
+  });
+
+  // 6. Call the API
   try {
-    const ganttData = await callGeminiForJson(payload);
-    
-    // 6. Send the Gantt data to the frontend
-    res.json(ganttData); // Send the object directly
+    const { provider, model } = getModelConfig();
+    reply.progress('model', `Waiting for the model (${provider}, ${model})...`, { provider, model });
+    let modelData = await callModelForJson(payload, 3, { signal: reply.signal, onRetry: reportRetries(reply, 3) });
+
+    // 7. Check the chart; the model fixes what cannot be repaired here
+    reply.progress('validate', 'Checking dates and dependencies...');
+    modelData = await fixChartWithModel(payload, modelData, reply);
+
+    // 8. Derive the timeline, check dependencies and store the research
+    const ganttData = finishChart(modelData, { researchText, researchFiles });
+
+    // 9. Send the Gantt data to the frontend
+    const analysisTasks = getBackgroundAnalysisTasks(req, ganttData);
+    reply.done(ganttData);
+
+    // 10. Optionally analyze every task in the background, for instant task details
+    if (analysisTasks) {
+      analyzeAllTasks(ganttData.chartId, analysisTasks, today);
+    }
 
   } catch (e) {
+    if (reply.signal.aborted) {
+      console.log("Chart generation cancelled by the client.");
+      return;
+    }
     console.error("API call error:", e);
-    res.status(500).json({ error: `Error generating chart data: ${e.message}` });
+    reply.fail(500, `Error generating chart data: ${e.message}`);
   }
 });
 
 
+// -------------------------------------------------------------------
+// --- PLAN IMPORT (CSV / MS Project XML uploads to /generate-chart) ---
+// -------------------------------------------------------------------
+
+/**
+ * Builds the chart straight from an uploaded plan. The model is only
+ * used when the form asks for legend grouping ("groupWithModel").
+ * @param {object} req - The /generate-chart request.
+ * @param {object} reply - The progress reply (for progress and cancellation).
+ * @param {object} planFile - The uploaded plan (a multer file).
+ * @param {object} chartData - The plan's chart data, from importPlan.
+ * @param {{researchText: string, researchFiles: string[]}} research - All uploaded files' text.
+ * @param {Date} today - The reference date, for the background analysis.
+ */
+async function handlePlanImport(req, reply, planFile, chartData, research, today) {
+  // 1. Every imported task's dates come from the plan itself
+  chartData.data = chartData.data.map(row => (row.isSwimlane ? row : { ...row, sources: [{ file: planFile.originalname, quote: null }] }));
+
+  const taskCount = chartData.data.filter(row => !row.isSwimlane).length;
+  if (taskCount === 0) {
+    return reply.fail(400, `No tasks found in ${planFile.originalname}.`);
+  }
+
+  // 2. Optionally let the model group the tasks into legend colors
+  if (req.body.groupWithModel === 'true') {
+    try {
+      reply.progress('model', `Asking the model to group ${taskCount} tasks into legend colors...`, { tasks: taskCount });
+      chartData = await groupLegendWithModel(chartData, req.body.prompt, {
+        signal: reply.signal,
+        onRetry: reportRetries(reply, 3)
+      });
+    } catch (e) {
+      if (reply.signal.aborted) return;
+      console.error("Legend grouping API error:", e);
+      return reply.fail(500, `Error grouping the imported plan: ${e.message}`);
+    }
+  }
+
+  // 3. Same timeline and dependency handling as a generated chart
+  reply.progress('validate', 'Checking dates and dependencies...');
+  const ganttData = finishChart(chartData, research);
+  const analysisTasks = getBackgroundAnalysisTasks(req, ganttData);
+  reply.done(ganttData);
+
+  if (analysisTasks) {
+    analyzeAllTasks(ganttData.chartId, analysisTasks, today);
+  }
+}
+
+/**
+ * Asks the model for cross-swimlane groupings of an imported plan and
+ * recolors the tasks to match (PATH 1 of the chart prompt). If the model
+ * finds no groupings, the plan keeps its per-swimlane colors.
+ * @param {object} chartData - The imported chart data.
+ * @param {string} [userPrompt] - The user's instructions, if any.
+ * @param {{signal?: AbortSignal, onRetry?: function(number, Error): void}} [callOptions] - Passed to the model call.
+ * @returns {Promise<object>} The chart data with a legend and new colors.
+ */
+async function groupLegendWithModel(chartData, userPrompt, callOptions = {}) {
+  const geminiSystemPrompt = `You are an expert project management analyst. You are given an imported project plan. Your job is to group its tasks for the chart legend.
+
+  You MUST respond with *only* a valid JSON object matching the schema.
+
+  **RULES:**
+  1.  Look for 1-4 clear, cross-swimlane logical groupings of the tasks (e.g., 'Task Type', 'Team', 'Regulatory vs. Commercial').
+  2.  **IF** you find strong groupings: fill \`legend\` with one entry per grouping and give every task a color in \`taskColors\` (by task 'id').
+  3.  **ELSE:** return an empty \`legend\` and an empty \`taskColors\` array.
+  4.  Use *only* these colors: "blue", "ochre", "orange", "green". Each legend entry has its own color.
+  5.  Follow the user's instructions about grouping if they give any.`;
+
+  const tasks = chartData.data
+    .filter(row => !row.isSwimlane)
+    .map(row => ({ id: row.id, title: row.title, swimlane: row.entity, type: row.type }));
+  const geminiUserQuery = `User Prompt: "${userPrompt || ''}"\n\nTasks:\n${JSON.stringify(tasks, null, 1)}`;
+
+  const colorSchema = { type: "STRING", enum: ["blue", "ochre", "orange", "green"] };
+  const groupingSchema = {
+    type: "OBJECT",
+    properties: {
+      legend: {
+        type: "ARRAY",
+        items: {
+          type: "OBJECT",
+          properties: { color: colorSchema, label: { type: "STRING" } },
+          required: ["color", "label"]
+        }
+      },
+      taskColors: {
+        type: "ARRAY",
+        items: {
+          type: "OBJECT",
+          properties: { id: { type: "STRING" }, color: colorSchema },
+          required: ["id", "color"]
+        }
+      }
+    },
+    required: ["legend", "taskColors"]
+  };
+
+  const payload = {
+    contents: [{ parts: [{ text: geminiUserQuery }] }],
+    systemInstruction: { parts: [{ text: geminiSystemPrompt }] },
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: groupingSchema,
+      maxOutputTokens: 4096,
+      temperature: 0,
+      topP: 1,
+      topK: 1
+    }
+  };
+
+  const grouping = await callModelForJson(payload, 3, callOptions);
+  if (!grouping.legend?.length) return chartData;
+
+  const colors = new Map((grouping.taskColors || []).map(({ id, color }) => [id, color]));
+  const data = chartData.data.map(row => (
+    !row.isSwimlane && colors.has(row.id) ? { ...row, bar: { ...row.bar, color: colors.get(row.id) } } : row
+  ));
+  return { ...chartData, data, legend: grouping.legend };
+}
+
+
 // -------------------------------------------------------------------
 // --- "ON-DEMAND" ANALYSIS ENDPOINT ---
 // -------------------------------------------------------------------
-app.post('/get-task-analysis', async (req, res) => {
-  const { taskName, entity } = req.body;
 
-  if (!taskName || !entity) {
-    return res.status(400).json({ error: "Missing taskName or entity" });
+// Analyses being generated right now, so a click on a task that the
+// "analyze all" job is working on waits for the same model call
+const pendingAnalyses = new Map();
+
+/**
+ * Gets the key a task's analysis is cached under: a hash of the research,
+ * the task and the reference date, so the cache never serves an analysis
+ * of other research, or one whose status was judged on another day.
+ * @param {object} session - The chart session.
+ * @param {string} taskName
+ * @param {string} entity
+ * @param {Date} today
+ * @returns {string}
+ */
+function analysisKey(session, taskName, entity, today) {
+  // The research never changes within a session, so it is hashed once
+  session.researchHash ??= createHash('sha256').update(session.researchText).digest('hex');
+  return createHash('sha256').update(JSON.stringify([session.researchHash, entity, taskName, toPromptDate(today)])).digest('hex');
+}
+
+/**
+ * Gets a task's analysis, from the cache unless `refresh` is set.
+ * @param {string} chartId
+ * @param {{taskName: string, entity: string}} task
+ * @param {{refresh?: boolean, today?: Date}} [options] - `today` defaults to the server's date.
+ * @returns {Promise<{analysis: object, analyzedAt: number, cached: boolean}>}
+ */
+async function getTaskAnalysis(chartId, { taskName, entity }, { refresh = false, today = new Date() } = {}) {
+  const session = getSession(chartId);
+  if (!session) {
+    throw new Error("Chart session not found or expired. Please generate the chart again.");
+  }
+
+  const key = analysisKey(session, taskName, entity, today);
+  const cached = !refresh && getCachedAnalysis(chartId, key);
+  if (cached) return { ...cached, cached: true };
+
+  if (!pendingAnalyses.has(key)) {
+    const pending = analyzeTask(session, taskName, entity, today)
+      .then(analysis => cacheAnalysis(chartId, key, analysis) || { analysis, analyzedAt: Date.now() })
+      .finally(() => pendingAnalyses.delete(key));
+    pendingAnalyses.set(key, pending);
   }
+  return { ...await pendingAnalyses.get(key), cached: false };
+}
 
+/**
+ * Asks the model for the analysis of one task.
+ * @param {object} session - The chart session (for its research).
+ * @param {string} taskName
+ * @param {string} entity
+ * @param {Date} today - The date the status is judged on.
+ * @returns {Promise<object>} The analysis (see analysisSchema).
+ */
+async function analyzeTask(session, taskName, entity, today) {
   // 1. Define the "Analyst" prompt
   const geminiSystemPrompt = `You are a senior project management analyst. Your job is to analyze the provided research and a user prompt to build a detailed analysis for *one single task*.
   
@@ -295,12 +605,15 @@ app.post('/get-task-analysis', async (req, res) => {
       c.  **PRIORITY 3 (Fallback):** If no link is found, use the filename as the 'source'.
           - 'source': The filename (e.g., "FileA.docx") from the \`--- Start of file: ... ---\` wrapper.
           - 'url': You MUST set this to \`null\`.
-  3.  **DETERMINE STATUS:** Determine the task's 'status' ("completed", "in-progress", or "not-started") based on the current date (assume "November 2025") and the task's dates.
+  3.  **DETERMINE STATUS:** Determine the task's 'status' ("completed", "in-progress", or "not-started") based on today's date (${toPromptDate(today)}) and the task's dates.
   4.  **PROVIDE RATIONALE:** You MUST provide a 'rationale' for 'in-progress' and 'not-started' tasks, analyzing the likelihood of on-time completion based on the 'facts' and 'assumptions'.
   5.  **CLEAN STRINGS:** All string values MUST be valid JSON strings. You MUST properly escape any characters that would break JSON, such as double quotes (\") and newlines (\\n).`;
   
-  // --- FIX: Escape researchTextCache to prevent template literal syntax errors ---
-  const escapedResearchText = researchTextCache
+  // Large research sets are cut down to the passages about this task (see lib/research-index.js)
+  const researchContext = await selectResearchContext(session.researchText, `${taskName} ${entity}`, { cacheKey: session.id });
+
+  // --- FIX: Escape researchText to prevent template literal syntax errors ---
+  const escapedResearchText = researchContext
     .replace(/`/g, '\\`')       // Escape backticks
     .replace(/\$\{/g, '\\${'); // Escape ${ sequences
 
@@ -362,9 +675,28 @@ app.post('/get-task-analysis', async (req, res) => {
   };
 
   // 4. Call the API
+  return callModelForJson(payload);
+}
+
+app.post('/get-task-analysis', async (req, res) => {
+  const { taskName, entity, chartId, refresh } = req.body;
+
+  if (!taskName || !entity || !chartId) {
+    return res.status(400).json({ error: "Missing taskName, entity, or chartId" });
+  }
+  const today = getRequestToday(req.body.today);
+  if (today === undefined) {
+    return res.status(400).json({ error: "today must be a date in the form YYYY-MM-DD" });
+  }
+
+  if (!getSession(chartId)) {
+    return res.status(404).json({ error: "Chart session not found or expired. Please generate the chart again." });
+  }
+
   try {
-    const analysisData = await callGeminiForJson(payload);
-    res.json(analysisData); // Send the single-task analysis back
+    const { analysis, analyzedAt, cached } = await getTaskAnalysis(chartId, { taskName, entity }, { refresh: refresh === true, today });
+    // Send the single-task analysis back, with when it was made
+    res.json({ ...analysis, cached, analyzedAt: new Date(analyzedAt).toISOString() });
   } catch (e) {
     console.error("Task Analysis API error:", e);
     res.status(500).json({ error: `Error generating task analysis: ${e.message}` });
@@ -372,14 +704,126 @@ app.post('/get-task-analysis', async (req, res) => {
 });
 
 
+// -------------------------------------------------------------------
+// --- "ANALYZE ALL TASKS" BACKGROUND JOB ---
+// -------------------------------------------------------------------
+
+/**
+ * Lists the tasks of a chart the way the analysis endpoint identifies them.
+ * @param {Array<{taskName: string, entity: string}> | object[]} rows - Chart rows, or task identities.
+ * @returns {Array<{taskName: string, entity: string}>} Distinct tasks with a name and entity.
+ */
+function toAnalysisTasks(rows) {
+  const tasks = new Map();
+  for (const row of rows || []) {
+    if (!row || row.isSwimlane) continue;
+    const taskName = row.taskName ?? row.title;
+    const entity = row.entity;
+    if (typeof taskName !== 'string' || !taskName || typeof entity !== 'string' || !entity) continue;
+    tasks.set(JSON.stringify([entity, taskName]), { taskName, entity });
+  }
+  return [...tasks.values()];
+}
+
+/**
+ * Starts analyzing every task of a chart in the background.
+ * @param {string} chartId
+ * @param {Array<{taskName: string, entity: string}>} tasks
+ * @param {Date} today - The reference date the analyses use.
+ * @returns {object} The job's progress.
+ */
+function analyzeAllTasks(chartId, tasks, today) {
+  return startAnalysisJob(chartId, tasks, async (task, currentChartId) => {
+    const startedFor = currentChartId();
+    const { analysis } = await getTaskAnalysis(startedFor, task, { today });
+
+    // The chart was saved as a project meanwhile: its copy of the cache needs this one too
+    const movedTo = currentChartId();
+    const session = movedTo !== startedFor && getSession(movedTo);
+    if (session) cacheAnalysis(movedTo, analysisKey(session, task.taskName, task.entity, today), analysis);
+  });
+}
+
+/**
+ * Gets the tasks to analyze after generation, when the form asks for it
+ * ("analyzeAll"). A chart with more tasks than one job may analyze gets
+ * a warning instead.
+ * @param {object} req - The /generate-chart request.
+ * @param {object} ganttData - The finished chart (its warnings may be added to).
+ * @returns {Array<{taskName: string, entity: string}> | null} Null if nothing is to be analyzed.
+ */
+function getBackgroundAnalysisTasks(req, ganttData) {
+  if (req.body.analyzeAll !== 'true') return null;
+  const tasks = toAnalysisTasks(ganttData.data);
+  if (tasks.length > MAX_JOB_TASKS) {
+    ganttData.warnings.push(`The tasks were not analyzed in the background: the chart has ${tasks.length}, and at most ${MAX_JOB_TASKS} can be analyzed at once.`);
+    return null;
+  }
+  return tasks;
+}
+
+// Starts the job for a chart's tasks (sent by the chart page, so edits count)
+app.post('/analyze-all', (req, res) => {
+  const { chartId, tasks } = req.body;
+  if (!chartId || !Array.isArray(tasks)) {
+    return res.status(400).json({ error: "Missing chartId or tasks" });
+  }
+  const today = getRequestToday(req.body.today);
+  if (today === undefined) {
+    return res.status(400).json({ error: "today must be a date in the form YYYY-MM-DD" });
+  }
+  // Each task is a model call, so the list the browser sends is capped
+  const analysisTasks = toAnalysisTasks(tasks);
+  if (analysisTasks.length > MAX_JOB_TASKS) {
+    return res.status(400).json({ error: `Too many tasks: at most ${MAX_JOB_TASKS} can be analyzed at once.` });
+  }
+  if (!getSession(chartId)) {
+    return res.status(404).json({ error: "Chart session not found or expired. Please generate the chart again." });
+  }
+  res.status(202).json(analyzeAllTasks(chartId, analysisTasks, today));
+});
+
+// The job's progress
+app.get('/analyze-all/:chartId', (req, res) => {
+  const job = getAnalysisJob(req.params.chartId);
+  if (!job) {
+    return res.status(404).json({ error: "No analysis job for this chart." });
+  }
+  res.json(job);
+});
+
+
 // -------------------------------------------------------------------
 // --- NEW "ASK A QUESTION" ENDPOINT ---
 // -------------------------------------------------------------------
+
+/**
+ * Gets the key a task's chat history is stored under in the chart session.
+ * @param {string} taskName
+ * @param {string} entity
+ * @returns {string}
+ */
+function chatKey(taskName, entity) {
+  return JSON.stringify([entity, taskName]);
+}
+
+// The roadmap assistant's history (task keys are JSON arrays, so this never clashes)
+const CHART_CHAT_KEY = 'chart';
+
 app.post('/ask-question', async (req, res) => {
-  const { taskName, entity, question } = req.body;
+  const { taskName, entity, question, chartId } = req.body;
+
+  if (!taskName || !entity || !question || !chartId) {
+    return res.status(400).json({ error: "Missing taskName, entity, question, or chartId" });
+  }
+  const today = getRequestToday(req.body.today);
+  if (today === undefined) {
+    return res.status(400).json({ error: "today must be a date in the form YYYY-MM-DD" });
+  }
 
-  if (!taskName || !entity || !question) {
-    return res.status(400).json({ error: "Missing taskName, entity, or question" });
+  const session = getSession(chartId);
+  if (!session) {
+    return res.status(404).json({ error: "Chart session not found or expired. Please generate the chart again." });
   }
 
   // 1. Define the "Grounded Q&A" prompt
@@ -390,18 +834,28 @@ app.post('/ask-question', async (req, res) => {
   2.  **CONTEXT:** Your answer MUST be in the context of the task: "${taskName}" (for entity: "${entity}").
   3.  **NO SPECULATION:** If the answer cannot be found in the 'Research Content', you MUST respond with "I'm sorry, I don't have enough information in the provided files to answer that question."
   4.  **CONCISE:** Keep your answer concise and to the point.
-  5.  **NO PREAMBLE:** Do not start your response with "Based on the research..." just answer the question directly.`;
+  5.  **NO PREAMBLE:** Do not start your response with "Based on the research..." just answer the question directly.
+  6.  **FOLLOW-UPS:** Earlier questions and answers in this conversation come before the research. Use them to understand follow-up questions (e.g. "and the second one?").`;
   
-  // --- FIX: Escape researchTextCache to prevent template literal syntax errors ---
-  const escapedResearchText = researchTextCache
+  // Large research sets are cut down to the passages about the task and the
+  // question (with the previous question, so follow-ups find the same passages)
+  const taskKey = chatKey(taskName, entity);
+  const history = getChatHistory(chartId, taskKey);
+  const previousQuestion = history.filter(turn => turn.role === 'user').at(-1)?.text || '';
+  const researchContext = await selectResearchContext(session.researchText, `${taskName} ${entity} ${question} ${previousQuestion}`, { cacheKey: chartId });
+
+  // --- FIX: Escape researchText to prevent template literal syntax errors ---
+  const escapedResearchText = researchContext
     .replace(/`/g, '\\`')       // Escape backticks
     .replace(/\$\{/g, '\\${'); // Escape ${ sequences
 
-  const geminiUserQuery = `Research Content:\n${escapedResearchText}\n\n**User Question:** ${question}`;
+  const geminiUserQuery = `Today's Date: ${toPromptDate(today)}\n\nResearch Content:\n${escapedResearchText}\n\n**User Question:** ${question}`;
 
-  // 2. Define the payload (no schema, simple text generation)
+  // 2. Define the payload (no schema, simple text generation).
+  // Earlier turns about this task go first, so follow-ups have their context.
+  const priorTurns = history.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] }));
   const payload = {
-    contents: [{ parts: [{ text: geminiUserQuery }] }],
+    contents: [...priorTurns, { role: 'user', parts: [{ text: geminiUserQuery }] }],
     systemInstruction: { parts: [{ text: geminiSystemPrompt }] },
     generationConfig: {
       maxOutputTokens: 1024,
@@ -411,18 +865,609 @@ app.post('/ask-question', async (req, res) => {
     }
   };
 
-  // 3. Call the *text* helper
+  // 3. Call the *text* helper, or stream the answer as it is written
+  // (chunk events, then a result event) when the client asks for text/event-stream
+  const reply = createProgressReply(req, res);
   try {
-    const textResponse = await callGeminiForText(payload);
-    res.json({ answer: textResponse }); // Send the text answer back
+    if (reply.streaming) {
+      let answer = '';
+      for await (const text of streamModelText(payload, 3, { signal: reply.signal })) {
+        answer += text;
+        reply.chunk(text);
+      }
+      addChatTurn(chartId, taskKey, question, answer);
+      reply.done({ answer });
+    } else {
+      const textResponse = await callModelForText(payload);
+      addChatTurn(chartId, taskKey, question, textResponse);
+      reply.done({ answer: textResponse }); // Send the text answer back
+    }
   } catch (e) {
+    if (reply.signal.aborted) return; // The chat was closed
     console.error("Q&A API error:", e);
-    res.status(500).json({ error: `Error generating answer: ${e.message}` });
+    reply.fail(500, `Error generating answer: ${e.message}`);
+  }
+});
+
+
+// --- Starts a new conversation about a task (the chat's reset button) ---
+// (or, with scope "chart", about the whole chart in the roadmap assistant)
+app.post('/reset-chat', (req, res) => {
+  const { taskName, entity, chartId, scope } = req.body;
+  const isChartChat = scope === 'chart';
+
+  if (!chartId || (!isChartChat && (!taskName || !entity))) {
+    return res.status(400).json({ error: "Missing taskName, entity, or chartId" });
+  }
+  if (!getSession(chartId)) {
+    return res.status(404).json({ error: "Chart session not found or expired. Please generate the chart again." });
+  }
+
+  clearChatHistory(chartId, isChartChat ? CHART_CHAT_KEY : chatKey(taskName, entity));
+  res.status(204).end();
+});
+
+
+// -------------------------------------------------------------------
+// --- CHART REFINEMENT ENDPOINT (natural-language edits) ---
+// -------------------------------------------------------------------
+
+/**
+ * Gets the parts of a chart the model needs to read it: the rows with
+ * their IDs, swimlanes, dependencies and dates, and the legend. Column
+ * positions and other derived fields are left out.
+ * @param {object} ganttData
+ * @returns {object}
+ */
+function toModelChart(ganttData) {
+  return {
+    title: ganttData.title,
+    legend: ganttData.legend || [],
+    data: ganttData.data.map(row => ({
+      id: row.id,
+      title: row.title,
+      isSwimlane: row.isSwimlane,
+      type: row.type,
+      entity: row.entity,
+      dependencies: row.dependencies,
+      progress: row.progress,
+      bar: row.bar && { startDate: row.bar.startDate, endDate: row.bar.endDate, color: row.bar.color }
+    }))
+  };
+}
+
+app.post('/refine-chart', async (req, res) => {
+  const { chartId, ganttData, instruction } = req.body;
+
+  if (!chartId || !ganttData || !Array.isArray(ganttData.data) || !instruction) {
+    return res.status(400).json({ error: "Missing chartId, ganttData, or instruction" });
+  }
+  const today = getRequestToday(req.body.today);
+  if (today === undefined) {
+    return res.status(400).json({ error: "today must be a date in the form YYYY-MM-DD" });
+  }
+
+  const session = getSession(chartId);
+  if (!session) {
+    return res.status(404).json({ error: "Chart session not found or expired. Please generate the chart again." });
+  }
+
+  // 1. Define the "Editor" prompt
+  const geminiSystemPrompt = `You are an expert project management analyst editing an *existing* Gantt chart. Your job is to apply the user's instruction by describing the *changes only*.
+  
+  You MUST respond with *only* a valid JSON object matching the schema.
+  
+  **CRITICAL RULES:**
+  1.  **CHANGES ONLY:** Return a list of 'operations'. Do NOT repeat rows that do not change. Everything not mentioned in an operation stays exactly as it is.
+  2.  **OPERATIONS:**
+      - \`{ "op": "modify", "rowId": "T3", "row": { ... } }\` changes an existing row. 'row' contains *only* the fields that change (e.g., \`{ "entity": "EU Regulatory" }\` or \`{ "bar": { "startDate": "2026-04-01", "endDate": "2026-06-30" } }\`).
+      - \`{ "op": "add", "rowId": "T42", "afterRowId": "T7", "row": { ... } }\` adds a new row after 'afterRowId' (or at the end of its swimlane if 'afterRowId' is null). New rows need a new, unused 'rowId' and a complete 'row' (title, isSwimlane, type, entity, dependencies, bar).
+      - \`{ "op": "remove", "rowId": "T5" }\` removes a row.
+  3.  **IDS:** Always refer to existing rows by their 'id' from the 'Current Chart'. Never change an existing row's id.
+  4.  **SWIMLANES:** A swimlane row is \`{ "title": "Name", "isSwimlane": true, "entity": "Name" }\`. When you add, rename or remove a swimlane, also move or modify its tasks so every task's 'entity' matches an existing swimlane.
+  5.  **DATES:** All dates MUST be ISO 8601 calendar dates ("YYYY-MM-DD"). 'endDate' is the task's last day (inclusive). Milestones have the same 'startDate' and 'endDate'.
+  6.  **COLORS:** Use *only* these colors: "blue", "ochre", "orange", "green". Only return a 'legend' if the instruction changes the color groupings; then return the *complete* new legend. Otherwise 'legend' MUST be null.
+  7.  **GROUNDING:** Use the 'Research Content' to decide which tasks an instruction applies to (e.g., which tasks are EU vs US).
+  8.  **SUMMARY:** Give a one-sentence 'summary' of the change and a short 'reason' for each operation.
+  9.  **SANITIZATION:** All string values MUST be valid JSON strings. You MUST properly escape any characters that would break JSON, such as double quotes (\") and newlines (\\n).`;
+
+  // Large research sets are cut down to the passages about the instruction (see lib/research-index.js)
+  const researchContext = await selectResearchContext(session.researchText, instruction, { cacheKey: chartId });
+
+  // --- FIX: Escape researchText to prevent template literal syntax errors ---
+  const escapedResearchText = researchContext
+    .replace(/`/g, '\\`')       // Escape backticks
+    .replace(/\$\{/g, '\\${'); // Escape ${ sequences
+
+  // Only send the fields the model may edit; the rest is derived on our side
+  const currentChart = toModelChart(ganttData);
+
+  const geminiUserQuery = `Today's Date: ${toPromptDate(today)}\n\nResearch Content:\n${escapedResearchText}\n\nCurrent Chart:\n${JSON.stringify(currentChart, null, 1)}\n\n**Instruction:** ${instruction}`;
+
+  // 2. Define the diff schema
+  const rowSchema = {
+    type: "OBJECT",
+    properties: {
+      title: { type: "STRING" },
+      isSwimlane: { type: "BOOLEAN" },
+      type: { type: "STRING", enum: ["task", "milestone"] },
+      entity: { type: "STRING" },
+      dependencies: { type: "ARRAY", items: { type: "STRING" } },
+      bar: {
+        type: "OBJECT",
+        properties: {
+          startDate: { anyOf: [{ type: "STRING" }, { type: "NULL" }] },
+          endDate: { anyOf: [{ type: "STRING" }, { type: "NULL" }] },
+          color: { type: "STRING" }
+        }
+      }
+    }
+  };
+  const diffSchema = {
+    type: "OBJECT",
+    properties: {
+      summary: { type: "STRING" },
+      operations: {
+        type: "ARRAY",
+        items: {
+          type: "OBJECT",
+          properties: {
+            op: { type: "STRING", enum: ["add", "modify", "remove"] },
+            rowId: { type: "STRING" },
+            afterRowId: { anyOf: [{ type: "STRING" }, { type: "NULL" }] },
+            row: rowSchema,
+            reason: { type: "STRING" }
+          },
+          required: ["op", "rowId"]
+        }
+      },
+      legend: {
+        type: "ARRAY",
+        nullable: true,
+        items: {
+          type: "OBJECT",
+          properties: {
+            color: { type: "STRING" },
+            label: { type: "STRING" }
+          },
+          required: ["color", "label"]
+        }
+      }
+    },
+    required: ["summary", "operations"]
+  };
+
+  // 3. Define the payload
+  const payload = {
+    contents: [{ parts: [{ text: geminiUserQuery }] }],
+    systemInstruction: { parts: [{ text: geminiSystemPrompt }] },
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: diffSchema,
+      maxOutputTokens: 8192,
+      temperature: 0,
+      topP: 1,
+      topK: 1
+    }
+  };
+
+  // 4. Call the API and drop any operation that does not fit this chart
+  try {
+    const modelDiff = await callModelForJson(payload);
+    const { diff, warnings } = validateChartDiff(ganttData, modelDiff);
+    res.json({ ...diff, warnings });
+  } catch (e) {
+    console.error("Refine API error:", e);
+    res.status(500).json({ error: `Error refining chart: ${e.message}` });
+  }
+});
+
+
+// -------------------------------------------------------------------
+// --- ROADMAP ASSISTANT ENDPOINT (questions about the whole chart) ---
+// -------------------------------------------------------------------
+// Answers from the research *and* the chart as currently shown (so edits
+// count). Rows are cited as [[ID]]; the IDs that exist come back in
+// `rowIds` so the chart can highlight them. Streams like /ask-question.
+app.post('/ask-chart', async (req, res) => {
+  const { chartId, ganttData, question } = req.body;
+
+  if (!chartId || !ganttData || !Array.isArray(ganttData.data) || !question) {
+    return res.status(400).json({ error: "Missing chartId, ganttData, or question" });
+  }
+  const today = getRequestToday(req.body.today);
+  if (today === undefined) {
+    return res.status(400).json({ error: "today must be a date in the form YYYY-MM-DD" });
+  }
+
+  const session = getSession(chartId);
+  if (!session) {
+    return res.status(404).json({ error: "Chart session not found or expired. Please generate the chart again." });
+  }
+
+  // 1. Define the "Roadmap Assistant" prompt
+  const geminiSystemPrompt = `You are a project analyst answering questions about a whole roadmap (a Gantt chart). Stakeholders ask cross-cutting questions, e.g. which workstreams slip if an approval is late.
+  
+  **CRITICAL RULES:**
+  1.  **GROUNDING:** Answer *only* from the 'Current Chart' and the 'Research Content'. The chart is the current plan (it may have been edited since the research was written); the research explains it.
+  2.  **DEPENDENCIES:** Use each row's 'dependencies' (the IDs of its predecessors), the 'criticalPath' and the 'dependencyViolations' to reason about knock-on effects. Follow dependency chains across swimlanes.
+  3.  **ROW REFERENCES:** Whenever you mention a task, milestone or swimlane from the chart, write its ID in double square brackets right after its name, e.g. "Regulatory approval [[T7]]". Only use IDs from the 'Current Chart'.
+  4.  **NO SPECULATION:** If the chart and research do not answer the question, say "I'm sorry, I don't have enough information in the chart or the provided files to answer that question."
+  5.  **FORMAT:** Be concise. Use short Markdown bullet lists for lists of tasks or workstreams.
+  6.  **FOLLOW-UPS:** Earlier questions and answers in this conversation come before the chart and research. Use them to understand follow-up questions.`;
+
+  // Large research sets are cut down to the passages about the question
+  // (with the previous question, so follow-ups find the same passages)
+  const history = getChatHistory(chartId, CHART_CHAT_KEY);
+  const previousQuestion = history.filter(turn => turn.role === 'user').at(-1)?.text || '';
+  const researchContext = await selectResearchContext(session.researchText, `${question} ${previousQuestion}`, { cacheKey: chartId });
+
+  // --- FIX: Escape researchText to prevent template literal syntax errors ---
+  const escapedResearchText = researchContext
+    .replace(/`/g, '\\`')       // Escape backticks
+    .replace(/\$\{/g, '\\${'); // Escape ${ sequences
+
+  // The dependency analysis is redone on the chart as sent (it may have been edited)
+  const { criticalPath, dependencyViolations } = analyzeDependencies(withBarDates(ganttData));
+  const currentChart = {
+    ...toModelChart(ganttData),
+    criticalPath,
+    dependencyViolations: dependencyViolations.map(({ predecessorId, successorId, overlapDays }) => ({ predecessorId, successorId, overlapDays }))
+  };
+
+  const geminiUserQuery = `Today's Date: ${toPromptDate(today)}\n\nCurrent Chart:\n${JSON.stringify(currentChart, null, 1)}\n\nResearch Content:\n${escapedResearchText}\n\n**User Question:** ${question}`;
+
+  // 2. Define the payload (no schema, simple text generation), after the earlier turns
+  const priorTurns = history.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] }));
+  const payload = {
+    contents: [...priorTurns, { role: 'user', parts: [{ text: geminiUserQuery }] }],
+    systemInstruction: { parts: [{ text: geminiSystemPrompt }] },
+    generationConfig: {
+      maxOutputTokens: 2048,
+      temperature: 0.1,
+      topP: 1,
+      topK: 1
+    }
+  };
+
+  // 3. Call the model, streaming the answer when the client asks for text/event-stream
+  const reply = createProgressReply(req, res);
+  try {
+    let answer = '';
+    if (reply.streaming) {
+      for await (const text of streamModelText(payload, 3, { signal: reply.signal })) {
+        answer += text;
+        reply.chunk(text);
+      }
+    } else {
+      answer = await callModelForText(payload);
+    }
+    addChatTurn(chartId, CHART_CHAT_KEY, question, answer);
+    reply.done({ answer, rowIds: findRowReferences(answer, ganttData) });
+  } catch (e) {
+    if (reply.signal.aborted) return; // The panel was closed
+    console.error("Roadmap assistant API error:", e);
+    reply.fail(500, `Error generating answer: ${e.message}`);
+  }
+});
+
+
+// -------------------------------------------------------------------
+// --- EXPORT AND RENDER ENDPOINTS ---
+// -------------------------------------------------------------------
+
+// The file type, extension and builder for each export format
+const EXPORT_FORMATS = {
+  svg: { mimeType: 'image/svg+xml', build: exportChartSvg },
+  png: { mimeType: 'image/png', build: exportChartPng },
+  pdf: { mimeType: 'application/pdf', build: exportChartPdf },
+  pptx: { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', build: exportChartPptx },
+  // The chart's data, as plans that /generate-chart can import again
+  csv: { mimeType: 'text/csv; charset=utf-8', build: async (ganttData) => Buffer.from(exportPlanCsv(ganttData)) },
+  xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', build: exportPlanXlsx },
+  xml: { mimeType: 'application/xml', build: async (ganttData) => Buffer.from(exportPlanMsProjectXml(ganttData)) }
+};
+
+// The BIP logo placed on every export (read once)
+let exportLogo = null;
+
+// The formats /render produces, and the image widths it accepts
+const RENDER_FORMATS = ['png', 'svg', 'pdf'];
+const RENDER_WIDTH = { min: 600, max: 4000 };
+
+/**
+ * Turns a chart title into a safe download file name.
+ */
+function toExportFileName(title, extension) {
+  const slug = String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${slug || 'gantt-chart'}.${extension}`;
+}
+
+/**
+ * Reads a "today" date sent as YYYY-MM-DD. The line is drawn at midday, as on screen.
+ * @returns {Date | null | undefined} null if none was sent, undefined if it is not a date.
+ */
+function parseTodayParam(today) {
+  if (!today) return null;
+  return parseTodayDate(today) || undefined;
+}
+
+/**
+ * Builds an export file and sends it.
+ * @param {object} res - The Express response.
+ * @param {string} formatName - A key of EXPORT_FORMATS.
+ * @param {object} ganttData - The chart to draw.
+ * @param {object} options - Passed to the format's builder.
+ * @param {string} disposition - 'attachment' (download) or 'inline' (embed).
+ */
+async function sendExport(res, formatName, ganttData, options, disposition) {
+  const format = EXPORT_FORMATS[formatName];
+  exportLogo = exportLogo || readFileSync(join(__dirname, 'Public', 'bip_logo.png'));
+  const file = await format.build(ganttData, { ...options, logo: exportLogo });
+
+  res.set('Content-Type', format.mimeType);
+  res.set('Content-Disposition', `${disposition}; filename="${toExportFileName(ganttData.title, formatName)}"`);
+  res.send(file);
+}
+
+app.post('/export/:format', async (req, res) => {
+  const formatName = req.params.format;
+  const { ganttData, today, includeLegend = true } = req.body;
+
+  if (!Object.hasOwn(EXPORT_FORMATS, formatName)) {
+    return res.status(400).json({ error: `Unsupported export format "${formatName}". Use ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+  }
+  if (!ganttData || !Array.isArray(ganttData.data)) {
+    return res.status(400).json({ error: "Missing ganttData" });
+  }
+  const todayDate = parseTodayParam(today);
+  if (todayDate === undefined) {
+    return res.status(400).json({ error: "today must be a date in the form YYYY-MM-DD" });
+  }
+
+  try {
+    await sendExport(res, formatName, ganttData, { today: todayDate, showLegend: includeLegend !== false }, 'attachment');
+  } catch (e) {
+    console.error("Export error:", e);
+    res.status(500).json({ error: `Error exporting chart: ${e.message}` });
+  }
+});
+
+/**
+ * Renders a chart on the server, for reports and other tools that embed
+ * charts without a browser. Takes the chart as ganttData or the ID of a
+ * saved project, plus (all optional):
+ * - format: png (default), svg or pdf
+ * - interval: weeks, months, quarters or years (default: the chart's own)
+ * - today: YYYY-MM-DD (default: the server's date), or "none" for no line
+ * - width: image width in pixels for png/svg (default 1400)
+ * - includeLegend: false to leave the legend out
+ * The drawing uses the same layout rules as the chart page.
+ */
+async function handleRender(params, res) {
+  const { id, format = 'png', interval, today, width, includeLegend } = params;
+
+  // 1. Check the options
+  if (!RENDER_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unsupported render format "${format}". Use ${RENDER_FORMATS.join(', ')}.` });
+  }
+  if (interval && !TIME_INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `Unsupported interval "${interval}". Use ${TIME_INTERVALS.join(', ')}.` });
+  }
+  const todayDate = today === undefined ? new Date() : (today === 'none' ? null : parseTodayParam(today));
+  if (todayDate === undefined) {
+    return res.status(400).json({ error: "today must be a date in the form YYYY-MM-DD, or \"none\"" });
+  }
+  const imageWidth = width === undefined ? undefined : Number(width);
+  if (imageWidth !== undefined && !(imageWidth >= RENDER_WIDTH.min && imageWidth <= RENDER_WIDTH.max)) {
+    return res.status(400).json({ error: `width must be between ${RENDER_WIDTH.min} and ${RENDER_WIDTH.max} pixels` });
+  }
+
+  try {
+    // 2. Find the chart
+    let ganttData = params.ganttData;
+    if (!ganttData && id) {
+      const project = await getProject(id);
+      if (!project) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+      ganttData = project.ganttData;
+    }
+    if (!ganttData || !Array.isArray(ganttData.data)) {
+      return res.status(400).json({ error: "Missing ganttData or project id" });
+    }
+
+    // 3. Re-bucket the grid if another time scale was asked for (as the chart page does)
+    let viewData = ganttData;
+    if (interval && interval !== getTimeInterval(ganttData)) {
+      viewData = deriveTimeline(withBarDates(ganttData), interval);
+    }
+
+    await sendExport(res, format, viewData, {
+      today: todayDate,
+      width: imageWidth,
+      showLegend: includeLegend !== false && includeLegend !== 'false'
+    }, 'inline');
+  } catch (e) {
+    console.error("Render error:", e);
+    res.status(500).json({ error: `Error rendering chart: ${e.message}` });
+  }
+}
+
+app.post('/render', (req, res) => handleRender(req.body, res));
+
+// e.g. <img src="/render/<project id>?format=png&interval=months">
+app.get('/render/:id', (req, res) => handleRender({ ...req.query, id: req.params.id }, res));
+
+
+// -------------------------------------------------------------------
+// --- PROJECT ENDPOINTS (save, list, reopen, delete) ---
+// -------------------------------------------------------------------
+
+/**
+ * Strips the stored research text from a project before sending it
+ * to the browser; the research stays on the server.
+ */
+function toProjectResponse(project) {
+  const { researchText, ...rest } = project;
+  return rest;
+}
+
+app.post('/projects', async (req, res) => {
+  const { chartId, ganttData, name } = req.body;
+
+  if (!chartId || !ganttData) {
+    return res.status(400).json({ error: "Missing chartId or ganttData" });
+  }
+
+  // The research is taken from the chart's session, not from the browser
+  const session = getSession(chartId);
+  if (!session) {
+    return res.status(404).json({ error: "Chart session not found or expired. Please generate the chart again." });
+  }
+
+  try {
+    const project = await saveProject({
+      name,
+      ganttData,
+      researchText: session.researchText,
+      researchFiles: session.researchFiles
+    });
+    // Make the saved project usable for analysis right away, keeping the
+    // conversations and analyses so far (and a running "analyze all" job)
+    createSession(session, project.id);
+    moveAnalysisJob(chartId, project.id);
+    res.status(201).json(toProjectResponse(project));
+  } catch (e) {
+    console.error("Project save error:", e);
+    res.status(500).json({ error: `Error saving project: ${e.message}` });
+  }
+});
+
+app.get('/projects', async (req, res) => {
+  try {
+    res.json(await listProjects());
+  } catch (e) {
+    console.error("Project list error:", e);
+    res.status(500).json({ error: `Error listing projects: ${e.message}` });
+  }
+});
+
+app.get('/projects/:id', async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    // Re-create the chart session so analysis and Q&A work on the reopened chart
+    if (!getSession(project.id)) {
+      createSession(project, project.id);
+    }
+
+    res.json(toProjectResponse(project));
+  } catch (e) {
+    console.error("Project load error:", e);
+    res.status(500).json({ error: `Error loading project: ${e.message}` });
+  }
+});
+
+app.put('/projects/:id', async (req, res) => {
+  const { ganttData, name } = req.body;
+
+  if (!ganttData) {
+    return res.status(400).json({ error: "Missing ganttData" });
+  }
+
+  try {
+    const project = await updateProject(req.params.id, { ganttData, name });
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    res.json(toProjectResponse(project));
+  } catch (e) {
+    console.error("Project update error:", e);
+    res.status(500).json({ error: `Error updating project: ${e.message}` });
+  }
+});
+
+app.delete('/projects/:id', async (req, res) => {
+  try {
+    const deleted = await deleteProject(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    deleteSession(req.params.id);
+    res.status(204).end();
+  } catch (e) {
+    console.error("Project delete error:", e);
+    res.status(500).json({ error: `Error deleting project: ${e.message}` });
+  }
+});
+
+
+// -------------------------------------------------------------------
+// --- BASELINE ENDPOINTS (snapshots for plan-versus-actual) ---
+// -------------------------------------------------------------------
+
+app.post('/baselines', async (req, res) => {
+  const { ganttData, name } = req.body;
+
+  if (!ganttData || !Array.isArray(ganttData.data)) {
+    return res.status(400).json({ error: "Missing ganttData" });
+  }
+
+  try {
+    const baseline = await saveBaseline({ name, ganttData });
+    res.status(201).json(baseline);
+  } catch (e) {
+    console.error("Baseline save error:", e);
+    res.status(500).json({ error: `Error saving baseline: ${e.message}` });
+  }
+});
+
+app.get('/baselines', async (req, res) => {
+  try {
+    res.json(await listBaselines());
+  } catch (e) {
+    console.error("Baseline list error:", e);
+    res.status(500).json({ error: `Error listing baselines: ${e.message}` });
+  }
+});
+
+app.get('/baselines/:id', async (req, res) => {
+  try {
+    const baseline = await getBaseline(req.params.id);
+    if (!baseline) {
+      return res.status(404).json({ error: "Baseline not found" });
+    }
+    res.json(baseline);
+  } catch (e) {
+    console.error("Baseline load error:", e);
+    res.status(500).json({ error: `Error loading baseline: ${e.message}` });
+  }
+});
+
+app.delete('/baselines/:id', async (req, res) => {
+  try {
+    const deleted = await deleteBaseline(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Baseline not found" });
+    }
+    res.status(204).end();
+  } catch (e) {
+    console.error("Baseline delete error:", e);
+    res.status(500).json({ error: `Error deleting baseline: ${e.message}` });
   }
 });
 
 
 // --- Server Start ---
-app.listen(port, () => {
-  console.log(`Server running at http://localhost:${port}`);
-});
\ No newline at end of file
+// Only listen when run directly (npm start); tests import the app instead.
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+  app.listen(port, () => {
+    console.log(`Server running at http://localhost:${port}`);
+  });
+}
+
+export default app;
\ No newline at end of file
@@ -0,0 +1,82 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAnalysisJob, getAnalysisJob, moveAnalysisJob } from '../lib/analysis-jobs.js';
+
+const tasks = (count) => Array.from({ length: count }, (_, i) => ({ taskName: `Task ${i + 1}`, entity: 'Eng' }));
+
+/**
+ * Resolves once the chart's job is done.
+ */
+async function jobDone(chartId) {
+  while (getAnalysisJob(chartId).status !== 'done') {
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+  return getAnalysisJob(chartId);
+}
+
+describe('startAnalysisJob', () => {
+  test('analyzes every task, never more than the limit at a time', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const analyzed = [];
+    const progress = startAnalysisJob('chart-a', tasks(7), async (task) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 2));
+      analyzed.push(task.taskName);
+      running--;
+    }, { concurrency: 3 });
+
+    assert.deepEqual(progress, { status: 'running', total: 7, completed: 0, failed: [] });
+    const job = await jobDone('chart-a');
+    assert.equal(job.completed, 7);
+    assert.equal(analyzed.length, 7);
+    assert.equal(mostRunning, 3);
+  });
+
+  test('refuses more tasks than one job may analyze', () => {
+    let calls = 0;
+    assert.throws(() => startAnalysisJob('chart-cap', tasks(4), async () => { calls++; }, { maxTasks: 3 }), /at most 3/);
+    assert.equal(getAnalysisJob('chart-cap'), null);
+    assert.equal(calls, 0);
+  });
+
+  test('records failed tasks and carries on', async () => {
+    startAnalysisJob('chart-b', tasks(3), async (task) => {
+      if (task.taskName === 'Task 2') throw new Error('Model unavailable');
+    });
+
+    const job = await jobDone('chart-b');
+    assert.equal(job.completed, 2);
+    assert.deepEqual(job.failed, [{ taskName: 'Task 2', entity: 'Eng', error: 'Model unavailable' }]);
+  });
+
+  test('keeps a running job instead of starting another', async () => {
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+    startAnalysisJob('chart-c', tasks(1), () => blocked);
+    const second = startAnalysisJob('chart-c', tasks(5), async () => {});
+
+    assert.equal(second.total, 1);
+    release();
+    assert.equal((await jobDone('chart-c')).completed, 1);
+    assert.equal(getAnalysisJob('unknown'), null);
+  });
+});
+
+describe('moveAnalysisJob', () => {
+  test('analyzes the remaining tasks for the new chart ID', async () => {
+    const chartIds = [];
+    startAnalysisJob('chart-old', tasks(3), async (task, currentChartId) => {
+      chartIds.push(currentChartId());
+      await new Promise(resolve => setTimeout(resolve, 2));
+    }, { concurrency: 1 });
+
+    moveAnalysisJob('chart-old', 'chart-new');
+
+    const job = await jobDone('chart-new');
+    assert.equal(job.completed, 3);
+    assert.deepEqual(chartIds, ['chart-old', 'chart-new', 'chart-new']);
+    assert.deepEqual(getAnalysisJob('chart-old'), job, 'the old ID still reads the progress');
+  });
+});
@@ -0,0 +1,35 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { findRowReferences, renderAnswer } from '../Public/chart-assistant.js';
+
+const chart = {
+  data: [
+    { id: 'S1', title: 'Regulatory', isSwimlane: true },
+    { id: 'T7', title: 'Approval <EU>', isSwimlane: false },
+    { id: 'T8', title: 'Launch', isSwimlane: false }
+  ]
+};
+
+describe('findRowReferences', () => {
+  test('lists the cited rows that exist, once each, in order', () => {
+    const answer = 'If approval [[T7]] is late, launch [[T8]] slips, and so does [[T7]]. See [[T99]].';
+    assert.deepEqual(findRowReferences(answer, chart), ['T7', 'T8']);
+    assert.deepEqual(findRowReferences('No rows here.', chart), []);
+  });
+});
+
+describe('renderAnswer', () => {
+  test('turns cited rows into buttons with the escaped row title', () => {
+    assert.equal(
+      renderAnswer('- **Approval** [[T7]]\n- Unknown [[T99]]', chart),
+      '<ul><li><strong>Approval</strong> <button type="button" class="row-ref" data-row-id="T7">Approval &lt;EU&gt;</button></li><li>Unknown [[T99]]</li></ul>'
+    );
+  });
+
+  test('leaves citations inside code and link URLs alone', () => {
+    assert.equal(
+      renderAnswer('`[[T7]]` and [the plan](https://example.com/?row=[[T7]]) and [[T8]]', chart),
+      '<p><code>[[T7]]</code> and <a href="https://example.com/?row=[[T7]]" target="_blank" rel="noopener noreferrer">the plan</a> and <button type="button" class="row-ref" data-row-id="T8">Launch</button></p>'
+    );
+  });
+});
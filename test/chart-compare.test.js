@@ -0,0 +1,112 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveTimeline } from '../Public/timeline.js';
+import { compareWithBaseline, coverBaselineDates, formatSlip } from '../Public/chart-compare.js';
+
+const task = (id, title, entity, startDate, endDate) => ({
+  id, title, entity, isSwimlane: false, type: 'task', bar: { startDate, endDate, color: 'blue' }
+});
+
+function baselineChart() {
+  return {
+    title: 'Plan',
+    data: [
+      { id: 'S1', title: 'Engineering', isSwimlane: true, entity: 'Engineering' },
+      task('T1', 'Build', 'Engineering', '2025-01-01', '2025-03-31'),
+      task('T2', 'Pilot', 'Engineering', '2025-04-01', '2025-05-31'),
+      task('T3', 'Legacy cleanup', 'Engineering', '2025-02-01', '2025-02-28'),
+      task('T4', 'Training', 'Operations', '2025-06-01', '2025-06-30')
+    ]
+  };
+}
+
+describe('compareWithBaseline', () => {
+  test('reports added, removed and moved tasks', () => {
+    // Regenerated: new IDs, the pilot slipped two weeks, the cleanup was dropped
+    const current = {
+      title: 'Plan',
+      data: [
+        { id: 'S1', title: 'Engineering', isSwimlane: true, entity: 'Engineering' },
+        task('A', 'Build', 'Engineering', '2025-01-01', '2025-03-31'),
+        task('B', 'Pilot', 'Engineering', '2025-04-15', '2025-06-14'),
+        task('C', 'Security review', 'Engineering', '2025-05-01', '2025-05-15'),
+        task('D', 'Training', 'Operations', '2025-06-01', '2025-06-30')
+      ]
+    };
+
+    const comparison = compareWithBaseline(current, baselineChart());
+
+    assert.deepEqual(comparison.added.map(t => t.title), ['Security review']);
+    assert.deepEqual(comparison.removed.map(t => t.title), ['Legacy cleanup']);
+    assert.deepEqual(comparison.moved, [{
+      id: 'B',
+      title: 'Pilot',
+      entity: 'Engineering',
+      baselineEntity: 'Engineering',
+      from: { startDate: '2025-04-01', endDate: '2025-05-31' },
+      to: { startDate: '2025-04-15', endDate: '2025-06-14' },
+      startSlipDays: 14,
+      endSlipDays: 14
+    }]);
+    assert.deepEqual(Object.keys(comparison.tasks), ['A', 'B', 'D']);
+    assert.equal(comparison.tasks.A.endSlipDays, 0);
+  });
+
+  test('matches titles regardless of case and punctuation, and across swimlanes', () => {
+    const current = {
+      data: [
+        task('A', 'build ', 'Engineering', '2025-01-01', '2025-03-31'),
+        task('B', 'Pilot', 'Engineering', '2025-04-01', '2025-05-31'),
+        task('C', 'LEGACY CLEANUP.', 'Engineering', '2025-02-01', '2025-02-28'),
+        task('D', 'Training', 'Engineering', '2025-05-20', '2025-06-20')
+      ]
+    };
+
+    const comparison = compareWithBaseline(current, baselineChart());
+
+    assert.deepEqual(comparison.added, []);
+    assert.deepEqual(comparison.removed, []);
+    assert.equal(comparison.moved.length, 1);
+    assert.equal(comparison.moved[0].baselineEntity, 'Operations');
+    assert.equal(comparison.moved[0].endSlipDays, -10);
+  });
+
+  test('reads the dates of charts saved with column indexes only', () => {
+    const legacy = {
+      timeColumns: ['Q1 2025', 'Q2 2025'],
+      data: [{ id: 'T1', title: 'Build', entity: 'Engineering', isSwimlane: false, bar: { startCol: 1, endCol: 2 } }]
+    };
+
+    const comparison = compareWithBaseline(legacy, baselineChart());
+
+    assert.equal(comparison.tasks.T1.startDate, '2025-01-01');
+    assert.equal(comparison.tasks.T1.endSlipDays, 0);
+  });
+});
+
+describe('coverBaselineDates', () => {
+  test('widens the timeline to the baseline dates at the same time scale', () => {
+    const current = deriveTimeline({
+      data: [task('A', 'Build', 'Engineering', '2025-04-01', '2025-06-30')]
+    }, 'quarters');
+    const comparison = compareWithBaseline(current, baselineChart());
+
+    const covered = coverBaselineDates(current, comparison);
+
+    assert.deepEqual(covered.timeColumns, ['Q1 2025', 'Q2 2025']);
+  });
+
+  test('leaves the chart alone when the baseline dates already fit', () => {
+    const current = deriveTimeline({ data: baselineChart().data }, 'quarters');
+    const comparison = compareWithBaseline(current, baselineChart());
+
+    assert.equal(coverBaselineDates(current, comparison), current);
+  });
+});
+
+describe('formatSlip', () => {
+  test('signs the days', () => {
+    assert.equal(formatSlip(14), '+14d');
+    assert.equal(formatSlip(-3), '−3d');
+  });
+});
@@ -0,0 +1,43 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateChartDiff, applyChartDiff } from '../Public/chart-diff.js';
+
+function sampleChart() {
+  return {
+    title: 'Plan',
+    data: [
+      { id: 'S1', title: 'Engineering', isSwimlane: true, entity: 'Engineering' },
+      { id: 'T1', title: 'Build', isSwimlane: false, type: 'task', entity: 'Engineering', dependencies: [], bar: { startDate: '2026-01-01', endDate: '2026-03-31', color: 'blue' } }
+    ]
+  };
+}
+
+describe('validateChartDiff', () => {
+  test('skips an add whose row ID is already taken, and leaves the existing row alone', () => {
+    const chart = sampleChart();
+    const { diff, warnings } = validateChartDiff(chart, {
+      operations: [
+        { op: 'add', rowId: 'T1', row: { title: 'Pilot', isSwimlane: false, entity: 'Engineering' } },
+        { op: 'modify', rowId: 'T1', row: { title: 'Pilot (phase 1)' } }
+      ]
+    });
+
+    assert.deepEqual(diff.operations.map(operation => operation.op), ['modify']);
+    assert.deepEqual(warnings, ['Skipped adding "Pilot": row ID "T1" is already taken.']);
+
+    applyChartDiff(chart, diff);
+    assert.deepEqual(chart.data.map(row => row.title), ['Engineering', 'Pilot (phase 1)']);
+  });
+
+  test('skips a second add with the same new ID', () => {
+    const { diff, warnings } = validateChartDiff(sampleChart(), {
+      operations: [
+        { op: 'add', rowId: 'T2', row: { title: 'Pilot', isSwimlane: false, entity: 'Engineering' } },
+        { op: 'add', rowId: 'T2', row: { title: 'Launch', isSwimlane: false, entity: 'Engineering' } }
+      ]
+    });
+
+    assert.deepEqual(diff.operations.map(operation => operation.row.title), ['Pilot']);
+    assert.equal(warnings.length, 1);
+  });
+});
@@ -0,0 +1,97 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveTimeline, getTimelineColumns } from '../Public/timeline.js';
+import { applyChartDiff } from '../Public/chart-diff.js';
+import { createChartEditor, moveBarDates, renameRow } from '../Public/chart-editor.js';
+
+/**
+ * A Q1–Q2 2026 chart shown in quarters.
+ */
+function sampleChart() {
+  return deriveTimeline({
+    title: 'Plan',
+    data: [
+      { id: 'S1', title: 'Engineering', isSwimlane: true, entity: 'Engineering' },
+      { id: 'T1', title: 'Build', isSwimlane: false, type: 'task', entity: 'Engineering', dependencies: [], bar: { startDate: '2026-01-01', endDate: '2026-03-31', color: 'blue' } },
+      { id: 'T2', title: 'Pilot', isSwimlane: false, type: 'task', entity: 'Engineering', dependencies: ['T1'], bar: { startDate: '2026-04-01', endDate: '2026-06-30', color: 'green' } }
+    ]
+  }, 'quarters');
+}
+
+describe('createChartEditor', () => {
+  test('widens the timeline when a refinement pushes a task past the end', () => {
+    const editor = createChartEditor(sampleChart(), { onChange: () => {} });
+
+    // "Push the pilot out one quarter"
+    editor.apply(draft => applyChartDiff(draft, {
+      operations: [{ op: 'modify', rowId: 'T2', row: { title: 'Pilot', isSwimlane: false, entity: 'Engineering', bar: { startDate: '2026-07-01', endDate: '2026-09-30', color: 'green' } } }]
+    }));
+
+    const chart = editor.getData();
+    assert.deepEqual(chart.timeColumns, ['Q1 2026', 'Q2 2026', 'Q3 2026']);
+    assert.equal(chart.data[2].bar.startCol, 3);
+    assert.equal(chart.data[2].bar.endCol, 4);
+  });
+
+  test('narrows the timeline again on undo', () => {
+    const editor = createChartEditor(sampleChart(), { onChange: () => {} });
+    editor.apply(draft => {
+      draft.data[2].bar = { ...draft.data[2].bar, startDate: '2026-07-01', endDate: '2026-09-30' };
+    });
+
+    editor.undo();
+
+    assert.equal(editor.getData().timeColumns.length, 2);
+  });
+});
+
+describe('moveBarDates', () => {
+  test('moves a bar dragged off the end of the grid past the current range', () => {
+    const columns = getTimelineColumns(sampleChart());
+    const bar = { startDate: '2026-04-01', endDate: '2026-06-30' };
+
+    moveBarDates(bar, 'move', 2, columns, false);
+
+    // Two columns on: the grid ends on 1 July, then one more Q2 length (91 days)
+    assert.deepEqual(bar, { startDate: '2026-09-30', endDate: '2026-12-29' });
+  });
+
+  test('resizes a bar past the start of the grid', () => {
+    const columns = getTimelineColumns(sampleChart());
+    const bar = { startDate: '2026-01-01', endDate: '2026-03-31' };
+
+    moveBarDates(bar, 'resize-start', -1, columns, false);
+
+    // One column's length (Q1, 90 days) earlier
+    assert.deepEqual(bar, { startDate: '2025-10-03', endDate: '2026-03-31' });
+  });
+});
+
+describe('renameRow', () => {
+  const twoLanes = () => ({
+    data: [
+      { id: 'S1', title: 'Engineering', isSwimlane: true, entity: 'Engineering' },
+      { id: 'T1', title: 'Build', isSwimlane: false, entity: 'Engineering' },
+      { id: 'S2', title: 'Regulatory', isSwimlane: true, entity: 'Regulatory' },
+      { id: 'T2', title: 'Approval', isSwimlane: false, entity: 'Regulatory' }
+    ]
+  });
+
+  test('renames a swimlane and the entity of its tasks', () => {
+    const chart = twoLanes();
+    assert.equal(renameRow(chart, 'S2', 'EU Regulatory'), true);
+    assert.deepEqual(chart.data.map(row => row.entity), ['Engineering', 'Engineering', 'EU Regulatory', 'EU Regulatory']);
+  });
+
+  test('does not rename a swimlane to the name of another one', () => {
+    const chart = twoLanes();
+    assert.equal(renameRow(chart, 'S2', 'engineering'), false);
+    assert.deepEqual(chart, twoLanes());
+  });
+
+  test('lets tasks share a name', () => {
+    const chart = twoLanes();
+    assert.equal(renameRow(chart, 'T2', 'Build'), true);
+    assert.equal(chart.data[3].title, 'Build');
+  });
+});
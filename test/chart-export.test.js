@@ -0,0 +1,177 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { deriveTimeline } from '../Public/timeline.js';
+import { analyzeDependencies } from '../Public/dependencies.js';
+import { layoutChart, paginateChart, CHART_PALETTE } from '../Public/chart-layout.js';
+import { buildChartSvg } from '../Public/chart-svg.js';
+import { exportChartPdf, exportChartPptx } from '../lib/chart-export.js';
+
+/**
+ * A one-year chart shown in quarters (the same one chart-renderer.test.js uses).
+ */
+function sampleChart() {
+  const chart = deriveTimeline({
+    title: 'Sample Plan',
+    data: [
+      { id: 'S1', title: 'Engineering', isSwimlane: true, entity: 'Engineering' },
+      { id: 'T1', title: 'Build', isSwimlane: false, type: 'task', entity: 'Engineering', dependencies: [], bar: { startDate: '2025-01-01', endDate: '2025-06-30', color: 'blue' } },
+      { id: 'T2', title: 'Pilot', isSwimlane: false, type: 'task', entity: 'Engineering', dependencies: ['T1'], bar: { startDate: '2025-07-01', endDate: '2025-08-15', color: 'ochre' } },
+      { id: 'T3', title: 'Launch', isSwimlane: false, type: 'milestone', entity: 'Engineering', dependencies: ['T2'], bar: { startDate: '2025-12-31', endDate: '2025-12-31', color: 'green' } }
+    ],
+    legend: [{ color: 'blue', label: 'Build' }]
+  }, 'quarters');
+  return { ...chart, ...analyzeDependencies(chart) };
+}
+
+/**
+ * The sample chart with its tasks repeated until it needs several pages.
+ */
+function longChart(copies = 30) {
+  const chart = sampleChart();
+  const data = [];
+  for (let i = 0; i < copies; i++) {
+    data.push(...chart.data.map(row => ({ ...row, id: `${row.id}-${i}`, dependencies: (row.dependencies || []).map(id => `${id}-${i}`) })));
+  }
+  return { ...chart, data, criticalPath: [], dependencyViolations: [] };
+}
+
+describe('layoutChart', () => {
+  test('sizes the label column like the on-screen grid', () => {
+    const layout = layoutChart(sampleChart(), { width: 1400 });
+    // minmax(330px, 1.5fr) repeat(4, 1fr): 1.5 / 5.5 of the width
+    assert.ok(Math.abs(layout.labelWidth - 1400 * 1.5 / 5.5) < 0.01);
+    assert.deepEqual(layout.header.cells.map(cell => cell.label), ['Q1 2025', 'Q2 2025', 'Q3 2025', 'Q4 2025']);
+
+    const narrow = layoutChart(sampleChart(), { width: 800 });
+    assert.equal(narrow.labelWidth, 330);
+  });
+
+  test('places bars and milestones from their dates with palette colors', () => {
+    const layout = layoutChart(sampleChart(), { width: 1400 });
+    const byId = new Map(layout.rows.map(row => [row.id, row]));
+    const columnWidth = (1400 - layout.labelWidth) / 4;
+
+    const build = byId.get('T1').bar;
+    assert.equal(build.kind, 'bar');
+    assert.equal(build.color, CHART_PALETTE.blue);
+    assert.ok(Math.abs(build.x - layout.labelWidth) < 0.01);
+    assert.ok(Math.abs(build.width - columnWidth * 2) < 0.01); // Q1 and Q2
+
+    const launch = byId.get('T3').bar;
+    assert.equal(launch.kind, 'milestone');
+    assert.equal(launch.color, CHART_PALETTE.green);
+    assert.ok(launch.cx > layout.labelWidth + columnWidth * 3.9);
+    assert.equal(byId.get('S1').bar, null);
+  });
+
+  test('routes arrows between bars and marks the critical ones', () => {
+    const chart = sampleChart();
+    const layout = layoutChart(chart, { width: 1400 });
+    const critical = new Set(chart.criticalPath);
+    assert.equal(layout.arrows.length, 2);
+    assert.deepEqual(layout.arrows.map(arrow => arrow.kind), [
+      critical.has('T1') && critical.has('T2') ? 'critical' : '',
+      critical.has('T2') && critical.has('T3') ? 'critical' : ''
+    ]);
+
+    const build = layout.rows.find(row => row.id === 'T1').bar;
+    const pilot = layout.rows.find(row => row.id === 'T2').bar;
+    const points = layout.arrows[0].points;
+    assert.deepEqual(points[0], [build.x + build.width, build.y + build.height / 2]);
+    assert.deepEqual(points[points.length - 1], [pilot.x, pilot.y + pilot.height / 2]);
+  });
+
+  test('draws the today line only inside the chart range', () => {
+    const columnWidth = (1400 - 1400 * 1.5 / 5.5) / 4;
+    const inside = layoutChart(sampleChart(), { width: 1400, today: new Date('2025-05-16T12:00:00') });
+    // Mid-May is about half way through Q2
+    assert.ok(Math.abs(inside.todayX - (inside.labelWidth + columnWidth * 1.5)) < columnWidth * 0.05);
+
+    assert.equal(layoutChart(sampleChart(), { today: new Date('2027-01-01T12:00:00') }).todayX, null);
+    assert.equal(layoutChart(sampleChart()).todayX, null);
+  });
+
+  test('styles bars by their status on the today line\'s date', () => {
+    const chart = sampleChart();
+    chart.data[2] = { ...chart.data[2], progress: 40 };
+    const layout = layoutChart(chart, { today: new Date('2025-09-01T12:00:00') });
+    const bars = layout.rows.filter(row => row.bar).map(row => [row.bar.status, row.bar.opacity]);
+    assert.deepEqual(bars, [['completed', 0.45], ['overdue', 1], ['not-started', 0.7]]);
+    assert.equal(layoutChart(chart).rows[1].bar.status, null, 'no today line, no status');
+
+    const svg = buildChartSvg(chart, { today: new Date('2025-09-01T12:00:00') });
+    assert.match(svg, new RegExp(`fill="${CHART_PALETTE.blue}" fill-opacity="0.45"`));
+    assert.match(svg, /stroke="#FF5F57" stroke-width="2" stroke-dasharray="4 2"/);
+  });
+
+  test('lists the legend with milestone and critical path entries', () => {
+    const layout = layoutChart(sampleChart());
+    assert.deepEqual(layout.legend.items.map(item => item.label), ['Build', 'Milestone', 'Critical path']);
+    assert.equal(layoutChart(sampleChart(), { showLegend: false }).legend, null);
+  });
+});
+
+describe('paginateChart', () => {
+  test('keeps every row exactly once and the legend on the last page', () => {
+    const chart = longChart();
+    const pages = paginateChart(chart, { width: 1400, pageHeight: 800 });
+
+    assert.ok(pages.length > 1);
+    assert.deepEqual(pages.flatMap(page => page.rows.map(row => row.id)), chart.data.map(row => row.id));
+    assert.ok(pages.every(page => page.height <= 800));
+    assert.ok(pages.every(page => page.header.cells.length === 4));
+    assert.deepEqual(pages.map(page => Boolean(page.legend)), pages.map((_, i) => i === pages.length - 1));
+    assert.match(pages[0].title.text, /\(1\/\d+\)$/);
+  });
+
+  test('leaves a short chart on one page', () => {
+    const pages = paginateChart(sampleChart(), { width: 1400, pageHeight: 800 });
+    assert.equal(pages.length, 1);
+    assert.equal(pages[0].title.text, 'Sample Plan');
+  });
+});
+
+describe('buildChartSvg', () => {
+  test('draws the chart as a standalone SVG', () => {
+    const svg = buildChartSvg(sampleChart(), { today: new Date('2025-05-16T12:00:00'), logoHref: 'data:image/png;base64,AAAA' });
+
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    assert.match(svg, />Sample Plan<\/text>/);
+    assert.match(svg, /<image href="data:image\/png;base64,AAAA"/);
+    assert.match(svg, new RegExp(`<rect [^>]*rx="4" fill="${CHART_PALETTE.ochre}"`));
+    assert.match(svg, new RegExp(`<polygon [^>]*fill="${CHART_PALETTE.green}"`));
+    assert.equal((svg.match(/<polyline /g) || []).length, 2);
+    assert.match(svg, /stroke="#BA3930" stroke-width="1"/); // Today line
+  });
+
+  test('escapes titles and labels', () => {
+    const chart = sampleChart();
+    chart.title = 'R&D <Plan>';
+    assert.match(buildChartSvg(chart), />R&amp;D &lt;Plan&gt;<\/text>/);
+  });
+});
+
+describe('PDF and PowerPoint export', () => {
+  test('builds a PDF with one page per chart page', async () => {
+    const pdf = await exportChartPdf(longChart(), { today: new Date('2025-05-16T12:00:00') });
+    const pageCount = paginateChart(longChart(), { width: 1400, pageHeight: 595.28 / (841.89 / 1400) }).length;
+
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.ok(pageCount > 1);
+    assert.equal((pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length, pageCount);
+  });
+
+  test('builds a PowerPoint file with the chart as native shapes', async () => {
+    const pptx = await exportChartPptx(sampleChart());
+    const zip = await JSZip.loadAsync(pptx);
+    const slides = Object.keys(zip.files).filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name));
+    assert.equal(slides.length, 1);
+
+    const xml = await zip.file('ppt/slides/slide1.xml').async('string');
+    assert.match(xml, /<a:t>Sample Plan<\/a:t>/);
+    assert.match(xml, /prst="roundRect"/);
+    assert.match(xml, /prst="diamond"/);
+    assert.match(xml, /<a:srgbClr val="EE9E20"\/>/);
+  });
+});
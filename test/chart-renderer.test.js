@@ -0,0 +1,297 @@
+import { test, describe, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, fakeLayout } from './helpers/dom.js';
+import { deriveTimeline } from '../Public/timeline.js';
+import { analyzeDependencies } from '../Public/dependencies.js';
+
+const dom = setupDom();
+let setupChart;
+let findTodayColumnPosition;
+let highlightRows;
+
+before(async () => {
+  ({ setupChart, findTodayColumnPosition, highlightRows } = await import('../Public/chart-renderer.js'));
+});
+
+beforeEach(() => {
+  document.getElementById('chart-root').innerHTML = '';
+});
+
+/**
+ * A one-year chart shown in quarters.
+ */
+function sampleChart() {
+  const chart = deriveTimeline({
+    title: 'Sample Plan',
+    chartId: 'chart-1',
+    data: [
+      { id: 'S1', title: 'Engineering', isSwimlane: true, entity: 'Engineering' },
+      { id: 'T1', title: 'Build', isSwimlane: false, type: 'task', entity: 'Engineering', dependencies: [], bar: { startDate: '2025-01-01', endDate: '2025-06-30', color: 'blue' } },
+      { id: 'T2', title: 'Pilot', isSwimlane: false, type: 'task', entity: 'Engineering', dependencies: ['T1'], bar: { startDate: '2025-07-01', endDate: '2025-08-15', color: 'ochre' } },
+      { id: 'T3', title: 'Launch', isSwimlane: false, type: 'milestone', entity: 'Engineering', dependencies: ['T2'], bar: { startDate: '2025-12-31', endDate: '2025-12-31', color: 'green' } }
+    ],
+    legend: [{ color: 'blue', label: 'Build' }]
+  }, 'quarters');
+  return { ...chart, ...analyzeDependencies(chart) };
+}
+
+const percent = (value) => parseFloat(value);
+
+describe('setupChart', () => {
+  test('builds one header cell and one grid column per time column', () => {
+    setupChart(sampleChart());
+
+    const grid = document.querySelector('.gantt-grid');
+    const headers = [...grid.querySelectorAll('.gantt-header:not(.gantt-header-label)')].map(cell => cell.textContent);
+    assert.deepEqual(headers, ['Q1 2025', 'Q2 2025', 'Q3 2025', 'Q4 2025']);
+    assert.equal(grid.style.gridTemplateColumns, 'minmax(330px, 1.5fr) repeat(4, 1fr)');
+    assert.equal(document.querySelector('.gantt-title').textContent, 'Sample Plan');
+  });
+
+  test('renders a label and a bar area for every row', () => {
+    setupChart(sampleChart());
+
+    const labels = [...document.querySelectorAll('.gantt-row-label')];
+    assert.deepEqual(labels.map(label => label.textContent), ['Engineering', 'Build', 'Pilot', 'Launch']);
+    assert.ok(labels[0].classList.contains('swimlane'));
+    assert.equal(document.querySelectorAll('.gantt-bar-area').length, 4);
+  });
+
+  test('places bars from their dates', () => {
+    setupChart(sampleChart());
+
+    const build = document.querySelector('.gantt-bar[data-task-id="T1"]');
+    assert.equal(percent(build.style.left), 0);
+    assert.equal(percent(build.style.width), 50);
+    assert.equal(build.getAttribute('data-color'), 'blue');
+
+    // 1 July to 15 August: all of July (31/92) and half of August (15/92) in Q3
+    const pilot = document.querySelector('.gantt-bar[data-task-id="T2"]');
+    assert.equal(percent(pilot.style.left), 50);
+    assert.ok(Math.abs(percent(pilot.style.width) - (46 / 92) * 25) < 1e-6);
+  });
+
+  test('draws milestones as a diamond centred on their date', () => {
+    setupChart(sampleChart());
+
+    const launch = document.querySelector('.gantt-milestone[data-task-id="T3"]');
+    assert.ok(launch);
+    // Centre of 31 December, the last of Q4's 92 days
+    assert.ok(Math.abs(percent(launch.style.left) - (3 + 91.5 / 92) * 25) < 1e-6);
+  });
+
+  test('marks only the tasks without slack as critical', () => {
+    setupChart(sampleChart());
+
+    // The pilot ends in August, months before the launch, so only the launch is critical
+    const critical = [...document.querySelectorAll('[data-task-id].critical')].map(el => el.getAttribute('data-task-id'));
+    assert.deepEqual(critical, ['T3']);
+  });
+
+  test('re-buckets the grid at another time scale', () => {
+    setupChart(sampleChart(), { interval: 'months' });
+
+    const headers = [...document.querySelectorAll('.gantt-header:not(.gantt-header-label)')];
+    assert.equal(headers.length, 12);
+    const build = document.querySelector('.gantt-bar[data-task-id="T1"]');
+    assert.equal(percent(build.style.width), 50);
+  });
+
+  test('adds the today line at the right offset', () => {
+    fakeLayout(dom, { gridWidth: 1000, labelWidth: 200, headerHeight: 40 });
+    setupChart(sampleChart(), { today: new Date('2025-11-14T12:00:00') });
+
+    const line = document.querySelector('.gantt-today-line');
+    assert.ok(line);
+    // Today is 14 November 2025 (midday): day 44.5 of Q4's 92 days
+    const expected = 200 + (3 + 44.5 / 92) * (800 / 4);
+    assert.ok(Math.abs(parseFloat(line.style.left) - expected) < 1e-6);
+    assert.equal(line.style.top, '40px');
+  });
+
+  test('takes the default today from the ?today= override', () => {
+    fakeLayout(dom, { gridWidth: 1000, labelWidth: 200, headerHeight: 40 });
+    window.history.replaceState(null, '', '/chart.html?today=2025-11-14');
+    try {
+      setupChart(sampleChart());
+    } finally {
+      window.history.replaceState(null, '', '/chart.html');
+    }
+
+    const line = document.querySelector('.gantt-today-line');
+    assert.ok(Math.abs(parseFloat(line.style.left) - (200 + (3 + 44.5 / 92) * 200)) < 1e-6);
+  });
+
+  test('styles bars by their status and lists the statuses in a legend', () => {
+    const chart = sampleChart();
+    chart.data[1] = { ...chart.data[1], progress: 90 };
+    setupChart(chart, { today: new Date('2025-07-15T12:00:00') });
+
+    const status = (id) => document.querySelector(`[data-task-id="${id}"]`).getAttribute('data-status');
+    assert.equal(status('T1'), 'overdue', 'ended before today at 90%');
+    assert.equal(status('T2'), 'in-progress');
+    assert.equal(status('T3'), 'not-started');
+
+    const legend = [...document.querySelectorAll('.gantt-status-legend .legend-label')].map(label => label.textContent);
+    assert.deepEqual(legend, ['In progress', 'Overdue', 'Not started']);
+  });
+});
+
+describe('baseline comparison', () => {
+  // The baseline before the pilot slipped a month and the launch was added
+  const baseline = () => ({
+    name: 'Kick-off plan',
+    savedAt: '2025-01-10T09:00:00.000Z',
+    ganttData: {
+      title: 'Sample Plan',
+      data: [
+        { id: 'T1', title: 'Build', isSwimlane: false, type: 'task', entity: 'Engineering', bar: { startDate: '2025-01-01', endDate: '2025-06-30' } },
+        { id: 'T2', title: 'Pilot', isSwimlane: false, type: 'task', entity: 'Engineering', bar: { startDate: '2025-06-01', endDate: '2025-07-15' } },
+        { id: 'T9', title: 'Vendor review', isSwimlane: false, type: 'task', entity: 'Engineering', bar: { startDate: '2025-03-01', endDate: '2025-03-31' } }
+      ]
+    }
+  });
+
+  test('draws the baseline dates as ghost bars with the slip of each end date', () => {
+    setupChart(sampleChart(), { baseline: baseline() });
+
+    const ghosts = document.querySelectorAll('.gantt-baseline-bar');
+    assert.equal(ghosts.length, 2, 'one per matched task');
+    // Starts on 1 June, 61 of Q2's 91 days in
+    const pilotGhost = document.querySelector('[data-task-id="T2"]').parentElement.querySelector('.gantt-baseline-bar');
+    assert.ok(Math.abs(percent(pilotGhost.style.left) - (1 + 61 / 91) * 25) < 1e-6);
+
+    const slips = [...document.querySelectorAll('.gantt-slip')];
+    assert.deepEqual(slips.map(slip => [slip.textContent, slip.getAttribute('data-slip')]), [['+31d', 'late']]);
+    assert.equal(document.querySelectorAll('[data-task-id="T1"] ~ .gantt-slip').length, 0, 'no slip for unchanged dates');
+  });
+
+  test('lists the tasks added, removed and moved since the baseline', () => {
+    setupChart(sampleChart(), { baseline: baseline() });
+
+    const report = document.querySelector('.gantt-baseline-report');
+    assert.equal(report.querySelector('h4').textContent, 'Changes since baseline "Kick-off plan" (2025-01-10)');
+    assert.deepEqual([...report.querySelectorAll('li')].map(li => li.textContent), [
+      'Added: "Launch" (Engineering), 2025-12-31',
+      'Removed: "Vendor review" (Engineering), was 2025-03-01 – 2025-03-31',
+      'Moved: "Pilot": 2025-06-01 – 2025-07-15 → 2025-07-01 – 2025-08-15 (start +30d, end +31d)'
+    ]);
+  });
+
+  test('widens the grid to fit baseline dates outside the chart', () => {
+    const earlier = baseline();
+    earlier.ganttData.data[0].bar.startDate = '2024-10-01';
+    setupChart(sampleChart(), { baseline: earlier });
+
+    const headers = [...document.querySelectorAll('.gantt-header:not(.gantt-header-label)')].map(cell => cell.textContent);
+    assert.deepEqual(headers, ['Q4 2024', 'Q1 2025', 'Q2 2025', 'Q3 2025', 'Q4 2025']);
+  });
+
+  test('shows no comparison without a baseline', () => {
+    setupChart(sampleChart());
+
+    assert.equal(document.querySelector('.gantt-baseline-bar, .gantt-slip, .gantt-baseline-report'), null);
+  });
+});
+
+describe('highlightRows', () => {
+  test('marks the label and bar area of each given row, and clears the rest', () => {
+    setupChart(sampleChart());
+    highlightRows(['T1', 'T3']);
+    highlightRows(['T2', 'T3']);
+
+    const highlighted = [...document.querySelectorAll('.gantt-row-label.row-highlight')].map(label => label.dataset.rowId);
+    assert.deepEqual(highlighted, ['T2', 'T3']);
+    const pilotLabel = document.querySelector('.gantt-row-label[data-row-id="T2"]');
+    assert.ok(pilotLabel.nextElementSibling.classList.contains('gantt-bar-area'));
+    assert.ok(pilotLabel.nextElementSibling.classList.contains('row-highlight'));
+
+    highlightRows([]);
+    assert.equal(document.querySelectorAll('.row-highlight').length, 0);
+  });
+});
+
+describe('source traceability', () => {
+  /**
+   * The sample chart with sources on its tasks.
+   */
+  function chartWithSources() {
+    const chart = sampleChart();
+    const sources = {
+      T1: [{ file: 'plan.pdf', quote: 'Build runs from January to June.' }],
+      T2: [{ file: 'notes.md', quote: 'Pilot in July.' }, { file: 'plan.pdf', quote: null }],
+      T3: []
+    };
+    return { ...chart, data: chart.data.map(row => (row.isSwimlane ? row : { ...row, sources: sources[row.id] })) };
+  }
+
+  test('shows the files and quotes behind a bar on hover', () => {
+    setupChart(chartWithSources());
+
+    const pilot = document.querySelector('.gantt-bar[data-task-id="T2"]');
+    pilot.dispatchEvent(new MouseEvent('mouseenter'));
+    const tooltip = document.querySelector('.source-tooltip');
+    assert.equal(tooltip.querySelector('.source-tooltip-title').textContent, 'Pilot');
+    assert.equal(tooltip.querySelector('.source-tooltip-dates').textContent, '2025-07-01 – 2025-08-15');
+    assert.deepEqual([...tooltip.querySelectorAll('.source-tooltip-file')].map(el => el.textContent), ['notes.md', 'plan.pdf']);
+    assert.deepEqual([...tooltip.querySelectorAll('.source-tooltip-quote')].map(el => el.textContent), ['“Pilot in July.”']);
+
+    pilot.dispatchEvent(new MouseEvent('mouseleave'));
+    assert.equal(document.querySelector('.source-tooltip'), null);
+
+    document.querySelector('.gantt-milestone[data-task-id="T3"]').dispatchEvent(new MouseEvent('mouseenter'));
+    assert.match(document.querySelector('.source-tooltip').textContent, /No source recorded/);
+  });
+
+  test('shows only the tasks from one source file', () => {
+    setupChart(chartWithSources(), { sourceFile: 'plan.pdf' });
+
+    const labels = [...document.querySelectorAll('.gantt-row-label')].map(label => label.textContent);
+    assert.deepEqual(labels, ['Engineering', 'Build', 'Pilot']);
+
+    setupChart(chartWithSources(), { sourceFile: 'notes.md' });
+    assert.deepEqual([...document.querySelectorAll('.gantt-row-label')].map(label => label.textContent), ['Engineering', 'Pilot']);
+  });
+
+  test('exports every task as data, but only the filtered tasks as images', async () => {
+    const requests = {};
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+      requests[url] = JSON.parse(init.body);
+      return { ok: false, json: async () => ({ error: 'not needed' }) };
+    };
+    try {
+      setupChart(chartWithSources(), { sourceFile: 'notes.md' });
+      document.getElementById('export-csv-btn').click();
+      document.getElementById('export-pdf-btn').click();
+      await new Promise(resolve => setImmediate(resolve));
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+
+    const titles = (body) => body.ganttData.data.filter(row => !row.isSwimlane).map(row => row.title);
+    assert.deepEqual(titles(requests['/export/csv']), ['Build', 'Pilot', 'Launch']);
+    assert.deepEqual(titles(requests['/export/pdf']), ['Pilot']);
+  });
+});
+
+describe('findTodayColumnPosition', () => {
+  const columns = ['Q1 2025', 'Q2 2025', 'Q3 2025', 'Q4 2025'];
+
+  test('finds the column and the offset within it', () => {
+    const position = findTodayColumnPosition(new Date('2025-04-01T09:00:00Z'), columns);
+    assert.equal(position.index, 1);
+    assert.ok(Math.abs(position.percentage - 0.5 / 91) < 1e-9);
+  });
+
+  test('works for week and year columns', () => {
+    assert.equal(findTodayColumnPosition(new Date('2025-01-08T00:00:00Z'), ['W1 2025', 'W2 2025']).index, 1);
+    assert.equal(findTodayColumnPosition(new Date('2026-03-01T00:00:00Z'), ['2025', '2026']).index, 1);
+  });
+
+  test('returns null outside the range or for unknown labels', () => {
+    assert.equal(findTodayColumnPosition(new Date('2026-01-01T00:00:00Z'), columns), null);
+    assert.equal(findTodayColumnPosition(new Date('2025-01-01T00:00:00Z'), ['Phase 1']), null);
+    assert.equal(findTodayColumnPosition(new Date('2025-01-01T00:00:00Z'), []), null);
+  });
+});
@@ -0,0 +1,212 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { repairChart, checkTimeline, describeProblems } from '../lib/chart-validation.js';
+
+const lane = (title) => ({ id: null, title, isSwimlane: true, entity: title });
+const task = (id, entity, startDate, endDate, color = 'blue', extra = {}) =>
+  ({ id, title: `Task ${id}`, isSwimlane: false, type: 'task', entity, bar: { startDate, endDate, color }, ...extra });
+
+describe('repairChart', () => {
+  test('leaves a valid chart unchanged', () => {
+    const chart = {
+      title: 'Plan',
+      timeRange: null,
+      data: [lane('Eng'), task('T1', 'Eng', '2025-01-06', '2025-02-28'), task('T2', 'Eng', null, null)],
+      legend: [{ color: 'blue', label: 'Build' }]
+    };
+    const { chartData, warnings, problems } = repairChart(chart);
+
+    assert.deepEqual(chartData, chart);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(problems, []);
+  });
+
+  test('maps colors to the palette', () => {
+    const { chartData, warnings } = repairChart({
+      data: [
+        lane('Eng'),
+        task('T1', 'Eng', '2025-01-06', '2025-01-31', 'Green'),
+        task('T2', 'Eng', '2025-01-06', '2025-01-31', '#EE9E20'),
+        task('T3', 'Eng', '2025-01-06', '2025-01-31', 'red'),
+        task('T4', 'Eng', '2025-01-06', '2025-01-31', 'chartreuse')
+      ]
+    });
+
+    assert.deepEqual(chartData.data.slice(1).map(row => row.bar.color), ['green', 'ochre', 'orange', 'green']);
+    assert.equal(warnings.length, 2, 'only the named colors outside the palette are reported');
+    assert.match(warnings[1], /"chartreuse".*now green/);
+  });
+
+  test('swaps reversed dates and gives a task with one date a single day', () => {
+    const { chartData, warnings } = repairChart({
+      data: [
+        lane('Eng'),
+        task('T1', 'Eng', '2025-03-31', '2025-01-06'),
+        task('T2', 'Eng', null, '2025-02-14'),
+        task('T3', 'Eng', '2025-04-01', null, 'blue', { type: 'milestone' })
+      ]
+    });
+
+    assert.deepEqual(chartData.data.slice(1).map(row => [row.bar.startDate, row.bar.endDate]), [
+      ['2025-01-06', '2025-03-31'],
+      ['2025-02-14', '2025-02-14'],
+      ['2025-04-01', '2025-04-01']
+    ]);
+    assert.equal(warnings.length, 2, 'milestones are expected to have one date');
+  });
+
+  test('reports dates that are not dates as problems and clears them', () => {
+    const { chartData, problems } = repairChart({
+      data: [lane('Eng'), task('T1', 'Eng', 'Q1 2025', '2025-03-31')]
+    });
+
+    assert.deepEqual(problems.map(problem => problem.rowId), ['T1']);
+    assert.match(problems[0].message, /startDate "Q1 2025"/);
+    assert.equal(chartData.data[1].bar.startDate, '2025-03-31');
+  });
+
+  test('reports impossible dates as problems', () => {
+    const { problems } = repairChart({
+      data: [lane('Eng'), task('T1', 'Eng', '2026-13-45', '2026-02-30')]
+    });
+
+    assert.deepEqual(problems.map(problem => problem.message.match(/(start|end)Date/)[0]), ['startDate', 'endDate']);
+  });
+
+  test('completes partial dates to the start or end of the period', () => {
+    const { chartData, warnings, problems } = repairChart({
+      data: [lane('Eng'), task('T1', 'Eng', '2026-11', '2026-11'), task('T2', 'Eng', '2026', '2027')]
+    });
+
+    assert.deepEqual(problems, []);
+    assert.deepEqual(chartData.data[1].bar, { ...chartData.data[1].bar, startDate: '2026-11-01', endDate: '2026-11-30' });
+    assert.deepEqual(chartData.data[2].bar, { ...chartData.data[2].bar, startDate: '2026-01-01', endDate: '2027-12-31' });
+    assert.match(warnings[0], /"Task T1" \(T1\) had the startDate "2026-11"; it is now 2026-11-01/);
+    assert.equal(warnings.length, 4);
+  });
+
+  test('groups tasks under their swimlanes and adds missing ones', () => {
+    const { chartData, warnings } = repairChart({
+      data: [
+        lane('Eng'),
+        task('T1', 'Eng', '2025-01-06', '2025-01-31'),
+        lane('Sales'),
+        task('T2', 'eng', '2025-02-03', '2025-02-28'),
+        task('T3', 'Sales', '2025-02-03', '2025-02-28'),
+        task('T4', '', '2025-02-03', '2025-02-28'),
+        task('T5', 'Legal', '2025-02-03', '2025-02-28')
+      ]
+    });
+
+    assert.deepEqual(chartData.data.map(row => row.id || row.title), ['Eng', 'T1', 'T2', 'Sales', 'T3', 'T4', 'Legal', 'T5']);
+    assert.deepEqual(chartData.data.filter(row => !row.isSwimlane).map(row => row.entity), ['Eng', 'Eng', 'Sales', 'Sales', 'Legal']);
+    assert.equal(warnings.length, 2);
+  });
+
+  test('reports a task with no swimlane at all as a problem', () => {
+    const { chartData, problems } = repairChart({
+      data: [task('T1', '', '2025-01-06', '2025-01-31'), lane('Eng'), task('T2', 'Eng', '2025-01-06', '2025-01-31')]
+    });
+
+    assert.deepEqual(problems.map(problem => problem.rowId), ['T1']);
+    assert.deepEqual(chartData.data.map(row => row.id || row.title), ['Eng', 'T2']);
+  });
+
+  test('drops legend entries no bar uses, and duplicates', () => {
+    const { chartData, warnings } = repairChart({
+      data: [lane('Eng'), task('T1', 'Eng', '2025-01-06', '2025-01-31', 'blue')],
+      legend: [{ color: 'Blue', label: 'Build' }, { color: 'blue', label: 'Again' }, { color: 'green', label: 'Unused' }]
+    });
+
+    assert.deepEqual(chartData.legend, [{ color: 'blue', label: 'Build' }]);
+    assert.equal(warnings.length, 2);
+  });
+
+  test('keeps a time range the tasks overrun, and drops an invalid one', () => {
+    const overrun = repairChart({
+      timeRange: { start: '2025-01-01', end: '2025-03-31' },
+      data: [lane('Eng'), task('T1', 'Eng', '2025-02-03', '2025-06-30')]
+    });
+    assert.deepEqual(overrun.chartData.timeRange, { start: '2025-01-01', end: '2025-03-31' });
+    assert.deepEqual(overrun.warnings, []);
+
+    const invalid = repairChart({
+      timeRange: { start: '2025-06-30', end: '2025-01-01' },
+      data: [lane('Eng'), task('T1', 'Eng', '2025-02-03', '2025-06-30')]
+    });
+    assert.equal(invalid.chartData.timeRange, null);
+    assert.equal(invalid.warnings.length, 1);
+  });
+
+  test('keeps only sources that name an uploaded file', () => {
+    const { chartData, warnings } = repairChart({
+      data: [
+        { ...lane('Eng'), sources: [{ file: 'plan.pdf', quote: 'x' }] },
+        task('T1', 'Eng', '2025-01-06', '2025-01-31', 'blue', {
+          sources: [
+            { file: 'PLAN.pdf', quote: '  Build   starts\nin January. ' },
+            { file: 'plan.pdf', quote: 'Build starts in January.' },
+            { file: 'memo.docx', quote: 'Made up.' },
+            { file: 'notes.md', quote: 'x'.repeat(400) }
+          ]
+        })
+      ]
+    }, { researchFiles: ['notes.md', 'plan.pdf'] });
+
+    assert.equal('sources' in chartData.data[0], false, 'swimlanes have no sources');
+    const sources = chartData.data[1].sources;
+    assert.deepEqual(sources.map(source => source.file), ['plan.pdf', 'notes.md']);
+    assert.equal(sources[0].quote, 'Build starts in January.');
+    assert.equal(sources[1].quote.length, 300);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /"memo.docx"/);
+  });
+
+  test('keeps progress as a whole percentage', () => {
+    const { chartData, warnings } = repairChart({
+      data: [
+        lane('Eng'),
+        task('T1', 'Eng', '2025-01-06', '2025-01-31', 'blue', { progress: 33.6 }),
+        task('T2', 'Eng', '2025-01-06', '2025-01-31', 'blue', { progress: '150%' }),
+        task('T3', 'Eng', '2025-01-06', '2025-01-31', 'blue', { progress: 'mostly' }),
+        task('T4', 'Eng', '2025-01-06', '2025-01-31', 'blue', { progress: null })
+      ]
+    });
+
+    assert.deepEqual(chartData.data.slice(1).map(row => row.progress), [34, 100, null, null]);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /"mostly"/);
+  });
+
+  test('reports a chart without tasks', () => {
+    assert.equal(repairChart({ data: [lane('Eng')] }).problems.length, 1);
+    assert.equal(repairChart({ title: 'No rows' }).problems.length, 1);
+  });
+});
+
+describe('checkTimeline', () => {
+  test('finds bars outside the columns or ending before they start', () => {
+    const issues = checkTimeline({
+      timeColumns: ['Jan', 'Feb', 'Mar'],
+      data: [
+        lane('Eng'),
+        { title: 'Fine', bar: { startCol: 1, endCol: 4 } },
+        { title: 'Undated', bar: { startCol: null, endCol: null } },
+        { title: 'Late', bar: { startCol: 4, endCol: 5 } },
+        { title: 'Backwards', bar: { startCol: 2, endCol: 2 } }
+      ]
+    });
+
+    assert.equal(issues.length, 2);
+    assert.match(issues[0], /"Late"/);
+    assert.match(issues[1], /"Backwards"/);
+  });
+});
+
+describe('describeProblems', () => {
+  test('lists each problem for the model', () => {
+    const text = describeProblems([{ rowId: 'T1', message: 'First.' }, { rowId: null, message: 'Second.' }]);
+    assert.match(text, /- First\.\n- Second\./);
+    assert.match(text, /complete, corrected chart/);
+  });
+});
@@ -0,0 +1,22 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+import { loadChatHistory, saveChatHistory, moveChatHistory } from '../Public/chat-history.js';
+
+setupDom();
+
+describe('moveChatHistory', () => {
+  test('moves the task and assistant conversations of a chart to its new ID', () => {
+    const turns = [{ role: 'user', text: 'When?' }, { role: 'model', text: 'March.' }];
+    saveChatHistory(JSON.stringify(['chart-1', 'Engineering', 'Build']), turns);
+    saveChatHistory(JSON.stringify(['chart', 'chart-1']), turns);
+    saveChatHistory(JSON.stringify(['chart-2', 'Engineering', 'Build']), turns);
+
+    moveChatHistory('chart-1', 'project-1');
+
+    assert.deepEqual(loadChatHistory(JSON.stringify(['project-1', 'Engineering', 'Build'])), turns);
+    assert.deepEqual(loadChatHistory(JSON.stringify(['chart', 'project-1'])), turns);
+    assert.deepEqual(loadChatHistory(JSON.stringify(['chart-1', 'Engineering', 'Build'])), []);
+    assert.deepEqual(loadChatHistory(JSON.stringify(['chart-2', 'Engineering', 'Build'])), turns, 'other charts are left alone');
+  });
+});
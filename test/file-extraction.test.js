@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractFileText } from '../lib/file-extraction.js';
+import { getFileType } from '../Public/file-types.js';
+import { buildDocx, buildPdf, buildPptx, buildXlsx } from './helpers/documents.js';
+
+const upload = (originalname, buffer, mimetype = '') => ({ originalname, buffer, mimetype });
+
+describe('getFileType', () => {
+  test('matches by extension, then by MIME type', () => {
+    assert.equal(getFileType('Report.PDF', '').kind, 'pdf');
+    assert.equal(getFileType('plan', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet').kind, 'xlsx');
+    assert.equal(getFileType('notes.md', 'application/octet-stream').kind, 'text');
+  });
+
+  test('returns null for unsupported files', () => {
+    assert.equal(getFileType('photo.png', 'image/png'), null);
+    assert.equal(getFileType('legacy.doc', 'application/msword'), null);
+  });
+});
+
+describe('extractFileText', () => {
+  test('keeps text files as they are', async () => {
+    assert.equal(await extractFileText(upload('a.txt', Buffer.from('Line 1\nLine 2'))), 'Line 1\nLine 2');
+  });
+
+  test('converts .docx to HTML', async () => {
+    const text = await extractFileText(upload('a.docx', await buildDocx(['Hello'], { text: 'Site', url: 'https://example.com' })));
+    assert.equal(text, '<p>Hello</p><p><a href="https://example.com">Site</a></p>');
+  });
+
+  test('extracts PDF text by page and keeps links', async () => {
+    const pdf = buildPdf(['Quarterly report', 'Read the full report'], 'https://example.com/report');
+    const text = await extractFileText(upload('report.pdf', pdf));
+    assert.equal(text, '--- Page 1 ---\nQuarterly report\n<a href="https://example.com/report">Read the full report</a>');
+  });
+
+  test('extracts slide text in slide order and keeps links', async () => {
+    const pptx = await buildPptx([
+      ['Roadmap', { text: 'Launch brief', url: 'https://example.com/brief?a=1&amp;b=2' }],
+      ['Pilot in Q3']
+    ]);
+    const text = await extractFileText(upload('deck.pptx', pptx));
+    assert.equal(text, [
+      '--- Slide 1 ---',
+      'Roadmap',
+      '<a href="https://example.com/brief?a=1&b=2">Launch brief</a>',
+      '',
+      '--- Slide 2 ---',
+      'Pilot in Q3'
+    ].join('\n'));
+  });
+
+  test('extracts every sheet, with ISO dates and links', async () => {
+    const xlsx = await buildXlsx({
+      Plan: [
+        ['Task', 'Start'],
+        ['Build', new Date(Date.UTC(2025, 0, 6))],
+        [{ text: 'Spec', hyperlink: 'https://example.com/spec' }, 'draft']
+      ],
+      Notes: [['Budget approved']]
+    });
+    const text = await extractFileText(upload('plan.xlsx', xlsx));
+    assert.equal(text, [
+      '--- Sheet: Plan ---',
+      'Task | Start',
+      'Build | 2025-01-06',
+      '<a href="https://example.com/spec">Spec</a> | draft',
+      '',
+      '--- Sheet: Notes ---',
+      'Budget approved'
+    ].join('\n'));
+  });
+
+  test('rejects unsupported files', async () => {
+    await assert.rejects(extractFileText(upload('photo.png', Buffer.from(''), 'image/png')), /Unsupported file type/);
+  });
+});
@@ -0,0 +1,32 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGeminiProvider } from '../lib/llm/gemini.js';
+
+const originalFetch = globalThis.fetch;
+
+/**
+ * Makes fetch answer with the given Server-Sent Events body.
+ * @param {string} body
+ */
+function respondWithEvents(body) {
+  globalThis.fetch = async () => new Response(body, {
+    status: 200,
+    headers: { 'Content-Type': 'text/event-stream' }
+  });
+}
+
+const event = (text) => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}`;
+
+describe('createGeminiProvider stream', () => {
+  afterEach(() => { globalThis.fetch = originalFetch; });
+
+  test('yields the last event when the stream ends without a line break', async () => {
+    respondWithEvents(`${event('Hello ')}\r\n\r\n${event('world')}`);
+    const provider = createGeminiProvider({ model: 'test-model', apiKey: 'test-key' });
+
+    const pieces = [];
+    for await (const text of provider.stream({ contents: [] })) pieces.push(text);
+
+    assert.deepEqual(pieces, ['Hello ', 'world']);
+  });
+});
@@ -0,0 +1,130 @@
+import JSZip from 'jszip';
+import ExcelJS from 'exceljs';
+
+/**
+ * Builds a minimal .docx file in memory.
+ * @param {string[]} paragraphs - One paragraph of plain text each.
+ * @param {{text: string, url: string}} [link] - An optional hyperlink paragraph.
+ * @returns {Promise<Buffer>}
+ */
+export async function buildDocx(paragraphs, link) {
+  const zip = new JSZip();
+
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`);
+
+  zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`);
+
+  zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  ${link ? `<Relationship Id="rIdLink" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${link.url}" TargetMode="External"/>` : ''}
+</Relationships>`);
+
+  const body = paragraphs.map(text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`).join('');
+  const linkParagraph = link
+    ? `<w:p><w:hyperlink r:id="rIdLink"><w:r><w:t>${link.text}</w:t></w:r></w:hyperlink></w:p>`
+    : '';
+
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <w:body>${body}${linkParagraph}</w:body>
+</w:document>`);
+
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * Builds a minimal .pptx file in memory.
+ * @param {Array<Array<string | {text: string, url: string}>>} slides - The paragraphs of each slide.
+ * @returns {Promise<Buffer>}
+ */
+export async function buildPptx(slides) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+</Types>`);
+
+  slides.forEach((paragraphs, index) => {
+    const links = [];
+    const body = paragraphs.map(paragraph => {
+      if (typeof paragraph === 'string') {
+        return `<a:p><a:r><a:rPr lang="en-US"/><a:t>${paragraph}</a:t></a:r></a:p>`;
+      }
+      links.push(paragraph.url);
+      return `<a:p><a:r><a:rPr lang="en-US"><a:hlinkClick r:id="rIdLink${links.length}"/></a:rPr><a:t>${paragraph.text}</a:t></a:r></a:p>`;
+    }).join('');
+
+    zip.file(`ppt/slides/slide${index + 1}.xml`, `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sld xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
+  <p:cSld><p:spTree><p:sp><p:txBody><a:bodyPr/>${body}</p:txBody></p:sp></p:spTree></p:cSld>
+</p:sld>`);
+
+    zip.file(`ppt/slides/_rels/slide${index + 1}.xml.rels`, `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  ${links.map((url, i) => `<Relationship Id="rIdLink${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${url}" TargetMode="External"/>`).join('')}
+</Relationships>`);
+  });
+
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * Builds a one-page PDF with lines of text and, optionally, a link over
+ * the last line.
+ * @param {string[]} lines - The lines of text.
+ * @param {string} [linkUrl] - A URL for a link annotation over the last line.
+ * @returns {Buffer}
+ */
+export function buildPdf(lines, linkUrl) {
+  const lastLineY = 720 - (lines.length - 1) * 20;
+  const stream = lines
+    .map((line, index) => `BT /F1 12 Tf 72 ${720 - index * 20} Td (${line}) Tj ET`)
+    .join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R${linkUrl ? ' /Annots [6 0 R]' : ''} >>`,
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  if (linkUrl) {
+    objects.push(`<< /Type /Annot /Subtype /Link /Rect [70 ${lastLineY - 5} 400 ${lastLineY + 15}] /Border [0 0 0] /A << /S /URI /URI (${linkUrl}) >> >>`);
+  }
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((object, index) => {
+    offsets.push(pdf.length);
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Builds an .xlsx workbook in memory.
+ * @param {Object<string, Array<Array<any>>>} sheets - Rows of cell values, by sheet name.
+ *   A cell may be {text, hyperlink} for a link.
+ * @returns {Promise<Buffer>}
+ */
+export async function buildXlsx(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  for (const [name, rows] of Object.entries(sheets)) {
+    const worksheet = workbook.addWorksheet(name);
+    for (const row of rows) worksheet.addRow(row);
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
@@ -0,0 +1,40 @@
+import { JSDOM } from 'jsdom';
+import { readFileSync } from 'fs';
+
+/**
+ * Loads Public/chart.html (without its scripts) into jsdom and exposes the
+ * browser globals the renderer modules use.
+ * @param {string} [url] - The page URL (e.g. with ?id=...).
+ * @returns {JSDOM}
+ */
+export function setupDom(url = 'http://localhost/chart.html') {
+  const html = readFileSync(new URL('../../Public/chart.html', import.meta.url), 'utf8')
+    .replace(/<script[\s\S]*?<\/script>/g, '');
+  const dom = new JSDOM(html, { url });
+
+  for (const key of ['window', 'document', 'sessionStorage', 'HTMLElement', 'Event', 'MouseEvent', 'KeyboardEvent']) {
+    globalThis[key] = dom.window[key];
+  }
+  globalThis.alert = () => {};
+  return dom;
+}
+
+/**
+ * Gives every element a fixed layout size, since jsdom does no layout.
+ * @param {JSDOM} dom
+ * @param {{gridWidth: number, labelWidth: number, headerHeight: number}} sizes
+ */
+export function fakeLayout(dom, { gridWidth, labelWidth, headerHeight }) {
+  const proto = dom.window.HTMLElement.prototype;
+  Object.defineProperty(proto, 'offsetWidth', {
+    configurable: true,
+    get() {
+      if (this.classList.contains('gantt-header-label')) return labelWidth;
+      return gridWidth;
+    }
+  });
+  Object.defineProperty(proto, 'offsetHeight', {
+    configurable: true,
+    get() { return headerHeight; }
+  });
+}
@@ -0,0 +1,45 @@
+/**
+ * Replaces the global fetch with a fake Gemini endpoint.
+ * `respond(payload)` returns what the model should answer: an object is
+ * sent back as JSON text, a string as plain text. Streaming requests
+ * (streamGenerateContent) get the text as one event per word.
+ * @param {function(object): (object | string)} respond
+ * @returns {{calls: object[], restore: function(): void}} The request payloads seen so far.
+ */
+export function stubModel(respond) {
+  const originalFetch = globalThis.fetch;
+  const calls = [];
+
+  globalThis.fetch = async (url, options) => {
+    const payload = JSON.parse(options.body);
+    calls.push(payload);
+    const answer = respond(payload);
+    const text = typeof answer === 'string' ? answer : JSON.stringify(answer);
+    if (String(url).includes(':streamGenerateContent')) {
+      const events = text.match(/\S+\s*/g).map(piece =>
+        `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: piece }] } }] })}\r\n\r\n`);
+      return new Response(events.join(''), {
+        status: 200,
+        headers: { 'Content-Type': 'text/event-stream' }
+      });
+    }
+    return new Response(JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+
+  return {
+    calls,
+    restore: () => { globalThis.fetch = originalFetch; }
+  };
+}
+
+/**
+ * Gets the user prompt text of a recorded payload.
+ * @param {object} payload
+ * @returns {string}
+ */
+export function userPromptOf(payload) {
+  return payload.contents.map(content => content.parts.map(part => part.text).join('\n')).join('\n');
+}
@@ -0,0 +1,38 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown } from '../Public/markdown.js';
+
+describe('renderMarkdown', () => {
+  test('formats paragraphs, emphasis and code', () => {
+    assert.equal(
+      renderMarkdown('The **build** is *late*.\nSee `plan.md`.\n\nNext paragraph'),
+      '<p>The <strong>build</strong> is <em>late</em>.<br>See <code>plan.md</code>.</p><p>Next paragraph</p>'
+    );
+    assert.equal(renderMarkdown('```\nconst a = 1;\n```'), '<pre><code>const a = 1;</code></pre>');
+  });
+
+  test('builds bullet and numbered lists', () => {
+    assert.equal(
+      renderMarkdown('Risks:\n- Budget\n- Staffing\n\n1. Build\n2. Pilot'),
+      '<p>Risks:</p><ul><li>Budget</li><li>Staffing</li></ul><ol><li>Build</li><li>Pilot</li></ol>'
+    );
+  });
+
+  test('escapes HTML instead of rendering it', () => {
+    const html = renderMarkdown('<img src=x onerror="alert(1)"> **<b>hi</b>**');
+    assert.equal(html, '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt; <strong>&lt;b&gt;hi&lt;/b&gt;</strong></p>');
+  });
+
+  test('only links to http(s) URLs, in a new tab', () => {
+    assert.equal(
+      renderMarkdown('[Plan](https://example.com/a_b_c?x=1&y=2)'),
+      '<p><a href="https://example.com/a_b_c?x=1&amp;y=2" target="_blank" rel="noopener noreferrer">Plan</a></p>'
+    );
+    assert.equal(renderMarkdown('[Click](javascript:alert(1))'), '<p>[Click](javascript:alert(1))</p>');
+  });
+
+  test('leaves unfinished markup and snake_case as typed', () => {
+    assert.equal(renderMarkdown('The **bui'), '<p>The **bui</p>');
+    assert.equal(renderMarkdown('Set max_output_tokens'), '<p>Set max_output_tokens</p>');
+  });
+});
@@ -0,0 +1,134 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { exportPlanCsv, exportPlanXlsx, exportPlanMsProjectXml } from '../lib/plan-export.js';
+import { importPlan, parseCsv } from '../lib/plan-import.js';
+
+/**
+ * A chart as the model returns it, with names that need escaping.
+ */
+function sampleChart() {
+  return {
+    title: 'R&D Launch',
+    timeRange: { start: '2025-01-01', end: '2025-12-31' },
+    timeInterval: 'quarters',
+    timeColumns: ['Q1 2025', 'Q2 2025', 'Q3 2025', 'Q4 2025'],
+    data: [
+      { id: 'S1', title: 'Engineering', isSwimlane: true, entity: 'Engineering' },
+      { id: 'T1', title: 'Build, phase "1"', isSwimlane: false, type: 'task', entity: 'Engineering', dependencies: [], progress: 100, bar: { startDate: '2025-01-06', endDate: '2025-03-28', color: 'blue' } },
+      { id: 'T2', title: 'Pilot', isSwimlane: false, type: 'task', entity: 'Engineering', dependencies: ['T1'], progress: 40, bar: { startDate: '2025-03-31', endDate: '2025-05-30', color: 'green' } },
+      { id: 'S2', title: 'Regulatory <EU>', isSwimlane: true, entity: 'Regulatory <EU>' },
+      { id: 'T3', title: 'Approval', isSwimlane: false, type: 'milestone', entity: 'Regulatory <EU>', dependencies: ['T2'], bar: { startDate: '2025-06-02', endDate: null, color: 'orange' } }
+    ],
+    legend: [{ color: 'blue', label: 'Build' }, { color: 'orange', label: 'Regulatory' }]
+  };
+}
+
+/**
+ * The parts of a chart an export should keep: swimlanes, task titles,
+ * dates, colors, progress and dependencies (by title, as IDs may be renumbered).
+ */
+function planSummary(ganttData) {
+  const titles = new Map(ganttData.data.map(row => [row.id, row.title]));
+  return ganttData.data.map(row => (row.isSwimlane
+    ? { swimlane: row.title }
+    : {
+      title: row.title,
+      type: row.type,
+      startDate: row.bar.startDate,
+      endDate: row.bar.endDate || row.bar.startDate,
+      color: row.bar.color,
+      progress: row.progress ?? null,
+      after: row.dependencies.map(id => titles.get(id))
+    }));
+}
+
+const reimport = (name, content) => importPlan({ originalname: name, mimetype: '', buffer: Buffer.from(content) }).ganttData;
+
+describe('exportPlanCsv', () => {
+  test('writes one row per task with the import column names', () => {
+    const rows = parseCsv(exportPlanCsv(sampleChart()).replace(/^\uFEFF/, ''));
+    assert.deepEqual(rows[0], ['ID', 'Task', 'Swimlane', 'Type', 'Start', 'End', 'Predecessors', 'Color', 'Legend', 'Progress']);
+    assert.deepEqual(rows[1], ['T1', 'Build, phase "1"', 'Engineering', 'task', '2025-01-06', '2025-03-28', '', 'blue', 'Build', '100']);
+    assert.deepEqual(rows[3], ['T3', 'Approval', 'Regulatory <EU>', 'milestone', '2025-06-02', '2025-06-02', 'T2', 'orange', 'Regulatory', '']);
+  });
+
+  test('round-trips through the CSV import', () => {
+    const chart = sampleChart();
+    const imported = reimport('plan.csv', exportPlanCsv(chart));
+
+    assert.deepEqual(planSummary(imported), planSummary(chart));
+    assert.deepEqual(imported.legend, chart.legend);
+  });
+
+  test('fills in dates for charts saved with column indexes only', () => {
+    const chart = sampleChart();
+    chart.data[1].bar = { startCol: 1, endCol: 3, color: 'blue' };
+    const rows = parseCsv(exportPlanCsv(chart).replace(/^\uFEFF/, ''));
+    assert.deepEqual(rows[1].slice(4, 6), ['2025-01-01', '2025-06-30']);
+  });
+
+  test('writes partial dates as full dates', () => {
+    const chart = sampleChart();
+    chart.data[2].bar = { startDate: '2025-04', endDate: '2025-05', color: 'green' };
+    const rows = parseCsv(exportPlanCsv(chart).replace(/^\uFEFF/, ''));
+    assert.deepEqual(rows[2].slice(4, 6), ['2025-04-01', '2025-05-31']);
+  });
+});
+
+describe('exportPlanMsProjectXml', () => {
+  test('round-trips through the MS Project import', () => {
+    const chart = sampleChart();
+    const xml = exportPlanMsProjectXml(chart);
+    assert.match(xml, /<Title>R&amp;D Launch<\/Title>/);
+
+    const imported = reimport('plan.xml', xml);
+    assert.equal(imported.title, 'R&D Launch');
+    assert.deepEqual(planSummary(imported), planSummary(chart));
+    assert.deepEqual(imported.legend, chart.legend);
+  });
+
+  test('writes summary tasks, durations and finish-to-start links', () => {
+    const xml = exportPlanMsProjectXml(sampleChart());
+    assert.match(xml, /<Name>Engineering<\/Name><OutlineLevel>1<\/OutlineLevel><OutlineNumber>1<\/OutlineNumber><Summary>1<\/Summary>/);
+    // Jan 6 to Mar 28 2025 is 60 working days
+    assert.match(xml, /<Name>Build, phase "1"<\/Name>.*<Duration>PT480H0M0S<\/Duration>/);
+    assert.match(xml, /<PredecessorLink><PredecessorUID>2<\/PredecessorUID><Type>1<\/Type><\/PredecessorLink>/);
+    assert.match(xml, /<Name>Pilot<\/Name>.*<PercentComplete>40<\/PercentComplete>/);
+    assert.doesNotMatch(xml, /<Name>Approval<\/Name>.*<PercentComplete>/, 'no progress recorded');
+  });
+
+  test('writes partial dates as full dates', () => {
+    const chart = sampleChart();
+    chart.data[2].bar = { startDate: '2025-04', endDate: '2025-05', color: 'green' };
+    const xml = exportPlanMsProjectXml(chart);
+    // April 1 to May 31 2025 is 44 working days
+    assert.match(xml, /<Name>Pilot<\/Name>.*<Start>2025-04-01T08:00:00<\/Start><Finish>2025-05-31T17:00:00<\/Finish><Duration>PT352H0M0S<\/Duration>/);
+    assert.doesNotMatch(xml, /\d{4}-\d{2}T/);
+  });
+});
+
+describe('exportPlanXlsx', () => {
+  test('writes the same rows as the CSV, with real dates and a legend sheet', async () => {
+    const chart = sampleChart();
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await exportPlanXlsx(chart));
+
+    const cellText = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value ?? ''));
+    const sheetRows = [];
+    workbook.getWorksheet('Plan').eachRow(row => {
+      sheetRows.push(row.values.slice(1).map(cellText));
+    });
+    // Empty trailing cells are not stored, so compare with the CSV padded the same way
+    const csvRows = parseCsv(exportPlanCsv(chart).replace(/^\uFEFF/, ''));
+    assert.deepEqual(sheetRows.map(row => row.join('|').replace(/\|+$/, '')), csvRows.map(row => row.join('|').replace(/\|+$/, '')));
+    assert.ok(workbook.getWorksheet('Plan').getCell('E2').value instanceof Date);
+    assert.equal(workbook.getWorksheet('Plan').getCell('J2').value, 100, 'progress as a number');
+
+    const legendRows = [];
+    workbook.getWorksheet('Legend').eachRow((row, number) => {
+      if (number > 1) legendRows.push({ color: row.getCell(1).value, label: row.getCell(2).value });
+    });
+    assert.deepEqual(legendRows, chart.legend);
+  });
+});
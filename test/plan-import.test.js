@@ -0,0 +1,191 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { importPlan, parseCsv, parseCsvPlan, parseMsProjectXml, parsePlanDate } from '../lib/plan-import.js';
+
+const tasksOf = (ganttData) => ganttData.data.filter(row => !row.isSwimlane);
+const laneTitles = (ganttData) => ganttData.data.filter(row => row.isSwimlane).map(row => row.title);
+
+describe('parsePlanDate', () => {
+  test('reads the date formats planning tools export', () => {
+    assert.equal(parsePlanDate('2025-01-06'), '2025-01-06');
+    assert.equal(parsePlanDate('2025-01-06T08:00:00'), '2025-01-06');
+    assert.equal(parsePlanDate('2025/1/6'), '2025-01-06');
+    assert.equal(parsePlanDate('1/6/2025'), '2025-01-06');
+    assert.equal(parsePlanDate('1/6/25 8:00 AM'), '2025-01-06');
+    assert.equal(parsePlanDate('24/01/2025'), '2025-01-24');
+    assert.equal(parsePlanDate('6.1.2025'), '2025-01-06');
+    assert.equal(parsePlanDate('6 Jan 2025'), '2025-01-06');
+  });
+
+  test('returns null for blanks and impossible dates', () => {
+    assert.equal(parsePlanDate(''), null);
+    assert.equal(parsePlanDate('TBD'), null);
+    assert.equal(parsePlanDate('2025-02-31'), null);
+    assert.equal(parsePlanDate('12'), null);
+  });
+});
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes and line breaks', () => {
+    const rows = parseCsv('Task,Notes\r\n"Build, phase 1","Say ""hi""\nthen go"\r\n\r\nPilot,\n');
+    assert.deepEqual(rows, [['Task', 'Notes'], ['Build, phase 1', 'Say "hi"\nthen go'], ['Pilot', '']]);
+  });
+
+  test('detects semicolon-delimited files', () => {
+    assert.deepEqual(parseCsv('Name;Start\nBuild;2025-01-06'), [['Name', 'Start'], ['Build', '2025-01-06']]);
+  });
+});
+
+describe('parseCsvPlan', () => {
+  test('maps columns by header name and groups tasks by swimlane', () => {
+    const chart = parseCsvPlan([
+      'ID,Task Name,Workstream,Start Date,Finish,Predecessors,Milestone,Colour',
+      '1,Submission,Regulatory,2025-01-06,2025-03-28,,,',
+      '2,Build,Engineering,2025-02-03,2025-04-30,,,green',
+      '3,Approval,Regulatory,2025-04-30,,1FS+2d,yes,',
+      '4,Pilot,Engineering,2025-05-01,2025-06-30,"Build; 3",,'
+    ].join('\n'), 'plan');
+
+    assert.equal(chart.title, 'plan');
+    assert.deepEqual(laneTitles(chart), ['Regulatory', 'Engineering']);
+    assert.deepEqual(chart.data.map(row => row.title), ['Regulatory', 'Submission', 'Approval', 'Engineering', 'Build', 'Pilot']);
+
+    const [submission, approval, build, pilot] = tasksOf(chart);
+    assert.deepEqual(submission.bar, { startDate: '2025-01-06', endDate: '2025-03-28', color: 'blue' });
+    assert.equal(approval.type, 'milestone');
+    assert.deepEqual(approval.bar, { startDate: '2025-04-30', endDate: '2025-04-30', color: 'blue' });
+    assert.deepEqual(approval.dependencies, ['1']);
+    assert.equal(build.bar.color, 'green', 'a valid color from the file is kept');
+    assert.deepEqual(pilot.dependencies, ['2', '3']);
+    assert.equal(pilot.bar.color, 'ochre', 'the second swimlane gets the second color');
+    assert.deepEqual(chart.legend, []);
+  });
+
+  test('resolves task names that look like link suffixes', () => {
+    const chart = parseCsvPlan([
+      'ID,Name,Start,End,Predecessors',
+      'A1,Kick-off,1/6/2025,1/6/2025,',
+      'A2,Build process,1/7/2025,2/28/2025,Kick-off',
+      'A3,Access,3/3/2025,3/14/2025,Build process',
+      'A4,Rollout,3/17/2025,4/30/2025,"A3FS+2d, 2SS"'
+    ].join('\n'), 'plan');
+
+    const byTitle = Object.fromEntries(tasksOf(chart).map(task => [task.title, task]));
+    assert.deepEqual(byTitle['Build process'].dependencies, ['A1'], 'a hyphenated name');
+    assert.deepEqual(byTitle.Access.dependencies, ['A2'], 'a name ending in "ss"');
+    assert.deepEqual(byTitle.Rollout.dependencies, ['A3', 'A2'], 'IDs and row numbers with a link type and lag');
+    assert.equal(chart.warnings, undefined);
+  });
+
+  test('warns about predecessors that match no task', () => {
+    const chart = parseCsvPlan([
+      'Name,Start,End,Predecessors',
+      'Design,1/6/2025,1/31/2025,',
+      'Launch,2/3/2025,2/28/2025,"Design, Procurement"'
+    ].join('\n'), 'plan');
+
+    assert.deepEqual(tasksOf(chart)[1].dependencies, ['T1']);
+    assert.deepEqual(chart.warnings, ['Dropped the predecessor "Procurement" of "Launch": no task has that ID, row number or name.']);
+  });
+
+  test('never gives a task without an ID one that another row has', () => {
+    const chart = parseCsvPlan([
+      'ID,Name,Start,End,Predecessors',
+      'T2,Design,1/6/2025,1/31/2025,',
+      ',Build,2/3/2025,2/28/2025,T2',
+      'T3,Launch,3/3/2025,3/31/2025,2'
+    ].join('\n'), 'plan');
+
+    assert.deepEqual(tasksOf(chart).map(row => [row.id, row.title, row.dependencies]), [
+      ['T2', 'Design', []],
+      ['T4', 'Build', ['T2']],
+      ['T3', 'Launch', ['T4']]
+    ]);
+  });
+
+  test('keeps a repeated ID for its first task and warns', () => {
+    const chart = parseCsvPlan([
+      'ID,Name,Start,End,Predecessors',
+      'A1,Design,1/6/2025,1/31/2025,',
+      'A1,Build,2/3/2025,2/28/2025,',
+      'A3,Launch,3/3/2025,3/31/2025,A1'
+    ].join('\n'), 'plan');
+
+    assert.deepEqual(tasksOf(chart).map(row => row.id), ['A1', 'T2', 'A3']);
+    assert.deepEqual(tasksOf(chart)[2].dependencies, ['A1']);
+    assert.deepEqual(chart.warnings, ['"Build" has the ID "A1", which "Design" already has; it was given the ID "T2".']);
+  });
+
+  test('uses dateless rows as swimlane headers when there is no swimlane column', () => {
+    const chart = parseCsvPlan([
+      'Name,Start,End,Depends on',
+      'Phase 1,,,',
+      'Design,1/6/2025,1/31/2025,',
+      'Phase 2,,,',
+      'Launch,2/3/2025,2/28/2025,Design'
+    ].join('\n'), 'roadmap');
+
+    assert.deepEqual(laneTitles(chart), ['Phase 1', 'Phase 2']);
+    const [design, launch] = tasksOf(chart);
+    assert.equal(design.id, 'T2');
+    assert.deepEqual(launch.dependencies, ['T2'], 'dependencies can name a task');
+    assert.equal(launch.entity, 'Phase 2');
+  });
+
+  test('puts everything in one swimlane named after the file when there are no sections', () => {
+    const chart = parseCsvPlan('Task,Start,End\nBuild,2025-01-06,2025-01-31', 'My plan');
+    assert.deepEqual(laneTitles(chart), ['My plan']);
+  });
+
+  test('reads a progress column as a percentage', () => {
+    const chart = parseCsvPlan('Task,Start,End,% Complete\nBuild,2025-01-06,2025-01-31,40%\nPilot,2025-02-03,2025-02-28,\nLaunch,2025-03-03,2025-03-03,120', 'plan');
+    assert.deepEqual(tasksOf(chart).map(row => row.progress), [40, undefined, 100]);
+  });
+
+  test('requires a task name column', () => {
+    assert.throws(() => parseCsvPlan('Start,End\n2025-01-06,2025-01-31', 'plan'), /task name column/);
+  });
+});
+
+describe('parseMsProjectXml', () => {
+  const xml = readFileSync(new URL('./fixtures/plan.xml', import.meta.url), 'utf8');
+
+  test('turns top-level summary tasks into swimlanes', () => {
+    const chart = parseMsProjectXml(xml, 'launch');
+    assert.equal(chart.title, 'Product Launch');
+    assert.deepEqual(laneTitles(chart), ['Regulatory', 'Engineering', 'Product Launch']);
+    assert.deepEqual(tasksOf(chart).map(row => `${row.entity}/${row.title}`), [
+      'Regulatory/Submission',
+      'Regulatory/Approval',
+      'Engineering/Build',
+      'Engineering/Pilot',
+      'Product Launch/Board review'
+    ]);
+  });
+
+  test('reads dates, milestones and finish-to-start links', () => {
+    const chart = parseMsProjectXml(xml, 'launch');
+    const byId = Object.fromEntries(tasksOf(chart).map(row => [row.id, row]));
+
+    assert.deepEqual(byId.T2.bar, { startDate: '2025-01-06', endDate: '2025-03-28', color: 'blue' }, 'baseline dates are ignored');
+    assert.equal(byId.T3.type, 'milestone');
+    assert.equal(byId.T3.bar.endDate, '2025-04-30');
+    assert.equal(byId.T5.bar.endDate, '2025-04-30', 'a midnight finish ends the day before');
+    assert.deepEqual(byId.T5.dependencies, [], 'start-to-start links are dropped');
+    assert.deepEqual(byId.T6.dependencies, ['T3', 'T5'], 'links to summary tasks are dropped');
+    assert.equal(byId.T2.progress, 100);
+    assert.equal(byId.T5.progress, undefined);
+  });
+
+  test('keeps task notes in the research text only', () => {
+    const { ganttData, researchText } = importPlan({ originalname: 'launch.xml', mimetype: 'text/xml', buffer: Buffer.from(xml) });
+    assert.match(researchText, /- Submission \(2025-01-06 to 2025-03-28\)\n {2}Notes: Dossier owned by the regulatory team./);
+    assert.match(researchText, /- Pilot \(2025-05-01 to 2025-06-30; after Approval, Build\)/);
+    assert.ok(ganttData.data.every(row => row.notes === undefined));
+  });
+
+  test('rejects XML that is not an MS Project export', () => {
+    assert.throws(() => parseMsProjectXml('<note>hi</note>', 'x'), /MS Project/);
+  });
+});
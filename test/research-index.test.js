@@ -0,0 +1,101 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkResearch, buildResearchIndex, scoreBm25, selectResearchContext, tokenize } from '../lib/research-index.js';
+
+/**
+ * Research in the format /generate-chart stores it.
+ */
+function research(files) {
+  return files.map(([name, text]) => `\n\n--- Start of file: ${name} ---\n${text}\n--- End of file: ${name} ---\n`).join('');
+}
+
+const filler = (topic, count) => Array.from({ length: count }, (_, i) =>
+  `${topic} update ${i + 1}: the team reviewed budgets, hiring and vendor contracts for the quarter.`).join('\n\n');
+
+describe('chunkResearch', () => {
+  test('splits files into passages and keeps the page they came from', () => {
+    const chunks = chunkResearch(research([
+      ['report.pdf', '--- Page 1 ---\nIntro\n\n--- Page 2 ---\nRegulatory approval expected in June.'],
+      ['notes.md', filler('Marketing', 40)]
+    ]));
+
+    assert.deepEqual(chunks.slice(0, 2).map(({ file, location, text }) => ({ file, location, text })), [
+      { file: 'report.pdf', location: 'Page 1', text: 'Intro' },
+      { file: 'report.pdf', location: 'Page 2', text: 'Regulatory approval expected in June.' }
+    ]);
+    const notes = chunks.filter(chunk => chunk.file === 'notes.md');
+    assert.ok(notes.length > 1);
+    assert.ok(notes.every(chunk => chunk.text.length <= 1200));
+    assert.deepEqual(notes.map(chunk => chunk.part), notes.map((_, i) => i));
+  });
+});
+
+describe('scoreBm25', () => {
+  test('ranks the passage about the query first', () => {
+    const index = buildResearchIndex(research([
+      ['notes.md', `${filler('Marketing', 20)}\n\nThe pilot in Berlin starts after the platform build is finished.\n\n${filler('Finance', 20)}`]
+    ]));
+    const scores = scoreBm25(index, 'When does the Berlin pilot start?');
+    const best = scores.indexOf(Math.max(...scores));
+    assert.match(index.chunks[best].text, /pilot in Berlin/);
+    assert.equal(scores.filter(score => score > 0).length, 1);
+  });
+
+  test('ignores case, punctuation and stop words', () => {
+    assert.deepEqual(tokenize('What is the EU-Approval date?'), ['eu', 'approval', 'date']);
+  });
+});
+
+describe('selectResearchContext', () => {
+  const text = research([
+    ['marketing.md', filler('Marketing', 60)],
+    ['regulatory.pdf', '--- Page 4 ---\nThe EU approval is expected in June 2026.']
+  ]);
+
+  test('sends small research sets whole', async () => {
+    assert.equal(await selectResearchContext(text, 'EU approval', { maxChars: text.length }), text);
+  });
+
+  test('keeps the relevant passages with their file and page markers', async () => {
+    const context = await selectResearchContext(text, 'EU approval', { maxChars: 2000 });
+    assert.ok(context.length <= 2000);
+    assert.match(context, /--- Start of file: regulatory.pdf ---\n--- Page 4 ---\nThe EU approval is expected in June 2026.\n--- End of file: regulatory.pdf ---/);
+  });
+
+  test('falls back to the start of each file when nothing matches', async () => {
+    const context = await selectResearchContext(text, 'zeppelin', { maxChars: 1500 });
+    assert.match(context, /--- Start of file: marketing.md ---\nMarketing update 1:/);
+    assert.match(context, /--- Start of file: regulatory.pdf ---/);
+  });
+});
+
+describe('embedding retrieval', () => {
+  const originalFetch = globalThis.fetch;
+  after(() => { globalThis.fetch = originalFetch; });
+
+  test('falls back to keywords when the embedding server does not answer', async () => {
+    // A fresh copy of the module, configured for embeddings with a short timeout
+    process.env.RETRIEVAL_EMBEDDING_MODEL = 'test-embed';
+    process.env.RETRIEVAL_EMBEDDING_TIMEOUT_MS = '50';
+    const { selectResearchContext: selectWithEmbeddings } = await import('../lib/research-index.js?embeddings');
+    delete process.env.RETRIEVAL_EMBEDDING_MODEL;
+    delete process.env.RETRIEVAL_EMBEDDING_TIMEOUT_MS;
+
+    // Accepts the request, then never answers (the timer keeps the test
+    // process alive, as a server would be, until the request is aborted)
+    globalThis.fetch = (url, { signal }) => new Promise((resolve, reject) => {
+      const pending = setTimeout(() => {}, 10000);
+      signal.addEventListener('abort', () => {
+        clearTimeout(pending);
+        reject(signal.reason);
+      });
+    });
+
+    const text = research([
+      ['marketing.md', filler('Marketing', 60)],
+      ['regulatory.pdf', 'The EU approval is expected in June 2026.']
+    ]);
+    const context = await selectWithEmbeddings(text, 'EU approval', { maxChars: 2000 });
+    assert.match(context, /The EU approval is expected in June 2026./);
+  });
+});
@@ -0,0 +1,936 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import request from 'supertest';
+import { stubModel, userPromptOf } from './helpers/model-stub.js';
+import { buildDocx, buildPdf, buildPptx, buildXlsx } from './helpers/documents.js';
+
+const projectDir = mkdtempSync(join(tmpdir(), 'gantt-projects-'));
+const baselineDir = mkdtempSync(join(tmpdir(), 'gantt-baselines-'));
+let app;
+let model;
+
+const MODEL_CHART = {
+  title: 'Launch Plan',
+  timeRange: null,
+  data: [
+    { id: 'S1', title: 'Engineering', isSwimlane: true, entity: 'Engineering' },
+    { id: 'T1', title: 'Build', isSwimlane: false, type: 'task', entity: 'Engineering', dependencies: [], bar: { startDate: '2025-01-06', endDate: '2025-03-31', color: 'blue' } },
+    { id: 'T2', title: 'Pilot', isSwimlane: false, type: 'task', entity: 'Engineering', dependencies: ['T1'], bar: { startDate: '2025-04-01', endDate: '2025-05-30', color: 'green' } },
+    { id: 'T3', title: 'Go-live', isSwimlane: false, type: 'milestone', entity: 'Engineering', dependencies: ['T2', 'T9'], bar: { startDate: '2025-05-30', endDate: null, color: 'green' } }
+  ],
+  legend: [{ color: 'blue', label: 'Build' }]
+};
+
+const MODEL_ANALYSIS = {
+  taskName: 'Build',
+  startDate: '2025-01-06',
+  endDate: '2025-03-31',
+  status: 'completed',
+  facts: [{ fact: 'Build is done.', source: 'plan.md', url: null }],
+  assumptions: [],
+  summary: 'Finished on time.'
+};
+
+before(async () => {
+  process.env.PROJECT_STORE_DIR = projectDir;
+  process.env.BASELINE_STORE_DIR = baselineDir;
+  delete process.env.LLM_PROVIDER;
+  delete process.env.SESSION_STORE_DIR;
+  ({ default: app } = await import('../server.js'));
+});
+
+after(() => {
+  rmSync(projectDir, { recursive: true, force: true });
+  rmSync(baselineDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  model?.restore();
+  model = null;
+});
+
+/**
+ * Generates a chart from the given files and returns the response body.
+ */
+async function generateChart(files = [['plan.md', Buffer.from('# Plan\nBuild then pilot.')]]) {
+  let req = request(app).post('/generate-chart').field('prompt', 'Make a roadmap');
+  for (const [name, content] of files) {
+    req = req.attach('researchFiles', content, name);
+  }
+  const res = await req.expect(200);
+  return res.body;
+}
+
+describe('POST /generate-chart', () => {
+  test('derives the timeline, IDs and dependency analysis from the model output', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+
+    assert.equal(chart.title, 'Launch Plan');
+    assert.ok(chart.chartId);
+    assert.equal(chart.timeInterval, 'months');
+    assert.deepEqual(chart.timeColumns, ['Jan 2025', 'Feb 2025', 'Mar 2025', 'Apr 2025', 'May 2025']);
+
+    const build = chart.data.find(row => row.id === 'T1');
+    assert.equal(build.bar.startCol, 1);
+    assert.equal(build.bar.endCol, 4);
+
+    const goLive = chart.data.find(row => row.id === 'T3');
+    assert.equal(goLive.bar.endDate, '2025-05-30', 'milestones get a single date');
+    assert.deepEqual(goLive.dependencies, ['T2'], 'unknown dependencies are dropped');
+    assert.deepEqual(chart.criticalPath, ['T1', 'T2', 'T3']);
+    assert.deepEqual(chart.dependencyViolations, []);
+    assert.deepEqual(chart.warnings, []);
+  });
+
+  test("tells the model today's date and keeps the progress it reports", async () => {
+    model = stubModel(() => ({
+      ...MODEL_CHART,
+      data: MODEL_CHART.data.map(row => (row.id === 'T1' ? { ...row, progress: 62.4 } : row))
+    }));
+    const res = await request(app).post('/generate-chart')
+      .field('prompt', 'Make a roadmap')
+      .field('today', '2025-03-01')
+      .attach('researchFiles', Buffer.from('# Plan\nBuild is 60% done.'), 'plan.md')
+      .expect(200);
+
+    assert.match(userPromptOf(model.calls[0]), /^Today's Date: 2025-03-01\n/);
+    assert.equal(res.body.data.find(row => row.id === 'T1').progress, 62);
+    assert.equal(res.body.data.find(row => row.id === 'T2').progress, undefined);
+  });
+
+  test('repairs colors, swimlanes and the legend, and reports what it changed', async () => {
+    model = stubModel(() => ({
+      ...MODEL_CHART,
+      data: [
+        ...MODEL_CHART.data.slice(0, 2),
+        { id: 'T4', title: 'Campaign', isSwimlane: false, type: 'task', entity: 'Marketing', dependencies: [], bar: { startDate: '2025-02-03', endDate: '2025-01-13', color: 'purple' } }
+      ],
+      legend: [{ color: 'blue', label: 'Build' }, { color: 'green', label: 'Launch' }]
+    }));
+    const chart = await generateChart();
+
+    assert.deepEqual(chart.data.map(row => row.title), ['Engineering', 'Build', 'Marketing', 'Campaign']);
+    const campaign = chart.data.find(row => row.id === 'T4');
+    assert.equal(campaign.bar.color, 'blue');
+    assert.equal(campaign.bar.startDate, '2025-01-13');
+    assert.deepEqual(chart.legend, [{ color: 'blue', label: 'Build' }]);
+    assert.equal(chart.warnings.length, 4);
+    assert.equal(model.calls.length, 1, 'repairable charts are not sent back to the model');
+  });
+
+  test('keeps the source file and quote of each task', async () => {
+    model = stubModel(() => ({
+      ...MODEL_CHART,
+      data: MODEL_CHART.data.map(row => (row.id === 'T1'
+        ? { ...row, sources: [{ file: 'PLAN.md', quote: 'Build then pilot.' }, { file: 'other.pdf', quote: 'Invented.' }] }
+        : row))
+    }));
+    const chart = await generateChart();
+
+    assert.match(model.calls[0].systemInstruction.parts[0].text, /SOURCES/);
+    assert.deepEqual(chart.data.find(row => row.id === 'T1').sources, [{ file: 'plan.md', quote: 'Build then pilot.' }]);
+    assert.deepEqual(chart.warnings, ['Removed a source of "Build" (T1): no file named "other.pdf" was uploaded.']);
+  });
+
+  test('sends .md and .txt files to the model as raw text, sorted by name', async () => {
+    model = stubModel(() => MODEL_CHART);
+    await generateChart([
+      ['notes.txt', Buffer.from('Plain text notes')],
+      ['alpha.md', Buffer.from('# Alpha\n`code` and ${braces}')]
+    ]);
+
+    const prompt = userPromptOf(model.calls[0]);
+    const alpha = prompt.indexOf('--- Start of file: alpha.md ---');
+    const notes = prompt.indexOf('--- Start of file: notes.txt ---');
+    assert.ok(alpha !== -1 && notes !== -1);
+    assert.ok(alpha < notes);
+    assert.match(prompt, /Plain text notes\n--- End of file: notes.txt ---/);
+    assert.match(prompt, /# Alpha/);
+  });
+
+  test('converts .docx files to HTML so links survive', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const docx = await buildDocx(['Phase one starts in January.'], { text: 'Source', url: 'https://example.com/plan' });
+    await generateChart([['plan.docx', docx]]);
+
+    const prompt = userPromptOf(model.calls[0]);
+    assert.match(prompt, /--- Start of file: plan.docx ---/);
+    assert.match(prompt, /<p>Phase one starts in January.<\/p>/);
+    assert.match(prompt, /<a href="https:\/\/example.com\/plan">Source<\/a>/);
+  });
+
+  test('sends PDF, PPTX and XLSX files to the model with page, slide and sheet markers', async () => {
+    model = stubModel(() => MODEL_CHART);
+    await generateChart([
+      ['report.pdf', buildPdf(['Budget approved in March'])],
+      ['deck.pptx', await buildPptx([['Kick-off'], ['Pilot']])],
+      ['plan.xlsx', await buildXlsx({ Tasks: [['Build', 'Q1']] })]
+    ]);
+
+    const prompt = userPromptOf(model.calls[0]);
+    assert.match(prompt, /--- Start of file: report.pdf ---\n--- Page 1 ---\nBudget approved in March/);
+    assert.match(prompt, /--- Slide 2 ---\nPilot/);
+    assert.match(prompt, /--- Sheet: Tasks ---\nBuild \| Q1/);
+  });
+
+  test('rejects unsupported file types', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const res = await request(app).post('/generate-chart')
+      .field('prompt', 'Make a roadmap')
+      .attach('researchFiles', Buffer.from('binary'), 'photo.png')
+      .expect(400);
+
+    assert.match(res.body.error, /photo.png/);
+    assert.equal(model.calls.length, 0);
+  });
+});
+
+/**
+ * Splits a Server-Sent Events body into {event, data} entries.
+ */
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+}
+
+/**
+ * A supertest parser for event stream responses.
+ */
+function readEvents(res, callback) {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => { text += chunk; });
+  res.on('end', () => callback(null, parseEvents(text)));
+}
+
+/**
+ * Posts to /generate-chart asking for progress events.
+ */
+function generateWithProgress(files = [['plan.md', Buffer.from('# Plan\nBuild then pilot.')]]) {
+  let req = request(app).post('/generate-chart')
+    .set('Accept', 'text/event-stream')
+    .field('prompt', 'Make a roadmap');
+  for (const [name, content] of files) {
+    req = req.attach('researchFiles', content, name);
+  }
+  return req.buffer(true).parse(readEvents);
+}
+
+describe('POST /generate-chart with progress events', () => {
+  test('streams each step before the chart', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const res = await generateWithProgress([
+      ['b.md', Buffer.from('Pilot in April')],
+      ['a.md', Buffer.from('Build in Q1')]
+    ]).expect(200).expect('Content-Type', /text\/event-stream/);
+
+    const events = res.body;
+    assert.deepEqual(events.map(e => e.event === 'progress' ? e.data.step : e.event),
+      ['upload', 'extract', 'extract', 'prompt', 'model', 'validate', 'result']);
+    assert.deepEqual(events.filter(e => e.data.step === 'extract').map(e => e.data.file), ['a.md', 'b.md']);
+    const prompt = events.find(e => e.data.step === 'prompt').data;
+    assert.equal(prompt.estimatedTokens, Math.ceil(prompt.characters / 4));
+    assert.equal(events.at(-1).data.title, 'Launch Plan');
+    assert.ok(events.at(-1).data.chartId);
+  });
+
+  test('reports a retry when the model answer cannot be parsed', async () => {
+    let answers = 0;
+    model = stubModel(() => (answers++ === 0 ? 'not json' : MODEL_CHART));
+    const res = await generateWithProgress().expect(200);
+
+    const retry = res.body.find(e => e.data.step === 'retry');
+    assert.equal(retry.data.attempt, 2);
+    assert.equal(retry.data.maxAttempts, 3);
+    assert.equal(res.body.at(-1).event, 'result');
+    assert.equal(model.calls.length, 2);
+  });
+
+  test('asks the model to fix what cannot be repaired', async () => {
+    const broken = {
+      ...MODEL_CHART,
+      data: MODEL_CHART.data.map(row => (row.id === 'T2' ? { ...row, bar: { ...row.bar, startDate: 'April' } } : row))
+    };
+    let answers = 0;
+    model = stubModel(() => (answers++ === 0 ? broken : MODEL_CHART));
+    const res = await generateWithProgress().expect(200);
+
+    const repair = res.body.find(e => e.data.step === 'repair');
+    assert.equal(repair.data.problems.length, 1);
+    assert.match(repair.data.problems[0], /"Pilot" \(T2\) has the startDate "April"/);
+    const [, fixRequest] = model.calls;
+    assert.deepEqual(fixRequest.contents.map(content => content.role), ['user', 'model', 'user']);
+    assert.match(fixRequest.contents[2].parts[0].text, /startDate "April"/);
+
+    const chart = res.body.at(-1).data;
+    assert.equal(chart.data.find(row => row.id === 'T2').bar.startDate, '2025-04-01');
+    assert.deepEqual(chart.warnings, []);
+  });
+
+  test('reports problems the model did not fix as warnings', async () => {
+    model = stubModel(() => ({
+      ...MODEL_CHART,
+      data: MODEL_CHART.data.map(row => (row.id === 'T1' ? { ...row, bar: { ...row.bar, endDate: 'soon' } } : row))
+    }));
+    const res = await generateWithProgress().expect(200);
+
+    assert.equal(model.calls.length, 2);
+    const chart = res.body.at(-1).data;
+    assert.equal(chart.data.find(row => row.id === 'T1').bar.endDate, '2025-01-06', 'the valid date is kept');
+    assert.equal(chart.warnings.length, 2);
+    assert.match(chart.warnings.join('\n'), /endDate "soon"/);
+  });
+
+  test('sends errors as an error event', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const res = await generateWithProgress([['photo.png', Buffer.from('binary')]]).expect(200);
+
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].event, 'error');
+    assert.equal(res.body[0].data.status, 400);
+    assert.match(res.body[0].data.error, /photo.png/);
+  });
+});
+
+describe('POST /generate-chart with a structured plan', () => {
+  const csv = Buffer.from([
+    'Task,Swimlane,Start,End,Predecessors',
+    'Build,Engineering,2025-01-06,2025-03-31,',
+    'Pilot,Engineering,2025-04-01,2025-05-30,1',
+    'Launch,Commercial,2025-05-31,2025-06-30,2'
+  ].join('\n'));
+
+  test('imports a CSV plan without calling the model', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const res = await request(app).post('/generate-chart')
+      .attach('researchFiles', csv, 'plan.csv')
+      .attach('researchFiles', Buffer.from('Launch is in June.'), 'notes.md')
+      .expect(200);
+
+    assert.equal(model.calls.length, 0);
+    assert.equal(res.body.title, 'plan');
+    assert.deepEqual(res.body.data.filter(row => row.isSwimlane).map(row => row.title), ['Engineering', 'Commercial']);
+    assert.deepEqual(res.body.timeColumns, ['Jan 2025', 'Feb 2025', 'Mar 2025', 'Apr 2025', 'May 2025', 'Jun 2025']);
+    assert.deepEqual(res.body.criticalPath, ['T1', 'T2', 'T3']);
+    assert.ok(res.body.chartId);
+    assert.deepEqual(res.body.data.find(row => row.title === 'Pilot').sources, [{ file: 'plan.csv', quote: null }]);
+
+    // The plan and the other files are kept as research for analysis
+    model.restore();
+    model = stubModel(() => MODEL_ANALYSIS);
+    await request(app).post('/get-task-analysis')
+      .send({ taskName: 'Launch', entity: 'Commercial', chartId: res.body.chartId })
+      .expect(200);
+    const prompt = userPromptOf(model.calls[0]);
+    assert.match(prompt, /--- Start of file: plan.csv ---\nTask,Swimlane,Start,End/);
+    assert.match(prompt, /Launch is in June./);
+  });
+
+  test('asks the model to group the legend when requested', async () => {
+    model = stubModel(() => ({
+      legend: [{ color: 'green', label: 'Delivery' }],
+      taskColors: [{ id: 'T1', color: 'green' }, { id: 'T3', color: 'green' }]
+    }));
+    const res = await request(app).post('/generate-chart')
+      .field('groupWithModel', 'true')
+      .attach('researchFiles', csv, 'plan.csv')
+      .expect(200);
+
+    assert.equal(model.calls.length, 1);
+    assert.deepEqual(res.body.legend, [{ color: 'green', label: 'Delivery' }]);
+    const colors = res.body.data.filter(row => !row.isSwimlane).map(row => row.bar.color);
+    assert.deepEqual(colors, ['green', 'blue', 'green']);
+  });
+
+  test('shows the predecessors it could not resolve as chart warnings', async () => {
+    const res = await request(app).post('/generate-chart')
+      .attach('researchFiles', Buffer.from('Task,Start,End,Predecessors\nBuild,2025-01-06,2025-03-31,Design'), 'plan.csv')
+      .expect(200);
+    assert.ok(res.body.warnings.includes('Dropped the predecessor "Design" of "Build": no task has that ID, row number or name.'));
+  });
+
+  test('rejects more than one plan file', async () => {
+    const res = await request(app).post('/generate-chart')
+      .attach('researchFiles', csv, 'a.csv')
+      .attach('researchFiles', csv, 'b.csv')
+      .expect(400);
+    assert.match(res.body.error, /only one CSV or MS Project file/);
+  });
+
+  test('reports plans it cannot read', async () => {
+    const res = await request(app).post('/generate-chart')
+      .attach('researchFiles', Buffer.from('Start,End\n2025-01-06,2025-01-31'), 'dates.csv')
+      .expect(400);
+    assert.match(res.body.error, /Could not import dates.csv/);
+  });
+
+  test('reports a malformed MS Project file as an import error', async () => {
+    const res = await request(app).post('/generate-chart')
+      .attach('researchFiles', Buffer.from('<Project><Tasks><Task><Name>Build'), 'plan.xml')
+      .expect(400);
+    assert.match(res.body.error, /Could not import plan.xml/);
+  });
+});
+
+describe('POST /get-task-analysis', () => {
+  test('rejects requests without a chartId', async () => {
+    const res = await request(app).post('/get-task-analysis').send({ taskName: 'Build', entity: 'Engineering' });
+    assert.equal(res.status, 400);
+  });
+
+  test('returns 404 for an unknown chart session', async () => {
+    const res = await request(app).post('/get-task-analysis')
+      .send({ taskName: 'Build', entity: 'Engineering', chartId: '00000000-0000-0000-0000-000000000000' });
+    assert.equal(res.status, 404);
+  });
+
+  test("answers from the chart's own research", async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart([['plan.md', Buffer.from('Unique research marker 42')]]);
+    model.restore();
+
+    model = stubModel(() => MODEL_ANALYSIS);
+    const res = await request(app).post('/get-task-analysis')
+      .send({ taskName: 'Build', entity: 'Engineering', chartId: chart.chartId })
+      .expect(200);
+
+    const { cached, analyzedAt, ...analysis } = res.body;
+    assert.deepEqual(analysis, MODEL_ANALYSIS);
+    assert.equal(cached, false);
+    assert.ok(!isNaN(Date.parse(analyzedAt)));
+    assert.match(userPromptOf(model.calls[0]), /Unique research marker 42/);
+    assert.equal(model.calls[0].generationConfig.responseMimeType, 'application/json');
+  });
+
+  test('sends only the passages about the task from large research sets', async () => {
+    const filler = Array.from({ length: 600 }, (_, i) => `Marketing note ${i}: campaign budgets and agency contracts were reviewed.`).join('\n\n');
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart([
+      ['marketing.md', Buffer.from(filler)],
+      ['engineering.md', Buffer.from('The platform Build finishes in March after load testing.')]
+    ]);
+    model.restore();
+
+    model = stubModel(() => MODEL_ANALYSIS);
+    await request(app).post('/get-task-analysis')
+      .send({ taskName: 'Build', entity: 'Engineering', chartId: chart.chartId })
+      .expect(200);
+
+    const prompt = userPromptOf(model.calls[0]);
+    assert.match(prompt, /--- Start of file: engineering.md ---\nThe platform Build finishes in March after load testing.\n--- End of file: engineering.md ---/);
+    assert.ok(prompt.length < filler.length, 'the unrelated research is left out');
+  });
+
+  test('serves a task analyzed before from the cache, unless asked to refresh', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    model.restore();
+
+    model = stubModel(() => MODEL_ANALYSIS);
+    const task = { taskName: 'Build', entity: 'Engineering', chartId: chart.chartId };
+    const first = await request(app).post('/get-task-analysis').send(task).expect(200);
+    const second = await request(app).post('/get-task-analysis').send(task).expect(200);
+    assert.equal(model.calls.length, 1);
+    assert.equal(second.body.cached, true);
+    assert.equal(second.body.analyzedAt, first.body.analyzedAt);
+
+    await request(app).post('/get-task-analysis').send({ ...task, taskName: 'Pilot' }).expect(200);
+    assert.equal(model.calls.length, 2, 'other tasks are analyzed separately');
+
+    const refreshed = await request(app).post('/get-task-analysis').send({ ...task, refresh: true }).expect(200);
+    assert.equal(refreshed.body.cached, false);
+    assert.equal(model.calls.length, 3);
+  });
+
+  test('judges the status on the date the chart page sends', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    model.restore();
+
+    model = stubModel(() => MODEL_ANALYSIS);
+    const task = { taskName: 'Build', entity: 'Engineering', chartId: chart.chartId };
+    await request(app).post('/get-task-analysis').send({ ...task, today: '2025-02-01' }).expect(200);
+    assert.match(model.calls[0].systemInstruction.parts[0].text, /today's date \(2025-02-01\)/);
+
+    await request(app).post('/get-task-analysis').send({ ...task, today: '2025-02-01' }).expect(200);
+    await request(app).post('/get-task-analysis').send({ ...task, today: '2025-06-01' }).expect(200);
+    assert.equal(model.calls.length, 2, 'analyses are cached per date');
+
+    await request(app).post('/get-task-analysis').send({ ...task, today: '2025-02-30' }).expect(400);
+  });
+});
+
+/**
+ * Polls an analysis job until it is done.
+ */
+async function waitForAnalysisJob(chartId) {
+  for (;;) {
+    const res = await request(app).get(`/analyze-all/${chartId}`).expect(200);
+    if (res.body.status === 'done') return res.body;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('/analyze-all', () => {
+  test('analyzes every task in the background for the cache', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    model.restore();
+
+    model = stubModel(() => MODEL_ANALYSIS);
+    const tasks = chart.data.filter(row => !row.isSwimlane).map(row => ({ taskName: row.title, entity: row.entity }));
+    const started = await request(app).post('/analyze-all').send({ chartId: chart.chartId, tasks: [...tasks, tasks[0]] }).expect(202);
+    assert.equal(started.body.total, 3, 'each task is analyzed once');
+
+    const job = await waitForAnalysisJob(chart.chartId);
+    assert.deepEqual(job, { status: 'done', total: 3, completed: 3, failed: [] });
+    assert.equal(model.calls.length, 3);
+
+    const res = await request(app).post('/get-task-analysis')
+      .send({ taskName: 'Pilot', entity: 'Engineering', chartId: chart.chartId })
+      .expect(200);
+    assert.equal(res.body.cached, true);
+    assert.equal(model.calls.length, 3);
+  });
+
+  test('starts after generation when the form asks for it', async () => {
+    model = stubModel(payload => (payload.generationConfig.responseSchema.properties.facts ? MODEL_ANALYSIS : MODEL_CHART));
+    const res = await request(app).post('/generate-chart')
+      .field('prompt', 'Make a roadmap')
+      .field('analyzeAll', 'true')
+      .attach('researchFiles', Buffer.from('# Plan\nBuild then pilot.'), 'plan.md')
+      .expect(200);
+
+    const job = await waitForAnalysisJob(res.body.chartId);
+    assert.equal(job.completed, 3);
+  });
+
+  test('carries on under the project ID when the chart is saved meanwhile', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    model.restore();
+
+    model = stubModel(() => MODEL_ANALYSIS);
+    const tasks = chart.data.filter(row => !row.isSwimlane).map(row => ({ taskName: row.title, entity: row.entity }));
+    await request(app).post('/analyze-all').send({ chartId: chart.chartId, tasks, today: '2025-03-15' }).expect(202);
+    const created = await request(app).post('/projects')
+      .send({ chartId: chart.chartId, ganttData: chart, name: 'Saved while analyzing' })
+      .expect(201);
+    const projectChartId = created.body.ganttData.chartId;
+
+    const job = await waitForAnalysisJob(projectChartId);
+    assert.equal(job.completed, 3);
+    for (const task of tasks) {
+      const res = await request(app).post('/get-task-analysis').send({ ...task, chartId: projectChartId, today: '2025-03-15' }).expect(200);
+      assert.equal(res.body.cached, true, `${task.taskName} is in the project's cache`);
+    }
+    assert.equal(model.calls.length, 3);
+  });
+
+  test('rejects unknown charts and reports charts without a job', async () => {
+    await request(app).post('/analyze-all').send({ chartId: 'nope' }).expect(400);
+    await request(app).post('/analyze-all').send({ chartId: '00000000-0000-0000-0000-000000000000', tasks: [] }).expect(404);
+    await request(app).get('/analyze-all/00000000-0000-0000-0000-000000000000').expect(404);
+  });
+
+  test('rejects more tasks than one job may analyze', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    model.restore();
+
+    model = stubModel(() => MODEL_ANALYSIS);
+    const tasks = Array.from({ length: 201 }, (_, index) => ({ taskName: `Task ${index + 1}`, entity: 'Engineering' }));
+    const res = await request(app).post('/analyze-all').send({ chartId: chart.chartId, tasks }).expect(400);
+    assert.match(res.body.error, /at most 200/);
+    assert.equal(model.calls.length, 0);
+  });
+
+  test('does not start after generation when the chart has too many tasks', async () => {
+    const rows = Array.from({ length: 201 }, (_, index) => `Task ${index + 1},Engineering,2025-01-06,2025-03-31`);
+    model = stubModel(() => MODEL_ANALYSIS);
+    const res = await request(app).post('/generate-chart')
+      .field('analyzeAll', 'true')
+      .attach('researchFiles', Buffer.from(['Task,Swimlane,Start,End', ...rows].join('\n')), 'plan.csv')
+      .expect(200);
+
+    assert.ok(res.body.warnings.includes('The tasks were not analyzed in the background: the chart has 201, and at most 200 can be analyzed at once.'));
+    await request(app).get(`/analyze-all/${res.body.chartId}`).expect(404);
+    assert.equal(model.calls.length, 0);
+  });
+});
+
+describe('POST /ask-question', () => {
+  test('rejects requests with missing fields', async () => {
+    const res = await request(app).post('/ask-question').send({ taskName: 'Build', entity: 'Engineering' });
+    assert.equal(res.status, 400);
+  });
+
+  test('returns the plain-text answer', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    model.restore();
+
+    model = stubModel(() => 'The build finishes in March.');
+    const res = await request(app).post('/ask-question')
+      .send({ taskName: 'Build', entity: 'Engineering', question: 'When does it end?', chartId: chart.chartId, today: '2025-03-15' })
+      .expect(200);
+
+    assert.deepEqual(res.body, { answer: 'The build finishes in March.' });
+    assert.match(userPromptOf(model.calls[0]), /When does it end\?/);
+    assert.match(userPromptOf(model.calls[0]), /^Today's Date: 2025-03-15\n/);
+  });
+
+  test('rejects a today that is not a date', async () => {
+    const res = await request(app).post('/ask-question')
+      .send({ taskName: 'Build', entity: 'Engineering', question: 'Why?', chartId: 'x', today: 'tomorrow' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /YYYY-MM-DD/);
+  });
+
+  test('sends earlier turns about the same task until the chat is reset', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    model.restore();
+
+    let answers = 0;
+    model = stubModel(() => `Answer ${++answers}`);
+    const ask = (taskName, question) => request(app).post('/ask-question')
+      .send({ taskName, entity: 'Engineering', question, chartId: chart.chartId })
+      .expect(200);
+
+    await ask('Build', 'What are the risks?');
+    await ask('Pilot', 'Who runs it?');
+    await ask('Build', 'And the second one?');
+
+    const roles = (payload) => payload.contents.map(content => content.role);
+    assert.deepEqual(roles(model.calls[2]), ['user', 'model', 'user']);
+    assert.equal(model.calls[2].contents[0].parts[0].text, 'What are the risks?');
+    assert.equal(model.calls[2].contents[1].parts[0].text, 'Answer 1');
+    assert.deepEqual(roles(model.calls[1]), ['user'], 'other tasks keep their own history');
+
+    await request(app).post('/reset-chat')
+      .send({ taskName: 'Build', entity: 'Engineering', chartId: chart.chartId })
+      .expect(204);
+    await ask('Build', 'Start over');
+    assert.deepEqual(roles(model.calls[3]), ['user']);
+  });
+
+  test('streams the answer as chunk events when asked for an event stream', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    model.restore();
+
+    model = stubModel(() => 'The build **finishes** in March.');
+    const res = await request(app).post('/ask-question')
+      .set('Accept', 'text/event-stream')
+      .send({ taskName: 'Build', entity: 'Engineering', question: 'When does it end?', chartId: chart.chartId })
+      .buffer(true).parse(readEvents)
+      .expect(200).expect('Content-Type', /text\/event-stream/);
+
+    const chunks = res.body.filter(e => e.event === 'chunk').map(e => e.data.text);
+    assert.deepEqual(chunks, ['The ', 'build ', '**finishes** ', 'in ', 'March.']);
+    assert.deepEqual(res.body.at(-1), { event: 'result', data: { answer: 'The build **finishes** in March.' } });
+  });
+});
+
+describe('POST /ask-chart', () => {
+  test('rejects requests with missing fields', async () => {
+    const res = await request(app).post('/ask-chart').send({ chartId: 'x', question: 'Why?' });
+    assert.equal(res.status, 400);
+  });
+
+  test('answers from the current chart and research and lists the cited rows', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    model.restore();
+
+    // The chart as edited in the browser: the pilot now overlaps the build
+    const edited = structuredClone(chart);
+    edited.data.find(row => row.id === 'T2').bar.startDate = '2025-03-01';
+
+    model = stubModel(() => 'If the build [[T1]] is late, the pilot [[T2]] and go-live [[T3]] slip. Not [[T42]].');
+    const res = await request(app).post('/ask-chart')
+      .set('Accept', 'text/event-stream')
+      .send({ chartId: chart.chartId, ganttData: edited, question: 'What slips if the build is late?' })
+      .buffer(true).parse(readEvents)
+      .expect(200);
+
+    const result = res.body.at(-1);
+    assert.equal(result.event, 'result');
+    assert.deepEqual(result.data.rowIds, ['T1', 'T2', 'T3']);
+    assert.ok(res.body.filter(e => e.event === 'chunk').length > 1);
+
+    const prompt = userPromptOf(model.calls[0]);
+    assert.match(prompt, /Current Chart:/);
+    assert.match(prompt, /"startDate": "2025-03-01"/);
+    assert.match(prompt, /"dependencyViolations": \[\n  \{\n   "predecessorId": "T1",\n   "successorId": "T2"/);
+    assert.match(prompt, /Build then pilot/);
+    assert.match(prompt, /What slips if the build is late\?/);
+
+    // Follow-ups see the earlier turn, until the assistant is reset
+    await request(app).post('/ask-chart')
+      .send({ chartId: chart.chartId, ganttData: edited, question: 'And the go-live?' })
+      .expect(200);
+    assert.deepEqual(model.calls[1].contents.map(content => content.role), ['user', 'model', 'user']);
+
+    await request(app).post('/reset-chat').send({ chartId: chart.chartId, scope: 'chart' }).expect(204);
+    await request(app).post('/ask-chart')
+      .send({ chartId: chart.chartId, ganttData: edited, question: 'Start over' })
+      .expect(200);
+    assert.deepEqual(model.calls[2].contents.map(content => content.role), ['user']);
+  });
+
+  test('sends only the passages about the question from large research sets', async () => {
+    const filler = Array.from({ length: 600 }, (_, i) => `Marketing note ${i}: campaign budgets and agency contracts were reviewed.`).join('\n\n');
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart([
+      ['marketing.md', Buffer.from(filler)],
+      ['engineering.md', Buffer.from('The platform Build finishes in March after load testing.')]
+    ]);
+    model.restore();
+
+    model = stubModel(() => 'It finishes in March [[T1]].');
+    await request(app).post('/ask-chart')
+      .send({ chartId: chart.chartId, ganttData: chart, question: 'When does the platform build finish?' })
+      .expect(200);
+
+    const prompt = userPromptOf(model.calls[0]);
+    assert.match(prompt, /The platform Build finishes in March after load testing./);
+    assert.ok(prompt.length < filler.length, 'the unrelated research is left out');
+  });
+});
+
+describe('POST /refine-chart', () => {
+  test('drops operations that do not fit the chart', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    model.restore();
+
+    model = stubModel(() => ({
+      summary: 'Rename the pilot',
+      operations: [
+        { op: 'modify', rowId: 'T2', row: { title: 'Field Pilot', isSwimlane: false, entity: 'Engineering' } },
+        { op: 'remove', rowId: 'T99' }
+      ],
+      legend: null
+    }));
+    const res = await request(app).post('/refine-chart')
+      .send({ chartId: chart.chartId, ganttData: chart, instruction: 'Rename the pilot' })
+      .expect(200);
+
+    assert.equal(res.body.operations.length, 1);
+    assert.equal(res.body.operations[0].rowId, 'T2');
+    assert.equal(res.body.warnings.length, 1);
+  });
+
+  test('sends only the passages about the instruction from large research sets', async () => {
+    const filler = Array.from({ length: 600 }, (_, i) => `Marketing note ${i}: campaign budgets and agency contracts were reviewed.`).join('\n\n');
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart([
+      ['marketing.md', Buffer.from(filler)],
+      ['engineering.md', Buffer.from('The platform Build needs two more weeks of load testing.')]
+    ]);
+    model.restore();
+
+    model = stubModel(() => ({ summary: 'No change', operations: [], legend: null }));
+    await request(app).post('/refine-chart')
+      .send({ chartId: chart.chartId, ganttData: chart, instruction: 'Add the load testing to the platform build' })
+      .expect(200);
+
+    const prompt = userPromptOf(model.calls[0]);
+    assert.match(prompt, /The platform Build needs two more weeks of load testing./);
+    assert.ok(prompt.length < filler.length, 'the unrelated research is left out');
+  });
+});
+
+describe('POST /export/:format', () => {
+  test('returns PDF, PowerPoint and SVG files for a chart', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+
+    const pdf = await request(app).post('/export/pdf')
+      .send({ ganttData: chart, today: '2025-03-01' })
+      .buffer(true).parse((res, done) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    assert.equal(pdf.headers['content-type'], 'application/pdf');
+    assert.match(pdf.headers['content-disposition'], /filename="launch-plan\.pdf"/);
+    assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+
+    const pptx = await request(app).post('/export/pptx').send({ ganttData: chart }).expect(200);
+    assert.match(pptx.headers['content-type'], /presentationml/);
+
+    const svg = await request(app).post('/export/svg').send({ ganttData: chart, includeLegend: false }).expect(200);
+    const text = svg.body.toString();
+    assert.match(text, /<image href="data:image\/png;base64,/);
+    assert.doesNotMatch(text, />Milestone<\/text>/, 'no legend');
+  });
+
+  test('exports the chart data as a CSV plan that imports again', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+
+    const csv = await request(app).post('/export/csv').send({ ganttData: chart }).expect(200);
+    assert.match(csv.headers['content-type'], /^text\/csv/);
+    assert.match(csv.text, /^\uFEFFID,Task,Swimlane,Type,Start,End,Predecessors,Color,Legend,Progress\r\n/);
+
+    const res = await request(app).post('/generate-chart')
+      .attach('researchFiles', Buffer.from(csv.text), 'launch-plan.csv')
+      .expect(200);
+    assert.equal(model.calls.length, 1, 'the import does not call the model');
+    assert.deepEqual(res.body.data.map(row => row.title), chart.data.map(row => row.title));
+    assert.deepEqual(res.body.legend, chart.legend);
+  });
+
+  test('rejects unknown formats, missing charts and bad dates', async () => {
+    const chart = { title: 'Plan', data: [], timeColumns: [] };
+    await request(app).post('/export/docx').send({ ganttData: chart }).expect(400);
+    await request(app).post('/export/pdf').send({}).expect(400);
+    await request(app).post('/export/pdf').send({ ganttData: chart, today: 'tomorrow' }).expect(400);
+  });
+});
+
+describe('/render', () => {
+  const binary = (res, done) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => done(null, Buffer.concat(chunks)));
+  };
+
+  test('renders posted chart data as a PNG at twice the requested width', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+
+    const res = await request(app).post('/render')
+      .send({ ganttData: chart, width: 800, today: '2025-03-01' })
+      .buffer(true).parse(binary)
+      .expect(200);
+    assert.equal(res.headers['content-type'], 'image/png');
+    assert.match(res.headers['content-disposition'], /^inline; filename="launch-plan\.png"/);
+    assert.deepEqual([...res.body.subarray(0, 4)], [0x89, 0x50, 0x4e, 0x47]);
+    assert.equal(res.body.readUInt32BE(16), 1600); // IHDR width
+  });
+
+  test('renders a saved project by ID at another time scale', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    const project = await request(app).post('/projects')
+      .send({ chartId: chart.chartId, ganttData: chart, name: 'Report' })
+      .expect(201);
+
+    const res = await request(app).get(`/render/${project.body.id}?format=svg&interval=quarters&today=none`)
+      .buffer(true).parse(binary)
+      .expect(200);
+    const svg = res.body.toString();
+    assert.match(svg, />Q1 2025<\/text>/);
+    assert.match(svg, />Launch Plan<\/text>/);
+    assert.doesNotMatch(svg, /stroke="#BA3930" stroke-width="1"/, 'no today line');
+
+    await request(app).get('/render/00000000-0000-0000-0000-000000000000').expect(404);
+  });
+
+  test('rejects bad formats, intervals and widths', async () => {
+    const chart = { title: 'Plan', data: [], timeColumns: [] };
+    await request(app).post('/render').send({ ganttData: chart, format: 'pptx' }).expect(400);
+    await request(app).post('/render').send({ ganttData: chart, interval: 'days' }).expect(400);
+    await request(app).post('/render').send({ ganttData: chart, width: 10 }).expect(400);
+    await request(app).post('/render').send({}).expect(400);
+  });
+});
+
+describe('/projects', () => {
+  test('saves, lists, updates, reopens and deletes a project', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+
+    const created = await request(app).post('/projects')
+      .send({ chartId: chart.chartId, ganttData: chart, name: 'My plan' })
+      .expect(201);
+    const projectId = created.body.id;
+    assert.equal(created.body.ganttData.chartId, projectId);
+    assert.equal(created.body.researchText, undefined, 'research is not sent back');
+
+    const list = await request(app).get('/projects').expect(200);
+    assert.ok(list.body.some(project => project.id === projectId && project.name === 'My plan'));
+
+    await request(app).put(`/projects/${projectId}`)
+      .send({ ganttData: { ...chart, title: 'Renamed plan' } })
+      .expect(200);
+    const reopened = await request(app).get(`/projects/${projectId}`).expect(200);
+    assert.equal(reopened.body.ganttData.title, 'Renamed plan');
+
+    await request(app).delete(`/projects/${projectId}`).expect(204);
+    await request(app).get(`/projects/${projectId}`).expect(404);
+  });
+
+  test('keeps the chat history and cached analyses when a chart is saved', async () => {
+    model = stubModel(() => MODEL_CHART);
+    const chart = await generateChart();
+    model.restore();
+
+    model = stubModel(payload => (payload.generationConfig.responseSchema ? MODEL_ANALYSIS : 'In March.'));
+    const task = { taskName: 'Build', entity: 'Engineering', today: '2025-03-15' };
+    await request(app).post('/get-task-analysis').send({ ...task, chartId: chart.chartId }).expect(200);
+    await request(app).post('/ask-question').send({ ...task, question: 'When does it end?', chartId: chart.chartId }).expect(200);
+
+    const created = await request(app).post('/projects')
+      .send({ chartId: chart.chartId, ganttData: chart, name: 'Saved plan' })
+      .expect(201);
+    const projectChartId = created.body.ganttData.chartId;
+
+    const analysis = await request(app).post('/get-task-analysis').send({ ...task, chartId: projectChartId }).expect(200);
+    assert.equal(analysis.body.cached, true);
+    await request(app).post('/ask-question').send({ ...task, question: 'And the pilot?', chartId: projectChartId }).expect(200);
+    assert.deepEqual(model.calls.at(-1).contents.map(content => content.role), ['user', 'model', 'user']);
+    assert.equal(model.calls.length, 3);
+  });
+});
+
+describe('/baselines', () => {
+  test('saves, lists, loads and deletes a baseline', async () => {
+    const ganttData = { ...MODEL_CHART, chartId: 'chart-1' };
+
+    const created = await request(app).post('/baselines')
+      .send({ ganttData, name: 'Kick-off plan' })
+      .expect(201);
+    const baselineId = created.body.id;
+    assert.equal(created.body.name, 'Kick-off plan');
+    assert.ok(created.body.savedAt);
+
+    const list = await request(app).get('/baselines').expect(200);
+    assert.deepEqual(list.body.find(baseline => baseline.id === baselineId), {
+      id: baselineId,
+      name: 'Kick-off plan',
+      title: 'Launch Plan',
+      savedAt: created.body.savedAt,
+      taskCount: 3
+    });
+
+    const loaded = await request(app).get(`/baselines/${baselineId}`).expect(200);
+    assert.deepEqual(loaded.body.ganttData, ganttData);
+
+    await request(app).delete(`/baselines/${baselineId}`).expect(204);
+    await request(app).get(`/baselines/${baselineId}`).expect(404);
+    await request(app).delete(`/baselines/${baselineId}`).expect(404);
+  });
+
+  test('names an unnamed baseline after the chart', async () => {
+    const res = await request(app).post('/baselines').send({ ganttData: MODEL_CHART }).expect(201);
+    assert.match(res.body.name, /^Launch Plan \(\d{4}-\d{2}-\d{2}\)$/);
+  });
+
+  test('rejects a baseline without chart data', async () => {
+    const res = await request(app).post('/baselines').send({ name: 'Empty' }).expect(400);
+    assert.equal(res.body.error, 'Missing ganttData');
+  });
+});
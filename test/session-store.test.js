@@ -0,0 +1,86 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync, statSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createSession, getChatHistory, addChatTurn, clearChatHistory, trimChatHistory } from '../lib/session-store.js';
+
+const turn = (role, length) => ({ role, text: 'x'.repeat(length) });
+
+describe('trimChatHistory', () => {
+  test('drops the oldest question and answer pairs to fit the budget', () => {
+    const turns = [turn('user', 10), turn('model', 40), turn('user', 10), turn('model', 40), turn('user', 10), turn('model', 40)];
+    assert.deepEqual(trimChatHistory(turns, 100), turns.slice(2));
+    assert.deepEqual(trimChatHistory(turns, 50), turns.slice(4));
+    assert.deepEqual(trimChatHistory(turns, 1000), turns);
+  });
+
+  test('always keeps the latest pair', () => {
+    const turns = [turn('user', 10), turn('model', 500)];
+    assert.deepEqual(trimChatHistory(turns, 100), turns);
+  });
+});
+
+describe('chat history', () => {
+  test('keeps the turns per chart and task', () => {
+    const chartId = createSession({ researchText: '', researchFiles: [] });
+    addChatTurn(chartId, 'build', 'When?', 'March.');
+    addChatTurn(chartId, 'build', 'Who?', 'The platform team.');
+    addChatTurn(chartId, 'pilot', 'Where?', 'Berlin.');
+
+    assert.deepEqual(getChatHistory(chartId, 'build').map(t => t.text), ['When?', 'March.', 'Who?', 'The platform team.']);
+    assert.deepEqual(getChatHistory(chartId, 'build').map(t => t.role), ['user', 'model', 'user', 'model']);
+
+    clearChatHistory(chartId, 'build');
+    assert.deepEqual(getChatHistory(chartId, 'build'), []);
+    assert.equal(getChatHistory(chartId, 'pilot').length, 2);
+  });
+});
+
+describe('sessions on disk', () => {
+  const storeDir = mkdtempSync(join(tmpdir(), 'gantt-sessions-'));
+  after(() => rmSync(storeDir, { recursive: true, force: true }));
+
+  // A fresh copy of the module that writes to storeDir (it reads SESSION_STORE_DIR on load)
+  const loadStore = async (instance) => {
+    process.env.SESSION_STORE_DIR = storeDir;
+    try {
+      return await import(`../lib/session-store.js?${instance}`);
+    } finally {
+      delete process.env.SESSION_STORE_DIR;
+    }
+  };
+
+  test('refreshes the last access on reads without rewriting the session', async () => {
+    const store = await loadStore('reads');
+    const chartId = store.createSession({ researchText: 'Research', researchFiles: ['a.md'] });
+    const file = join(storeDir, `${chartId}.json`);
+    const written = readFileSync(file, 'utf8');
+    const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    utimesSync(file, anHourAgo, anHourAgo);
+
+    store.getSession(chartId);
+
+    assert.equal(readFileSync(file, 'utf8'), written, 'the file is not rewritten');
+    assert.ok(statSync(file).mtimeMs > anHourAgo.getTime() + 1000, 'but its modification time moves');
+  });
+
+  test('takes the last access of a reloaded session from the file', async () => {
+    const store = await loadStore('writer');
+    const recentId = store.createSession({ researchText: 'Research', researchFiles: ['a.md'] });
+    const idleId = store.createSession({ researchText: 'Research', researchFiles: ['a.md'] });
+
+    // Both were written a day ago; only the first was read since
+    const aDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    for (const id of [recentId, idleId]) {
+      const file = join(storeDir, `${id}.json`);
+      writeFileSync(file, JSON.stringify({ ...JSON.parse(readFileSync(file, 'utf8')), lastAccess: aDayAgo.getTime() }));
+      utimesSync(file, aDayAgo, aDayAgo);
+    }
+    utimesSync(join(storeDir, `${recentId}.json`), new Date(), new Date());
+
+    const restarted = await loadStore('restarted');
+    assert.ok(restarted.getSession(recentId));
+    assert.equal(restarted.getSession(idleId), null);
+  });
+});
@@ -0,0 +1,165 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getWeek,
+  chooseTimeInterval,
+  buildTimeColumns,
+  parseTimeColumnLabel,
+  barToColumnPositions,
+  deriveTimeline,
+  parseTodayDate,
+  getTaskStatus
+} from '../Public/timeline.js';
+
+const utc = (iso) => new Date(`${iso}T00:00:00Z`);
+
+describe('getWeek', () => {
+  test('returns the ISO week number', () => {
+    assert.equal(getWeek(utc('2025-01-06')), 2);
+    assert.equal(getWeek(utc('2025-06-15')), 24);
+  });
+
+  test('puts the first days of January in the last week of the previous year when needed', () => {
+    assert.equal(getWeek(utc('2021-01-01')), 53);
+    assert.equal(getWeek(utc('2027-01-01')), 53);
+  });
+
+  test('puts the last days of December in week 1 of the next year when needed', () => {
+    assert.equal(getWeek(utc('2024-12-30')), 1);
+  });
+});
+
+describe('chooseTimeInterval', () => {
+  test('picks a finer scale for shorter plans', () => {
+    assert.equal(chooseTimeInterval(utc('2025-01-01'), utc('2025-02-28')), 'weeks');
+    assert.equal(chooseTimeInterval(utc('2025-01-01'), utc('2025-10-31')), 'months');
+    assert.equal(chooseTimeInterval(utc('2025-01-01'), utc('2026-12-31')), 'quarters');
+    assert.equal(chooseTimeInterval(utc('2025-01-01'), utc('2030-12-31')), 'years');
+  });
+});
+
+describe('buildTimeColumns', () => {
+  test('builds labelled columns that cover the range', () => {
+    const columns = buildTimeColumns(utc('2025-02-10'), utc('2025-08-31'), 'quarters');
+    assert.deepEqual(columns.map(column => column.label), ['Q1 2025', 'Q2 2025', 'Q3 2025']);
+    assert.deepEqual(columns[0].start, utc('2025-01-01'));
+    assert.deepEqual(columns[2].end, utc('2025-10-01'));
+  });
+
+  test('labels weeks with the ISO week-year', () => {
+    const columns = buildTimeColumns(utc('2024-12-30'), utc('2025-01-12'), 'weeks');
+    assert.deepEqual(columns.map(column => column.label), ['W1 2025', 'W2 2025']);
+  });
+
+  test('round-trips labels through parseTimeColumnLabel', () => {
+    for (const column of buildTimeColumns(utc('2025-01-01'), utc('2025-12-31'), 'months')) {
+      const parsed = parseTimeColumnLabel(column.label);
+      assert.equal(parsed.start.getTime(), column.start.getTime());
+      assert.equal(parsed.end.getTime(), column.end.getTime());
+    }
+  });
+});
+
+describe('barToColumnPositions', () => {
+  test('places a bar part-way through its columns', () => {
+    const columns = buildTimeColumns(utc('2025-01-01'), utc('2025-02-28'), 'months');
+    const positions = barToColumnPositions({ startDate: '2025-01-16', endDate: '2025-01-31' }, columns);
+    assert.ok(Math.abs(positions.start - 15 / 31) < 1e-9);
+    assert.equal(positions.end, 1);
+  });
+});
+
+describe('deriveTimeline', () => {
+  test('sets the range, interval, columns and bar columns from the dates', () => {
+    const chart = deriveTimeline({
+      title: 'Plan',
+      data: [{ title: 'Task', isSwimlane: false, bar: { startDate: '2025-03-05', endDate: '2025-04-20', color: 'blue' } }]
+    });
+    assert.deepEqual(chart.columnRange, { start: '2025-03-05', end: '2025-04-20' });
+    assert.equal(chart.timeRange, undefined, 'the derived range is not taken for an explicit one');
+    assert.equal(chart.timeInterval, 'weeks');
+    assert.equal(chart.timeColumns[0], 'W10 2025');
+    assert.equal(chart.data[0].bar.startCol, 1);
+    assert.equal(chart.data[0].bar.endCol, chart.timeColumns.length + 1);
+  });
+});
+
+describe('deriveTimeline after the dates change', () => {
+  const chart = () => deriveTimeline({
+    title: 'Plan',
+    data: [
+      { id: 'T1', title: 'Build', isSwimlane: false, bar: { startDate: '2026-01-01', endDate: '2026-03-31' } },
+      { id: 'T2', title: 'Pilot', isSwimlane: false, bar: { startDate: '2026-04-01', endDate: '2026-06-30' } }
+    ]
+  }, 'months');
+
+  test('widens the range when a task moves past the current end', () => {
+    const derived = chart();
+    assert.equal(derived.timeColumns.length, 6);
+
+    derived.data[1].bar = { ...derived.data[1].bar, startDate: '2026-10-01', endDate: '2026-12-31' };
+    const moved = deriveTimeline(derived, 'months');
+
+    assert.equal(moved.timeColumns.length, 12);
+    assert.deepEqual(moved.columnRange, { start: '2026-01-01', end: '2026-12-31' });
+    assert.equal(moved.data[1].bar.startCol, 10);
+    assert.equal(moved.data[1].bar.endCol, 13);
+  });
+
+  test('shrinks the range when the last task moves back', () => {
+    const derived = chart();
+    derived.data[1].bar = { ...derived.data[1].bar, startDate: '2026-02-01', endDate: '2026-02-28' };
+
+    assert.equal(deriveTimeline(derived, 'months').timeColumns.length, 3);
+  });
+
+  test('keeps the explicit range as a minimum', () => {
+    const derived = deriveTimeline({ ...chart(), timeRange: { start: '2026-01-01', end: '2026-12-31' } }, 'months');
+    assert.equal(derived.timeColumns.length, 12);
+
+    derived.data[1].bar = { ...derived.data[1].bar, startDate: '2027-01-01', endDate: '2027-02-28' };
+    assert.equal(deriveTimeline(derived, 'months').timeColumns.length, 14);
+  });
+});
+
+describe('parseTodayDate', () => {
+  test('reads YYYY-MM-DD as midday local time', () => {
+    const date = parseTodayDate('2025-11-14');
+    assert.deepEqual([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()], [2025, 10, 14, 12]);
+  });
+
+  test('returns null for anything else', () => {
+    assert.equal(parseTodayDate('2025-02-30'), null);
+    assert.equal(parseTodayDate('14/11/2025'), null);
+    assert.equal(parseTodayDate(''), null);
+    assert.equal(parseTodayDate(null), null);
+  });
+});
+
+describe('getTaskStatus', () => {
+  const task = (startDate, endDate, progress) => ({ isSwimlane: false, bar: { startDate, endDate }, progress });
+  const today = parseTodayDate('2025-06-15');
+
+  test('works out the status from the dates', () => {
+    assert.equal(getTaskStatus(task('2025-01-01', '2025-03-31'), today), 'completed');
+    assert.equal(getTaskStatus(task('2025-06-01', '2025-06-15'), today), 'in-progress', 'the end day counts');
+    assert.equal(getTaskStatus(task('2025-06-15', '2025-06-15'), today), 'in-progress');
+    assert.equal(getTaskStatus(task('2025-06-16', '2025-09-30'), today), 'not-started');
+  });
+
+  test('reads a partial end date as the end of its period', () => {
+    assert.equal(getTaskStatus(task('2025-05', '2025-06'), today), 'in-progress');
+    assert.equal(getTaskStatus(task('2025-05', '2025-06', 40), today), 'in-progress');
+  });
+
+  test('uses the progress when it is known', () => {
+    assert.equal(getTaskStatus(task('2025-01-01', '2025-03-31', 80), today), 'overdue');
+    assert.equal(getTaskStatus(task('2025-06-01', '2025-09-30', 100), today), 'completed');
+    assert.equal(getTaskStatus(task('2025-06-01', '2025-09-30', 0), today), 'in-progress');
+  });
+
+  test('has no status for swimlanes and undated tasks', () => {
+    assert.equal(getTaskStatus({ isSwimlane: true }, today), null);
+    assert.equal(getTaskStatus(task(null, null), today), null);
+  });
+});